@@ -1,19 +1,34 @@
-import { config } from '../utils/config.js';
+import { resolve } from 'node:path';
 import { log } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { logAudit } from '../security/audit.js';
+import { readEncryptedJson, writeEncryptedJson } from '../crypto/store.js';
+import { Roles, commandKey } from './roles.js';
 
-// Failed auth attempt tracking for brute-force protection
+// Failed auth attempt tracking for brute-force protection.
+// Persisted (encrypted) so a restart does not reset the lockout.
+const LOCKOUTS_FILE = resolve(config.paths.data, 'lockouts.json');
 const failedAttempts = new Map();
 const MAX_FAILED = 5;
 const BASE_LOCKOUT_MS = 15 * 60 * 1000; // 15 min base lockout
 const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000; // 24h max lockout
 
+// Global limiter: AUTH_GLOBAL_MAX_FAILED failures from any users within the window
+// lock /auth for everyone (many accounts guessed at once)
+const GLOBAL_WINDOW_MS = 15 * 60 * 1000;
+const GLOBAL_LOCKOUT_MS = 15 * 60 * 1000;
+let globalFailures = []; // timestamps within the window
+let globalLockedUntil = 0;
+
+let lockoutListener = null;
+
 export function guardMiddleware(sessionManager) {
   return async (ctx, next) => {
     const userId = ctx.from?.id;
     if (!userId) return;
 
-    // Check user is in whitelist
-    if (!config.auth.authorizedUsers.includes(userId)) {
+    // Check user has a role (AUTHORIZED_USERS, ADMIN_USERS or assigned with /rol)
+    if (!Roles.isAuthorized(userId)) {
       // In groups, silently ignore unauthorized users
       // In private chat, also silent — don't reveal the bot exists
       if (ctx.chat?.type === 'private') {
@@ -44,47 +59,173 @@ export function guardMiddleware(sessionManager) {
     }
 
     // Check brute-force lockout
-    const attempts = failedAttempts.get(userId);
-    if (attempts && attempts.count >= MAX_FAILED) {
-      // Exponential backoff: 15min, 30min, 1h, 2h, ... up to 24h
-      const lockoutMultiplier = Math.pow(2, Math.floor((attempts.count - MAX_FAILED) / MAX_FAILED));
-      const lockoutMs = Math.min(BASE_LOCKOUT_MS * lockoutMultiplier, MAX_LOCKOUT_MS);
-      const elapsed = Date.now() - attempts.lastAttempt;
-
-      if (elapsed < lockoutMs) {
-        const remaining = Math.ceil((lockoutMs - elapsed) / 60000);
-        await ctx.reply(`🔒 Bloqueado por intentos fallidos. Intenta en ${remaining} min.`);
-        return;
-      }
-      // Don't reset completely — keep count for exponential backoff
+    const lockedMs = lockoutRemainingMs(userId);
+    if (lockedMs > 0) {
+      await ctx.reply(`🔒 Bloqueado por intentos fallidos. Intenta en ${Math.ceil(lockedMs / 60000)} min.`);
+      return;
     }
 
     // Allow /start and /auth without session
     const text = ctx.message?.text || '';
-    if (text.startsWith('/start') || text.startsWith('/auth ')) {
+    if (text.startsWith('/start')) {
+      await next();
+      return;
+    }
+    if (text.startsWith('/auth ')) {
+      const globalMs = globalLockoutRemainingMs();
+      if (globalMs > 0) {
+        await ctx.reply(`🔒 Demasiados intentos fallidos en el bot. /auth bloqueado ${Math.ceil(globalMs / 60000)} min.`);
+        return;
+      }
       await next();
       return;
     }
 
-    // Check authenticated session
-    if (!sessionManager.isAuthenticated(userId)) {
-      await ctx.reply('🔐 Sesión expirada o no autenticada.\nUsa /auth <PIN> para autenticarte.');
+    // Check authenticated session (one per user and chat)
+    const chatId = ctx.chat?.id;
+    if (!sessionManager.isAuthenticated(userId, chatId)) {
+      const inGroup = ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup';
+      await ctx.reply(
+        '🔐 Sesión expirada o no autenticada.\nUsa /auth <PIN> para autenticarte.' +
+        (inGroup ? '\nCada grupo tiene su propia sesión; aquí mejor con un código 2FA (/2fa), que no se puede reutilizar.' : '')
+      );
+      return;
+    }
+
+    sessionManager.touch(userId, chatId);
+
+    const key = permissionKey(ctx);
+    if (!Roles.can(userId, 'commands', key)) {
+      logAudit(userId, 'permission_denied', { key, role: Roles.roleOf(userId) });
+      const what = key === 'ask' ? 'enviar prompts' : `/${key.split('.').slice(0, 2).join(' ')}`;
+      if (ctx.callbackQuery) {
+        await ctx.answerCallbackQuery({ text: `⛔ Tu rol no permite ${what}.` });
+      } else {
+        await ctx.reply(`⛔ Tu rol (${Roles.roleOf(userId)}) no permite ${what}.`);
+      }
       return;
     }
 
-    sessionManager.touch(userId);
     await next();
   };
 }
 
-export function recordFailedAuth(userId) {
+/**
+ * Command permission key of an update. Plain messages and media count as "ask";
+ * buttons use the prefix of their callback data ("buscar:3" -> "buscar").
+ */
+function permissionKey(ctx) {
+  if (ctx.callbackQuery) return (ctx.callbackQuery.data || '').split(':')[0];
+  return commandKey(ctx.message?.text) || 'ask';
+}
+
+/**
+ * Lockout length after a number of failures: 15min, 30min, 1h, 2h, ... up to 24h.
+ */
+function lockoutMsFor(count) {
+  if (count < MAX_FAILED) return 0;
+  const lockoutMultiplier = Math.pow(2, Math.floor((count - MAX_FAILED) / MAX_FAILED));
+  return Math.min(BASE_LOCKOUT_MS * lockoutMultiplier, MAX_LOCKOUT_MS);
+}
+
+/**
+ * Time left on a user's lockout, 0 if not locked.
+ * The count is kept after the lockout ends, so the next one is longer.
+ */
+export function lockoutRemainingMs(userId, now = Date.now()) {
+  const attempts = failedAttempts.get(userId);
+  if (!attempts) return 0;
+  return Math.max(lockoutMsFor(attempts.count) - (now - attempts.lastAttempt), 0);
+}
+
+/**
+ * Time left on the global /auth lockout, 0 if not locked.
+ */
+export function globalLockoutRemainingMs(now = Date.now()) {
+  return Math.max(globalLockedUntil - now, 0);
+}
+
+/**
+ * Register the callback for new lockouts (the bot alerts admins).
+ * @param {(event: { scope: 'user'|'global', userId?: number, attempts: number, lockoutMs: number }) => void} listener
+ */
+export function onLockout(listener) {
+  lockoutListener = listener;
+}
+
+function emitLockout(event) {
+  logAudit(event.userId ?? 0, 'auth_lockout', event);
+  log.warn(`[guard] Lockout (${event.scope}): ${event.attempts} failed attempts, ${Math.round(event.lockoutMs / 60000)} min`);
+  try {
+    lockoutListener?.(event);
+  } catch (err) {
+    log.error(`[guard] Lockout listener failed: ${err.message}`);
+  }
+}
+
+export function recordFailedAuth(userId, now = Date.now()) {
   const attempts = failedAttempts.get(userId) || { count: 0, lastAttempt: 0 };
   attempts.count++;
-  attempts.lastAttempt = Date.now();
+  attempts.lastAttempt = now;
   failedAttempts.set(userId, attempts);
+
+  globalFailures = globalFailures.filter(t => now - t < GLOBAL_WINDOW_MS);
+  globalFailures.push(now);
+  const globalTripped = globalFailures.length >= config.security.authGlobalMaxFailed && globalLockedUntil <= now;
+  if (globalTripped) globalLockedUntil = now + GLOBAL_LOCKOUT_MS;
+
+  saveLockouts();
+
+  // A new lockout starts every MAX_FAILED failures
+  if (attempts.count % MAX_FAILED === 0) {
+    emitLockout({ scope: 'user', userId, attempts: attempts.count, lockoutMs: lockoutMsFor(attempts.count) });
+  }
+  if (globalTripped) {
+    emitLockout({ scope: 'global', attempts: globalFailures.length, lockoutMs: GLOBAL_LOCKOUT_MS });
+  }
   return attempts.count;
 }
 
 export function clearFailedAuth(userId) {
-  failedAttempts.delete(userId);
+  if (failedAttempts.delete(userId)) saveLockouts();
 }
+
+function saveLockouts() {
+  try {
+    writeEncryptedJson(LOCKOUTS_FILE, {
+      users: Object.fromEntries(failedAttempts),
+      globalFailures,
+      globalLockedUntil,
+    });
+  } catch (err) {
+    log.error(`[guard] Save lockouts failed: ${err.message}`);
+  }
+}
+
+/**
+ * Restore failure counters and lockouts from disk (on import).
+ */
+export function loadLockouts() {
+  failedAttempts.clear();
+  globalFailures = [];
+  globalLockedUntil = 0;
+  try {
+    const data = readEncryptedJson(LOCKOUTS_FILE);
+    if (!data) return;
+    for (const [userId, attempts] of Object.entries(data.users || {})) {
+      failedAttempts.set(Number(userId), attempts);
+    }
+    const now = Date.now();
+    globalFailures = (data.globalFailures || []).filter(t => now - t < GLOBAL_WINDOW_MS);
+    globalLockedUntil = data.globalLockedUntil > now ? data.globalLockedUntil : 0;
+    const locked = [...failedAttempts.keys()].filter(id => lockoutRemainingMs(id, now) > 0).length;
+    if (locked > 0 || globalLockedUntil > now) {
+      log.info(`[guard] Restored lockouts: ${locked} user(s)${globalLockedUntil > now ? ', global' : ''}`);
+    }
+  } catch (err) {
+    log.warn(`[guard] Load lockouts failed: ${err.message}`);
+  }
+}
+
+// Load on import
+loadLockouts();
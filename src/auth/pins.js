@@ -0,0 +1,142 @@
+/**
+ * Per-user PINs, stored as salted PBKDF2 hashes (Cipher.hashSecret) in data/pins.json (encrypted).
+ * Users without a personal PIN still log in with the shared AUTH_PIN; once they set
+ * their own with /pin cambiar, AUTH_PIN no longer works for them.
+ * If data/pins.json cannot be read, no PIN is accepted (fail closed) rather than
+ * letting everyone back in with AUTH_PIN.
+ */
+import { resolve } from 'node:path';
+import { randomInt, timingSafeEqual } from 'node:crypto';
+import { log } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { Cipher } from '../crypto/cipher.js';
+import { readEncryptedJson, writeEncryptedJson } from '../crypto/store.js';
+
+const PINS_FILE = resolve(config.paths.data, 'pins.json');
+const PIN_PATTERN = /^\d{6,32}$/;
+const TEMPORARY_PIN_DIGITS = 8;
+
+// userId -> { salt, hash, iterations, updatedAt, temporary }
+const pins = new Map();
+let pinsFile = PINS_FILE;
+let loadError = null;
+
+function matchesSharedPin(pin) {
+  const pinBuf = Buffer.from(String(pin));
+  const expectedBuf = Buffer.from(String(config.auth.pin));
+  return pinBuf.length === expectedBuf.length && timingSafeEqual(pinBuf, expectedBuf);
+}
+
+// 111111, 123456, 987654...
+function isTrivial(pin) {
+  const steps = new Set();
+  for (let i = 1; i < pin.length; i++) steps.add((pin.charCodeAt(i) - pin.charCodeAt(i - 1) + 10) % 10);
+  return steps.size === 1 && [0, 1, 9].includes([...steps][0]);
+}
+
+/**
+ * Why a new PIN is not acceptable, or null if it is.
+ */
+export function pinProblem(pin) {
+  if (!PIN_PATTERN.test(pin || '')) return 'El PIN debe tener entre 6 y 32 dígitos.';
+  if (isTrivial(pin)) return 'El PIN es demasiado fácil (repetido o consecutivo).';
+  if (matchesSharedPin(pin)) return 'El PIN no puede ser el AUTH_PIN compartido.';
+  return null;
+}
+
+export class Pins {
+  /**
+   * @param {string} [file] - PIN store (default: data/pins.json)
+   */
+  static load(file = PINS_FILE) {
+    pinsFile = file;
+    pins.clear();
+    loadError = null;
+    try {
+      const data = readEncryptedJson(pinsFile);
+      if (!data) return;
+      for (const [userId, entry] of Object.entries(data)) {
+        pins.set(Number(userId), entry);
+      }
+      log.info(`[pins] Loaded ${pins.size} personal PINs`);
+    } catch (err) {
+      loadError = err.message;
+      log.error(`[pins] Load failed, PIN logins are blocked until it is fixed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Whether personal PINs could not be loaded: no PIN is valid, since anyone might have one.
+   */
+  static get unavailable() {
+    return loadError !== null;
+  }
+
+  static save() {
+    try {
+      writeEncryptedJson(pinsFile, Object.fromEntries(pins));
+    } catch (err) {
+      log.error(`[pins] Save failed: ${err.message}`);
+    }
+  }
+
+  static status(userId) {
+    const entry = pins.get(userId);
+    return {
+      personal: !!entry,
+      temporary: !!entry?.temporary,
+      updatedAt: entry?.updatedAt || null,
+    };
+  }
+
+  /**
+   * Check a login PIN: the personal one if set, otherwise AUTH_PIN.
+   */
+  static verify(userId, pin) {
+    if (loadError) return false;
+    const entry = pins.get(userId);
+    return entry ? Cipher.verifySecret(pin, entry) : matchesSharedPin(pin);
+  }
+
+  /**
+   * Self-service rotation: the current PIN (personal or shared) authorizes the new one.
+   * @returns {{ ok: true } | { ok: false, reason: 'invalid_pin'|'weak_pin'|'unavailable', message?: string }}
+   */
+  static change(userId, current, next) {
+    if (loadError) return { ok: false, reason: 'unavailable', message: 'Los PIN no se pudieron cargar. Avisa a un administrador.' };
+    if (!this.verify(userId, current)) return { ok: false, reason: 'invalid_pin' };
+    const problem = pinProblem(next);
+    if (problem) return { ok: false, reason: 'weak_pin', message: problem };
+    if (next === current) return { ok: false, reason: 'weak_pin', message: 'El PIN nuevo debe ser distinto del actual.' };
+
+    pins.set(userId, { ...Cipher.hashSecret(next), updatedAt: Date.now(), temporary: false });
+    this.save();
+    log.info(`[pins] User ${userId} changed their PIN`);
+    return { ok: true };
+  }
+
+  /**
+   * Admin reset: replace the user's PIN with a random temporary one they should change.
+   * @returns {string|null} The temporary PIN (shown once, never stored in clear), or null if PINs are unavailable
+   */
+  static reset(userId) {
+    if (loadError) return null;
+    const pin = String(randomInt(10 ** (TEMPORARY_PIN_DIGITS - 1), 10 ** TEMPORARY_PIN_DIGITS));
+    pins.set(userId, { ...Cipher.hashSecret(pin), updatedAt: Date.now(), temporary: true });
+    this.save();
+    log.info(`[pins] PIN of user ${userId} reset`);
+    return pin;
+  }
+
+  /**
+   * Forget a personal PIN (user removed); they would be back on AUTH_PIN.
+   */
+  static remove(userId) {
+    if (!pins.delete(userId)) return false;
+    this.save();
+    return true;
+  }
+}
+
+// Load on import
+Pins.load();
@@ -0,0 +1,217 @@
+/**
+ * Role-based access control. Every authorized user has one role; a role grants
+ * commands, providers, SSH servers and MCP tools by pattern.
+ * ADMIN_USERS are always admins, other AUTHORIZED_USERS get DEFAULT_ROLE unless an
+ * admin assigns them one with /rol. Assignments persist to data/roles.json (encrypted).
+ *
+ * Rules: "*" matches everything, "x*" is a prefix, "!rule" denies (and wins).
+ * Command keys are the command and its leading word arguments joined by dots
+ * ("mcp.policy.global"); a rule also matches the keys below it ("mcp" ⊇ "mcp.add").
+ * MCP tool keys are "server/tool".
+ */
+import { resolve } from 'node:path';
+import { log } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { readEncryptedJson, writeEncryptedJson } from '../crypto/store.js';
+
+const ROLES_FILE = resolve(config.paths.data, 'roles.json');
+
+export const PERMISSION_KINDS = ['commands', 'providers', 'ssh', 'mcp'];
+
+// Server management, budgets, global policies, role assignment, credential resets, other users' sessions and the audit log
+const ADMIN_ONLY = [
+  '!rol.asignar', '!rol.quitar', '!rol.lista',
+  '!presupuesto.set', '!presupuesto.del',
+  '!mcp.add', '!mcp.add-url', '!mcp.remove', '!mcp.policy.global',
+  '!ssh.add', '!ssh.remove', '!2fa.reset', '!pin.reset',
+  '!sesiones.todas', '!sesiones.bloquear', '!auditoria',
+];
+
+export const DEFAULT_ROLE_DEFINITIONS = {
+  admin: {
+    description: 'Todo, incluida la gestión de roles, servidores y presupuestos',
+    commands: ['*'], providers: ['*'], ssh: ['*'], mcp: ['*'],
+  },
+  developer: {
+    description: 'Uso completo: IA, proyectos, SSH, MCP y tareas; sin administración',
+    commands: ['*', ...ADMIN_ONLY], providers: ['*'], ssh: ['*'], mcp: ['*'],
+  },
+  viewer: {
+    description: 'Chat con proveedores API, hilos y búsqueda; sin ejecución ni servidores',
+    commands: [
+      'start', 'help', 'auth', 'lock', 'status', 'clear', 'ask', 'ia', 'fallback', 'uso', 'presupuesto',
+      'hilo', 'hilos', 'exportar', 'importar', 'buscar', 'history', 'rol', '2fa', 'pin', 'sesiones', 'web', 'voz', 'modo', 'memoria',
+      ...ADMIN_ONLY,
+    ],
+    providers: ['gemini', 'groq', 'openai', 'anthropic'],
+    ssh: [],
+    mcp: [],
+  },
+};
+
+const roles = loadDefinitions();
+const DEFAULT_ROLE = roles[process.env.DEFAULT_ROLE] ? process.env.DEFAULT_ROLE : 'developer';
+
+const assignments = new Map(); // userId -> role name
+
+/**
+ * Built-in roles merged with RBAC_ROLES, a JSON object of roles whose lists replace
+ * the defaults kind by kind, e.g. {"viewer": {"providers": ["gemini"]}, "ops": {...}}.
+ */
+function loadDefinitions() {
+  const table = structuredClone(DEFAULT_ROLE_DEFINITIONS);
+  if (!process.env.RBAC_ROLES) return table;
+  try {
+    for (const [name, definition] of Object.entries(JSON.parse(process.env.RBAC_ROLES))) {
+      const role = table[name] || { description: '', commands: [], providers: [], ssh: [], mcp: [] };
+      if (typeof definition.description === 'string') role.description = definition.description;
+      for (const kind of PERMISSION_KINDS) {
+        if (Array.isArray(definition[kind])) role[kind] = definition[kind].map(String);
+      }
+      table[name] = role;
+    }
+  } catch (err) {
+    log.warn(`[roles] Invalid RBAC_ROLES, using defaults: ${err.message}`);
+  }
+  return table;
+}
+
+function matchRule(rule, key) {
+  if (rule === '*') return true;
+  if (rule.endsWith('*')) return key.startsWith(rule.slice(0, -1));
+  return key === rule || key.startsWith(`${rule}.`);
+}
+
+/**
+ * Permission key of a command message: "/mcp policy global x auto" -> "mcp.policy.global.x.auto".
+ * Stops at the first argument that is not a plain word.
+ * @returns {string|null} null if the text is not a command
+ */
+export function commandKey(text) {
+  const match = (text || '').match(/^\/([a-z0-9_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/i);
+  if (!match) return null;
+  const parts = [match[1].toLowerCase()];
+  for (const word of (match[2] || '').trim().split(/\s+/)) {
+    if (!/^[\p{L}\p{N}_-]+$/u.test(word)) break;
+    parts.push(word.toLowerCase());
+  }
+  return parts.join('.');
+}
+
+export class Roles {
+  static load() {
+    try {
+      const data = readEncryptedJson(ROLES_FILE);
+      if (!data) return;
+      for (const [userId, role] of Object.entries(data.assignments || {})) {
+        assignments.set(Number(userId), role);
+      }
+      log.info(`[roles] Loaded ${assignments.size} role assignments`);
+    } catch (err) {
+      log.warn(`[roles] Load failed: ${err.message}`);
+    }
+  }
+
+  static save() {
+    try {
+      writeEncryptedJson(ROLES_FILE, { assignments: Object.fromEntries(assignments) });
+    } catch (err) {
+      log.error(`[roles] Save failed: ${err.message}`);
+    }
+  }
+
+  static names() {
+    return Object.keys(roles);
+  }
+
+  static get defaultRole() {
+    return DEFAULT_ROLE;
+  }
+
+  /**
+   * Role of a user, or null if not authorized at all.
+   */
+  static roleOf(userId) {
+    if (config.auth.adminUsers.includes(userId)) return 'admin';
+    const assigned = assignments.get(userId);
+    if (assigned && roles[assigned]) return assigned;
+    return config.auth.authorizedUsers.includes(userId) ? DEFAULT_ROLE : null;
+  }
+
+  static isAuthorized(userId) {
+    return this.roleOf(userId) !== null;
+  }
+
+  static isAdmin(userId) {
+    return this.roleOf(userId) === 'admin';
+  }
+
+  /**
+   * Whether the user's role grants a permission.
+   * @param {number} userId
+   * @param {'commands'|'providers'|'ssh'|'mcp'} kind
+   * @param {string} key - Command key, provider name, SSH server or "server/tool"
+   */
+  static can(userId, kind, key) {
+    const role = roles[this.roleOf(userId)];
+    if (!role) return false;
+    let allowed = false;
+    for (const rule of role[kind] || []) {
+      if (rule.startsWith('!')) {
+        if (matchRule(rule.slice(1), key)) return false;
+      } else if (matchRule(rule, key)) {
+        allowed = true;
+      }
+    }
+    return allowed;
+  }
+
+  /**
+   * Give a user a role, authorizing them if they were not in AUTHORIZED_USERS.
+   * @returns {{ ok: true } | { ok: false, reason: string }}
+   */
+  static assign(actorId, userId, role) {
+    if (!Number.isInteger(userId) || userId <= 0) return { ok: false, reason: 'ID de usuario no válido.' };
+    if (!roles[role]) return { ok: false, reason: `Rol "${role}" no existe. Roles: ${this.names().join(', ')}` };
+    if (userId === actorId) return { ok: false, reason: 'No puedes cambiar tu propio rol.' };
+    if (config.auth.adminUsers.includes(userId)) return { ok: false, reason: 'Los administradores de ADMIN_USERS no se pueden cambiar en caliente.' };
+
+    assignments.set(userId, role);
+    this.save();
+    log.info(`[roles] User ${userId} -> ${role} (by ${actorId})`);
+    return { ok: true };
+  }
+
+  /**
+   * Drop an assignment: the user goes back to DEFAULT_ROLE, or loses access
+   * if not listed in AUTHORIZED_USERS.
+   */
+  static revoke(userId) {
+    if (!assignments.delete(userId)) return false;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Every known user with their role and where it comes from.
+   * @returns {Array<{ userId: number, role: string, source: 'admin'|'assigned'|'default' }>}
+   */
+  static list() {
+    const ids = new Set([...config.auth.adminUsers, ...config.auth.authorizedUsers, ...assignments.keys()]);
+    return [...ids].map(userId => ({
+      userId,
+      role: this.roleOf(userId),
+      source: config.auth.adminUsers.includes(userId) ? 'admin' : assignments.has(userId) ? 'assigned' : 'default',
+    })).filter(u => u.role);
+  }
+
+  /**
+   * Definition of a role (description and rule lists), or null.
+   */
+  static describe(role) {
+    return roles[role] ? { name: role, ...roles[role] } : null;
+  }
+}
+
+// Load on import
+Roles.load();
@@ -1,33 +1,59 @@
 import { config } from '../utils/config.js';
 import { log } from '../utils/logger.js';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
 import { resolve } from 'node:path';
-import { timingSafeEqual } from 'node:crypto';
-
+import { randomBytes } from 'node:crypto';
+import { readEncryptedJson, writeEncryptedJson } from '../crypto/store.js';
+import { Roles } from './roles.js';
+import { TwoFactor } from './totp.js';
+import { Pins } from './pins.js';
+
+// One session per user and chat: "<userId>:<chatId>" -> session.
+// A private chat (chatId === userId) and each group are separate sessions.
 const sessions = new Map();
 const SESSIONS_FILE = resolve(config.paths.data, 'sessions.json');
 
+function sessionKey(userId, chatId) {
+  return `${userId}:${chatId ?? userId}`;
+}
+
+function isExpired(session, now = Date.now()) {
+  return now - session.lastActivity > config.auth.sessionTimeoutMs;
+}
+
 export class SessionManager {
   constructor() {
     this.#loadSessions();
   }
 
-  authenticate(userId, pin) {
-    if (!config.auth.authorizedUsers.includes(userId)) {
+  /**
+   * Log in with the user's PIN (personal, or the shared AUTH_PIN if they have none),
+   * or with a TOTP code once the user enrolled in 2FA (the PIN is then no longer accepted for them).
+   * @param {number} userId
+   * @param {string} secret - PIN or 6-digit code
+   * @param {{ id: number, type?: string, title?: string }} [chat] - Chat the session is for (default: private chat)
+   */
+  authenticate(userId, secret, chat = { id: userId, type: 'private' }) {
+    if (!Roles.isAuthorized(userId)) {
       return { ok: false, reason: 'unauthorized_user' };
     }
-
-    // Constant-time comparison to prevent timing attacks
-    const pinBuf = Buffer.from(String(pin));
-    const expectedBuf = Buffer.from(String(config.auth.pin));
-    if (pinBuf.length !== expectedBuf.length) {
-      return { ok: false, reason: 'invalid_pin' };
+    // Unknown 2FA or PIN state: accepting AUTH_PIN could bypass someone's 2FA or personal PIN
+    if (TwoFactor.unavailable || Pins.unavailable) {
+      return { ok: false, reason: 'auth_state_unavailable' };
     }
-    if (!timingSafeEqual(pinBuf, expectedBuf)) {
+
+    if (TwoFactor.isEnabled(userId)) {
+      const check = TwoFactor.verify(userId, String(secret));
+      if (!check.ok) return check;
+    } else if (!Pins.verify(userId, String(secret))) {
       return { ok: false, reason: 'invalid_pin' };
     }
 
-    sessions.set(userId, {
+    sessions.set(sessionKey(userId, chat.id), {
+      id: randomBytes(3).toString('hex'),
+      userId,
+      chatId: chat.id,
+      chatType: chat.type || 'private',
+      chatTitle: chat.title || null,
       authenticatedAt: Date.now(),
       lastActivity: Date.now(),
       workDir: config.claude.defaultWorkDir,
@@ -37,13 +63,13 @@ export class SessionManager {
     return { ok: true };
   }
 
-  isAuthenticated(userId) {
-    const session = sessions.get(userId);
+  isAuthenticated(userId, chatId) {
+    const key = sessionKey(userId, chatId);
+    const session = sessions.get(key);
     if (!session) return false;
 
-    const elapsed = Date.now() - session.lastActivity;
-    if (elapsed > config.auth.sessionTimeoutMs) {
-      sessions.delete(userId);
+    if (isExpired(session)) {
+      sessions.delete(key);
       this.#saveSessions();
       return false;
     }
@@ -51,8 +77,8 @@ export class SessionManager {
     return true;
   }
 
-  touch(userId) {
-    const session = sessions.get(userId);
+  touch(userId, chatId) {
+    const session = sessions.get(sessionKey(userId, chatId));
     if (session) {
       session.lastActivity = Date.now();
       // Save periodically (every 60s) to avoid excessive writes
@@ -62,69 +88,114 @@ export class SessionManager {
     }
   }
 
-  lock(userId) {
-    sessions.delete(userId);
+  /**
+   * Close the user's session in one chat, or all of them if no chat is given.
+   * @returns {number} Sessions closed
+   */
+  lock(userId, chatId) {
+    let closed = 0;
+    if (chatId !== undefined) {
+      closed = sessions.delete(sessionKey(userId, chatId)) ? 1 : 0;
+    } else {
+      for (const [key, session] of sessions) {
+        if (session.userId === userId && sessions.delete(key)) closed++;
+      }
+    }
     this.#saveSessions();
+    return closed;
   }
 
-  getWorkDir(userId) {
-    return sessions.get(userId)?.workDir || config.claude.defaultWorkDir;
+  /**
+   * Close a session by its short id (shown in /sesiones).
+   * @returns {object|null} The closed session, or null if no session has that id
+   */
+  closeById(id) {
+    for (const [key, session] of sessions) {
+      if (session.id === id) {
+        sessions.delete(key);
+        this.#saveSessions();
+        return { ...session };
+      }
+    }
+    return null;
   }
 
-  setWorkDir(userId, dir) {
-    const session = sessions.get(userId);
-    if (session) {
+  /**
+   * Active sessions, most recent activity first.
+   * @param {number} [userId] - Only this user's sessions (default: everyone's)
+   * @returns {Array<{ id: string, userId: number, chatId: number, chatType: string, chatTitle: string|null,
+   *   authenticatedAt: number, lastActivity: number, workDir: string }>}
+   */
+  list(userId) {
+    const now = Date.now();
+    return [...sessions.values()]
+      .filter(s => !isExpired(s, now) && (userId === undefined || s.userId === userId))
+      .sort((a, b) => b.lastActivity - a.lastActivity)
+      .map(s => ({ ...s }));
+  }
+
+  /**
+   * Work directory of the session in this chat, or of the user's most recent session.
+   */
+  getWorkDir(userId, chatId) {
+    const session = sessions.get(sessionKey(userId, chatId)) || this.list(userId)[0];
+    return session?.workDir || config.claude.defaultWorkDir;
+  }
+
+  /**
+   * Change the work directory of the session in this chat, or of all the user's sessions.
+   */
+  setWorkDir(userId, dir, chatId) {
+    let changed = false;
+    for (const session of sessions.values()) {
+      if (session.userId !== userId || (chatId !== undefined && session.chatId !== chatId)) continue;
       session.workDir = dir;
-      this.#saveSessions();
+      changed = true;
     }
+    if (changed) this.#saveSessions();
   }
 
-  getInfo(userId) {
-    const session = sessions.get(userId);
+  getInfo(userId, chatId) {
+    const session = sessions.get(sessionKey(userId, chatId));
     if (!session) return null;
 
     const elapsed = Date.now() - session.lastActivity;
     const remaining = Math.max(0, config.auth.sessionTimeoutMs - elapsed);
 
     return {
+      id: session.id,
       workDir: session.workDir,
       authenticatedAt: new Date(session.authenticatedAt).toISOString(),
       lastActivity: new Date(session.lastActivity).toISOString(),
       timeoutIn: `${Math.round(remaining / 60000)}min`,
+      sessions: this.list(userId).length,
     };
   }
 
+  /**
+   * Close every session of every user.
+   * @returns {number} Sessions closed
+   */
   lockAll() {
+    const closed = sessions.size;
     sessions.clear();
     this.#saveSessions();
+    return closed;
   }
 
   /**
    * Get all currently authenticated user IDs.
    */
   getAuthenticatedUsers() {
-    const active = [];
-    for (const [userId, session] of sessions) {
-      const elapsed = Date.now() - session.lastActivity;
-      if (elapsed <= config.auth.sessionTimeoutMs) {
-        active.push(userId);
-      }
-    }
-    return active;
+    return [...new Set(this.list().map(s => s.userId))];
   }
 
   /**
-   * Persist sessions to disk (encrypted would be ideal, but JSON is sufficient
-   * since the data dir is inside the container and not exposed).
+   * Persist sessions to disk, encrypted with the master password.
    */
   #saveSessions() {
     try {
-      if (!existsSync(config.paths.data)) mkdirSync(config.paths.data, { recursive: true });
-      const data = {};
-      for (const [userId, session] of sessions) {
-        data[userId] = session;
-      }
-      writeFileSync(SESSIONS_FILE, JSON.stringify(data));
+      writeEncryptedJson(SESSIONS_FILE, Object.fromEntries(sessions));
       this._lastSave = Date.now();
     } catch (err) {
       log.warn(`[session] Save failed: ${err.message}`);
@@ -133,20 +204,28 @@ export class SessionManager {
 
   /**
    * Load sessions from disk on startup.
-   * Only restores sessions that haven't expired.
+   * Only restores sessions that haven't expired. Files from before per-chat
+   * sessions are keyed by userId alone and become private-chat sessions.
    */
   #loadSessions() {
     try {
-      if (!existsSync(SESSIONS_FILE)) return;
-      const data = JSON.parse(readFileSync(SESSIONS_FILE, 'utf-8'));
+      const data = readEncryptedJson(SESSIONS_FILE);
+      if (!data) return;
       const now = Date.now();
       let restored = 0;
-      for (const [userId, session] of Object.entries(data)) {
-        const elapsed = now - session.lastActivity;
-        if (elapsed <= config.auth.sessionTimeoutMs) {
-          sessions.set(parseInt(userId, 10), session);
-          restored++;
-        }
+      for (const [key, stored] of Object.entries(data)) {
+        if (isExpired(stored, now)) continue;
+        const [userId, chatId = userId] = key.split(':').map(Number);
+        const session = {
+          id: stored.id || randomBytes(3).toString('hex'),
+          userId,
+          chatId,
+          chatType: stored.chatType || 'private',
+          chatTitle: stored.chatTitle || null,
+          ...stored,
+        };
+        sessions.set(sessionKey(userId, chatId), session);
+        restored++;
       }
       if (restored > 0) {
         log.info(`[session] Restored ${restored} active session(s) from disk`);
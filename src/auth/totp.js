@@ -0,0 +1,232 @@
+/**
+ * TOTP two-factor authentication (RFC 6238: HMAC-SHA1, 6 digits, 30 s steps).
+ * Users who enroll with /2fa authenticate with /auth <código> instead of the shared PIN.
+ * Secrets and the last accepted step (replay protection) persist to data/totp.json (encrypted).
+ * If that file cannot be read, nobody can log in (fail closed): enrolled users would
+ * otherwise silently fall back to the PIN.
+ */
+import { resolve } from 'node:path';
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { log } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { readEncryptedJson, writeEncryptedJson } from '../crypto/store.js';
+
+const TOTP_FILE = resolve(config.paths.data, 'totp.json');
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // Accept the previous and next code too (clock skew)
+const SETUP_TTL_MS = 10 * 60 * 1000;
+const ISSUER = 'LLM Remote';
+
+export { SETUP_TTL_MS };
+
+// userId -> { secret, enabledAt, lastStep }
+const enrolled = new Map();
+let totpFile = TOTP_FILE;
+let loadError = null;
+// userId -> { secret, createdAt } awaiting /2fa confirmar
+const pending = new Map();
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+export function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Carácter base32 no válido: ${char}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * HOTP value (RFC 4226) for a counter.
+ * @param {Buffer} key
+ * @param {number} counter
+ * @param {number} [digits]
+ */
+export function hotp(key, counter, digits = DIGITS) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = createHmac('sha1', key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Time step of a timestamp.
+ */
+export function totpStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * TOTP code of a base32 secret at a given time.
+ */
+export function totp(secret, now = Date.now(), digits = DIGITS) {
+  return hotp(base32Decode(secret), totpStep(now), digits);
+}
+
+/**
+ * Step whose code matches, within the allowed drift.
+ * @returns {number|null}
+ */
+export function matchStep(secret, code, now = Date.now()) {
+  if (!/^\d{6}$/.test(code || '')) return null;
+  const key = base32Decode(secret);
+  const current = totpStep(now);
+  for (let offset = -DRIFT_STEPS; offset <= DRIFT_STEPS; offset++) {
+    const expected = hotp(key, current + offset);
+    if (timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return current + offset;
+  }
+  return null;
+}
+
+/**
+ * Provisioning URI for authenticator apps (Google Authenticator, Aegis, 1Password...).
+ */
+export function otpauthUri(secret, account) {
+  const label = encodeURIComponent(`${ISSUER}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+export class TwoFactor {
+  /**
+   * @param {string} [file] - Enrollment store (default: data/totp.json)
+   */
+  static load(file = TOTP_FILE) {
+    totpFile = file;
+    enrolled.clear();
+    pending.clear();
+    loadError = null;
+    try {
+      const data = readEncryptedJson(totpFile);
+      if (!data) return;
+      for (const [userId, entry] of Object.entries(data)) {
+        enrolled.set(Number(userId), entry);
+      }
+      log.info(`[2fa] Loaded ${enrolled.size} TOTP enrollments`);
+    } catch (err) {
+      loadError = err.message;
+      log.error(`[2fa] Load failed, logins are blocked until it is fixed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Whether enrollments could not be loaded: nobody may log in, since anyone might be enrolled.
+   */
+  static get unavailable() {
+    return loadError !== null;
+  }
+
+  static save() {
+    try {
+      writeEncryptedJson(totpFile, Object.fromEntries(enrolled));
+    } catch (err) {
+      log.error(`[2fa] Save failed: ${err.message}`);
+    }
+  }
+
+  static isEnabled(userId) {
+    return enrolled.has(userId);
+  }
+
+  static status(userId) {
+    const entry = enrolled.get(userId);
+    const setup = pending.get(userId);
+    return {
+      enabled: !!entry,
+      enabledAt: entry?.enabledAt || null,
+      pending: !!setup && Date.now() - setup.createdAt < SETUP_TTL_MS,
+    };
+  }
+
+  /**
+   * Start enrollment with a fresh secret. It only takes effect after confirmSetup().
+   * @param {number} userId
+   * @param {string} account - Label shown in the authenticator app
+   * @returns {{ ok: true, secret: string, uri: string } | { ok: false, reason: string }}
+   */
+  static beginSetup(userId, account) {
+    if (loadError) return { ok: false, reason: 'El estado de 2FA no se pudo cargar. Avisa a un administrador.' };
+    if (enrolled.has(userId)) return { ok: false, reason: '2FA ya está activo. Para regenerarlo: /2fa desactivar <código>' };
+    const secret = base32Encode(randomBytes(20));
+    pending.set(userId, { secret, createdAt: Date.now() });
+    return { ok: true, secret, uri: otpauthUri(secret, account) };
+  }
+
+  /**
+   * Enable 2FA once the user proves their app generates valid codes.
+   * @returns {{ ok: true } | { ok: false, reason: string }}
+   */
+  static confirmSetup(userId, code, now = Date.now()) {
+    const setup = pending.get(userId);
+    if (!setup || now - setup.createdAt >= SETUP_TTL_MS) {
+      pending.delete(userId);
+      return { ok: false, reason: 'No hay configuración pendiente (caduca a los 10 min). Empieza con /2fa setup' };
+    }
+    const step = matchStep(setup.secret, code, now);
+    if (step === null) return { ok: false, reason: 'Código incorrecto. Comprueba la hora del móvil y vuelve a probar.' };
+
+    pending.delete(userId);
+    enrolled.set(userId, { secret: setup.secret, enabledAt: now, lastStep: step });
+    this.save();
+    return { ok: true };
+  }
+
+  /**
+   * Check a login code. Each time step is accepted once: a code seen before,
+   * or older than the last accepted one, is a replay.
+   * @returns {{ ok: true } | { ok: false, reason: 'not_enrolled'|'invalid_code'|'code_reused' }}
+   */
+  static verify(userId, code, now = Date.now()) {
+    const entry = enrolled.get(userId);
+    if (!entry) return { ok: false, reason: 'not_enrolled' };
+
+    const step = matchStep(entry.secret, code, now);
+    if (step === null) return { ok: false, reason: 'invalid_code' };
+    if (step <= entry.lastStep) return { ok: false, reason: 'code_reused' };
+
+    entry.lastStep = step;
+    this.save();
+    return { ok: true };
+  }
+
+  /**
+   * Turn 2FA off; the user goes back to the PIN.
+   */
+  static disable(userId) {
+    pending.delete(userId);
+    if (!enrolled.delete(userId)) return false;
+    this.save();
+    return true;
+  }
+}
+
+// Load on import
+TwoFactor.load();
@@ -1,26 +1,65 @@
-import { Bot } from 'grammy';
+import { Bot, InlineKeyboard, InputFile } from 'grammy';
 import { config } from './utils/config.js';
 import { log } from './utils/logger.js';
 import { SessionManager } from './auth/session.js';
-import { guardMiddleware, recordFailedAuth, clearFailedAuth } from './auth/guard.js';
+import { guardMiddleware, recordFailedAuth, clearFailedAuth, lockoutRemainingMs, onLockout } from './auth/guard.js';
+import { Roles } from './auth/roles.js';
+import { TwoFactor, SETUP_TTL_MS } from './auth/totp.js';
+import { Pins } from './auth/pins.js';
 import { checkRateLimit } from './security/ratelimit.js';
-import { logAudit, queryAudit } from './security/audit.js';
+import { logAudit, queryAudit, verifyAuditLog } from './security/audit.js';
 import { ProviderManager } from './providers/manager.js';
 import { formatOutput, formatStatus } from './claude/formatter.js';
-import { ConversationMemory } from './context/memory.js';
+import { ConversationMemory, normalizeThreadName } from './context/memory.js';
+import { EXPORT_FORMATS, parseExportFormat, renderExport, parseExport } from './context/export.js';
+import { contextBudget, summarizeHistory } from './context/window.js';
 import { transcribeVoice } from './media/voice.js';
 import { analyzeImage } from './media/vision.js';
 import { canProcessFile, extractFileContent } from './media/files.js';
 import { webSearch, formatSearchResults } from './search/web.js';
-import { Scheduler } from './scheduler/scheduler.js';
-import { MCPManager } from './mcp/client.js';
+import { Scheduler, parseScheduleArgs, parseEditArgs } from './scheduler/scheduler.js';
+import { formatInTimezone } from './scheduler/cron.js';
+import { parseJob, describeJob } from './scheduler/jobs.js';
+import { parseCondition, describeCondition } from './scheduler/conditions.js';
+import { MCPManager, TOOL_POLICIES } from './mcp/client.js';
+import { createToolset, formatToolResult } from './mcp/tools.js';
+import { parseHeaderLines } from './mcp/http.js';
+import { ResourceAttachments, formatResourceContents, formatPromptMessages, parsePromptArgs } from './mcp/resources.js';
 import { Pipeline } from './pipeline/pipeline.js';
 import { SSHManager } from './remote/ssh.js';
 import { Persona } from './context/persona.js';
 import { SharedMemory } from './context/shared-memory.js';
+import { UsageLedger, PERIODS } from './usage/ledger.js';
+import { Budgets, parseBudgetArgs, describeBudget } from './usage/budget.js';
 import { existsSync } from 'node:fs';
 import { resolve } from 'node:path';
 
+// Streaming responses: minimum gap between status edits and preview size (Telegram max is 4096)
+const STREAM_EDIT_INTERVAL_MS = 1500;
+const STREAM_PREVIEW_CHARS = 3500;
+
+// MCP tool calls awaiting Approve/Reject: id -> { userId, resolve, timer }
+const pendingApprovals = new Map();
+const APPROVAL_TIMEOUT_MS = 2 * 60 * 1000;
+const APPROVAL_ARGS_CHARS = 800;
+let nextApprovalId = 1;
+
+// /importar waiting for the exported file: userId -> { name, expires }
+const pendingImports = new Map();
+const IMPORT_WINDOW_MS = 5 * 60 * 1000;
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+// How long a temporary PIN from /pin reset stays visible
+const TEMPORARY_PIN_VISIBLE_MS = 5 * 60 * 1000;
+
+// /buscar: threads behind the last result buttons, userId -> [thread names]
+const searchThreads = new Map();
+const SEARCH_RESULTS = 10;
+
+// /mcp resources listing and /mcp read preview limits
+const RESOURCE_LIST_MAX = 50;
+const RESOURCE_PREVIEW_CHARS = 3000;
+
 /**
  * Sanitize error messages — strip sensitive tokens/keys before showing to user.
  */
@@ -50,6 +89,33 @@ export function createBot() {
   // Global middleware: auth guard
   bot.use(guardMiddleware(sessionManager));
 
+  // Alert admins of brute-force lockouts
+  onLockout((event) => {
+    const minutes = Math.round(event.lockoutMs / 60000);
+    const text = event.scope === 'global'
+      ? `🚨 ${event.attempts} intentos de /auth fallidos en 15 min entre varios usuarios.\n/auth bloqueado para todos durante ${minutes} min.`
+      : `🚨 Usuario ${event.userId} bloqueado ${minutes} min tras ${event.attempts} intentos fallidos de PIN/código.`;
+    for (const adminId of config.auth.adminUsers) {
+      bot.api.sendMessage(adminId, text).catch(err => log.debug(`[guard] Could not alert admin ${adminId}: ${err.message}`));
+    }
+  });
+
+  // Approve/Reject buttons of MCP tool calls that need confirmation
+  bot.callbackQuery(/^mcp:(ok|no):(\d+)$/, async (ctx) => {
+    const [, decision, id] = ctx.match;
+    const pending = pendingApprovals.get(Number(id));
+    if (!pending) {
+      await ctx.answerCallbackQuery({ text: 'Solicitud caducada.' });
+      return;
+    }
+    if (pending.userId !== ctx.from.id) {
+      await ctx.answerCallbackQuery({ text: 'Solo quien lanzó la petición puede decidir.' });
+      return;
+    }
+    pending.resolve(decision === 'ok');
+    await ctx.answerCallbackQuery({ text: decision === 'ok' ? 'Aprobada' : 'Rechazada' });
+  });
+
   // /start
   bot.command('start', async (ctx) => {
     const configured = providers.listConfigured();
@@ -66,6 +132,9 @@ export function createBot() {
       '  /ask <prompt> — Enviar prompt\n' +
       '  /ia — Cambiar proveedor IA\n' +
       '  /clear — Limpiar contexto\n' +
+      '  /hilo nuevo <nombre> · /hilos — Hilos de conversación\n' +
+      '  /exportar [md|json|html] · /importar — Pasar una conversación a un compañero\n' +
+      '  /buscar <texto> — Buscar en tus conversaciones\n' +
       '  /project <ruta> — Cambiar directorio\n' +
       '  /status — Info de sesión\n\n' +
       '🆕 Funciones:\n' +
@@ -89,18 +158,21 @@ export function createBot() {
     );
   });
 
-  // /auth <pin>
+  // /auth <pin|código 2FA>
   bot.command('auth', async (ctx) => {
     const pin = ctx.match?.trim();
-    if (!pin) { await ctx.reply('Uso: /auth <PIN>'); return; }
+    if (!pin) { await ctx.reply('Uso: /auth <PIN>\nCon 2FA activo: /auth <código de 6 dígitos>'); return; }
 
-    const result = sessionManager.authenticate(ctx.from.id, pin);
+    const result = sessionManager.authenticate(ctx.from.id, pin, ctx.chat);
 
     if (result.ok) {
       clearFailedAuth(ctx.from.id);
-      logAudit(ctx.from.id, 'auth_success');
+      const pinStatus = Pins.status(ctx.from.id);
+      const method = TwoFactor.isEnabled(ctx.from.id) ? 'totp' : pinStatus.personal ? 'personal_pin' : 'shared_pin';
+      logAudit(ctx.from.id, 'auth_success', { method });
       log.info(`User ${ctx.from.id} authenticated`);
       try { await ctx.deleteMessage(); } catch {}
+      applyThread(ctx, ConversationMemory.getActiveThread(ctx.from.id), providers, sessionManager);
 
       const provider = providers.getForUser(ctx.from.id);
       let pendingInfo = '';
@@ -117,22 +189,34 @@ export function createBot() {
 
       await ctx.reply(
         '✅ Sesión iniciada.\n' +
-        `📁 Directorio: ${sessionManager.getWorkDir(ctx.from.id)}\n` +
-        `🤖 Proveedor: ${provider.displayName}\n` +
+        `📁 Directorio: ${sessionManager.getWorkDir(ctx.from.id, ctx.chat.id)}\n` +
+        `🤖 Proveedor: ${provider?.displayName || 'ninguno permitido por tu rol'}\n` +
         `⏱ Timeout: ${config.auth.sessionTimeoutMs / 60000} min\n\n` +
         'Escribe texto, envía audio 🎤, foto 📷 o archivo 📎' +
+        (method === 'totp' ? '' : pinStatus.temporary
+          ? '\n\n⚠️ Tu PIN es temporal: cámbialo con /pin cambiar <actual> <nuevo>'
+          : !pinStatus.personal ? '\n\n💡 Usas el PIN compartido. Crea el tuyo con /pin cambiar <actual> <nuevo>' : '') +
         pendingInfo
       );
+    } else if (result.reason === 'auth_state_unavailable') {
+      logAudit(ctx.from.id, 'auth_failed', { reason: result.reason });
+      try { await ctx.deleteMessage(); } catch {}
+      await ctx.reply('⛔ No se pudo cargar el estado de autenticación: el inicio de sesión está bloqueado. Avisa a un administrador.');
     } else {
       const failCount = recordFailedAuth(ctx.from.id);
-      logAudit(ctx.from.id, 'auth_failed', { attempt: failCount });
+      logAudit(ctx.from.id, 'auth_failed', { attempt: failCount, reason: result.reason });
       log.warn(`Auth failed for user ${ctx.from.id} (attempt ${failCount})`);
       try { await ctx.deleteMessage(); } catch {}
 
-      if (failCount >= 5) {
-        await ctx.reply('🔒 Demasiados intentos. Bloqueado 15 min.');
+      const lockedMs = lockoutRemainingMs(ctx.from.id);
+      if (lockedMs > 0) {
+        await ctx.reply(`🔒 Demasiados intentos. Bloqueado ${Math.ceil(lockedMs / 60000)} min.`);
       } else {
-        await ctx.reply(`❌ PIN incorrecto. (${failCount}/5 intentos)`);
+        const reasons = {
+          invalid_code: '❌ Código 2FA incorrecto.',
+          code_reused: '❌ Código 2FA ya usado. Espera al siguiente.',
+        };
+        await ctx.reply(`${reasons[result.reason] || '❌ PIN incorrecto.'} (${failCount}/5 intentos)`);
       }
     }
   });
@@ -146,7 +230,7 @@ export function createBot() {
       const all = providers.listAll();
       const lines = all.map(p => {
         const mark = p.name === current ? ' ← activo' : '';
-        const status = p.configured ? '✅' : '❌ (sin API key)';
+        const status = !p.configured ? '❌ (sin API key)' : Roles.can(ctx.from.id, 'providers', p.name) ? '✅' : '⛔ (no permitido por tu rol)';
         return `  ${status} ${p.displayName}${mark}`;
       });
 
@@ -159,6 +243,7 @@ export function createBot() {
 
     const result = providers.setForUser(ctx.from.id, arg);
     if (result.ok) {
+      ConversationMemory.setThreadContext(ctx.from.id, { provider: arg });
       logAudit(ctx.from.id, 'provider_changed', { provider: arg });
       await ctx.reply(`🤖 Proveedor cambiado a: ${result.provider.displayName}`);
     } else {
@@ -166,27 +251,207 @@ export function createBot() {
     }
   });
 
+  // /fallback — provider fallback chain
+  bot.command('fallback', async (ctx) => {
+    const arg = ctx.match?.trim().toLowerCase();
+
+    if (!arg) {
+      const chain = providers.getFallbackChain(ctx.from.id);
+      const current = providers.getUserProviderName(ctx.from.id);
+      await ctx.reply(
+        '🔀 Cadena de fallback:\n\n' +
+        (chain.length ? `  ${[current, ...chain.filter(n => n !== current)].filter(Boolean).join(' → ')}` : '  (desactivada)') +
+        '\n\nSi el proveedor falla por rate limit, cuota o error 5xx, se reintenta con el siguiente.\n\n' +
+        'Uso:\n' +
+        '  /fallback gemini groq openai — Definir cadena\n' +
+        '  /fallback off — Desactivar\n' +
+        '  /fallback reset — Usar la cadena global (PROVIDER_FALLBACK)'
+      );
+      return;
+    }
+
+    const names = arg === 'off' ? [] : arg === 'reset' ? null : arg;
+    const result = providers.setFallbackForUser(ctx.from.id, names);
+    if (!result.ok) {
+      await ctx.reply(`❌ ${result.reason}`);
+      return;
+    }
+    logAudit(ctx.from.id, 'fallback_changed', { chain: result.chain });
+    await ctx.reply(result.chain.length
+      ? `🔀 Fallback: ${result.chain.join(' → ')}`
+      : '🔀 Fallback desactivado.');
+  });
+
+  // /uso — token usage and estimated cost
+  bot.command('uso', async (ctx) => {
+    const labels = { today: 'Hoy', week: 'Semana', month: 'Mes' };
+    const lines = ['📊 Uso de IA\n'];
+
+    for (const period of PERIODS) {
+      const s = UsageLedger.summary(ctx.from.id, period);
+      lines.push(`${labels[period]}: ${s.requests} peticiones · ${formatTokens(s.input + s.output)} tokens · ${formatCost(s.cost)}${s.unpriced ? ' + ?' : ''}`);
+    }
+
+    const month = UsageLedger.summary(ctx.from.id, 'month');
+    if (month.models.length > 0) {
+      lines.push('\nEste mes por modelo:');
+      for (const m of month.models) {
+        lines.push(
+          `  ${m.provider}/${m.model} — ${m.requests} · ${formatTokens(m.input)} in / ${formatTokens(m.output)} out · ` +
+          (m.cost === null ? 'sin precio' : formatCost(m.cost))
+        );
+      }
+    }
+
+    lines.push('\nCoste estimado en USD según la tabla de precios (USAGE_PRICES).');
+    await ctx.reply(lines.join('\n'));
+  });
+
+  // /presupuesto — token/cost budgets (admins set them; everyone else sees the ones that apply to them)
+  bot.command('presupuesto', async (ctx) => {
+    const args = ctx.match?.trim() || '';
+
+    if (!args) {
+      const userId = ctx.from.id;
+      const list = Budgets.list(Roles.isAdmin(userId) ? undefined : userId);
+      const lines = list.map(b => {
+        // `*` budgets count each user's own usage: show the caller's
+        const used = Budgets.used(b, b.userId ?? userId);
+        const shown = b.metric === 'cost' ? formatCost(used) : formatTokens(used);
+        return `  #${b.id} ${describeBudget(b)}\n     usado${b.userId === null ? ' (tú)' : ''}: ${shown}${used >= b.limit ? ' ⛔' : ''}`;
+      });
+      await ctx.reply(
+        '💸 Presupuestos:\n\n' + (lines.length ? lines.join('\n') : '  (ninguno)') +
+        '\n\nAdmins:\n' +
+        '  /presupuesto set <usuario|*> <proveedor|*> <dia|mes> <tokens|$coste> [bloquear|degradar]\n' +
+        '  /presupuesto del <id>\n\n' +
+        'Ej: /presupuesto set 12345 openai mes $5 degradar\n' +
+        '    /presupuesto set * anthropic dia 200k'
+      );
+      return;
+    }
+
+    const [sub, ...rest] = args.split(/\s+/);
+    if (!Roles.can(ctx.from.id, 'commands', `presupuesto.${sub.toLowerCase()}`)) {
+      await ctx.reply('⛔ Solo los administradores pueden gestionar presupuestos.');
+      return;
+    }
+
+    if (sub.toLowerCase() === 'del') {
+      const id = parseInt(rest[0], 10);
+      if (Budgets.remove(id)) {
+        logAudit(ctx.from.id, 'budget_removed', { id });
+        await ctx.reply(`🗑 Presupuesto #${id} eliminado.`);
+      } else {
+        await ctx.reply('❌ Presupuesto no encontrado.');
+      }
+      return;
+    }
+
+    if (sub.toLowerCase() !== 'set') {
+      await ctx.reply('Uso: /presupuesto [set ...|del <id>]');
+      return;
+    }
+
+    const parsed = parseBudgetArgs(rest.join(' '));
+    if (!parsed.ok) {
+      await ctx.reply(`❌ ${parsed.reason}`);
+      return;
+    }
+    if (parsed.budget.provider && !providers.get(parsed.budget.provider)) {
+      await ctx.reply(`❌ Provider '${parsed.budget.provider}' no existe`);
+      return;
+    }
+
+    const budget = Budgets.add(parsed.budget, ctx.from.id);
+    logAudit(ctx.from.id, 'budget_set', { id: budget.id, budget: parsed.budget });
+    await ctx.reply(`💸 Presupuesto #${budget.id}: ${describeBudget(budget)}`);
+  });
+
   // /clear — clear conversation context
   bot.command('clear', async (ctx) => {
     ConversationMemory.clear(ctx.from.id);
+    ResourceAttachments.clear(ctx.from.id);
     await ctx.reply('🧹 Contexto de conversación limpiado.');
   });
 
   // /lock
   bot.command('lock', async (ctx) => {
-    sessionManager.lock(ctx.from.id);
-    logAudit(ctx.from.id, 'session_locked');
-    await ctx.reply('🔒 Sesión bloqueada. Usa /auth <PIN> para volver.');
+    sessionManager.lock(ctx.from.id, ctx.chat.id);
+    logAudit(ctx.from.id, 'session_locked', { chat: ctx.chat.id });
+    await ctx.reply('🔒 Sesión bloqueada en este chat. Usa /auth <PIN> para volver; /sesiones para ver las demás.');
+  });
+
+  // /sesiones — active sessions per chat; admins see and force-lock everyone's
+  bot.command('sesiones', async (ctx) => {
+    const [sub, arg] = (ctx.match?.trim() || '').split(/\s+/);
+    const userId = ctx.from.id;
+    const action = (sub || '').toLowerCase();
+    const current = sessionManager.getInfo(userId, ctx.chat.id)?.id;
+
+    if (action === 'cerrar' && arg) {
+      const session = sessionManager.list().find(s => s.id === arg.toLowerCase());
+      if (!session || (session.userId !== userId && !Roles.can(userId, 'commands', 'sesiones.bloquear'))) {
+        await ctx.reply(`❌ No tienes ninguna sesión activa con id ${arg}. Mira /sesiones`);
+        return;
+      }
+      sessionManager.closeById(session.id);
+      logAudit(userId, 'session_closed', { session: session.id, target: session.userId, chat: session.chatId });
+      await ctx.reply(
+        `🔒 Sesión ${session.id} cerrada (${sessionLabel(session)}${session.userId !== userId ? ` de ${session.userId}` : ''}).` +
+        (session.id === current ? '\nEra la de este chat: usa /auth para volver.' : '')
+      );
+    } else if (action === 'bloquear' && arg) {
+      if (!Roles.can(userId, 'commands', 'sesiones.bloquear')) {
+        await ctx.reply('⛔ Solo los administradores pueden bloquear las sesiones de otros usuarios.');
+        return;
+      }
+      const all = arg.toLowerCase() === 'todos';
+      const targets = all ? sessionManager.getAuthenticatedUsers() : [Number(arg)];
+      if (!all && !Number.isInteger(targets[0])) { await ctx.reply('Uso: /sesiones bloquear <usuario|todos>'); return; }
+
+      const closed = all ? sessionManager.lockAll() : sessionManager.lock(targets[0]);
+      logAudit(userId, 'sessions_force_locked', { target: all ? 'all' : targets[0], closed });
+      for (const target of closed ? targets.filter(t => t !== userId) : []) {
+        ctx.api.sendMessage(target, '🔒 Un administrador ha cerrado tus sesiones. Usa /auth para volver.').catch(() => {});
+      }
+      await ctx.reply(
+        all
+          ? `🔒 ${closed} sesión(es) cerrada(s), incluida la tuya. Todos deben volver a usar /auth.`
+          : `🔒 ${closed} sesión(es) de ${targets[0]} cerrada(s).`
+      );
+    } else if (action === 'todas') {
+      if (!Roles.can(userId, 'commands', 'sesiones.todas')) {
+        await ctx.reply('⛔ Solo los administradores pueden ver las sesiones de todos.');
+        return;
+      }
+      const list = sessionManager.list();
+      await ctx.reply(
+        `🔑 Sesiones activas: ${list.length}\n\n` +
+        (list.map(s => formatSession(s, current, true)).join('\n') || '  (ninguna)') +
+        '\n\n/sesiones cerrar <id> · /sesiones bloquear <usuario|todos>'
+      );
+    } else {
+      const list = sessionManager.list(userId);
+      await ctx.reply(
+        '🔑 Tus sesiones activas:\n\n' +
+        list.map(s => formatSession(s, current)).join('\n') +
+        '\n\nUso:\n' +
+        '  /sesiones cerrar <id> — Cerrar una sesión\n' +
+        '  /sesiones todas — Sesiones de todos (admins)\n' +
+        '  /sesiones bloquear <usuario|todos> — Forzar cierre (admins)'
+      );
+    }
   });
 
   // /status
   bot.command('status', async (ctx) => {
-    const info = sessionManager.getInfo(ctx.from.id);
+    const info = sessionManager.getInfo(ctx.from.id, ctx.chat.id);
     if (!info) { await ctx.reply('Sin sesión activa.'); return; }
 
     const provider = providers.getForUser(ctx.from.id);
-    const providerStatus = provider.isRunning?.(ctx.from.id) ? '⚡ Ejecutando' : '💤 Idle';
-    const memStats = ConversationMemory.getStats(ctx.from.id);
+    const providerStatus = provider?.isRunning?.(ctx.from.id) ? '⚡ Ejecutando' : '💤 Idle';
+    const memStats = ConversationMemory.getStats(ctx.from.id, contextBudget(provider));
     const schedules = Scheduler.list(ctx.from.id);
     const mcpServers = MCPManager.listServers();
 
@@ -201,8 +466,11 @@ export function createBot() {
 
     await ctx.reply(
       formatStatus(info) +
-      `\n\n🤖 ${provider.displayName}\n${providerStatus}` +
-      `\n💬 Contexto: ${memStats.messages}/${memStats.maxMessages} mensajes` +
+      `\n\n🤖 ${provider?.displayName || 'Ningún proveedor permitido'}\n${providerStatus}` +
+      `\n👤 Rol: ${Roles.roleOf(ctx.from.id)} · PIN: ${Pins.status(ctx.from.id).personal ? 'personal' : 'compartido'} · 2FA: ${TwoFactor.isEnabled(ctx.from.id) ? 'activo' : 'no'}` +
+      `\n🧵 Hilo: ${memStats.thread} (${memStats.threads} en total)` +
+      `\n💬 Contexto: ~${memStats.tokens}/${memStats.maxTokens} tokens` +
+      (memStats.summarized ? ` (${memStats.summarized} mensajes resumidos)` : '') +
       `\n${personaStatus}` +
       sharedStatus +
       (schedules.length ? `\n⏰ Tareas programadas: ${schedules.length}` : '') +
@@ -211,11 +479,262 @@ export function createBot() {
     );
   });
 
+  // /2fa — TOTP enrollment (authenticator app codes instead of the shared PIN)
+  bot.command('2fa', async (ctx) => {
+    const [sub, arg] = (ctx.match?.trim() || '').split(/\s+/);
+    const userId = ctx.from.id;
+    const action = (sub || '').toLowerCase();
+
+    if (action === 'setup') {
+      const account = ctx.from.username ? `@${ctx.from.username}` : String(userId);
+      const result = TwoFactor.beginSetup(userId, account);
+      if (!result.ok) { await ctx.reply(`ℹ️ ${result.reason}`); return; }
+
+      const msg = await ctx.reply(
+        '🔐 Configurar 2FA\n\n' +
+        '1. Añade esta cuenta en tu app de autenticación (Google Authenticator, Aegis, 1Password...):\n\n' +
+        `${result.uri}\n\n` +
+        `   o introduce la clave a mano: ${result.secret}\n\n` +
+        '2. Confirma con: /2fa confirmar <código>\n\n' +
+        'Desde entonces /auth pedirá el código en lugar del PIN. Este mensaje se borra en 10 min.'
+      );
+      setTimeout(() => ctx.api.deleteMessage(ctx.chat.id, msg.message_id).catch(() => {}), SETUP_TTL_MS).unref();
+      logAudit(userId, 'totp_setup_started');
+    } else if (action === 'confirmar' && arg) {
+      try { await ctx.deleteMessage(); } catch {}
+      const result = TwoFactor.confirmSetup(userId, arg);
+      if (!result.ok) { await ctx.reply(`❌ ${result.reason}`); return; }
+      logAudit(userId, 'totp_enabled');
+      await ctx.reply('✅ 2FA activado. Usa /auth <código> para iniciar sesión; el PIN ya no vale para tu cuenta.');
+    } else if (action === 'desactivar' && arg) {
+      try { await ctx.deleteMessage(); } catch {}
+      const check = TwoFactor.verify(userId, arg);
+      if (!check.ok) {
+        await ctx.reply(check.reason === 'not_enrolled' ? 'ℹ️ 2FA no está activo.' : '❌ Código incorrecto o ya usado.');
+        return;
+      }
+      TwoFactor.disable(userId);
+      logAudit(userId, 'totp_disabled');
+      await ctx.reply('🔓 2FA desactivado. Vuelves a iniciar sesión con el PIN.');
+    } else if (action === 'reset' && arg) {
+      if (!Roles.can(userId, 'commands', '2fa.reset')) {
+        await ctx.reply('⛔ Solo los administradores pueden restablecer el 2FA de otros usuarios.');
+        return;
+      }
+      const target = Number(arg);
+      if (!TwoFactor.disable(target)) { await ctx.reply(`ℹ️ El usuario ${arg} no tiene 2FA activo.`); return; }
+      logAudit(userId, 'totp_reset', { target });
+      await ctx.reply(`🔓 2FA de ${target} restablecido: podrá entrar con el PIN y volver a configurarlo.`);
+    } else {
+      const status = TwoFactor.status(userId);
+      await ctx.reply(
+        `🔐 2FA: ${status.enabled ? `activo desde ${formatInTimezone(new Date(status.enabledAt))}` : status.pending ? 'pendiente de confirmar' : 'desactivado (PIN)'}\n\n` +
+        'Uso:\n' +
+        '  /2fa setup — Generar clave y URI otpauth\n' +
+        '  /2fa confirmar <código> — Activar tras escanear\n' +
+        '  /2fa desactivar <código> — Volver al PIN\n' +
+        '  /2fa reset <usuario> — Restablecer a otro usuario (admins)'
+      );
+    }
+  });
+
+  // /pin — personal PIN rotation; admins reset other users' PINs
+  bot.command('pin', async (ctx) => {
+    const [sub, ...args] = (ctx.match?.trim() || '').split(/\s+/);
+    const userId = ctx.from.id;
+    const action = (sub || '').toLowerCase();
+
+    if (action === 'cambiar') {
+      try { await ctx.deleteMessage(); } catch {}
+      if (args.length !== 2) { await ctx.reply('Uso: /pin cambiar <PIN actual> <PIN nuevo>'); return; }
+      const result = Pins.change(userId, args[0], args[1]);
+      if (result.reason === 'invalid_pin') {
+        const failCount = recordFailedAuth(userId);
+        logAudit(userId, 'pin_change_failed', { attempt: failCount });
+        await ctx.reply(`❌ PIN actual incorrecto. (${failCount}/5 intentos)`);
+        return;
+      }
+      if (!result.ok) { await ctx.reply(`❌ ${result.message}`); return; }
+      logAudit(userId, 'pin_changed');
+      await ctx.reply(
+        '✅ PIN cambiado. Desde ahora /auth solo acepta tu PIN personal.' +
+        (TwoFactor.isEnabled(userId) ? '\nℹ️ Con 2FA activo se usa el código TOTP; el PIN vale si lo desactivas.' : '')
+      );
+    } else if (action === 'reset' && args[0]) {
+      if (!Roles.can(userId, 'commands', 'pin.reset')) {
+        await ctx.reply('⛔ Solo los administradores pueden restablecer el PIN de otros usuarios.');
+        return;
+      }
+      const target = Number(args[0]);
+      if (target === userId) { await ctx.reply('ℹ️ Para tu propio PIN usa /pin cambiar.'); return; }
+      if (!Roles.isAuthorized(target)) { await ctx.reply(`❌ El usuario ${args[0]} no está autorizado.`); return; }
+
+      const temporary = Pins.reset(target);
+      if (!temporary) { await ctx.reply('❌ Los PIN no se pudieron cargar; no se puede restablecer ahora.'); return; }
+      sessionManager.lock(target);
+      logAudit(userId, 'pin_reset', { target });
+      const msg = await ctx.reply(
+        `🔑 PIN de ${target} restablecido y su sesión cerrada.\n\n` +
+        `PIN temporal: ${temporary}\n\n` +
+        'Pásaselo por un canal seguro; deberá cambiarlo con /pin cambiar. Este mensaje se borra en 5 min.'
+      );
+      setTimeout(() => ctx.api.deleteMessage(ctx.chat.id, msg.message_id).catch(() => {}), TEMPORARY_PIN_VISIBLE_MS).unref();
+    } else {
+      const status = Pins.status(userId);
+      await ctx.reply(
+        `🔑 PIN: ${status.personal ? `personal${status.temporary ? ' (temporal)' : ''}, cambiado ${formatInTimezone(new Date(status.updatedAt))}` : 'compartido (AUTH_PIN)'}\n\n` +
+        'Uso:\n' +
+        '  /pin cambiar <actual> <nuevo> — Poner tu propio PIN (6+ dígitos)\n' +
+        '  /pin reset <usuario> — PIN temporal para otro usuario (admins)'
+      );
+    }
+  });
+
+  // /rol — own role; admins assign roles at runtime
+  bot.command('rol', async (ctx) => {
+    const [sub, ...rest] = (ctx.match?.trim() || '').split(/\s+/);
+    const userId = ctx.from.id;
+    const action = (sub || '').toLowerCase();
+
+    if (['asignar', 'quitar', 'lista'].includes(action) && !Roles.can(userId, 'commands', `rol.${action}`)) {
+      await ctx.reply('⛔ Solo los administradores pueden gestionar roles.');
+      return;
+    }
+
+    if (action === 'asignar' && rest.length === 2) {
+      const target = Number(rest[0]);
+      const role = rest[1].toLowerCase();
+      const result = Roles.assign(userId, target, role);
+      if (!result.ok) { await ctx.reply(`❌ ${result.reason}`); return; }
+      logAudit(userId, 'role_assigned', { target, role });
+      await ctx.reply(`👤 Usuario ${target} → ${role}\n${Roles.describe(role).description}`);
+    } else if (action === 'quitar' && rest[0]) {
+      const target = Number(rest[0]);
+      if (!Roles.revoke(target)) { await ctx.reply(`❌ El usuario ${rest[0]} no tiene un rol asignado.`); return; }
+      logAudit(userId, 'role_revoked', { target });
+      const now = Roles.roleOf(target);
+      if (!now) {
+        // Gone for good: drop their credentials and session
+        Pins.remove(target);
+        sessionManager.lock(target);
+      }
+      await ctx.reply(`👤 Asignación de ${target} eliminada. Ahora: ${now ? `${now} (por defecto)` : 'sin acceso'}`);
+    } else if (action === 'lista') {
+      const sources = { admin: 'ADMIN_USERS', assigned: 'asignado', default: 'por defecto' };
+      const lines = Roles.list().map(u => `  👤 ${u.userId} — ${u.role} (${sources[u.source]})`);
+      await ctx.reply('👥 Usuarios y roles:\n\n' + lines.join('\n') + `\n\nRoles: ${Roles.names().join(', ')}`);
+    } else if (action === 'ver' && rest[0]) {
+      const role = Roles.describe(rest[0].toLowerCase());
+      if (!role) { await ctx.reply(`❌ Rol "${rest[0]}" no existe. Roles: ${Roles.names().join(', ')}`); return; }
+      await ctx.reply(formatRole(role));
+    } else {
+      const role = Roles.describe(Roles.roleOf(userId));
+      await ctx.reply(
+        `👤 Tu rol: ${role.name}\n\n${formatRole(role)}\n\n` +
+        'Uso:\n' +
+        '  /rol ver <rol> — Permisos de un rol\n' +
+        '  /rol lista — Usuarios y roles (admins)\n' +
+        '  /rol asignar <usuario> <rol> — Asignar rol; autoriza al usuario (admins)\n' +
+        '  /rol quitar <usuario> — Volver al rol por defecto (admins)'
+      );
+    }
+  });
+
+  // /hilo — named conversation threads
+  bot.command('hilo', async (ctx) => {
+    const [sub, ...rest] = (ctx.match?.trim() || '').split(/\s+/);
+    const name = rest.join(' ');
+    const userId = ctx.from.id;
+
+    if (sub === 'nuevo' && name) {
+      const result = ConversationMemory.createThread(userId, name, {
+        provider: providers.getUserProviderName(userId),
+        workDir: sessionManager.getWorkDir(userId, ctx.chat.id),
+      });
+      if (!result.ok) { await ctx.reply(`❌ ${result.reason}`); return; }
+      logAudit(userId, 'thread_created', { thread: result.thread.name });
+      await ctx.reply(`🧵 Hilo "${result.thread.name}" creado y activo.\n${formatThreadContext(result.thread, providers)}`);
+    } else if (sub === 'usar' && name) {
+      const result = ConversationMemory.useThread(userId, name);
+      if (!result.ok) { await ctx.reply(`❌ ${result.reason}`); return; }
+      applyThread(ctx, result.thread, providers, sessionManager);
+      logAudit(userId, 'thread_switched', { thread: result.thread.name });
+      await ctx.reply(`🧵 Hilo activo: "${result.thread.name}" (${result.thread.messages} mensajes)\n${formatThreadContext(result.thread, providers)}`);
+    } else if (sub === 'borrar' && name) {
+      const result = ConversationMemory.deleteThread(userId, name);
+      if (!result.ok) { await ctx.reply(`❌ ${result.reason}`); return; }
+      logAudit(userId, 'thread_deleted', { thread: name });
+      await ctx.reply(`🗑 Hilo "${name}" borrado.`);
+    } else {
+      const active = ConversationMemory.getActiveThread(userId);
+      await ctx.reply(
+        `🧵 Hilo activo: "${active.name}" (${active.messages} mensajes)\n${formatThreadContext(active, providers)}\n\n` +
+        'Uso:\n' +
+        '  /hilo nuevo <nombre> — Crear y activar (hereda proveedor y directorio)\n' +
+        '  /hilo usar <nombre> — Cambiar de hilo\n' +
+        '  /hilo borrar <nombre> — Borrar un hilo\n' +
+        '  /hilos — Listar hilos'
+      );
+    }
+  });
+
+  // /exportar [md|json|html] — transcript of the active thread as a document
+  bot.command('exportar', async (ctx) => {
+    const format = parseExportFormat(ctx.match);
+    if (!format) { await ctx.reply(`Uso: /exportar [${EXPORT_FORMATS.join('|')}] (por defecto md)`); return; }
+
+    const thread = ConversationMemory.exportThread(ctx.from.id);
+    if (thread.messages.length === 0 && !thread.summary) {
+      await ctx.reply(`💬 El hilo "${thread.name}" está vacío.`);
+      return;
+    }
+
+    const exportedBy = ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name;
+    const { filename, content } = renderExport(thread, format, { exportedBy });
+    await ctx.replyWithDocument(new InputFile(Buffer.from(content, 'utf-8'), filename), {
+      caption: `📤 Hilo "${thread.name}" · ${thread.messages.length} mensajes` +
+        (format === 'json' ? '\nPara continuarlo: envía este archivo con /importar' : ''),
+    });
+    logAudit(ctx.from.id, 'conversation_exported', { thread: thread.name, format, messages: thread.messages.length });
+  });
+
+  // /importar [nombre] — restore an /exportar json transcript as a new thread
+  bot.command('importar', async (ctx) => {
+    const name = ctx.match?.trim() || null;
+    if (name && !normalizeThreadName(name)) {
+      await ctx.reply('❌ Nombre no válido: usa letras, números, ".", "-" o "_" (máx. 40).');
+      return;
+    }
+
+    const replied = ctx.message.reply_to_message?.document;
+    if (replied) {
+      await importConversation(ctx, replied, name, providers, sessionManager);
+      return;
+    }
+
+    pendingImports.set(ctx.from.id, { name, expires: Date.now() + IMPORT_WINDOW_MS });
+    await ctx.reply(
+      '📥 Envía ahora el archivo .json generado con /exportar json (tienes 5 min).\n' +
+      'También puedes responder al archivo con /importar o enviarlo con /importar como pie.'
+    );
+  });
+
+  // /hilos — list conversation threads
+  bot.command('hilos', async (ctx) => {
+    const threads = ConversationMemory.listThreads(ctx.from.id);
+    const lines = threads.map(t => {
+      const mark = t.active ? ' ← activo' : '';
+      const updated = formatInTimezone(new Date(t.updatedAt));
+      return `${t.active ? '▶️' : '🧵'} ${t.name}${mark}\n   ${t.messages} mensajes · ${updated}\n   ${formatThreadContext(t, providers)}`;
+    });
+    await ctx.reply('🧵 Hilos:\n\n' + lines.join('\n\n') + '\n\nCambiar: /hilo usar <nombre>');
+  });
+
   // /project <path> — change working directory (restricted to safe paths)
   bot.command('project', async (ctx) => {
     const dir = ctx.match?.trim();
     if (!dir) {
-      await ctx.reply(`📁 Actual: ${sessionManager.getWorkDir(ctx.from.id)}\n\nUso: /project <ruta>`);
+      await ctx.reply(`📁 Actual: ${sessionManager.getWorkDir(ctx.from.id, ctx.chat.id)}\n\nUso: /project <ruta>`);
       return;
     }
 
@@ -231,7 +750,8 @@ export function createBot() {
 
     if (!existsSync(resolved)) { await ctx.reply(`❌ Directorio no encontrado: ${resolved}`); return; }
 
-    sessionManager.setWorkDir(ctx.from.id, resolved);
+    sessionManager.setWorkDir(ctx.from.id, resolved, ctx.chat.id);
+    ConversationMemory.setThreadContext(ctx.from.id, { workDir: resolved });
     logAudit(ctx.from.id, 'project_changed', { dir: resolved });
     await ctx.reply(`📁 Directorio: ${resolved}`);
   });
@@ -239,7 +759,7 @@ export function createBot() {
   // /kill
   bot.command('kill', async (ctx) => {
     const provider = providers.getForUser(ctx.from.id);
-    if (provider.kill?.(ctx.from.id)) {
+    if (provider?.kill?.(ctx.from.id)) {
       logAudit(ctx.from.id, 'process_killed');
       await ctx.reply('☠️ Proceso terminado.');
     } else {
@@ -259,7 +779,78 @@ export function createBot() {
       return `${time} ${e.action}${prov}${detail}`;
     });
 
-    await ctx.reply('📜 Historial reciente:\n\n' + lines.join('\n'));
+    await ctx.reply('📜 Historial reciente:\n\n' + lines.join('\n') + '\n\nBuscar en conversaciones: /buscar <texto>');
+  });
+
+  // /auditoria verificar [completo] — check the audit log hash chain
+  bot.command('auditoria', async (ctx) => {
+    const [sub, mode] = (ctx.match?.trim() || '').toLowerCase().split(/\s+/);
+    if (sub !== 'verificar') {
+      await ctx.reply(
+        'Uso:\n' +
+        '  /auditoria verificar — Desde el último checkpoint firmado\n' +
+        '  /auditoria verificar completo — Todo el log, comprobando cada checkpoint'
+      );
+      return;
+    }
+
+    const full = mode === 'completo';
+    const result = verifyAuditLog({ full });
+    logAudit(ctx.from.id, 'audit_verified', { ok: result.ok, full, checked: result.checked, break: result.break?.line });
+
+    const scope = `${result.checked} de ${result.entries} entradas comprobadas` +
+      (result.from > 0 ? ` (desde el checkpoint de la entrada ${result.from + 1})` : '') +
+      (result.checkpoints ? ` · ${result.checkpoints} checkpoint(s) válido(s)` : '') +
+      (result.legacy ? ` · ${result.legacy} anteriores a la cadena` : '');
+    if (result.ok) {
+      await ctx.reply(`✅ Log de auditoría íntegro.\n${scope}`);
+    } else {
+      await ctx.reply(`🚨 Cadena de auditoría rota en la entrada ${result.break.line + 1}: ${result.break.message}.\n${scope}`);
+    }
+  });
+
+  // /buscar <texto> — full-text search over the user's threads
+  bot.command('buscar', async (ctx) => {
+    const query = ctx.match?.trim();
+    if (!query) {
+      await ctx.reply('Uso: /buscar <texto>\nEjemplo: /buscar índice "tabla pedidos"\nSin distinguir mayúsculas ni acentos; todas las palabras deben aparecer.');
+      return;
+    }
+
+    const { total, results } = ConversationMemory.search(ctx.from.id, query, { limit: SEARCH_RESULTS });
+    logAudit(ctx.from.id, 'conversation_search', { query: query.substring(0, 100), results: total });
+    if (total === 0) { await ctx.reply(`🔎 Sin resultados para "${query}".`); return; }
+
+    const threads = [...new Set(results.map(r => r.thread))];
+    searchThreads.set(ctx.from.id, threads);
+
+    const lines = results.map((r, i) =>
+      `${i + 1}. 🧵 ${r.thread} · ${formatInTimezone(new Date(r.timestamp))} · ${r.role === 'assistant' ? '🤖' : '👤'}\n   ${r.snippet}`
+    );
+    const keyboard = new InlineKeyboard();
+    threads.forEach((name, i) => keyboard.text(`🧵 Abrir ${name}`, `buscar:${i}`).row());
+
+    await ctx.reply(
+      `🔎 ${total} resultado(s) para "${query}"${total > results.length ? ` (los ${results.length} más recientes)` : ''}:\n\n` +
+      lines.join('\n\n'),
+      { reply_markup: keyboard }
+    );
+  });
+
+  // Result buttons of /buscar: reopen that thread
+  bot.callbackQuery(/^buscar:(\d+)$/, async (ctx) => {
+    const name = searchThreads.get(ctx.from.id)?.[Number(ctx.match[1])];
+    if (!name) {
+      await ctx.answerCallbackQuery({ text: 'Búsqueda caducada. Repite /buscar.' });
+      return;
+    }
+
+    const result = ConversationMemory.useThread(ctx.from.id, name);
+    if (!result.ok) { await ctx.answerCallbackQuery({ text: result.reason }); return; }
+    applyThread(ctx, result.thread, providers, sessionManager);
+    logAudit(ctx.from.id, 'thread_switched', { thread: result.thread.name, via: 'buscar' });
+    await ctx.answerCallbackQuery({ text: `Hilo "${result.thread.name}" activo` });
+    await ctx.reply(`🧵 Hilo activo: "${result.thread.name}" (${result.thread.messages} mensajes)\n${formatThreadContext(result.thread, providers)}`);
   });
 
   // /web <query> — web search
@@ -282,8 +873,13 @@ export function createBot() {
 
       // Also send to AI for summary
       const provider = providers.getForUser(ctx.from.id);
-      const workDir = sessionManager.getWorkDir(ctx.from.id);
-      const history = ConversationMemory.getForProvider(ctx.from.id);
+      if (!provider) {
+        await ctx.reply(`🔍 Resultados:\n\n${formatted}`);
+        logAudit(ctx.from.id, 'web_search', { query, results: results.length });
+        return;
+      }
+      const workDir = sessionManager.getWorkDir(ctx.from.id, ctx.chat.id);
+      const history = ConversationMemory.getForProvider(ctx.from.id, contextBudget(provider));
       const webPersona = Persona.get(ctx.from.id);
       const webBasePrompt = webPersona || 'Eres un asistente experto. Responde de forma concisa en español.';
       const webSystemPrompt = `${webBasePrompt}\n\nDirectorio de trabajo: ${workDir}`;
@@ -294,7 +890,8 @@ export function createBot() {
 
       if (aiResult.ok) {
         ConversationMemory.add(ctx.from.id, 'user', `[búsqueda web: ${query}]`);
-        ConversationMemory.add(ctx.from.id, 'assistant', aiResult.output);
+        ConversationMemory.add(ctx.from.id, 'assistant', aiResult.output, turnMeta(aiResult, provider));
+        compactHistory(ctx.from.id, provider, providers);
         await ctx.reply(`🔍 Resultados para "${query}":\n\n${aiResult.output}`);
       } else {
         await ctx.reply(`🔍 Resultados:\n\n${formatted}`);
@@ -307,38 +904,154 @@ export function createBot() {
     }
   });
 
-  // /schedule <interval> <prompt>
+  // /schedule <interval|cron> [timezone] <prompt>
   bot.command('schedule', async (ctx) => {
     const args = ctx.match?.trim();
     if (!args) {
       await ctx.reply(
         '⏰ Tareas programadas\n\n' +
-        'Crear: /schedule <intervalo> <prompt>\n' +
-        'Intervalos: 30m, 1h, 6h, 24h, 7d\n\n' +
+        'Crear: /schedule <intervalo> <prompt|/pipe|/ssh|/mcp call>\n' +
+        'Intervalos: 30m, 1h, 6h, 24h, 7d\n' +
+        'Herramientas MCP: solo con política auto (/mcp policy)\n\n' +
+        'Cron: /schedule <min> <hora> <día> <mes> <díaSemana> [zona] <prompt>\n' +
+        'Macros: @hourly, @daily, @weekly, @monthly\n' +
+        'Ejecuciones perdidas (bot caído): catchup=skip|once|all (por defecto: once)\n' +
+        'Avisar solo si: if=/regex/ · if=changed · if=exit · if="judge:<pregunta>"\n\n' +
         'Ejemplos:\n' +
         '  /schedule 24h Resume el estado de los repos\n' +
-        '  /schedule 1h Revisa si hay errores en los logs\n\n' +
+        '  /schedule 1h Revisa si hay errores en los logs\n' +
+        '  /schedule 30 8 * * 1-5 Europe/Madrid Resume las noticias del día\n' +
+        '  /schedule @daily UTC catchup=all Informe diario\n' +
+        '  /schedule 6h /pipe busca novedades Node.js → resume en 3 puntos\n' +
+        '  /schedule */10 * * * * /ssh prod docker ps\n' +
+        '  /schedule 1h /mcp call github/list_issues {"repo":"llm-remote"}\n' +
+        '  /schedule 5m if=exit /ssh prod docker ps\n' +
+        '  /schedule 1h if=/ERROR|FATAL/i /ssh prod docker logs app --tail 50\n\n' +
         'Listar: /schedules\n' +
+        'Historial: /schedule log <id>\n' +
+        'Gestionar: /schedule pause|resume|run <id>\n' +
+        'Editar: /schedule edit <id> [intervalo|cron] [zona] [opciones] [prompt]\n' +
         'Borrar: /unschedule <id>'
       );
       return;
     }
 
-    const match = args.match(/^(\d+[smhd])\s+(.+)$/);
-    if (!match) {
-      await ctx.reply('Formato: /schedule <intervalo> <prompt>\nEjemplo: /schedule 24h Resume los cambios del repo');
+    const subMatch = args.match(/^(log|pause|resume|edit|run)\s+(\d+)(?:\s+([\s\S]+))?$/i);
+    const subCmd = subMatch?.[1].toLowerCase();
+    const subId = subMatch ? parseInt(subMatch[2], 10) : null;
+
+    if (subCmd === 'pause' || subCmd === 'resume') {
+      const result = subCmd === 'pause' ? Scheduler.pause(ctx.from.id, subId) : Scheduler.resume(ctx.from.id, subId);
+      if (!result.ok) { await ctx.reply(`❌ ${result.reason}`); return; }
+      logAudit(ctx.from.id, subCmd === 'pause' ? 'schedule_paused' : 'schedule_resumed', { id: subId });
+      if (subCmd === 'pause') {
+        await ctx.reply(`⏸ Tarea #${subId} pausada.\nReanudar: /schedule resume ${subId}`);
+      } else {
+        const next = result.nextRunAt ? `\n⏭ Próxima: ${formatInTimezone(new Date(result.nextRunAt), result.timezone)}` : '';
+        await ctx.reply(`▶️ Tarea #${subId} reanudada.${next}`);
+      }
+      return;
+    }
+
+    if (subCmd === 'run') {
+      await ctx.reply(`⚡ Ejecutando tarea #${subId}...`);
+      const result = await Scheduler.runNow(ctx.from.id, subId);
+      if (!result.ok) { await ctx.reply(`❌ ${result.reason}`); return; }
+      logAudit(ctx.from.id, 'schedule_run', { id: subId });
+      return;
+    }
+
+    if (subCmd === 'edit') {
+      const edit = subMatch[3] ? parseEditArgs(subMatch[3]) : null;
+      if (!edit) {
+        await ctx.reply(
+          'Uso: /schedule edit <id> [intervalo|cron] [zona] [catchup=...] [if=...|if=none] [prompt]\n' +
+          'Ejemplos:\n' +
+          `  /schedule edit ${subId} 2h\n` +
+          `  /schedule edit ${subId} 0 9 * * 1-5 Europe/Madrid\n` +
+          `  /schedule edit ${subId} if=none\n` +
+          `  /schedule edit ${subId} Resume solo los errores`
+        );
+        return;
+      }
+
+      const changes = {};
+      if (edit.expr) changes.cron = edit.expr;
+      if (edit.timezone) changes.timezone = edit.timezone;
+      if (edit.catchup) changes.catchup = edit.catchup;
+      if (edit.condition) {
+        if (edit.condition.toLowerCase() === 'none') {
+          changes.condition = null;
+        } else {
+          const cond = parseCondition(edit.condition);
+          if (!cond.ok) { await ctx.reply(`❌ ${cond.reason}`); return; }
+          changes.condition = cond.condition;
+        }
+      }
+      if (edit.prompt) {
+        const job = parseJob(edit.prompt);
+        if (!job.ok) { await ctx.reply(`❌ ${job.reason}`); return; }
+        changes.job = job.job;
+      }
+
+      const result = Scheduler.edit(ctx.from.id, subId, changes);
+      if (!result.ok) { await ctx.reply(`❌ ${result.reason}`); return; }
+      logAudit(ctx.from.id, 'schedule_edited', { id: subId, fields: Object.keys(changes) });
+      const next = result.nextRunAt ? `\n⏭ Próxima: ${formatInTimezone(new Date(result.nextRunAt), result.timezone)}` : '';
+      await ctx.reply(`✏️ Tarea #${subId} actualizada\n${result.label.substring(0, 200)}${next}`);
+      return;
+    }
+
+    if (subCmd === 'log') {
+      const id = subId;
+      const result = Scheduler.getLog(ctx.from.id, id);
+      if (!result.ok) { await ctx.reply(`❌ ${result.reason}`); return; }
+      if (result.history.length === 0) { await ctx.reply(`📜 Tarea #${id}: sin ejecuciones todavía.`); return; }
+
+      const lines = result.history.slice().reverse().map(h => {
+        const icon = h.error ? '💥' : (h.ok ? '✅' : '⚠️');
+        const bell = h.notified ? ' 🔔' : '';
+        const code = h.code !== undefined && h.code !== null && h.code !== 0 ? ` · exit ${h.code}` : '';
+        const body = (h.error || h.output || '(sin salida)').substring(0, 200);
+        return `${icon} ${h.at.substring(5, 16).replace('T', ' ')}${code}${bell}\n${body}`;
+      });
+      const chunks = formatOutput(`📜 Historial tarea #${id}\n${result.label.substring(0, 80)}\n\n` + lines.join('\n\n'));
+      for (const chunk of chunks) await ctx.reply(chunk);
+      return;
+    }
+
+    const parsed = parseScheduleArgs(args);
+    if (!parsed) {
+      await ctx.reply(
+        'Formato: /schedule <intervalo|cron> [zona] <prompt>\n' +
+        'Ejemplos:\n  /schedule 24h Resume los cambios del repo\n  /schedule 30 8 * * 1-5 Europe/Madrid Resume los cambios del repo'
+      );
       return;
     }
 
-    const [, interval, prompt] = match;
+    const { expr, timezone, catchup, prompt } = parsed;
+    const job = parseJob(prompt);
+    if (!job.ok) { await ctx.reply(`❌ ${job.reason}`); return; }
+
+    let condition = null;
+    if (parsed.condition) {
+      const cond = parseCondition(parsed.condition);
+      if (!cond.ok) { await ctx.reply(`❌ ${cond.reason}`); return; }
+      condition = cond.condition;
+    }
+
     const providerName = providers.getUserProviderName(ctx.from.id);
-    const workDir = sessionManager.getWorkDir(ctx.from.id);
+    const workDir = sessionManager.getWorkDir(ctx.from.id, ctx.chat.id);
 
-    const result = Scheduler.add(ctx.from.id, interval, prompt, providerName, workDir);
+    const result = Scheduler.add(ctx.from.id, expr, job.job, providerName, workDir, { timezone, catchup, condition });
     if (result.ok) {
-      const humanInterval = formatInterval(result.intervalMs);
-      logAudit(ctx.from.id, 'schedule_created', { id: result.id, interval, prompt: prompt.substring(0, 100) });
-      await ctx.reply(`⏰ Tarea #${result.id} creada\n📝 ${prompt}\n🔄 Cada ${humanInterval}\n🤖 ${providerName}`);
+      const when = result.intervalMs
+        ? `🔄 Cada ${formatInterval(result.intervalMs)}`
+        : `🔄 Cron: ${expr} (${result.timezone})`;
+      const next = formatInTimezone(new Date(result.nextRunAt), result.timezone);
+      logAudit(ctx.from.id, 'schedule_created', { id: result.id, kind: result.kind, interval: expr, timezone: result.timezone, catchup: result.catchup, prompt: prompt.substring(0, 100) });
+      const alert = condition ? `\n🔔 Avisar: ${describeCondition(condition)}` : '';
+      await ctx.reply(`⏰ Tarea #${result.id} creada\n${describeJob(job.job)}\n${when}\n⏭ Próxima: ${next}\n♻️ Recuperación: ${result.catchup}${alert}\n🤖 ${providerName}`);
     } else {
       await ctx.reply(`❌ ${result.reason}`);
     }
@@ -349,9 +1062,13 @@ export function createBot() {
     const list = Scheduler.list(ctx.from.id);
     if (list.length === 0) { await ctx.reply('No hay tareas programadas.\n\nUsa: /schedule <intervalo> <prompt>'); return; }
 
-    const lines = list.map(s =>
-      `#${s.id} — ${s.cron} — ${s.prompt}\n   🤖 ${s.provider}${s.lastRun ? ` · Último: ${s.lastRun.substring(11, 19)}` : ''}`
-    );
+    const lines = list.map(s => {
+      const when = s.intervalMs ? s.cron : `${s.cron} (${s.timezone})`;
+      const next = s.nextRunAt && !s.paused ? ` · Próxima: ${formatInTimezone(new Date(s.nextRunAt), s.timezone)}` : '';
+      const alert = s.condition ? ` · 🔔 ${s.condition}` : '';
+      const paused = s.paused ? '⏸ ' : '';
+      return `${paused}#${s.id} — ${when} — ${s.label}\n   🤖 ${s.provider} · ♻️ ${s.catchup}${alert}${s.lastRun ? ` · Último: ${s.lastRun.substring(11, 19)}` : ''}${next}`;
+    });
     await ctx.reply('⏰ Tareas programadas:\n\n' + lines.join('\n\n'));
   });
 
@@ -418,16 +1135,23 @@ export function createBot() {
         await ctx.reply(
           '🔌 MCP Servers\n\nNo hay servidores MCP configurados.\n\n' +
           'Añadir: /mcp add <nombre> <comando> [args...]\n' +
-          'Ejemplo: /mcp add github npx -y @modelcontextprotocol/server-github\n\n' +
+          'Ejemplo: /mcp add github npx -y @modelcontextprotocol/server-github\n' +
+          'Remoto (HTTP/SSE): /mcp add-url <nombre> <url>\n' +
+          '  Cabeceras opcionales, una por línea: Authorization: Bearer xxx\n\n' +
           'Listar herramientas: /mcp tools\n' +
-          'Ejecutar: /mcp call <servidor>/<herramienta> <args JSON>'
+          'Salud: /mcp status\n' +
+          'Recursos: /mcp resources <servidor> · /mcp read <servidor> <uri>\n' +
+          'Prompts: /mcp prompt <servidor> [nombre] [clave=valor...]\n' +
+          'Ejecutar: /mcp call <servidor>/<herramienta> <args JSON>\n' +
+          'Políticas: /mcp policy'
         );
         return;
       }
 
       const lines = servers.map(s => {
         const status = s.connected ? '🟢' : '🔴';
-        return `${status} ${s.name} — ${s.tools.length} herramientas\n   ${s.tools.join(', ')}`;
+        const transport = s.transport === 'http' ? ' (HTTP)' : '';
+        return `${status} ${s.name}${transport} — ${s.tools.length} herramientas\n   ${s.tools.join(', ')}`;
       });
       await ctx.reply('🔌 MCP Servers:\n\n' + lines.join('\n\n'));
       return;
@@ -450,14 +1174,72 @@ export function createBot() {
         try { await ctx.api.deleteMessage(ctx.chat.id, statusMsg.message_id); } catch {}
         await ctx.reply(`❌ Error conectando a ${name}: ${sanitizeError(err.message)}`);
       }
+    } else if (subCmd === 'add-url' && parts.length >= 3) {
+      // Header lines follow the command line: "Nombre: valor"
+      const [firstLine, ...headerLines] = args.split('\n');
+      const [, name, url] = firstLine.trim().split(/\s+/);
+      const parsed = parseHeaderLines(headerLines.join('\n'));
+      if (!parsed.ok) { await ctx.reply(`❌ ${parsed.reason}`); return; }
+      const headerNames = Object.keys(parsed.headers);
+      // Headers usually carry tokens: don't leave them in the chat
+      if (headerNames.length) { try { await ctx.deleteMessage(); } catch {} }
+
+      const statusMsg = await ctx.reply(`🔌 Conectando a ${name} (${url})...`);
+      try {
+        const server = await MCPManager.addUrlServer(name, url, parsed.headers);
+        try { await ctx.api.deleteMessage(ctx.chat.id, statusMsg.message_id); } catch {}
+        await ctx.reply(`🟢 ${name} conectado por HTTP — ${server.tools.length} herramientas:\n${server.tools.map(t => `  · ${t.name}`).join('\n')}`);
+        logAudit(ctx.from.id, 'mcp_add', { name, url, headers: headerNames, tools: server.tools.length });
+      } catch (err) {
+        try { await ctx.api.deleteMessage(ctx.chat.id, statusMsg.message_id); } catch {}
+        await ctx.reply(`❌ Error conectando a ${name}: ${sanitizeError(err.message)}`);
+      }
     } else if (subCmd === 'remove' && parts[1]) {
       if (MCPManager.removeServer(parts[1])) {
         await ctx.reply(`🔌 ${parts[1]} desconectado.`);
       } else {
         await ctx.reply(`❌ Servidor '${parts[1]}' no encontrado.`);
       }
+    } else if (subCmd === 'status') {
+      const status = MCPManager.getStatus();
+      if (status.length === 0) { await ctx.reply('No hay servidores MCP configurados.'); return; }
+      await ctx.reply('🩺 Estado MCP:\n\n' + status.map(formatMcpStatus).join('\n\n'));
+    } else if (subCmd === 'resources' && parts[1]) {
+      try {
+        const resources = await MCPManager.listResources(parts[1]);
+        if (resources.length === 0) { await ctx.reply(`📚 ${parts[1]} no expone recursos.`); return; }
+        const lines = resources.slice(0, RESOURCE_LIST_MAX).map(r => {
+          const name = r.name && r.name !== r.uri ? ` — ${r.name}` : '';
+          return `  ${r.uri}${name}${r.mimeType ? ` (${r.mimeType})` : ''}`;
+        });
+        const more = resources.length > RESOURCE_LIST_MAX ? `\n  … y ${resources.length - RESOURCE_LIST_MAX} más` : '';
+        await ctx.reply(`📚 Recursos de ${parts[1]}:\n\n${lines.join('\n')}${more}\n\nLeer y adjuntar: /mcp read ${parts[1]} <uri>`);
+      } catch (err) {
+        await ctx.reply(`❌ Error: ${sanitizeError(err.message)}`);
+      }
+    } else if (subCmd === 'read' && parts.length >= 3) {
+      const serverName = parts[1];
+      const uri = parts.slice(2).join(' ');
+      try {
+        // Typing the command is the approval; role and deny rules still apply
+        const text = formatResourceContents(await MCPManager.readResource(serverName, uri, {
+          userId: ctx.from.id,
+          confirm: async () => true,
+        }));
+        ResourceAttachments.add(ctx.from.id, serverName, uri, text);
+        logAudit(ctx.from.id, 'mcp_resource_read', { server: serverName, uri });
+
+        const preview = text.length > RESOURCE_PREVIEW_CHARS ? text.substring(0, RESOURCE_PREVIEW_CHARS) + '\n…' : text;
+        for (const chunk of formatOutput(preview)) await ctx.reply(chunk);
+        const count = ResourceAttachments.list(ctx.from.id).length;
+        await ctx.reply(`📎 ${uri} se adjuntará a tu próximo mensaje (${count} recurso(s) adjunto(s)).`);
+      } catch (err) {
+        await ctx.reply(`❌ Error: ${sanitizeError(err.message)}`);
+      }
+    } else if (subCmd === 'prompt' && parts[1]) {
+      await handleMcpPrompt(ctx, args, providers, sessionManager);
     } else if (subCmd === 'tools') {
-      const tools = MCPManager.getAllTools();
+      const tools = MCPManager.getAllTools().filter(t => Roles.can(ctx.from.id, 'mcp', `${t.server}/${t.name}`));
       if (tools.length === 0) { await ctx.reply('No hay herramientas MCP disponibles.'); return; }
       const lines = tools.map(t => `  ${t.server}/${t.name} — ${t.description || '(sin descripción)'}`);
       await ctx.reply('🔧 Herramientas MCP:\n\n' + lines.join('\n'));
@@ -468,17 +1250,22 @@ export function createBot() {
 
       const statusMsg = await ctx.reply(`🔧 Ejecutando ${serverName}/${toolName}...`);
       try {
-        const result = await MCPManager.callTool(serverName, toolName, toolArgs);
+        // Calling a tool by hand is its own approval; deny rules still apply
+        const result = await MCPManager.callTool(serverName, toolName, toolArgs, {
+          userId: ctx.from.id,
+          confirm: async () => true,
+        });
         try { await ctx.api.deleteMessage(ctx.chat.id, statusMsg.message_id); } catch {}
-        const output = result?.content?.map(c => c.text || JSON.stringify(c)).join('\n') || JSON.stringify(result, null, 2);
-        const chunks = formatOutput(output);
+        const chunks = formatOutput(formatToolResult(result));
         for (const chunk of chunks) await ctx.reply(chunk);
       } catch (err) {
         try { await ctx.api.deleteMessage(ctx.chat.id, statusMsg.message_id); } catch {}
         await ctx.reply(`❌ Error: ${sanitizeError(err.message)}`);
       }
+    } else if (subCmd === 'policy') {
+      await handleMcpPolicy(ctx, parts.slice(1));
     } else {
-      await ctx.reply('Uso: /mcp add|remove|tools|call');
+      await ctx.reply('Uso: /mcp add|add-url|remove|status|tools|call|resources|read|prompt|policy');
     }
   });
 
@@ -612,6 +1399,11 @@ export function createBot() {
         await ctx.reply(`❌ Servidor "${serverName}" no encontrado.\nUsa /ssh list para ver servidores.`);
         return;
       }
+      if (!Roles.can(ctx.from.id, 'ssh', serverName)) {
+        logAudit(ctx.from.id, 'permission_denied', { key: `ssh:${serverName}`, role: Roles.roleOf(ctx.from.id) });
+        await ctx.reply(`⛔ Tu rol (${Roles.roleOf(ctx.from.id)}) no permite usar el servidor "${serverName}".`);
+        return;
+      }
 
       const statusMsg = await ctx.reply(`🖥️ ${serverName}: ${command.substring(0, 80)}...`);
 
@@ -762,11 +1554,19 @@ export function createBot() {
       '🔐 Sesión:\n' +
       '  /auth <PIN> — Autenticarse\n' +
       '  /lock — Bloquear sesión\n' +
+      '  /sesiones — Sesiones activas por chat (cerrar una)\n' +
       '  /status — Info de sesión\n' +
-      '  /history — Historial cifrado\n\n' +
+      '  /rol — Tu rol y permisos (admins: asignar roles)\n' +
+      '  /2fa — Códigos TOTP en lugar del PIN\n' +
+      '  /pin — Cambiar tu PIN personal\n' +
+      '  /history — Historial cifrado\n' +
+      '  /auditoria verificar — Integridad del log de auditoría (admins)\n\n' +
       '🤖 IA:\n' +
       '  /ask <prompt> — Enviar prompt\n' +
       '  /ia [nombre] — Ver/cambiar proveedor\n' +
+      '  /fallback [proveedores] — Cadena de respaldo si falla el proveedor\n' +
+      '  /uso — Tokens y coste estimado (hoy, semana, mes)\n' +
+      '  /presupuesto — Presupuestos de tokens/coste (admins)\n' +
       '  /modo — Personalizar personalidad del bot\n' +
       '  /clear — Limpiar contexto conversación\n' +
       '  /project <ruta> — Directorio de trabajo\n' +
@@ -777,8 +1577,11 @@ export function createBot() {
       '  📎 Archivo — Análisis de contenido\n\n' +
       '🔍 Herramientas:\n' +
       '  /web <query> — Búsqueda web + resumen IA\n' +
-      '  /schedule <intervalo> <prompt> — Tarea programada\n' +
+      '  /schedule <intervalo|cron> <prompt> — Tarea programada\n' +
       '  /schedules — Ver tareas programadas\n' +
+      '  /schedule log <id> — Historial de una tarea\n' +
+      '  /schedule pause|resume|run <id> — Pausar, reanudar, ejecutar ya\n' +
+      '  /schedule edit <id> ... — Editar tarea\n' +
       '  /unschedule <id> — Eliminar tarea\n' +
       '  /pipe paso1 → paso2 — Pipeline\n' +
       '  /mcp — Servidores MCP\n\n' +
@@ -796,8 +1599,8 @@ export function createBot() {
   });
 
   // /ask <prompt> or plain text
-  bot.command('ask', handlePrompt(providers, sessionManager));
-  bot.on('message:text', handlePrompt(providers, sessionManager));
+  bot.command('ask', detached(handlePrompt(providers, sessionManager)));
+  bot.on('message:text', detached(handlePrompt(providers, sessionManager)));
 
   // 🎤 Voice messages
   bot.on(['message:voice', 'message:audio'], async (ctx) => {
@@ -826,10 +1629,10 @@ export function createBot() {
       } catch {}
 
       // Send transcription to active provider
-      const workDir = sessionManager.getWorkDir(ctx.from.id);
-      const provider = providers.getForUser(ctx.from.id);
+      const workDir = sessionManager.getWorkDir(ctx.from.id, ctx.chat.id);
       const providerName = providers.getUserProviderName(ctx.from.id);
-      const history = ConversationMemory.getForProvider(ctx.from.id);
+      const provider = providers.getForUser(ctx.from.id);
+      const history = ConversationMemory.getForProvider(ctx.from.id, contextBudget(provider));
 
       // Build system prompt from persona
       const persona = Persona.get(ctx.from.id);
@@ -839,15 +1642,16 @@ export function createBot() {
       ConversationMemory.add(ctx.from.id, 'user', transcription);
       logAudit(ctx.from.id, 'voice_prompt', { provider: providerName, prompt: transcription.substring(0, 200) });
 
-      const result = await provider.execute(transcription, { workDir, userId: ctx.from.id, history, systemPrompt: voiceSystemPrompt });
+      const result = await providers.executeWithFallback(ctx.from.id, transcription, { workDir, userId: ctx.from.id, history, systemPrompt: voiceSystemPrompt });
 
       try { await ctx.api.deleteMessage(ctx.chat.id, statusMsg.message_id); } catch {}
 
       if (result.ok) {
-        ConversationMemory.add(ctx.from.id, 'assistant', result.output);
+        ConversationMemory.add(ctx.from.id, 'assistant', result.output, turnMeta(result));
+        compactHistory(ctx.from.id, provider, providers);
         const header = `🎤 "${transcription.substring(0, 80)}"\n\n`;
         const chunks = formatOutput(result.output);
-        const footer = result.tokens ? `\n\n📊 ${result.model} · ${result.tokens} tokens` : '';
+        const footer = responseFooter(result);
 
         for (let i = 0; i < chunks.length; i++) {
           const isLast = i === chunks.length - 1;
@@ -892,7 +1696,8 @@ export function createBot() {
       try { await ctx.api.deleteMessage(ctx.chat.id, statusMsg.message_id); } catch {}
 
       ConversationMemory.add(ctx.from.id, 'user', `[imagen: ${caption || 'sin descripción'}]`);
-      ConversationMemory.add(ctx.from.id, 'assistant', result.output);
+      ConversationMemory.add(ctx.from.id, 'assistant', result.output, turnMeta(result));
+      compactHistory(ctx.from.id, providers.getForUser(ctx.from.id), providers);
 
       const header = caption ? `📷 "${caption}"\n\n` : '📷 Análisis de imagen:\n\n';
       const chunks = formatOutput(result.output);
@@ -923,6 +1728,12 @@ export function createBot() {
     const fileName = doc.file_name || 'file';
     const fileSize = doc.file_size || 0;
 
+    const importRequest = takeImportRequest(ctx);
+    if (importRequest) {
+      await importConversation(ctx, doc, importRequest.name, providers, sessionManager);
+      return;
+    }
+
     // Check if it's an image disguised as document
     if (doc.mime_type?.startsWith('image/')) {
       const statusMsg = await ctx.reply('📷 Analizando imagen...');
@@ -939,7 +1750,8 @@ export function createBot() {
         try { await ctx.api.deleteMessage(ctx.chat.id, statusMsg.message_id); } catch {}
 
         ConversationMemory.add(ctx.from.id, 'user', `[imagen: ${fileName}]`);
-        ConversationMemory.add(ctx.from.id, 'assistant', result.output);
+        ConversationMemory.add(ctx.from.id, 'assistant', result.output, turnMeta(result));
+        compactHistory(ctx.from.id, providers.getForUser(ctx.from.id), providers);
 
         const chunks = formatOutput(result.output);
         for (const chunk of chunks) await ctx.reply(chunk);
@@ -969,10 +1781,10 @@ export function createBot() {
       const caption = ctx.message.caption || `Analiza este archivo: ${fileName}`;
 
       // Send to AI provider
-      const provider = providers.getForUser(ctx.from.id);
       const providerName = providers.getUserProviderName(ctx.from.id);
-      const workDir = sessionManager.getWorkDir(ctx.from.id);
-      const history = ConversationMemory.getForProvider(ctx.from.id);
+      const workDir = sessionManager.getWorkDir(ctx.from.id, ctx.chat.id);
+      const provider = providers.getForUser(ctx.from.id);
+      const history = ConversationMemory.getForProvider(ctx.from.id, contextBudget(provider));
       const filePersona = Persona.get(ctx.from.id);
       const fileBasePrompt = filePersona || 'Eres un asistente experto en ingeniería de software. Responde de forma concisa en español. Código en inglés.';
       const fileSystemPrompt = `${fileBasePrompt}\n\nDirectorio de trabajo: ${workDir}`;
@@ -982,22 +1794,23 @@ export function createBot() {
       ConversationMemory.add(ctx.from.id, 'user', `[archivo: ${fileName}] ${caption}`);
       logAudit(ctx.from.id, 'file_prompt', { provider: providerName, file: fileName });
 
-      const result = await provider.execute(prompt, { workDir, userId: ctx.from.id, history, systemPrompt: fileSystemPrompt });
+      const result = await providers.executeWithFallback(ctx.from.id, prompt, { workDir, userId: ctx.from.id, history, systemPrompt: fileSystemPrompt });
 
       try { await ctx.api.deleteMessage(ctx.chat.id, statusMsg.message_id); } catch {}
 
       if (result.ok) {
-        ConversationMemory.add(ctx.from.id, 'assistant', result.output);
+        ConversationMemory.add(ctx.from.id, 'assistant', result.output, turnMeta(result));
+        compactHistory(ctx.from.id, provider, providers);
         const header = `📎 ${fileName}\n\n`;
         const chunks = formatOutput(result.output);
-        const footer = result.tokens ? `\n\n📊 ${result.model} · ${result.tokens} tokens` : '';
+        const footer = responseFooter(result);
 
         for (let i = 0; i < chunks.length; i++) {
           const isLast = i === chunks.length - 1;
           await ctx.reply((i === 0 ? header : '') + chunks[i] + (isLast ? footer : ''));
         }
       } else {
-        await ctx.reply(`❌ Error (${providerName}):\n\n${result.output?.substring(0, 1000)}`);
+        await ctx.reply(`❌ Error (${result.provider}):\n\n${result.output?.substring(0, 1000)}`);
       }
     } catch (err) {
       try { await ctx.api.deleteMessage(ctx.chat.id, statusMsg.message_id); } catch {}
@@ -1009,101 +1822,415 @@ export function createBot() {
   return { bot, sessionManager };
 }
 
+/**
+ * Run a handler without holding the update loop. bot.start() processes updates
+ * one at a time, so a prompt waiting for an Approve/Reject press would never see it.
+ */
+function detached(handler) {
+  return (ctx) => {
+    handler(ctx).catch(err => log.error(`Handler error: ${sanitizeError(err.message)}`));
+  };
+}
+
+/**
+ * Ask the user to approve an MCP tool call with an inline keyboard.
+ * Resolves false on reject or after APPROVAL_TIMEOUT_MS.
+ */
+async function requestToolApproval(ctx, server, tool, args) {
+  const id = nextApprovalId++;
+  const argsText = JSON.stringify(args ?? {}, null, 2);
+  const shownArgs = argsText.length > APPROVAL_ARGS_CHARS ? argsText.substring(0, APPROVAL_ARGS_CHARS) + '…' : argsText;
+  const keyboard = new InlineKeyboard().text('✅ Aprobar', `mcp:ok:${id}`).text('❌ Rechazar', `mcp:no:${id}`);
+
+  let msg;
+  try {
+    msg = await ctx.reply(`🔧 La IA quiere usar ${server}/${tool}\n\nArgumentos:\n${shownArgs}`, { reply_markup: keyboard });
+  } catch {
+    return false;
+  }
+
+  const approved = await new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), APPROVAL_TIMEOUT_MS);
+    pendingApprovals.set(id, {
+      userId: ctx.from.id,
+      resolve: (value) => { clearTimeout(timer); resolve(value); },
+    });
+  });
+  pendingApprovals.delete(id);
+
+  const verdict = approved ? '✅ Aprobada' : '❌ Rechazada';
+  ctx.api.editMessageText(ctx.chat.id, msg.message_id, `🔧 ${server}/${tool} — ${verdict}`).catch(() => {});
+  return approved;
+}
+
+/**
+ * Switch the user's provider, and the work directory of their session in this chat,
+ * to those remembered by a thread.
+ * Providers that lost their API key and directories that no longer exist are skipped.
+ */
+function applyThread(ctx, thread, providers, sessionManager) {
+  const userId = ctx.from.id;
+  if (thread.provider) providers.setForUser(userId, thread.provider);
+  if (thread.workDir && existsSync(thread.workDir)) sessionManager.setWorkDir(userId, thread.workDir, ctx.chat.id);
+}
+
+/**
+ * Whether this document answers /importar: a "/importar [nombre]" caption or a
+ * pending /importar from the same user.
+ * @returns {{ name: string|null } | null}
+ */
+function takeImportRequest(ctx) {
+  const caption = ctx.message.caption?.match(/^\/importar(?:@\w+)?(?:\s+(\S+))?/);
+  const pending = pendingImports.get(ctx.from.id);
+  pendingImports.delete(ctx.from.id);
+  if (caption) return { name: caption[1] || null };
+  return pending && pending.expires > Date.now() ? pending : null;
+}
+
+/**
+ * Download an exported JSON transcript and restore it as the user's active thread.
+ * The thread keeps its provider if configured here; the work directory is the
+ * importer's current one (an exported path would bypass /project's checks).
+ */
+async function importConversation(ctx, doc, name, providers, sessionManager) {
+  const userId = ctx.from.id;
+  if ((doc.file_size || 0) > MAX_IMPORT_BYTES) {
+    await ctx.reply(`❌ Archivo demasiado grande (máx. ${MAX_IMPORT_BYTES / 1024 / 1024} MB).`);
+    return;
+  }
+
+  try {
+    const file = await ctx.api.getFile(doc.file_id);
+    const res = await fetch(`https://api.telegram.org/file/bot${config.telegram.token}/${file.file_path}`);
+    const parsed = parseExport(await res.text());
+    if (!parsed.ok) { await ctx.reply(`❌ ${parsed.reason}`); return; }
+
+    const data = parsed.thread;
+    const result = ConversationMemory.importThread(userId, {
+      ...data,
+      provider: providers.get(data.provider)?.isConfigured ? data.provider : providers.getUserProviderName(userId),
+      workDir: sessionManager.getWorkDir(userId, ctx.chat.id),
+    }, name);
+    if (!result.ok) { await ctx.reply(`❌ ${result.reason}`); return; }
+
+    applyThread(ctx, result.thread, providers, sessionManager);
+    logAudit(userId, 'conversation_imported', {
+      thread: result.thread.name,
+      messages: result.thread.messages,
+      from: data.exportedBy || undefined,
+    });
+    await ctx.reply(
+      `📥 Importado como hilo "${result.thread.name}" (${result.thread.messages} mensajes` +
+      `${data.exportedBy ? `, de ${data.exportedBy}` : ''}), ya activo.\n` +
+      formatThreadContext(result.thread, providers) +
+      (data.workDir && data.workDir !== result.thread.workDir ? `\n📁 Directorio original: ${data.workDir} (cámbialo con /project)` : '')
+    );
+  } catch (err) {
+    await ctx.reply(`❌ Error importando: ${sanitizeError(err.message)}`);
+  }
+}
+
+function sessionLabel(session) {
+  return session.chatType === 'private' ? '💬 privado' : `👥 ${session.chatTitle || session.chatId}`;
+}
+
+function formatSession(session, currentId, withUser = false) {
+  return `  ${session.id} — ${withUser ? `👤 ${session.userId} · ` : ''}${sessionLabel(session)}` +
+    ` · última actividad hace ${formatDuration(Date.now() - session.lastActivity)}` +
+    ` · desde ${formatInTimezone(new Date(session.authenticatedAt))}` +
+    (session.id === currentId ? ' ← este chat' : '');
+}
+
+function formatRole(role) {
+  const list = (rules) => rules.length ? rules.join(', ') : '(ninguno)';
+  return `🎭 ${role.name} — ${role.description}\n` +
+    `  Comandos: ${list(role.commands)}\n` +
+    `  Proveedores: ${list(role.providers)}\n` +
+    `  SSH: ${list(role.ssh)}\n` +
+    `  MCP: ${list(role.mcp)}`;
+}
+
+function formatThreadContext(thread, providers) {
+  const provider = thread.provider ? (providers.get(thread.provider)?.displayName || thread.provider) : 'por defecto';
+  return `🤖 ${provider} · 📁 ${thread.workDir || config.claude.defaultWorkDir}`;
+}
+
+/**
+ * /mcp prompt <servidor> — list prompt templates.
+ * /mcp prompt <servidor> <nombre> [clave=valor...|{json}] — render one and send it to the AI.
+ */
+async function handleMcpPrompt(ctx, args, providers, sessionManager) {
+  const [, serverName, name] = args.split(/\s+/);
+
+  try {
+    if (!name) {
+      const prompts = await MCPManager.listPrompts(serverName);
+      if (prompts.length === 0) { await ctx.reply(`💬 ${serverName} no expone prompts.`); return; }
+      const lines = prompts.map(p => {
+        const params = (p.arguments || []).map(a => a.required ? `${a.name}*` : a.name).join(', ');
+        return `  ${p.name}(${params})${p.description ? ` — ${p.description}` : ''}`;
+      });
+      await ctx.reply(`💬 Prompts de ${serverName}:\n\n${lines.join('\n')}\n\n* obligatorio\nUsar: /mcp prompt ${serverName} <nombre> clave=valor clave2="con espacios"`);
+      return;
+    }
+
+    const parsed = parsePromptArgs(args.replace(/^\S+\s+\S+\s+\S+\s*/, ''));
+    if (!parsed.ok) { await ctx.reply(`❌ ${parsed.reason}`); return; }
+
+    // Typing the command is the approval; role and deny rules still apply
+    const text = formatPromptMessages(await MCPManager.getPrompt(serverName, name, parsed.args, {
+      userId: ctx.from.id,
+      confirm: async () => true,
+    }));
+    if (!text.trim()) { await ctx.reply(`❌ El prompt ${name} está vacío.`); return; }
+    logAudit(ctx.from.id, 'mcp_prompt', { server: serverName, prompt: name, args: Object.keys(parsed.args) });
+
+    await ctx.reply(`💬 ${serverName}/${name}:\n\n${text.substring(0, RESOURCE_PREVIEW_CHARS)}`);
+    // Not awaited: the answer may need tool approvals, which arrive as later updates
+    runPrompt(ctx, text, providers, sessionManager)
+      .catch(err => log.error(`MCP prompt error: ${sanitizeError(err.message)}`));
+  } catch (err) {
+    await ctx.reply(`❌ Error: ${sanitizeError(err.message)}`);
+  }
+}
+
+/**
+ * /mcp policy — list rules, set your own, or (admins) set global ones.
+ *   /mcp policy
+ *   /mcp policy <servidor/herramienta|servidor/*|*> <auto|confirm|deny|reset>
+ *   /mcp policy global <patrón> <auto|confirm|deny|reset>
+ */
+async function handleMcpPolicy(ctx, args) {
+  const userId = ctx.from.id;
+
+  if (args.length === 0) {
+    const { default: fallback, global, user } = MCPManager.listPolicies(userId);
+    const format = (rules) => Object.entries(rules).map(([pattern, policy]) => `  ${pattern} → ${policy}`).join('\n') || '  (ninguna)';
+    await ctx.reply(
+      '🛡 Políticas de herramientas MCP\n\n' +
+      `Por defecto: ${fallback}\n\nGlobales:\n${format(global)}\n\nTuyas:\n${format(user)}\n\n` +
+      'Se aplica la más estricta (deny > confirm > auto).\n\n' +
+      '  /mcp policy <servidor/herramienta|servidor/*|*> <auto|confirm|deny|reset>\n' +
+      '  /mcp policy global <patrón> <política> — solo admins'
+    );
+    return;
+  }
+
+  const isGlobal = args[0] === 'global';
+  const [pattern, value] = isGlobal ? args.slice(1) : args;
+  if (!pattern || !value || (value !== 'reset' && !TOOL_POLICIES.includes(value))) {
+    await ctx.reply('Uso: /mcp policy [global] <servidor/herramienta|servidor/*|*> <auto|confirm|deny|reset>');
+    return;
+  }
+  if (isGlobal && !Roles.can(userId, 'commands', 'mcp.policy.global')) {
+    await ctx.reply('⛔ Solo los administradores pueden fijar políticas globales.');
+    return;
+  }
+
+  const policy = value === 'reset' ? null : value;
+  const result = MCPManager.setPolicy(isGlobal ? null : userId, pattern, policy);
+  if (!result.ok) {
+    await ctx.reply(`❌ ${result.reason}`);
+    return;
+  }
+
+  logAudit(userId, 'mcp_policy', { scope: isGlobal ? 'global' : 'user', pattern, policy });
+  const scope = isGlobal ? 'global' : 'personal';
+  await ctx.reply(policy ? `🛡 Política ${scope}: ${pattern} → ${policy}` : `🛡 Regla ${scope} ${pattern} eliminada.`);
+}
+
 function handlePrompt(providers, sessionManager) {
   return async (ctx) => {
     const text = ctx.match?.trim() || ctx.message?.text?.trim();
     if (!text || text.startsWith('/')) return;
+    await runPrompt(ctx, text, providers, sessionManager);
+  };
+}
 
-    const rateCheck = checkRateLimit(ctx.from.id);
-    if (!rateCheck.allowed) { await ctx.reply(`⏳ Rate limit. Espera ${rateCheck.waitSec}s.`); return; }
+/**
+ * Send a prompt to the user's provider and reply with the answer.
+ * Shared by plain messages, /ask and /mcp prompt.
+ */
+async function runPrompt(ctx, text, providers, sessionManager) {
+
+  const rateCheck = checkRateLimit(ctx.from.id);
+  if (!rateCheck.allowed) { await ctx.reply(`⏳ Rate limit. Espera ${rateCheck.waitSec}s.`); return; }
+
+  const workDir = sessionManager.getWorkDir(ctx.from.id, ctx.chat.id);
+  const provider = providers.getForUser(ctx.from.id);
+  if (!provider) { await ctx.reply('⛔ Tu rol no permite usar ningún proveedor configurado.'); return; }
+  const providerName = providers.getUserProviderName(ctx.from.id);
+  const history = ConversationMemory.getForProvider(ctx.from.id, contextBudget(provider));
+
+  // Build system prompt from persona + workDir context + shared memory
+  const persona = Persona.get(ctx.from.id);
+  const basePrompt = persona || 'Eres un asistente experto en ingeniería de software. Responde de forma concisa en español. Código en inglés.';
+  const sharedContext = SharedMemory.getContext();
+  const systemPrompt = `${basePrompt}\n\nDirectorio de trabajo: ${workDir}${sharedContext}`;
+
+  ConversationMemory.add(ctx.from.id, 'user', text);
+  logAudit(ctx.from.id, 'prompt', {
+    provider: providerName,
+    prompt: text.substring(0, 200),
+    workDir,
+  });
 
-    const workDir = sessionManager.getWorkDir(ctx.from.id);
-    const provider = providers.getForUser(ctx.from.id);
-    const providerName = providers.getUserProviderName(ctx.from.id);
-    const history = ConversationMemory.getForProvider(ctx.from.id);
+  const statusMsg = await ctx.reply(`⏳ ${provider.displayName}\n📁 ${workDir}`);
+
+  // MCP tools: native function calling for API providers, text description for the CLI ones
+  const toolset = provider.supportsTools
+    ? createToolset(MCPManager.getAllTools().filter(t => Roles.can(ctx.from.id, 'mcp', `${t.server}/${t.name}`)), {
+      onCall: (server, tool) => {
+        logAudit(ctx.from.id, 'mcp_tool_call', { server, tool });
+        ctx.api.editMessageText(ctx.chat.id, statusMsg.message_id, `🔧 ${server}/${tool}...`).catch(() => {});
+      },
+      userId: ctx.from.id,
+      confirm: (server, tool, args) => requestToolApproval(ctx, server, tool, args),
+    })
+    : null;
+  const mcpToolsDesc = toolset ? '' : MCPManager.getToolsDescription();
+
+  // MCP resources read with /mcp read ride along with this prompt only
+  const attached = ResourceAttachments.take(ctx.from.id);
+  if (attached.length) {
+    logAudit(ctx.from.id, 'mcp_resources_attached', { resources: attached.map(a => `${a.server}:${a.uri}`) });
+  }
 
-    // Build system prompt from persona + workDir context + shared memory
-    const persona = Persona.get(ctx.from.id);
-    const basePrompt = persona || 'Eres un asistente experto en ingeniería de software. Responde de forma concisa en español. Código en inglés.';
-    const sharedContext = SharedMemory.getContext();
-    const systemPrompt = `${basePrompt}\n\nDirectorio de trabajo: ${workDir}${sharedContext}`;
+  try {
+    let streamed = '';
+    let lastUpdate = Date.now();
+    let editing = false;
 
-    // Add MCP tools description to context
-    const mcpToolsDesc = MCPManager.getToolsDescription();
+    const fullPrompt = text + ResourceAttachments.toContext(attached) + mcpToolsDesc;
 
-    ConversationMemory.add(ctx.from.id, 'user', text);
-    logAudit(ctx.from.id, 'prompt', {
-      provider: providerName,
-      prompt: text.substring(0, 200),
+    const result = await providers.executeWithFallback(ctx.from.id, fullPrompt, {
       workDir,
+      userId: ctx.from.id,
+      history,
+      systemPrompt,
+      tools: toolset,
+      onChunk: async (chunk) => {
+        streamed += chunk;
+        // Telegram rate-limits edits: one in flight at a time, spaced out
+        if (editing || Date.now() - lastUpdate < STREAM_EDIT_INTERVAL_MS) return;
+        editing = true;
+        try {
+          const preview = streamed.length > STREAM_PREVIEW_CHARS
+            ? '…' + streamed.slice(-STREAM_PREVIEW_CHARS)
+            : streamed;
+          await ctx.api.editMessageText(ctx.chat.id, statusMsg.message_id, `⚡ ${provider.displayName}\n\n${preview}`);
+        } catch {}
+        lastUpdate = Date.now();
+        editing = false;
+      },
     });
 
-    const statusMsg = await ctx.reply(`⏳ ${provider.displayName}\n📁 ${workDir}`);
+    try { await ctx.api.deleteMessage(ctx.chat.id, statusMsg.message_id); } catch {}
 
-    try {
-      let lastUpdate = Date.now();
-
-      const fullPrompt = mcpToolsDesc ? text + mcpToolsDesc : text;
-
-      const result = await provider.execute(fullPrompt, {
-        workDir,
-        userId: ctx.from.id,
-        history,
-        systemPrompt,
-        onChunk: async (chunk) => {
-          if (Date.now() - lastUpdate > 3000) {
-            try {
-              await ctx.api.editMessageText(
-                ctx.chat.id,
-                statusMsg.message_id,
-                `⚡ Trabajando...\n\n${chunk.substring(0, 200)}...`
-              );
-              lastUpdate = Date.now();
-            } catch {}
-          }
-        },
+    if (result.ok) {
+      const output = result.output || '(respuesta vacía)';
+      ConversationMemory.add(ctx.from.id, 'assistant', output, turnMeta(result));
+      compactHistory(ctx.from.id, provider, providers);
+
+      const chunks = formatOutput(output);
+      const footer = responseFooter(result);
+
+      for (let i = 0; i < chunks.length; i++) {
+        const isLast = i === chunks.length - 1;
+        await ctx.reply(chunks[i] + (isLast ? footer : ''));
+        if (chunks.length > 1) await new Promise(r => setTimeout(r, 500));
+      }
+
+      logAudit(ctx.from.id, 'response', {
+        provider: result.provider,
+        fallbackFrom: result.fallbackFrom.length ? result.fallbackFrom : undefined,
+        length: output.length,
+        tokens: result.tokens,
       });
 
-      try { await ctx.api.deleteMessage(ctx.chat.id, statusMsg.message_id); } catch {}
+      // Auto-learn: silently extract and save insights (no notification to user)
+      if (SharedMemory.enabled && output.length > 200) {
+        extractInsight(text, output, providers, ctx.from.id).catch(() => {});
+      }
+    } else if (result.budgetBlocked) {
+      await ctx.reply(result.output);
+      logAudit(ctx.from.id, 'budget_blocked', { provider: result.provider });
+    } else {
+      await ctx.reply(`❌ Error (${result.provider}):\n\n${result.output?.substring(0, 1000)}`);
+      logAudit(ctx.from.id, 'error', { provider: result.provider, fallbackFrom: result.fallbackFrom, error: result.output?.substring(0, 500) });
+    }
+  } catch (err) {
+    try { await ctx.api.deleteMessage(ctx.chat.id, statusMsg.message_id); } catch {}
+    await ctx.reply(`❌ Error: ${sanitizeError(err.message)}`);
+    log.error(`Execution error [${providerName}]: ${sanitizeError(err.message)}`);
+    logAudit(ctx.from.id, 'exception', { provider: providerName, error: err.message });
+  }
 
-      if (result.ok) {
-        const output = result.output || '(respuesta vacía)';
-        ConversationMemory.add(ctx.from.id, 'assistant', output);
+  if (config.security.autoDeleteSec > 0) {
+    setTimeout(async () => { try { await ctx.deleteMessage(); } catch {} }, config.security.autoDeleteSec * 1000);
+  }
+}
 
-        const chunks = formatOutput(output);
-        const footer = result.tokens ? `\n\n📊 ${result.model} · ${result.tokens} tokens` : '';
+/**
+ * Footer for AI responses: fallback path, model, provider that answered and tokens.
+ */
+function responseFooter(result) {
+  const lines = [];
+  if (result.budgetNotice) lines.push(result.budgetNotice);
+  if (result.fallbackFrom?.length) lines.push(`🔀 ${[...result.fallbackFrom, result.provider].join(' → ')}`);
+  if (result.toolCalls) lines.push(`🔧 ${result.toolCalls} llamada(s) a herramientas MCP`);
+  if (result.tokens) lines.push(`📊 ${result.model} (${result.provider}) · ${result.tokens} tokens`);
+  return lines.length ? `\n\n${lines.join('\n')}` : '';
+}
 
-        for (let i = 0; i < chunks.length; i++) {
-          const isLast = i === chunks.length - 1;
-          await ctx.reply(chunks[i] + (isLast ? footer : ''));
-          if (chunks.length > 1) await new Promise(r => setTimeout(r, 500));
-        }
+/**
+ * Provider, model and tokens of a response, stored with the turn for /exportar.
+ */
+function turnMeta(result, provider) {
+  return { provider: result.provider || provider?.name, model: result.model, tokens: result.tokens };
+}
 
-        logAudit(ctx.from.id, 'response', {
-          provider: providerName,
-          length: output.length,
-          tokens: result.tokens,
-        });
+function formatTokens(n) {
+  if (n >= 1_000_000) return `${(n / 1_000_000).toFixed(1)}M`;
+  if (n >= 1000) return `${(n / 1000).toFixed(1)}k`;
+  return String(n);
+}
 
-        // Auto-learn: silently extract and save insights (no notification to user)
-        if (SharedMemory.enabled && output.length > 200) {
-          extractInsight(text, output, providers, ctx.from.id).catch(() => {});
-        }
-      } else {
-        await ctx.reply(`❌ Error (${providerName}):\n\n${result.output?.substring(0, 1000)}`);
-        logAudit(ctx.from.id, 'error', { provider: providerName, error: result.output?.substring(0, 500) });
-      }
-    } catch (err) {
-      try { await ctx.api.deleteMessage(ctx.chat.id, statusMsg.message_id); } catch {}
-      await ctx.reply(`❌ Error: ${sanitizeError(err.message)}`);
-      log.error(`Execution error [${providerName}]: ${sanitizeError(err.message)}`);
-      logAudit(ctx.from.id, 'exception', { provider: providerName, error: err.message });
-    }
+function formatCost(usd) {
+  return `$${usd.toFixed(usd > 0 && usd < 1 ? 4 : 2)}`;
+}
 
-    if (config.security.autoDeleteSec > 0) {
-      setTimeout(async () => { try { await ctx.deleteMessage(); } catch {} }, config.security.autoDeleteSec * 1000);
-    }
-  };
+/**
+ * One /mcp status entry: connection, uptime, restarts, capabilities and last error.
+ */
+function formatMcpStatus(s) {
+  const info = s.serverInfo ? ` · ${s.serverInfo.name} ${s.serverInfo.version || ''}`.trimEnd() : '';
+  const lines = [`${s.connected ? '🟢' : '🔴'} ${s.name} (${s.transport})${info}`];
+
+  if (s.connected) {
+    lines.push(`   Activo ${formatDuration(s.uptimeMs)} · ${s.restarts} reinicio(s) · ${s.tools} herramientas`);
+    lines.push(`   MCP ${s.protocolVersion || '?'} · capacidades: ${s.capabilities.join(', ') || 'ninguna'}`);
+  } else {
+    const retry = s.reconnect ? ` · reintento ${s.reconnect.attempt} en ${formatDuration(s.reconnect.inMs)}` : '';
+    lines.push(`   Desconectado · ${s.restarts} reinicio(s)${retry}`);
+  }
+  if (s.lastError) {
+    lines.push(`   Último error (hace ${formatDuration(Date.now() - s.lastError.at)}): ${sanitizeError(s.lastError.message).substring(0, 200)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Human duration: "45s", "12m", "3h 5m", "2d 4h".
+ */
+function formatDuration(ms) {
+  const sec = Math.floor(ms / 1000);
+  if (sec < 60) return `${sec}s`;
+  const min = Math.floor(sec / 60);
+  if (min < 60) return `${min}m`;
+  const hours = Math.floor(min / 60);
+  if (hours < 24) return `${hours}h ${min % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
 }
 
 function formatInterval(ms) {
@@ -1160,6 +2287,18 @@ function pickCheapProvider(providers) {
   return null;
 }
 
+/**
+ * Fold turns that no longer fit in the provider's context budget into the thread
+ * summary, in the background with the cheapest provider.
+ */
+function compactHistory(userId, provider, providers) {
+  const cheap = pickCheapProvider(providers);
+  if (!cheap) return;
+  ConversationMemory.compact(userId, contextBudget(provider), (previous, messages) =>
+    summarizeHistory(cheap, previous, messages, userId)
+  ).catch(err => log.warn(`[memory] Summary failed: ${sanitizeError(err.message)}`));
+}
+
 /**
  * Start the autonomous inter-bot loop.
  * Every 30s:
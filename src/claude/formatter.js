@@ -63,6 +63,7 @@ export function formatOutput(text, label = 'Respuesta') {
 export function formatStatus(info) {
   return [
     '📊 Estado de sesión',
+    `├ Sesión: ${info.id}${info.sessions > 1 ? ` (${info.sessions} activas, ver /sesiones)` : ''}`,
     `├ Directorio: ${info.workDir}`,
     `├ Autenticado: ${info.authenticatedAt}`,
     `├ Última actividad: ${info.lastActivity}`,
@@ -0,0 +1,201 @@
+/**
+ * Conversation transcripts: Markdown, JSON and HTML exports of a thread, and
+ * validation of exported JSON for /importar (hand-off between team members).
+ */
+import { formatInTimezone } from '../scheduler/cron.js';
+
+export const EXPORT_FORMATS = ['md', 'json', 'html'];
+const FORMAT_ALIASES = { markdown: 'md', htm: 'html' };
+
+const EXPORT_KIND = 'llm-remote-conversation';
+const EXPORT_VERSION = 1;
+const MAX_IMPORT_CHARS = 200000; // Per message
+const ROLES = ['user', 'assistant'];
+
+/**
+ * Normalize a format argument (default: Markdown).
+ * @returns {string|null} md, json or html; null if unknown
+ */
+export function parseExportFormat(arg) {
+  const format = (arg || 'md').trim().toLowerCase();
+  const normalized = FORMAT_ALIASES[format] || format;
+  return EXPORT_FORMATS.includes(normalized) ? normalized : null;
+}
+
+function totals(messages) {
+  const providers = [...new Set(messages.map(m => m.provider).filter(Boolean))];
+  const models = [...new Set(messages.map(m => m.model).filter(Boolean))];
+  const tokens = messages.reduce((sum, m) => sum + (m.tokens || 0), 0);
+  return { providers, models, tokens };
+}
+
+function turnMeta(message) {
+  const parts = [formatInTimezone(new Date(message.timestamp))];
+  if (message.provider) parts.push(message.model ? `${message.provider} / ${message.model}` : message.provider);
+  if (message.tokens) parts.push(`${message.tokens} tokens`);
+  return parts.join(' · ');
+}
+
+function roleLabel(role) {
+  return role === 'assistant' ? '🤖 Asistente' : '👤 Usuario';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toMarkdown(thread, info) {
+  const { providers, models, tokens } = totals(thread.messages);
+  const lines = [
+    `# Conversación: ${thread.name}`,
+    '',
+    `- Exportada: ${formatInTimezone(info.exportedAt)}${info.exportedBy ? ` por ${info.exportedBy}` : ''}`,
+    `- Mensajes: ${thread.messages.length}`,
+    `- Proveedores: ${providers.join(', ') || '—'}`,
+    `- Modelos: ${models.join(', ') || '—'}`,
+    `- Tokens: ${tokens}`,
+    `- Directorio: ${thread.workDir || '—'}`,
+  ];
+  if (thread.summary) lines.push('', '## Resumen de turnos anteriores', '', thread.summary);
+  for (const m of thread.messages) {
+    lines.push('', `## ${roleLabel(m.role)} — ${turnMeta(m)}`, '', m.content);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function toHtml(thread, info) {
+  const { providers, models, tokens } = totals(thread.messages);
+  const turns = thread.messages.map(m => `
+<section class="${m.role}">
+  <h2>${roleLabel(m.role)} <small>${escapeHtml(turnMeta(m))}</small></h2>
+  <pre>${escapeHtml(m.content)}</pre>
+</section>`).join('');
+  const summary = thread.summary
+    ? `\n<section class="summary"><h2>Resumen de turnos anteriores</h2><pre>${escapeHtml(thread.summary)}</pre></section>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Conversación: ${escapeHtml(thread.name)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 860px; margin: 2em auto; padding: 0 1em; color: #222; }
+section { border-left: 4px solid #ccc; padding: 0 1em; margin: 1.5em 0; }
+section.user { border-color: #2b7de9; }
+section.assistant { border-color: #2e9e5b; }
+section.summary { border-color: #b08800; }
+h2 { font-size: 1em; }
+small { color: #777; font-weight: normal; }
+pre { white-space: pre-wrap; word-wrap: break-word; font-family: inherit; }
+</style>
+</head>
+<body>
+<h1>Conversación: ${escapeHtml(thread.name)}</h1>
+<ul>
+  <li>Exportada: ${escapeHtml(formatInTimezone(info.exportedAt))}${info.exportedBy ? ` por ${escapeHtml(info.exportedBy)}` : ''}</li>
+  <li>Mensajes: ${thread.messages.length}</li>
+  <li>Proveedores: ${escapeHtml(providers.join(', ') || '—')}</li>
+  <li>Modelos: ${escapeHtml(models.join(', ') || '—')}</li>
+  <li>Tokens: ${tokens}</li>
+  <li>Directorio: ${escapeHtml(thread.workDir || '—')}</li>
+</ul>${summary}${turns}
+</body>
+</html>
+`;
+}
+
+function toJson(thread, info) {
+  return JSON.stringify({
+    kind: EXPORT_KIND,
+    version: EXPORT_VERSION,
+    exportedAt: info.exportedAt.toISOString(),
+    exportedBy: info.exportedBy || null,
+    thread: {
+      name: thread.name,
+      provider: thread.provider,
+      workDir: thread.workDir,
+      createdAt: thread.createdAt,
+      updatedAt: thread.updatedAt,
+      summary: thread.summary || null,
+      summarized: thread.summary ? thread.summarized || 0 : 0,
+    },
+    totals: totals(thread.messages),
+    messages: thread.messages.map(m => ({
+      role: m.role,
+      content: m.content,
+      timestamp: m.timestamp,
+      provider: m.provider,
+      model: m.model,
+      tokens: m.tokens,
+    })),
+  }, null, 2);
+}
+
+/**
+ * Render a thread (from ConversationMemory.exportThread) as a document.
+ * @param {object} thread
+ * @param {string} format - md, json or html
+ * @param {{ exportedAt?: Date, exportedBy?: string }} [info]
+ * @returns {{ filename: string, content: string }}
+ */
+export function renderExport(thread, format, info = {}) {
+  const details = { exportedAt: info.exportedAt || new Date(), exportedBy: info.exportedBy };
+  const stamp = details.exportedAt.toISOString().substring(0, 10);
+  const filename = `conversacion-${thread.name}-${stamp}.${format}`;
+  const render = { md: toMarkdown, json: toJson, html: toHtml }[format];
+  if (!render) throw new Error(`Formato no soportado: ${format}`);
+  return { filename, content: render(thread, details) };
+}
+
+/**
+ * Validate an exported JSON transcript.
+ * @param {string} text - File contents
+ * @returns {{ ok: true, thread: object } | { ok: false, reason: string }}
+ */
+export function parseExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { ok: false, reason: 'El archivo no es JSON válido.' };
+  }
+  if (data?.kind !== EXPORT_KIND) return { ok: false, reason: 'No es una conversación exportada con /exportar json.' };
+  if (data.version !== EXPORT_VERSION) return { ok: false, reason: `Versión de exportación no soportada: ${data.version}` };
+  if (!Array.isArray(data.messages)) return { ok: false, reason: 'La exportación no contiene mensajes.' };
+
+  const messages = [];
+  for (const [i, m] of data.messages.entries()) {
+    if (!ROLES.includes(m?.role) || typeof m.content !== 'string') {
+      return { ok: false, reason: `Mensaje ${i + 1} no válido (rol o contenido).` };
+    }
+    const message = {
+      role: m.role,
+      content: m.content.substring(0, MAX_IMPORT_CHARS),
+      timestamp: Number.isFinite(m.timestamp) ? m.timestamp : Date.now(),
+    };
+    if (typeof m.provider === 'string') message.provider = m.provider;
+    if (typeof m.model === 'string') message.model = m.model;
+    if (Number.isFinite(m.tokens)) message.tokens = m.tokens;
+    messages.push(message);
+  }
+
+  const thread = data.thread || {};
+  const summary = typeof thread.summary === 'string' ? thread.summary : null;
+  return {
+    ok: true,
+    thread: {
+      name: typeof thread.name === 'string' ? thread.name : null,
+      provider: typeof thread.provider === 'string' ? thread.provider : null,
+      workDir: typeof thread.workDir === 'string' ? thread.workDir : null,
+      summary,
+      summarized: summary && Number.isInteger(thread.summarized) ? Math.min(Math.max(thread.summarized, 0), messages.length) : 0,
+      exportedBy: typeof data.exportedBy === 'string' ? data.exportedBy : null,
+      messages,
+    },
+  };
+}
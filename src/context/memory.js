@@ -1,42 +1,438 @@
 /**
  * Conversation memory manager.
- * Stores per-user conversation history for contextual multi-turn chat.
+ * Stores per-user conversation history for contextual multi-turn chat, split into
+ * named threads. Each thread remembers its own provider and work directory.
+ * The context sent to a provider is bounded by a token budget; turns that fall out of
+ * it are folded into a rolling per-thread summary (see compact()).
+ * Persists to data/conversations.json (encrypted); writes are batched (see save()).
  */
+import { resolve } from 'node:path';
+import { log } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { readEncryptedJson, writeEncryptedJson } from '../crypto/store.js';
+import { DEFAULT_CONTEXT_TOKENS, estimateTokens, charsForTokens } from './window.js';
+import { parseSearchQuery, matchText } from './search.js';
 
-const MAX_MESSAGES = 20; // Max messages per user
-const conversations = new Map(); // userId -> [{ role, content, timestamp }]
+const CONVERSATIONS_FILE = resolve(config.paths.data, 'conversations.json');
+const MAX_MESSAGES = 20; // Messages sent to the provider as context, at most
+const MAX_STORED_MESSAGES = 500; // Messages kept per thread
+const MAX_THREADS = 20; // Threads per user
+const SAVE_DELAY_MS = 2000; // Changes within this window share one write
+
+export const DEFAULT_THREAD = 'general';
+
+const SUMMARY_PREFIX = 'Resumen de la conversación anterior:\n';
+const SUMMARY_ACK = 'Entendido, tengo en cuenta ese contexto.';
+
+// userId -> { active: string, threads: { [name]: { name, provider, workDir, createdAt, updatedAt, messages, summary, summarized } } }
+// summarized: number of leading messages already folded into summary.
+const users = new Map();
+
+// "userId:thread" keys with a summarization in flight
+const compacting = new Set();
+
+let conversationsFile = CONVERSATIONS_FILE;
+let saveTimer = null;
+
+/**
+ * Normalize and validate a thread name: letters, digits, dot, dash, underscore.
+ * @returns {string|null}
+ */
+export function normalizeThreadName(name) {
+  const normalized = (name || '').trim().toLowerCase();
+  return /^[\p{L}\p{N}._-]{1,40}$/u.test(normalized) ? normalized : null;
+}
+
+function newThread(name, { provider = null, workDir = null } = {}) {
+  const now = Date.now();
+  return { name, provider, workDir, createdAt: now, updatedAt: now, messages: [], summary: null, summarized: 0 };
+}
+
+function userState(userId) {
+  let state = users.get(userId);
+  if (!state) {
+    state = { active: DEFAULT_THREAD, threads: { [DEFAULT_THREAD]: newThread(DEFAULT_THREAD) } };
+    users.set(userId, state);
+  }
+  return state;
+}
+
+function activeThread(userId) {
+  const state = userState(userId);
+  if (!state.threads[state.active]) {
+    state.threads[state.active] = newThread(state.active);
+  }
+  return state.threads[state.active];
+}
+
+/**
+ * The rolling summary as a leading exchange, so providers without a separate
+ * summary slot still get it.
+ */
+function summaryMessages(thread) {
+  if (!thread.summary) return [];
+  return [
+    { role: 'user', content: SUMMARY_PREFIX + thread.summary },
+    { role: 'assistant', content: SUMMARY_ACK },
+  ];
+}
+
+/**
+ * Newest unsummarized messages that fit in the token budget (at most MAX_MESSAGES).
+ * If not even the last message fits, it is truncated rather than dropped.
+ */
+function recentWithin(thread, budget) {
+  const pending = thread.messages.slice(thread.summarized || 0).slice(-MAX_MESSAGES);
+  const selected = [];
+  let used = 0;
+  for (let i = pending.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(pending[i].content);
+    if (used + tokens > budget) {
+      if (selected.length === 0) {
+        selected.push({ ...pending[i], content: pending[i].content.substring(0, charsForTokens(budget)) });
+      }
+      break;
+    }
+    selected.unshift(pending[i]);
+    used += tokens;
+  }
+  return selected;
+}
+
+function countTokens(messages) {
+  return messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+}
+
+function describe(thread, active) {
+  return {
+    name: thread.name,
+    provider: thread.provider,
+    workDir: thread.workDir,
+    messages: thread.messages.length,
+    createdAt: thread.createdAt,
+    updatedAt: thread.updatedAt,
+    active,
+  };
+}
 
 export class ConversationMemory {
-  static add(userId, role, content) {
-    if (!conversations.has(userId)) {
-      conversations.set(userId, []);
+  /**
+   * Replace the in-memory state with a store's contents, dropping any unsaved changes.
+   * @param {string} [file] - Store (default: data/conversations.json)
+   */
+  static load(file = CONVERSATIONS_FILE) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    conversationsFile = file;
+    users.clear();
+    try {
+      const data = readEncryptedJson(conversationsFile);
+      if (!data) return;
+      for (const [userId, state] of Object.entries(data)) {
+        users.set(Number(userId), state);
+      }
+      log.info(`[memory] Loaded conversations of ${users.size} users`);
+    } catch (err) {
+      log.warn(`[memory] Load failed: ${err.message}`);
     }
-    const history = conversations.get(userId);
-    history.push({ role, content, timestamp: Date.now() });
+  }
+
+  /**
+   * Schedule a write. The whole store is re-encrypted on each write, so a busy chat
+   * gets one write per SAVE_DELAY_MS instead of one per message.
+   */
+  static save() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  /**
+   * Write pending changes now (on shutdown).
+   */
+  static flush() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      writeEncryptedJson(conversationsFile, Object.fromEntries(users));
+    } catch (err) {
+      log.error(`[memory] Save failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Append a turn to the active thread.
+   * @param {{ provider?: string, model?: string, tokens?: number }} [meta] - Kept for exports
+   */
+  static add(userId, role, content, meta = {}) {
+    const thread = activeThread(userId);
+    const message = { role, content, timestamp: Date.now() };
+    if (meta.provider) message.provider = meta.provider;
+    if (meta.model) message.model = meta.model;
+    if (meta.tokens) message.tokens = meta.tokens;
+    thread.messages.push(message);
+    thread.updatedAt = Date.now();
 
     // Trim to max
-    while (history.length > MAX_MESSAGES) {
-      history.shift();
+    if (thread.messages.length > MAX_STORED_MESSAGES) {
+      const removed = thread.messages.length - MAX_STORED_MESSAGES;
+      thread.messages.splice(0, removed);
+      thread.summarized = Math.max((thread.summarized || 0) - removed, 0);
     }
+    this.save();
   }
 
+  /**
+   * Context window of the active thread: its last MAX_MESSAGES messages.
+   */
   static get(userId) {
-    return conversations.get(userId) || [];
+    if (!users.has(userId)) return [];
+    return activeThread(userId).messages.slice(-MAX_MESSAGES);
   }
 
-  static getForProvider(userId) {
-    return this.get(userId).map(({ role, content }) => ({ role, content }));
+  /**
+   * History for a provider: the rolling summary (if any) plus the newest
+   * unsummarized messages that fit in maxTokens.
+   * @param {number} userId
+   * @param {number} [maxTokens] - History budget, see contextBudget()
+   */
+  static getForProvider(userId, maxTokens = DEFAULT_CONTEXT_TOKENS) {
+    if (!users.has(userId)) return [];
+    const thread = activeThread(userId);
+    const summary = summaryMessages(thread);
+    const recent = recentWithin(thread, maxTokens - countTokens(summary));
+    return [...summary, ...recent].map(({ role, content }) => ({ role, content }));
   }
 
+  static getSummary(userId) {
+    if (!users.has(userId)) return null;
+    return activeThread(userId).summary || null;
+  }
+
+  /**
+   * Fold the oldest unsummarized turns into the rolling summary once they no longer
+   * fit in the budget. Roughly half of the budget stays as verbatim recent turns.
+   * If summarize fails, nothing changes: those turns just fall out of the window
+   * and folding is retried after the next message.
+   * @param {number} userId
+   * @param {number} maxTokens - History budget of the provider in use
+   * @param {(previous: string|null, messages: Array<{role: string, content: string}>) => Promise<string|null>} summarize
+   * @returns {Promise<boolean>} Whether the summary was updated
+   */
+  static async compact(userId, maxTokens, summarize) {
+    if (!users.has(userId)) return false;
+    const thread = activeThread(userId);
+    const key = `${userId}:${thread.name}`;
+    if (compacting.has(key)) return false;
+
+    const messages = thread.messages;
+    const pending = messages.slice(thread.summarized || 0);
+    const summaryTokens = countTokens(summaryMessages(thread));
+    if (pending.length <= MAX_MESSAGES && summaryTokens + countTokens(pending) <= maxTokens) return false;
+
+    let keep = 0;
+    let kept = 0;
+    const keepBudget = Math.floor(maxTokens / 2) - summaryTokens;
+    while (keep < pending.length && keep < MAX_MESSAGES / 2) {
+      const tokens = estimateTokens(pending[pending.length - 1 - keep].content);
+      if (kept + tokens > keepBudget) break;
+      kept += tokens;
+      keep++;
+    }
+    const folded = pending.slice(0, pending.length - keep);
+    if (folded.length === 0) return false;
+
+    compacting.add(key);
+    let summary;
+    try {
+      summary = await summarize(thread.summary || null, folded.map(({ role, content }) => ({ role, content })));
+    } finally {
+      compacting.delete(key);
+    }
+    // Cleared meanwhile: the summary would resurrect what the user deleted
+    if (!summary || thread.messages !== messages) return false;
+
+    thread.summary = summary;
+    // Index re-read: add() may have trimmed the front while summarizing
+    thread.summarized = messages.indexOf(folded[folded.length - 1]) + 1;
+    this.save();
+    log.info(`[memory] Folded ${folded.length} messages of user ${userId} (${thread.name}) into the summary`);
+    return true;
+  }
+
+  /**
+   * Clear the messages of the active thread (the thread itself stays).
+   */
   static clear(userId) {
-    conversations.delete(userId);
+    if (!users.has(userId)) return;
+    const thread = activeThread(userId);
+    thread.messages = [];
+    thread.summary = null;
+    thread.summarized = 0;
+    thread.updatedAt = Date.now();
+    this.save();
   }
 
-  static getStats(userId) {
+  /**
+   * @param {number} userId
+   * @param {number} [maxTokens] - History budget used to measure the window
+   */
+  static getStats(userId, maxTokens = DEFAULT_CONTEXT_TOKENS) {
     const history = this.get(userId);
+    const state = users.get(userId);
+    const thread = state ? activeThread(userId) : null;
     return {
       messages: history.length,
       maxMessages: MAX_MESSAGES,
+      tokens: countTokens(this.getForProvider(userId, maxTokens)),
+      maxTokens,
+      summarized: thread?.summary ? thread.summarized : 0,
+      thread: state?.active || DEFAULT_THREAD,
+      threads: state ? Object.keys(state.threads).length : 1,
+    };
+  }
+
+  /**
+   * Create a thread and make it active. It starts with the given provider and work directory.
+   * @returns {{ ok: true, thread: object } | { ok: false, reason: string }}
+   */
+  static createThread(userId, name, context = {}) {
+    const threadName = normalizeThreadName(name);
+    if (!threadName) return { ok: false, reason: 'Nombre no válido: usa letras, números, ".", "-" o "_" (máx. 40).' };
+
+    const state = userState(userId);
+    if (state.threads[threadName]) return { ok: false, reason: `El hilo "${threadName}" ya existe. Usa /hilo usar ${threadName}` };
+    if (Object.keys(state.threads).length >= MAX_THREADS) {
+      return { ok: false, reason: `Máximo ${MAX_THREADS} hilos. Borra alguno con /hilo borrar <nombre>` };
+    }
+
+    state.threads[threadName] = newThread(threadName, context);
+    state.active = threadName;
+    this.save();
+    return { ok: true, thread: describe(state.threads[threadName], true) };
+  }
+
+  /**
+   * Switch the active thread.
+   * @returns {{ ok: true, thread: object } | { ok: false, reason: string }}
+   */
+  static useThread(userId, name) {
+    const threadName = normalizeThreadName(name);
+    const state = userState(userId);
+    if (!threadName || !state.threads[threadName]) return { ok: false, reason: `Hilo "${name}" no encontrado. Usa /hilos` };
+
+    state.active = threadName;
+    this.save();
+    return { ok: true, thread: describe(state.threads[threadName], true) };
+  }
+
+  /**
+   * Delete a thread other than the active one.
+   */
+  static deleteThread(userId, name) {
+    const threadName = normalizeThreadName(name);
+    const state = userState(userId);
+    if (!threadName || !state.threads[threadName]) return { ok: false, reason: `Hilo "${name}" no encontrado.` };
+    if (threadName === state.active) return { ok: false, reason: 'No puedes borrar el hilo activo. Cambia antes con /hilo usar <otro>' };
+
+    delete state.threads[threadName];
+    this.save();
+    return { ok: true };
+  }
+
+  /**
+   * Threads of a user, most recently used first.
+   */
+  static listThreads(userId) {
+    const state = userState(userId);
+    return Object.values(state.threads)
+      .map(t => describe(t, t.name === state.active))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Full copy of the active thread (all stored messages, summary included) for /exportar.
+   */
+  static exportThread(userId) {
+    const thread = activeThread(userId);
+    return {
+      ...thread,
+      summary: thread.summary || null,
+      summarized: thread.summarized || 0,
+      messages: thread.messages.map(m => ({ ...m })),
     };
   }
+
+  /**
+   * Restore an exported thread as a new active thread. Name clashes get a numeric suffix.
+   * @param {{ name?: string, provider?: string, workDir?: string, summary?: string, summarized?: number, messages: object[] }} data
+   * @param {string} [name] - Preferred thread name (default: the exported one)
+   * @returns {{ ok: true, thread: object } | { ok: false, reason: string }}
+   */
+  static importThread(userId, data, name) {
+    const base = normalizeThreadName(name || data.name || 'importado');
+    if (!base) return { ok: false, reason: 'Nombre no válido: usa letras, números, ".", "-" o "_" (máx. 40).' };
+
+    const state = userState(userId);
+    if (Object.keys(state.threads).length >= MAX_THREADS) {
+      return { ok: false, reason: `Máximo ${MAX_THREADS} hilos. Borra alguno con /hilo borrar <nombre>` };
+    }
+    let threadName = base;
+    for (let i = 2; state.threads[threadName]; i++) {
+      threadName = `${base.substring(0, 36)}-${i}`;
+    }
+
+    const thread = newThread(threadName, { provider: data.provider || null, workDir: data.workDir || null });
+    const dropped = Math.max(data.messages.length - MAX_STORED_MESSAGES, 0);
+    thread.messages = data.messages.slice(dropped).map(m => ({ ...m }));
+    if (data.summary) {
+      thread.summary = data.summary;
+      thread.summarized = Math.max((data.summarized || 0) - dropped, 0);
+    }
+    state.threads[threadName] = thread;
+    state.active = threadName;
+    this.save();
+    return { ok: true, thread: describe(thread, true) };
+  }
+
+  /**
+   * Search the user's messages in every thread. All terms must appear in a message.
+   * @param {number} userId
+   * @param {string} query - Words and/or "quoted phrases"
+   * @param {{ limit?: number }} [options]
+   * @returns {{ total: number, results: Array<{ thread: string, role: string, timestamp: number, snippet: string }> }}
+   */
+  static search(userId, query, { limit = 10 } = {}) {
+    const terms = parseSearchQuery(query);
+    const state = users.get(userId);
+    if (!state || terms.length === 0) return { total: 0, results: [] };
+
+    const matches = [];
+    for (const thread of Object.values(state.threads)) {
+      for (const m of thread.messages) {
+        const snippet = matchText(m.content, terms);
+        if (snippet) matches.push({ thread: thread.name, role: m.role, timestamp: m.timestamp, snippet });
+      }
+    }
+    matches.sort((a, b) => b.timestamp - a.timestamp);
+    return { total: matches.length, results: matches.slice(0, limit) };
+  }
+
+  static getActiveThread(userId) {
+    return describe(activeThread(userId), true);
+  }
+
+  /**
+   * Remember the provider and/or work directory of the active thread.
+   * @param {{ provider?: string, workDir?: string }} context
+   */
+  static setThreadContext(userId, { provider, workDir } = {}) {
+    const thread = activeThread(userId);
+    if (provider !== undefined) thread.provider = provider;
+    if (workDir !== undefined) thread.workDir = workDir;
+    this.save();
+  }
 }
+
+// Load on import
+ConversationMemory.load();
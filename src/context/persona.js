@@ -4,8 +4,8 @@
  * using natural language via /modo command.
  * Persists to data/personas.json.
  */
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
 import { resolve } from 'node:path';
+import { readEncryptedJson, writeEncryptedJson } from '../crypto/store.js';
 import { log } from '../utils/logger.js';
 import { config } from '../utils/config.js';
 
@@ -17,8 +17,9 @@ const DEFAULT_PERSONA = process.env.SYSTEM_PROMPT || '';
 
 function load() {
   try {
-    if (existsSync(PERSONAS_FILE)) {
-      personas = JSON.parse(readFileSync(PERSONAS_FILE, 'utf-8'));
+    const data = readEncryptedJson(PERSONAS_FILE);
+    if (data) {
+      personas = data;
       log.info(`[persona] Loaded ${Object.keys(personas).length} custom personas`);
     }
   } catch (err) {
@@ -28,9 +29,7 @@ function load() {
 
 function save() {
   try {
-    const dir = resolve(config.paths?.data || 'data');
-    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
-    writeFileSync(PERSONAS_FILE, JSON.stringify(personas, null, 2));
+    writeEncryptedJson(PERSONAS_FILE, personas);
   } catch (err) {
     log.error(`[persona] Save failed: ${err.message}`);
   }
@@ -0,0 +1,61 @@
+/**
+ * Full-text matching for /buscar: case- and accent-insensitive terms,
+ * "quoted phrases", and snippets around the first hit.
+ */
+
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Lowercase, accent-free copy of text plus, for each folded char, its index in the original.
+ */
+function fold(text) {
+  let folded = '';
+  const origin = [];
+  let i = 0;
+  for (const char of text) {
+    const f = char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    folded += f;
+    for (let k = 0; k < f.length; k++) origin.push(i);
+    i += char.length;
+  }
+  origin.push(text.length);
+  return { folded, origin };
+}
+
+/**
+ * Split a query into folded terms. "Quoted text" is one term.
+ * @returns {string[]}
+ */
+export function parseSearchQuery(query) {
+  const terms = [];
+  for (const [, phrase, word] of (query || '').matchAll(/"([^"]+)"|(\S+)/g)) {
+    const term = fold((phrase ?? word).trim()).folded;
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+/**
+ * Match all terms against a text.
+ * @param {string} text
+ * @param {string[]} terms - From parseSearchQuery
+ * @returns {string|null} Snippet around the first matched term, or null if some term is missing
+ */
+export function matchText(text, terms) {
+  if (terms.length === 0) return null;
+  const { folded, origin } = fold(text);
+  let first = Infinity;
+  let firstLength = 0;
+  for (const term of terms) {
+    const at = folded.indexOf(term);
+    if (at === -1) return null;
+    if (at < first) { first = at; firstLength = term.length; }
+  }
+
+  const start = origin[first];
+  const end = origin[first + firstLength];
+  const from = Math.max(start - SNIPPET_RADIUS, 0);
+  const to = Math.min(end + SNIPPET_RADIUS, text.length);
+  const snippet = text.substring(from, to).replace(/\s+/g, ' ').trim();
+  return (from > 0 ? '…' : '') + snippet + (to < text.length ? '…' : '');
+}
@@ -0,0 +1,103 @@
+/**
+ * Token-aware context window: history budgets per model and the rolling summary
+ * that replaces turns falling out of the window.
+ * Tokens are estimated (~4 chars per token); no tokenizer dependency.
+ */
+import { log } from '../utils/logger.js';
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const MAX_SUMMARY_CHARS = 4000;
+const MAX_SUMMARIZED_MESSAGE_CHARS = 3000;
+
+export const DEFAULT_CONTEXT_TOKENS = 8000;
+
+// History tokens sent per request, matched by the longest model-name prefix,
+// then by provider name. Far below each model's window: history is billed every turn.
+// Groq's free tier has low tokens-per-minute limits, so its models get less.
+export const DEFAULT_CONTEXT_BUDGETS = {
+  'gpt-4o': 16000,
+  'gpt-4.1': 16000,
+  'claude': 16000,
+  'gemini': 24000,
+  'llama': 4000,
+  'mixtral': 4000,
+  'groq': 4000,
+};
+
+const budgets = loadBudgets();
+
+/**
+ * Default budgets merged with CONTEXT_BUDGETS, a JSON object like {"gpt-4o": 32000}.
+ */
+function loadBudgets() {
+  const table = { ...DEFAULT_CONTEXT_BUDGETS };
+  if (!process.env.CONTEXT_BUDGETS) return table;
+  try {
+    for (const [key, tokens] of Object.entries(JSON.parse(process.env.CONTEXT_BUDGETS))) {
+      if (Number(tokens) > 0) table[key.toLowerCase()] = Math.floor(Number(tokens));
+    }
+  } catch (err) {
+    log.warn(`[context] Invalid CONTEXT_BUDGETS, using defaults: ${err.message}`);
+  }
+  return table;
+}
+
+/**
+ * Estimated tokens of one history message.
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Longest characters that fit in a token budget.
+ */
+export function charsForTokens(tokens) {
+  return Math.max((tokens - MESSAGE_OVERHEAD_TOKENS) * CHARS_PER_TOKEN, 0);
+}
+
+/**
+ * History token budget for a provider, from its configured model or its name.
+ * @param {{ name?: string, config?: { model?: string } }} [provider]
+ */
+export function contextBudget(provider) {
+  for (const key of [provider?.config?.model, provider?.name]) {
+    const name = (key || '').toLowerCase();
+    if (!name) continue;
+    let best = null;
+    for (const prefix of Object.keys(budgets)) {
+      if (name.startsWith(prefix) && (!best || prefix.length > best.length)) best = prefix;
+    }
+    if (best) return budgets[best];
+  }
+  return DEFAULT_CONTEXT_TOKENS;
+}
+
+/**
+ * Fold older turns into the rolling summary with a (cheap) provider.
+ * @param {object} provider - Provider with execute()
+ * @param {string|null} previous - Current summary
+ * @param {Array<{ role: string, content: string }>} messages - Turns leaving the window
+ * @param {number} [userId] - For usage accounting
+ * @returns {Promise<string|null>} New summary, or null if the provider failed
+ */
+export async function summarizeHistory(provider, previous, messages, userId) {
+  const transcript = messages
+    .map(m => `${m.role === 'assistant' ? 'Asistente' : 'Usuario'}: ${m.content.substring(0, MAX_SUMMARIZED_MESSAGE_CHARS)}`)
+    .join('\n\n');
+
+  const prompt =
+    (previous ? `Resumen hasta ahora:\n${previous}\n\n` : '') +
+    `Nuevos mensajes:\n${transcript}\n\n` +
+    'Escribe un resumen actualizado de toda la conversación en español, en menos de 250 palabras. ' +
+    'Conserva decisiones, datos concretos (nombres, rutas, cifras, código relevante) y tareas pendientes. ' +
+    'Responde solo con el resumen.';
+
+  const result = await provider.execute(prompt, {
+    systemPrompt: 'Eres un compresor de contexto. Resumes conversaciones sin perder hechos importantes.',
+    userId,
+  });
+  if (!result.ok || !result.output?.trim()) return null;
+  return result.output.trim().substring(0, MAX_SUMMARY_CHARS);
+}
@@ -86,4 +86,24 @@ export class Cipher {
   hash(data) {
     return createHmac('sha256', this.#hmacKey).update(data).digest('hex');
   }
+
+  /**
+   * Salted PBKDF2 hash of a secret (PINs) for storage.
+   * @returns {{ salt: string, hash: string, iterations: number }} Hex-encoded
+   */
+  static hashSecret(secret, iterations = PBKDF2_ITERATIONS) {
+    const salt = randomBytes(SALT_LENGTH);
+    const hash = pbkdf2Sync(String(secret), salt, iterations, KEY_LENGTH, PBKDF2_DIGEST);
+    return { salt: salt.toString('hex'), hash: hash.toString('hex'), iterations };
+  }
+
+  /**
+   * Constant-time check of a secret against a hashSecret() record.
+   */
+  static verifySecret(secret, record) {
+    if (!record?.salt || !record?.hash || !record?.iterations) return false;
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = pbkdf2Sync(String(secret), Buffer.from(record.salt, 'hex'), record.iterations, expected.length, PBKDF2_DIGEST);
+    return timingSafeEqual(actual, expected);
+  }
 }
@@ -0,0 +1,84 @@
+/**
+ * Encrypted JSON files at rest.
+ * Used for every persisted state file in data/ (sessions, schedules, personas,
+ * SSH and MCP servers). Files are a single base64 Cipher payload; legacy
+ * plaintext JSON files are read as-is and rewritten encrypted.
+ * A file that fails to decrypt is never overwritten afterwards: a MASTER_PASSWORD
+ * typo or one corrupted byte must not turn into permanent data loss.
+ */
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { Cipher } from './cipher.js';
+import { config } from '../utils/config.js';
+import { log } from '../utils/logger.js';
+
+let cipher = null;
+
+// Files that could not be read: file -> error message. Writes to them are refused.
+const unreadable = new Map();
+
+// Key derivation is expensive — derive once, on first use
+function getCipher() {
+  if (!cipher) cipher = new Cipher(config.crypto.masterPassword);
+  return cipher;
+}
+
+function isPlaintextJson(raw) {
+  return raw.startsWith('{') || raw.startsWith('[');
+}
+
+/**
+ * Read an encrypted JSON file.
+ * Plaintext JSON from older versions is migrated to encrypted on the fly.
+ * @param {string} file - Absolute path
+ * @returns {*} Parsed data, or null if the file does not exist
+ * @throws If the file cannot be decrypted (wrong MASTER_PASSWORD or tampering)
+ */
+export function readEncryptedJson(file) {
+  if (!existsSync(file)) return null;
+  const raw = readFileSync(file, 'utf-8').trim();
+  if (!raw) return null;
+
+  let data;
+  try {
+    data = JSON.parse(isPlaintextJson(raw) ? raw : getCipher().decrypt(raw));
+  } catch (err) {
+    unreadable.set(file, err.message);
+    log.error(`[store] Cannot read ${file}: ${err.message}. Writes to it are blocked; check MASTER_PASSWORD or restore a backup, then restart.`);
+    throw err;
+  }
+
+  if (isPlaintextJson(raw)) {
+    writeEncryptedJson(file, data);
+    log.info(`[store] Migrated ${file} to encrypted storage`);
+  }
+  return data;
+}
+
+/**
+ * Encrypt and write JSON data. The write is atomic (temp file + rename)
+ * so a crash never leaves a half-written file behind.
+ * @param {string} file - Absolute path
+ * @param {*} data - JSON-serializable data
+ * @throws If the file could not be read earlier (it is kept untouched)
+ */
+export function writeEncryptedJson(file, data) {
+  if (unreadable.has(file)) {
+    throw new Error(`Refusing to overwrite ${file}: it could not be read (${unreadable.get(file)})`);
+  }
+  const dir = dirname(file);
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+
+  const encrypted = getCipher().encrypt(JSON.stringify(data));
+  const tmp = `${file}.tmp`;
+  writeFileSync(tmp, encrypted + '\n', { mode: 0o600 });
+  renameSync(tmp, file);
+}
+
+/**
+ * Files that failed to load since startup, to alert admins.
+ * @returns {Array<{ file: string, error: string }>}
+ */
+export function unreadableFiles() {
+  return [...unreadable].map(([file, error]) => ({ file, error }));
+}
@@ -1,10 +1,13 @@
 import { config } from './utils/config.js';
 import { log } from './utils/logger.js';
 import { initAudit, closeAudit } from './security/audit.js';
+import { unreadableFiles } from './crypto/store.js';
+import { basename } from 'node:path';
 import { createBot } from './bot.js';
 import { Scheduler } from './scheduler/scheduler.js';
 import { MCPManager } from './mcp/client.js';
 import { SharedMemory } from './context/shared-memory.js';
+import { ConversationMemory } from './context/memory.js';
 
 async function main() {
   log.info('LLM Remote v2.4 iniciando...');
@@ -27,6 +30,7 @@ async function main() {
     Scheduler.stop();
     MCPManager.stopAll();
     bot.stop();
+    ConversationMemory.flush();
     closeAudit();
     process.exit(0);
   };
@@ -47,6 +51,23 @@ async function main() {
         log.info(`[shared] Auto-chat loop running (check every 30s)`);
       }
 
+      // State files that could not be decrypted: their data is kept on disk but not loaded
+      const unreadable = unreadableFiles();
+      if (unreadable.length) {
+        const list = unreadable.map(f => `  • ${basename(f.file)}: ${f.error}`).join('\n');
+        log.error(`[store] ${unreadable.length} state file(s) could not be read; saves to them are blocked`);
+        for (const adminId of config.auth.adminUsers) {
+          try {
+            await bot.api.sendMessage(adminId,
+              `🚨 No se pudieron descifrar ${unreadable.length} fichero(s) de estado:\n${list}\n\n` +
+              'No se sobrescribirán. Revisa MASTER_PASSWORD o restaura una copia y reinicia.'
+            );
+          } catch (err) {
+            log.debug(`[notify] Could not alert admin ${adminId}: ${err.message}`);
+          }
+        }
+      }
+
       // Notify authorized users that the bot has restarted
       for (const userId of config.auth.authorizedUsers) {
         try {
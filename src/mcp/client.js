@@ -1,74 +1,115 @@
 /**
  * MCP (Model Context Protocol) client.
- * Connects to external MCP servers via stdio or SSE.
+ * Connects to external MCP servers via stdio or HTTP/SSE (see http.js).
  * Allows AI providers to use external tools (GitHub, databases, etc.)
  */
 import { spawn } from 'node:child_process';
-import { readFileSync, existsSync } from 'node:fs';
 import { resolve } from 'node:path';
 import { log } from '../utils/logger.js';
 import { config } from '../utils/config.js';
+import { readEncryptedJson, writeEncryptedJson } from '../crypto/store.js';
+import { logAudit } from '../security/audit.js';
+import { Roles } from '../auth/roles.js';
+import { MCPHttpServer, validateServerUrl } from './http.js';
 
 const MCP_CONFIG_FILE = resolve(config.paths.data, 'mcp-servers.json');
+const MCP_POLICIES_FILE = resolve(config.paths.data, 'mcp-policies.json');
 
-class MCPServer {
+// Tool policies, strictest first. Rules are keyed by "server/tool", "server/*" or "*".
+export const TOOL_POLICIES = ['deny', 'confirm', 'auto'];
+const DEFAULT_POLICY = TOOL_POLICIES.includes(process.env.MCP_TOOL_POLICY) ? process.env.MCP_TOOL_POLICY : 'confirm';
+
+const PROTOCOL_VERSION = '2024-11-05';
+const CLIENT_INFO = { name: 'llm-remote', version: '2.5.0' };
+const HANDSHAKE_TIMEOUT_MS = 15000;
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_LIST_PAGES = 20;
+
+// Reconnection backoff after a server drops: 1s, 2s, 4s... up to 5 min
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 5 * 60 * 1000;
+
+export class MCPServer {
   #proc = null;
   #pending = new Map();
   #nextId = 1;
   #buffer = '';
+  #closing = false;
+  #stderrTail = '';
 
   constructor(name, command, args = [], env = {}) {
     this.name = name;
     this.command = command;
     this.args = args;
     this.env = env;
+    this.transport = 'stdio';
     this.tools = [];
     this.connected = false;
+    this.capabilities = {};
+    this.serverInfo = null;
+    this.protocolVersion = null;
+    this.connectedAt = null;
+    this.lastError = null;
+    this.onClose = null; // Called when a live connection drops unexpectedly
   }
 
+  /**
+   * Spawn the process and run the initialize handshake.
+   * Resolves once the server has answered and its tools are listed.
+   */
   async connect() {
-    return new Promise((resolve, reject) => {
-      this.#proc = spawn(this.command, this.args, {
-        env: { ...process.env, ...this.env },
-        stdio: ['pipe', 'pipe', 'pipe'],
-      });
+    this.#closing = false;
+    this.#buffer = '';
+    this.#stderrTail = '';
 
-      this.#proc.stdout.on('data', (data) => this.#handleData(data));
-      this.#proc.stderr.on('data', (data) => {
-        log.debug(`[mcp:${this.name}] stderr: ${data.toString().trim()}`);
-      });
+    const proc = spawn(this.command, this.args, {
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    this.#proc = proc;
+
+    proc.stdout.setEncoding('utf8'); // Multi-byte characters may straddle chunks
+    proc.stdout.on('data', (data) => this.#handleData(data));
+    proc.stderr.on('data', (data) => {
+      const text = data.toString().trim();
+      if (text) this.#stderrTail = text.split('\n').pop().substring(0, 300);
+      log.debug(`[mcp:${this.name}] stderr: ${text}`);
+    });
+    proc.stdin.on('error', () => {}); // EPIPE when the process dies; handled on close
 
-      this.#proc.on('error', (err) => {
+    const failed = new Promise((_, reject) => {
+      proc.on('error', (err) => {
         log.error(`[mcp:${this.name}] Process error: ${err.message}`);
-        this.connected = false;
         reject(err);
       });
+    });
+    failed.catch(() => {}); // Late errors after the handshake surface on close
+    proc.on('close', (code, signal) => this.#handleClose(proc, code, signal));
 
-      this.#proc.on('close', () => {
-        this.connected = false;
-        log.info(`[mcp:${this.name}] Disconnected`);
-      });
-
-      // Initialize
-      this.#send({ jsonrpc: '2.0', id: this.#nextId++, method: 'initialize', params: {
-        protocolVersion: '2024-11-05',
-        capabilities: {},
-        clientInfo: { name: 'llm-remote', version: '1.3.0' },
-      }});
+    try {
+      const result = await Promise.race([
+        this.#request('initialize', {
+          protocolVersion: PROTOCOL_VERSION,
+          capabilities: {},
+          clientInfo: CLIENT_INFO,
+        }, HANDSHAKE_TIMEOUT_MS),
+        failed,
+      ]);
+      this.protocolVersion = result?.protocolVersion || null;
+      this.capabilities = result?.capabilities || {};
+      this.serverInfo = result?.serverInfo || null;
+
+      this.#send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+      this.tools = this.capabilities.tools ? await this.listTools() : [];
+    } catch (err) {
+      this.#closing = true;
+      proc.kill('SIGTERM');
+      throw err;
+    }
 
-      // Wait for init response then list tools
-      setTimeout(async () => {
-        try {
-          await this.#sendInitialized();
-          this.tools = await this.listTools();
-          this.connected = true;
-          log.info(`[mcp:${this.name}] Connected — ${this.tools.length} tools`);
-          resolve();
-        } catch (err) {
-          reject(err);
-        }
-      }, 2000);
-    });
+    this.connected = true;
+    this.connectedAt = Date.now();
+    log.info(`[mcp:${this.name}] Connected — ${this.tools.length} tools`);
   }
 
   async listTools() {
@@ -81,23 +122,35 @@ class MCPServer {
     return result;
   }
 
-  #send(msg) {
-    if (!this.#proc?.stdin?.writable) return;
-    const json = JSON.stringify(msg);
-    this.#proc.stdin.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`);
+  /**
+   * Any other JSON-RPC method (resources, prompts).
+   */
+  request(method, params = {}) {
+    return this.#request(method, params);
+  }
+
+  /**
+   * Persisted form in mcp-servers.json.
+   */
+  toConfig() {
+    return { command: this.command, args: this.args, env: this.env };
   }
 
-  #sendInitialized() {
-    this.#send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+  /**
+   * stdio transport: newline-delimited JSON, one message per line (JSON.stringify never emits raw newlines).
+   */
+  #send(msg) {
+    if (!this.#proc?.stdin?.writable) return;
+    this.#proc.stdin.write(JSON.stringify(msg) + '\n');
   }
 
-  #request(method, params) {
+  #request(method, params, timeoutMs = REQUEST_TIMEOUT_MS) {
     return new Promise((resolve, reject) => {
       const id = this.#nextId++;
       const timeout = setTimeout(() => {
         this.#pending.delete(id);
         reject(new Error(`MCP timeout: ${method}`));
-      }, 30000);
+      }, timeoutMs);
 
       this.#pending.set(id, { resolve, reject, timeout });
       this.#send({ jsonrpc: '2.0', id, method, params });
@@ -105,29 +158,17 @@ class MCPServer {
   }
 
   #handleData(data) {
-    this.#buffer += data.toString();
-
-    // Parse JSON-RPC messages
-    while (true) {
-      const headerEnd = this.#buffer.indexOf('\r\n\r\n');
-      if (headerEnd === -1) break;
-
-      const header = this.#buffer.substring(0, headerEnd);
-      const match = header.match(/Content-Length:\s*(\d+)/i);
-      if (!match) {
-        this.#buffer = this.#buffer.substring(headerEnd + 4);
-        continue;
-      }
-
-      const length = parseInt(match[1], 10);
-      const bodyStart = headerEnd + 4;
-      if (this.#buffer.length < bodyStart + length) break;
+    this.#buffer += data;
 
-      const body = this.#buffer.substring(bodyStart, bodyStart + length);
-      this.#buffer = this.#buffer.substring(bodyStart + length);
+    // One JSON-RPC message per line; the last piece may still be incomplete
+    let newline;
+    while ((newline = this.#buffer.indexOf('\n')) !== -1) {
+      const line = this.#buffer.substring(0, newline).trim();
+      this.#buffer = this.#buffer.substring(newline + 1);
+      if (!line) continue;
 
       try {
-        const msg = JSON.parse(body);
+        const msg = JSON.parse(line);
         if (msg.id && this.#pending.has(msg.id)) {
           const { resolve, reject, timeout } = this.#pending.get(msg.id);
           clearTimeout(timeout);
@@ -139,10 +180,34 @@ class MCPServer {
     }
   }
 
+  #handleClose(proc, code, signal) {
+    if (proc !== this.#proc) return; // An earlier process of a reconnected server
+    this.#proc = null;
+
+    const wasConnected = this.connected;
+    this.connected = false;
+
+    const reason = signal ? `señal ${signal}` : `código ${code}`;
+    const err = new Error(`Proceso MCP terminado (${reason})${this.#stderrTail ? `: ${this.#stderrTail}` : ''}`);
+    for (const { reject, timeout } of this.#pending.values()) {
+      clearTimeout(timeout);
+      reject(err);
+    }
+    this.#pending.clear();
+
+    if (this.#closing) {
+      log.info(`[mcp:${this.name}] Disconnected`);
+      return;
+    }
+    this.lastError = { message: err.message, at: Date.now() };
+    log.warn(`[mcp:${this.name}] ${err.message}`);
+    if (wasConnected) this.onClose?.(err);
+  }
+
   disconnect() {
+    this.#closing = true;
     if (this.#proc) {
       this.#proc.kill('SIGTERM');
-      this.#proc = null;
     }
     this.connected = false;
   }
@@ -150,20 +215,106 @@ class MCPServer {
 
 // Global MCP manager
 const servers = new Map();
+const reconnects = new Map(); // name -> { timer, attempts, at }
+let policies = { global: {}, users: {} };
+
+/**
+ * Add a server to the manager and reconnect it with backoff whenever it drops.
+ */
+function track(name, server) {
+  server.restarts ??= 0;
+  server.onClose = () => scheduleReconnect(name, server);
+  servers.set(name, server);
+}
+
+function scheduleReconnect(name, server) {
+  if (servers.get(name) !== server || reconnects.get(name)?.timer) return;
+
+  const attempts = reconnects.get(name)?.attempts || 0;
+  const delay = Math.min(RECONNECT_BASE_MS * 2 ** attempts, RECONNECT_MAX_MS);
+  const timer = setTimeout(async () => {
+    reconnects.set(name, { timer: null, attempts: attempts + 1, at: null });
+    if (servers.get(name) !== server) return; // Removed or replaced meanwhile
+    try {
+      await server.connect();
+      if (servers.get(name) !== server) { server.disconnect(); return; }
+      server.restarts++;
+      reconnects.delete(name);
+      log.info(`[mcp:${name}] Reconnected (restart #${server.restarts})`);
+    } catch (err) {
+      server.lastError = { message: err.message, at: Date.now() };
+      log.warn(`[mcp:${name}] Reconnect failed: ${err.message}`);
+      scheduleReconnect(name, server);
+    }
+  }, delay);
+  timer.unref?.();
+
+  reconnects.set(name, { timer, attempts, at: Date.now() + delay });
+  log.info(`[mcp:${name}] Reconnecting in ${Math.round(delay / 1000)}s`);
+}
+
+/**
+ * Disconnect and forget a server, cancelling any pending reconnection.
+ */
+function drop(name) {
+  clearTimeout(reconnects.get(name)?.timer);
+  reconnects.delete(name);
+  const server = servers.get(name);
+  if (!server) return false;
+  server.disconnect();
+  servers.delete(name);
+  return true;
+}
+
+/**
+ * Connected server that advertises a capability, or throw.
+ */
+function requireCapability(serverName, capability, label) {
+  const server = servers.get(serverName);
+  if (!server?.connected) throw new Error(`Servidor MCP '${serverName}' no conectado`);
+  if (!server.capabilities?.[capability]) throw new Error(`El servidor MCP '${serverName}' no ofrece ${label}`);
+  return server;
+}
+
+/**
+ * Follow nextCursor through a paginated list method.
+ */
+async function listAll(server, method, key) {
+  const items = [];
+  let cursor;
+  for (let page = 0; page < MAX_LIST_PAGES; page++) {
+    const result = await server.request(method, cursor ? { cursor } : {});
+    items.push(...(result?.[key] || []));
+    cursor = result?.nextCursor;
+    if (!cursor) break;
+  }
+  return items;
+}
+
+/**
+ * Most specific rule for a tool in a rule set: exact, then server wildcard, then global wildcard.
+ */
+function matchRule(rules, serverName, toolName) {
+  return rules?.[`${serverName}/${toolName}`] || rules?.[`${serverName}/*`] || rules?.['*'] || null;
+}
 
 export class MCPManager {
   static async loadConfig() {
-    if (!existsSync(MCP_CONFIG_FILE)) return;
-
     try {
-      const data = JSON.parse(readFileSync(MCP_CONFIG_FILE, 'utf-8'));
+      const data = readEncryptedJson(MCP_CONFIG_FILE);
+      if (!data) return;
       for (const [name, cfg] of Object.entries(data.servers || {})) {
+        const server = cfg.url
+          ? new MCPHttpServer(name, cfg.url, cfg.headers || {})
+          : new MCPServer(name, cfg.command, cfg.args || [], cfg.env || {});
+        track(name, server);
         try {
-          const server = new MCPServer(name, cfg.command, cfg.args || [], cfg.env || {});
           await server.connect();
-          servers.set(name, server);
         } catch (err) {
+          // Keep it configured and keep trying: the server may just not be up yet
+          server.lastError = { message: err.message, at: Date.now() };
           log.warn(`[mcp] Failed to connect to ${name}: ${err.message}`);
+          scheduleReconnect(name, server);
         }
       }
     } catch (err) {
@@ -184,22 +335,36 @@ export class MCPManager {
       );
     }
 
-    if (servers.has(name)) {
-      servers.get(name).disconnect();
-    }
+    drop(name);
 
     const server = new MCPServer(name, command, args, env);
     await server.connect();
-    servers.set(name, server);
+    track(name, server);
+    this.saveConfig();
+    return server;
+  }
+
+  /**
+   * Connect to a remote MCP server over HTTP (Streamable HTTP or legacy SSE).
+   * @param {string} name
+   * @param {string} url
+   * @param {object} [headers] - Extra request headers, e.g. Authorization
+   */
+  static async addUrlServer(name, url, headers = {}) {
+    const check = validateServerUrl(url);
+    if (!check.ok) throw new Error(check.reason);
+
+    drop(name);
+
+    const server = new MCPHttpServer(name, check.url, headers);
+    await server.connect();
+    track(name, server);
     this.saveConfig();
     return server;
   }
 
   static removeServer(name) {
-    const server = servers.get(name);
-    if (!server) return false;
-    server.disconnect();
-    servers.delete(name);
+    if (!drop(name)) return false;
     this.saveConfig();
     return true;
   }
@@ -207,6 +372,7 @@ export class MCPManager {
   static listServers() {
     return [...servers.entries()].map(([name, server]) => ({
       name,
+      transport: server.transport,
       connected: server.connected,
       tools: server.tools.map(t => t.name),
     }));
@@ -223,10 +389,187 @@ export class MCPManager {
     return tools;
   }
 
-  static async callTool(serverName, toolName, args = {}) {
+  /**
+   * Call a tool. When `userId` is given the call goes through the tool policy first.
+   * @param {object} [options]
+   * @param {number} [options.userId] - User on whose behalf the call is made
+   * @param {(server: string, tool: string, args: object) => Promise<boolean>} [options.confirm] - Asks the user for approval
+   */
+  static async callTool(serverName, toolName, args = {}, { userId, confirm } = {}) {
+    if (userId !== undefined) await this.authorize(userId, serverName, toolName, args, confirm);
     const server = servers.get(serverName);
     if (!server?.connected) throw new Error(`Servidor MCP '${serverName}' no conectado`);
-    return server.callTool(toolName, args);
+    try {
+      return await server.callTool(toolName, args);
+    } catch (err) {
+      server.lastError = { message: `${toolName}: ${err.message}`, at: Date.now() };
+      throw err;
+    }
+  }
+
+  /**
+   * Health of every server for /mcp status.
+   * @returns {Array<{ name: string, transport: string, connected: boolean, uptimeMs: number|null,
+   *   restarts: number, lastError: { message: string, at: number }|null, capabilities: string[],
+   *   serverInfo: object|null, protocolVersion: string|null, tools: number,
+   *   reconnect: { attempt: number, inMs: number }|null }>}
+   */
+  static getStatus(now = Date.now()) {
+    return [...servers.entries()].map(([name, server]) => {
+      const retry = reconnects.get(name);
+      return {
+        name,
+        transport: server.transport,
+        connected: server.connected,
+        uptimeMs: server.connected && server.connectedAt ? now - server.connectedAt : null,
+        restarts: server.restarts || 0,
+        lastError: server.lastError,
+        capabilities: Object.keys(server.capabilities || {}),
+        serverInfo: server.serverInfo,
+        protocolVersion: server.protocolVersion,
+        tools: server.tools.length,
+        reconnect: retry?.at ? { attempt: retry.attempts + 1, inMs: Math.max(retry.at - now, 0) } : null,
+      };
+    });
+  }
+
+  /**
+   * Resources a server exposes (all pages).
+   * @returns {Promise<Array<{ uri: string, name?: string, description?: string, mimeType?: string }>>}
+   */
+  static async listResources(serverName) {
+    const server = requireCapability(serverName, 'resources', 'recursos');
+    return listAll(server, 'resources/list', 'resources');
+  }
+
+  /**
+   * Read a resource. When `userId` is given the read goes through the role and policy
+   * checks as "<server>/resources:<uri>", so "server/*" rules cover it.
+   * @param {{ userId?: number, confirm?: Function }} [options] - As in callTool()
+   * @returns {Promise<{ contents: Array<{ uri: string, mimeType?: string, text?: string, blob?: string }> }>}
+   */
+  static async readResource(serverName, uri, { userId, confirm } = {}) {
+    if (userId !== undefined) await this.authorize(userId, serverName, `resources:${uri}`, { uri }, confirm);
+    const server = requireCapability(serverName, 'resources', 'recursos');
+    return server.request('resources/read', { uri });
+  }
+
+  /**
+   * Prompt templates a server exposes (all pages).
+   * @returns {Promise<Array<{ name: string, description?: string, arguments?: object[] }>>}
+   */
+  static async listPrompts(serverName) {
+    const server = requireCapability(serverName, 'prompts', 'prompts');
+    return listAll(server, 'prompts/list', 'prompts');
+  }
+
+  /**
+   * Render a prompt template with its arguments. When `userId` is given it goes through
+   * the role and policy checks as "<server>/prompts:<name>".
+   * @param {{ userId?: number, confirm?: Function }} [options] - As in callTool()
+   * @returns {Promise<{ description?: string, messages: Array<{ role: string, content: object }> }>}
+   */
+  static async getPrompt(serverName, name, args = {}, { userId, confirm } = {}) {
+    if (userId !== undefined) await this.authorize(userId, serverName, `prompts:${name}`, args, confirm);
+    const server = requireCapability(serverName, 'prompts', 'prompts');
+    return server.request('prompts/get', { name, arguments: args });
+  }
+
+  /**
+   * Effective policy of a tool for a user. User and global rules combine
+   * and the strictest wins, so users can tighten but never relax admin rules.
+   */
+  static getPolicy(userId, serverName, toolName) {
+    const rules = [
+      matchRule(policies.users[userId], serverName, toolName),
+      matchRule(policies.global, serverName, toolName),
+    ].filter(Boolean);
+    if (rules.length === 0) return DEFAULT_POLICY;
+    return TOOL_POLICIES.find(p => rules.includes(p));
+  }
+
+  /**
+   * Set a rule for a user, or globally when userId is null. A null policy removes the rule.
+   * @param {number|null} userId
+   * @param {string} pattern - "server/tool", "server/*" or "*"
+   * @param {'auto'|'confirm'|'deny'|null} policy
+   */
+  static setPolicy(userId, pattern, policy) {
+    if (!/^(\*|[^/\s]+\/(\*|[^/\s]+))$/.test(pattern)) {
+      return { ok: false, reason: 'Patrón no válido. Usa servidor/herramienta, servidor/* o *' };
+    }
+    if (policy !== null && !TOOL_POLICIES.includes(policy)) {
+      return { ok: false, reason: `Política no válida. Usa: ${TOOL_POLICIES.join(', ')}` };
+    }
+
+    const rules = userId === null ? policies.global : (policies.users[userId] ||= {});
+    if (policy === null) delete rules[pattern];
+    else rules[pattern] = policy;
+    if (userId !== null && Object.keys(rules).length === 0) delete policies.users[userId];
+
+    this.savePolicies();
+    return { ok: true };
+  }
+
+  /**
+   * Rules that apply to a user: their own and the global ones.
+   */
+  static listPolicies(userId) {
+    return {
+      default: DEFAULT_POLICY,
+      global: { ...policies.global },
+      user: { ...(policies.users[userId] || {}) },
+    };
+  }
+
+  /**
+   * Enforce the user's role and the tool policy, asking for confirmation when required.
+   * Every decision is recorded in the audit log.
+   * @throws If the call is denied or not approved
+   */
+  static async authorize(userId, serverName, toolName, args, confirm) {
+    if (!Roles.can(userId, 'mcp', `${serverName}/${toolName}`)) {
+      logAudit(userId, 'mcp_tool_denied', { server: serverName, tool: toolName, role: Roles.roleOf(userId) });
+      throw new Error(`Tu rol no permite la herramienta ${serverName}/${toolName}`);
+    }
+
+    const policy = this.getPolicy(userId, serverName, toolName);
+    const entry = { server: serverName, tool: toolName, policy };
+
+    if (policy === 'deny') {
+      logAudit(userId, 'mcp_tool_denied', entry);
+      throw new Error(`Herramienta ${serverName}/${toolName} denegada por política`);
+    }
+
+    if (policy === 'confirm') {
+      const approved = confirm ? await confirm(serverName, toolName, args) : false;
+      logAudit(userId, approved ? 'mcp_tool_approved' : 'mcp_tool_rejected', entry);
+      if (!approved) {
+        throw new Error(confirm
+          ? `Llamada a ${serverName}/${toolName} rechazada por el usuario`
+          : `Llamada a ${serverName}/${toolName} requiere confirmación`);
+      }
+      return;
+    }
+
+    logAudit(userId, 'mcp_tool_allowed', entry);
+  }
+
+  static loadPolicies() {
+    try {
+      const data = readEncryptedJson(MCP_POLICIES_FILE);
+      if (data) policies = { global: data.global || {}, users: data.users || {} };
+    } catch (err) {
+      log.warn(`[mcp] Policies load failed: ${err.message}`);
+    }
+  }
+
+  static savePolicies() {
+    try {
+      writeEncryptedJson(MCP_POLICIES_FILE, policies);
+    } catch (err) {
+      log.error(`[mcp] Save policies failed: ${err.message}`);
+    }
   }
 
   static getToolsDescription() {
@@ -240,22 +583,22 @@ export class MCPManager {
     try {
       const data = { servers: {} };
       for (const [name, server] of servers) {
-        data.servers[name] = {
-          command: server.command,
-          args: server.args,
-          env: server.env,
-        };
+        data.servers[name] = server.toConfig();
       }
-      if (!existsSync(config.paths.data)) mkdirSync(config.paths.data, { recursive: true });
-      writeFileSync(MCP_CONFIG_FILE, JSON.stringify(data, null, 2));
+      writeEncryptedJson(MCP_CONFIG_FILE, data);
     } catch (err) {
       log.error(`[mcp] Save config failed: ${err.message}`);
     }
   }
 
   static stopAll() {
+    for (const { timer } of reconnects.values()) clearTimeout(timer);
+    reconnects.clear();
     for (const server of servers.values()) {
       server.disconnect();
     }
   }
 }
+
+// Load tool policies on import
+MCPManager.loadPolicies();
@@ -0,0 +1,320 @@
+/**
+ * MCP over HTTP for servers running in other containers or hosts.
+ * Speaks Streamable HTTP (POST per request, JSON or SSE response, Mcp-Session-Id)
+ * and falls back to the legacy HTTP+SSE transport (GET event stream + POST endpoint)
+ * when the server rejects the initial POST.
+ */
+import { log } from '../utils/logger.js';
+import { readSSE, readJSONEvents } from '../providers/sse.js';
+
+const REQUEST_TIMEOUT_MS = 30000;
+const STREAMABLE_VERSION = '2025-03-26';
+const LEGACY_VERSION = '2024-11-05';
+const CLIENT_INFO = { name: 'llm-remote', version: '2.5.0' };
+
+/**
+ * Parse extra header lines of `/mcp add-url`, one `Nombre: valor` per line.
+ * @returns {{ ok: true, headers: object } | { ok: false, reason: string }}
+ */
+export function parseHeaderLines(text) {
+  const headers = {};
+  for (const line of (text || '').split('\n').map(l => l.trim()).filter(Boolean)) {
+    const match = line.match(/^([A-Za-z0-9-]+):\s*(.+)$/);
+    if (!match) return { ok: false, reason: `Cabecera no válida: ${line.substring(0, 40)} (usa Nombre: valor)` };
+    headers[match[1]] = match[2];
+  }
+  return { ok: true, headers };
+}
+
+/**
+ * Validate an MCP server URL: http(s) only.
+ */
+export function validateServerUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { ok: false, reason: `URL no válida: ${url}` };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { ok: false, reason: 'Solo se admiten URLs http:// o https://' };
+  }
+  return { ok: true, url: parsed.href };
+}
+
+export class MCPHttpServer {
+  #nextId = 1;
+  #sessionId = null;
+  #protocolVersion = null;
+  #legacy = null; // { endpoint, controller, pending }
+
+  constructor(name, url, headers = {}) {
+    this.name = name;
+    this.url = url;
+    this.headers = headers;
+    this.transport = 'http';
+    this.tools = [];
+    this.connected = false;
+    this.capabilities = {};
+    this.serverInfo = null;
+    this.protocolVersion = null;
+    this.connectedAt = null;
+    this.lastError = null;
+    this.onClose = null; // Called when a live connection drops unexpectedly
+  }
+
+  /**
+   * Run the initialize handshake, falling back to legacy SSE if the POST is rejected.
+   */
+  async connect() {
+    this.#reset();
+    try {
+      await this.#handshake(STREAMABLE_VERSION);
+    } catch (err) {
+      if (![400, 404, 405].includes(err.status)) throw err;
+      log.info(`[mcp:${this.name}] Streamable HTTP rejected (${err.status}), trying legacy SSE`);
+      await this.#openLegacy();
+      await this.#handshake(LEGACY_VERSION);
+    }
+
+    this.connected = true;
+    this.connectedAt = Date.now();
+    log.info(`[mcp:${this.name}] Connected over ${this.#legacy ? 'SSE' : 'HTTP'} — ${this.tools.length} tools`);
+  }
+
+  async listTools() {
+    const result = await this.#request('tools/list', {});
+    return result?.tools || [];
+  }
+
+  async callTool(toolName, args = {}) {
+    return this.#request('tools/call', { name: toolName, arguments: args });
+  }
+
+  /**
+   * Any other JSON-RPC method (resources, prompts).
+   */
+  request(method, params = {}) {
+    return this.#request(method, params);
+  }
+
+  /**
+   * Persisted form in mcp-servers.json.
+   */
+  toConfig() {
+    return { url: this.url, headers: this.headers };
+  }
+
+  disconnect() {
+    if (!this.#legacy && this.#sessionId) {
+      // Best effort: let the server drop the session
+      fetch(this.url, { method: 'DELETE', headers: this.#headers() }).catch(() => {});
+    }
+    this.#reset();
+    this.connected = false;
+  }
+
+  #reset() {
+    if (this.#legacy) {
+      this.#legacy.controller.abort();
+      this.#failPending(new Error('MCP desconectado'));
+      this.#legacy = null;
+    }
+    this.#sessionId = null;
+    this.#protocolVersion = null;
+  }
+
+  async #handshake(protocolVersion) {
+    const result = await this.#request('initialize', { protocolVersion, capabilities: {}, clientInfo: CLIENT_INFO });
+    this.#protocolVersion = result?.protocolVersion || null;
+    this.protocolVersion = this.#protocolVersion;
+    this.capabilities = result?.capabilities || {};
+    this.serverInfo = result?.serverInfo || null;
+
+    await this.#notify('notifications/initialized');
+    this.tools = this.capabilities.tools ? await this.listTools() : [];
+  }
+
+  /**
+   * A live connection was lost: mark it down and let the manager reconnect.
+   */
+  #lost(err) {
+    if (!this.connected) return;
+    this.connected = false;
+    this.lastError = { message: err.message, at: Date.now() };
+    log.warn(`[mcp:${this.name}] ${err.message}`);
+    this.onClose?.(err);
+  }
+
+  #headers(extra = {}) {
+    return {
+      ...this.headers,
+      ...(this.#sessionId && { 'Mcp-Session-Id': this.#sessionId }),
+      ...(this.#protocolVersion && { 'MCP-Protocol-Version': this.#protocolVersion }),
+      ...extra,
+    };
+  }
+
+  async #post(url, message) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: this.#headers({
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+      }),
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (!res.ok) {
+      await res.body?.cancel().catch(() => {});
+      const err = new Error(`MCP HTTP ${res.status} en ${message.method}`);
+      err.status = res.status;
+      throw err;
+    }
+    return res;
+  }
+
+  async #request(method, params, retried = false) {
+    const id = this.#nextId++;
+    const message = { jsonrpc: '2.0', id, method, params };
+    if (this.#legacy) return this.#legacyRequest(message);
+
+    let res;
+    try {
+      res = await this.#post(this.url, message);
+    } catch (err) {
+      // Expired session: the server forgot us, so handshake again and retry once
+      if (err.status === 404 && this.#sessionId && method !== 'initialize' && !retried) {
+        log.info(`[mcp:${this.name}] Session expired, re-initializing`);
+        this.#sessionId = null;
+        this.#protocolVersion = null;
+        await this.#handshake(STREAMABLE_VERSION);
+        return this.#request(method, params, true);
+      }
+      if (err instanceof TypeError) this.#lost(new Error(`MCP HTTP inaccesible: ${err.cause?.code || err.message}`));
+      throw err;
+    }
+    const sessionId = res.headers.get('mcp-session-id');
+    if (sessionId) this.#sessionId = sessionId;
+
+    let reply = null;
+    if ((res.headers.get('content-type') || '').includes('text/event-stream')) {
+      // The stream may carry server notifications before our response
+      for await (const { json } of readJSONEvents(res.body)) {
+        if (json.id === id) { reply = json; break; }
+      }
+    } else {
+      reply = await res.json();
+    }
+
+    return unwrap(reply, method);
+  }
+
+  async #notify(method) {
+    const message = { jsonrpc: '2.0', method };
+    const res = await this.#post(this.#legacy?.endpoint || this.url, message);
+    await res.body?.cancel().catch(() => {});
+  }
+
+  /**
+   * Legacy transport: open the event stream and wait for the `endpoint` event.
+   * Responses arrive on the stream and are matched to pending requests by id.
+   */
+  async #openLegacy() {
+    const controller = new AbortController();
+    const res = await fetch(this.url, {
+      headers: this.#headers({ Accept: 'text/event-stream' }),
+      signal: controller.signal,
+    });
+    if (!res.ok) {
+      controller.abort();
+      throw new Error(`MCP SSE ${res.status}`);
+    }
+
+    const legacy = { endpoint: null, controller, pending: new Map() };
+    this.#legacy = legacy;
+
+    await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        controller.abort();
+        reject(new Error('MCP SSE: el servidor no envió endpoint'));
+      }, REQUEST_TIMEOUT_MS);
+
+      (async () => {
+        for await (const { event, data } of readSSE(res.body)) {
+          if (event === 'endpoint') {
+            legacy.endpoint = new URL(data, this.url).href;
+            clearTimeout(timeout);
+            resolve();
+          } else if (event === 'message') {
+            this.#dispatch(legacy, data);
+          }
+        }
+      })()
+        .catch(() => {})
+        .finally(() => {
+          clearTimeout(timeout);
+          reject(new Error('MCP SSE: stream cerrado'));
+          if (this.#legacy === legacy) {
+            this.#failPending(new Error('MCP SSE: stream cerrado'));
+            this.#lost(new Error('MCP SSE: stream cerrado'));
+          }
+        });
+    });
+  }
+
+  #legacyRequest(message) {
+    const { pending, endpoint } = this.#legacy;
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        pending.delete(message.id);
+        reject(new Error(`MCP timeout: ${message.method}`));
+      }, REQUEST_TIMEOUT_MS);
+
+      pending.set(message.id, { resolve, reject, timeout, method: message.method });
+      this.#post(endpoint, message)
+        .then(res => res.body?.cancel().catch(() => {}))
+        .catch(err => {
+          clearTimeout(timeout);
+          pending.delete(message.id);
+          reject(err);
+        });
+    });
+  }
+
+  #dispatch(legacy, data) {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch {
+      return;
+    }
+    const entry = legacy.pending.get(msg.id);
+    if (!entry) return;
+    clearTimeout(entry.timeout);
+    legacy.pending.delete(msg.id);
+    try {
+      entry.resolve(unwrap(msg, entry.method));
+    } catch (err) {
+      entry.reject(err);
+    }
+  }
+
+  #failPending(err) {
+    if (!this.#legacy) return;
+    for (const { reject, timeout } of this.#legacy.pending.values()) {
+      clearTimeout(timeout);
+      reject(err);
+    }
+    this.#legacy.pending.clear();
+  }
+}
+
+/**
+ * Result of a JSON-RPC response, throwing its error.
+ */
+function unwrap(reply, method) {
+  if (!reply) throw new Error(`MCP sin respuesta: ${method}`);
+  if (reply.error) throw new Error(reply.error.message);
+  return reply.result;
+}
@@ -0,0 +1,106 @@
+/**
+ * MCP resources and prompts as chat content: text rendering, prompt arguments,
+ * and per-user attachments that ride along with the next prompt.
+ */
+
+const MAX_ATTACHMENT_CHARS = 20000;
+const MAX_ATTACHMENTS = 5;
+
+// userId -> [{ server, uri, text }]
+const attachments = new Map();
+
+/**
+ * Text of a resources/read result. Binary contents are summarized, not inlined.
+ */
+export function formatResourceContents(result) {
+  const contents = result?.contents || [];
+  if (contents.length === 0) return '(recurso vacío)';
+  return contents.map(c => {
+    if (typeof c.text === 'string') return c.text;
+    const bytes = c.blob ? Math.floor(c.blob.length * 3 / 4) : 0;
+    return `[binario ${c.mimeType || 'desconocido'}, ~${bytes} bytes: ${c.uri}]`;
+  }).join('\n\n');
+}
+
+/**
+ * A prompts/get result as one message for the AI.
+ * Single user messages pass through; conversations keep their role labels.
+ */
+export function formatPromptMessages(result) {
+  const messages = result?.messages || [];
+  const texts = messages.map(m => ({ role: m.role, text: contentText(m.content) }));
+  if (texts.length === 1 && texts[0].role === 'user') return texts[0].text;
+  return texts.map(m => `${m.role === 'assistant' ? 'Asistente' : 'Usuario'}: ${m.text}`).join('\n\n');
+}
+
+function contentText(content) {
+  if (!content) return '';
+  if (content.type === 'text') return content.text;
+  if (content.type === 'resource') return formatResourceContents({ contents: [content.resource] });
+  return `[${content.type}]`;
+}
+
+/**
+ * Parse `/mcp prompt` arguments: a JSON object or key=value pairs
+ * (values with spaces in double quotes). Prompt arguments are always strings.
+ * @returns {{ ok: true, args: object } | { ok: false, reason: string }}
+ */
+export function parsePromptArgs(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return { ok: true, args: {} };
+
+  if (trimmed.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      return { ok: true, args: Object.fromEntries(Object.entries(parsed).map(([k, v]) => [k, String(v)])) };
+    } catch {
+      return { ok: false, reason: 'JSON de argumentos no válido.' };
+    }
+  }
+
+  const args = {};
+  const rest = trimmed.replace(/([\w-]+)=(?:"([^"]*)"|(\S+))/g, (_, key, quoted, plain) => {
+    args[key] = quoted ?? plain;
+    return '';
+  });
+  if (rest.trim()) return { ok: false, reason: `Argumentos no válidos: ${rest.trim().substring(0, 40)} (usa clave=valor)` };
+  return { ok: true, args };
+}
+
+export class ResourceAttachments {
+  /**
+   * Attach a read resource to the user's next prompt.
+   * Re-reading the same URI replaces it; the oldest attachment is dropped beyond MAX_ATTACHMENTS.
+   */
+  static add(userId, server, uri, text) {
+    const list = (attachments.get(userId) || []).filter(a => !(a.server === server && a.uri === uri));
+    list.push({ server, uri, text: text.substring(0, MAX_ATTACHMENT_CHARS) });
+    attachments.set(userId, list.slice(-MAX_ATTACHMENTS));
+  }
+
+  static list(userId) {
+    return [...(attachments.get(userId) || [])];
+  }
+
+  /**
+   * Remove and return the user's attachments (they apply to one prompt only).
+   */
+  static take(userId) {
+    const list = attachments.get(userId) || [];
+    attachments.delete(userId);
+    return list;
+  }
+
+  static clear(userId) {
+    attachments.delete(userId);
+  }
+
+  /**
+   * Context block appended to the prompt.
+   */
+  static toContext(list) {
+    if (list.length === 0) return '';
+    return '\n\n--- Recursos adjuntos ---\n' +
+      list.map(a => `[${a.server}: ${a.uri}]\n${a.text}`).join('\n\n');
+  }
+}
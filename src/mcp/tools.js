@@ -0,0 +1,151 @@
+/**
+ * Bridge between MCP tools and native function calling in the API providers.
+ * A toolset maps provider-safe function names to MCP server/tool pairs and
+ * converts each tool's inputSchema to the OpenAI, Anthropic and Gemini formats.
+ */
+import { MCPManager } from './client.js';
+
+export const MAX_TOOL_ITERATIONS = 6;
+const MAX_RESULT_CHARS = 20000;
+const MAX_NAME_LENGTH = 64;
+
+// JSON Schema keywords Gemini's OpenAPI subset accepts
+const GEMINI_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items', 'minItems', 'maxItems', 'minimum', 'maximum'];
+
+/**
+ * Text of an MCP tools/call result.
+ */
+export function formatToolResult(result) {
+  return result?.content?.map(c => c.text || JSON.stringify(c)).join('\n') || JSON.stringify(result, null, 2);
+}
+
+/**
+ * Function name accepted by every provider: [a-zA-Z0-9_-], starts with a letter, ≤ 64 chars.
+ */
+function functionName(server, tool, taken) {
+  let base = `${server}__${tool}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+  if (!/^[a-zA-Z]/.test(base)) base = `t_${base}`;
+  base = base.substring(0, MAX_NAME_LENGTH);
+
+  let name = base;
+  for (let i = 2; taken.has(name); i++) {
+    const suffix = `_${i}`;
+    name = base.substring(0, MAX_NAME_LENGTH - suffix.length) + suffix;
+  }
+  return name;
+}
+
+/**
+ * Build a toolset from MCP tools (default: all tools of connected servers).
+ * @param {Array<{ server: string, name: string, description?: string, inputSchema?: object }>} [tools]
+ * @param {object} [options]
+ * @param {(server: string, tool: string, args: object) => void} [options.onCall] - Notified before each call
+ * @param {number} [options.userId] - Applies this user's tool policy to every call
+ * @param {(server: string, tool: string, args: object) => Promise<boolean>} [options.confirm] - Approval prompt for tools that need confirmation
+ */
+export function createToolset(tools = MCPManager.getAllTools(), { onCall, userId, confirm } = {}) {
+  const byName = new Map();
+  for (const tool of tools) {
+    byName.set(functionName(tool.server, tool.name, byName), tool);
+  }
+
+  return {
+    size: byName.size,
+
+    definitions: [...byName].map(([name, tool]) => ({
+      name,
+      description: tool.description || `${tool.server}/${tool.name}`,
+      schema: tool.inputSchema?.type === 'object' ? tool.inputSchema : { type: 'object', properties: {} },
+    })),
+
+    /**
+     * Run a tool call requested by the model.
+     * Errors are returned to the model instead of thrown, so it can recover.
+     * @returns {Promise<{ content: string, isError: boolean }>}
+     */
+    async call(name, args = {}) {
+      const tool = byName.get(name);
+      if (!tool) return { content: `Herramienta desconocida: ${name}`, isError: true };
+
+      onCall?.(tool.server, tool.name, args);
+      try {
+        const result = await MCPManager.callTool(tool.server, tool.name, args, { userId, confirm });
+        return { content: formatToolResult(result).substring(0, MAX_RESULT_CHARS), isError: !!result?.isError };
+      } catch (err) {
+        return { content: `Error: ${err.message}`, isError: true };
+      }
+    },
+  };
+}
+
+/**
+ * OpenAI / Groq `tools` parameter.
+ */
+export function toOpenAITools(toolset) {
+  return toolset.definitions.map(d => ({
+    type: 'function',
+    function: { name: d.name, description: d.description, parameters: d.schema },
+  }));
+}
+
+/**
+ * Anthropic Messages API `tools` parameter.
+ */
+export function toAnthropicTools(toolset) {
+  return toolset.definitions.map(d => ({
+    name: d.name,
+    description: d.description,
+    input_schema: d.schema,
+  }));
+}
+
+/**
+ * Gemini `tools` parameter. Schemas are reduced to the OpenAPI subset Gemini accepts,
+ * and parameterless tools omit `parameters` (empty objects are rejected).
+ */
+export function toGeminiTools(toolset) {
+  return [{
+    functionDeclarations: toolset.definitions.map(d => {
+      const parameters = toGeminiSchema(d.schema);
+      const hasParams = parameters.properties && Object.keys(parameters.properties).length > 0;
+      return { name: d.name, description: d.description, ...(hasParams && { parameters }) };
+    }),
+  }];
+}
+
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return { type: 'string' };
+  const out = {};
+
+  for (const key of GEMINI_SCHEMA_KEYS) {
+    if (schema[key] !== undefined) out[key] = schema[key];
+  }
+
+  // ["string", "null"] → type: string, nullable
+  if (Array.isArray(schema.type)) {
+    out.type = schema.type.find(t => t !== 'null') || 'string';
+    if (schema.type.includes('null')) out.nullable = true;
+  }
+  if (schema.enum) out.enum = schema.enum.map(String);
+  if (schema.properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (schema.items) out.items = toGeminiSchema(schema.items);
+  if (!out.type) out.type = schema.properties ? 'object' : 'string';
+  return out;
+}
+
+/**
+ * Parse tool-call arguments, which OpenAI-compatible APIs send as a JSON string.
+ */
+export function parseToolArguments(args) {
+  if (!args) return {};
+  if (typeof args === 'object') return args;
+  try {
+    return JSON.parse(args);
+  } catch {
+    return {};
+  }
+}
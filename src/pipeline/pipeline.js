@@ -40,7 +40,10 @@ export class Pipeline {
         } else {
           // Send to AI provider with previous context
           const provider = providers.getForUser(userId);
-          const workDir = sessionManager.getWorkDir(userId);
+          if (!provider) {
+            return { ok: false, output: `Error en paso ${stepLabel}: tu rol no permite usar ningún proveedor configurado.` };
+          }
+          const workDir = sessionManager.getWorkDir(userId, chatId);
 
           const prompt = previousOutput
             ? `Contexto del paso anterior:\n\n${previousOutput.substring(0, 3000)}\n\nAhora: ${step}`
@@ -1,5 +1,7 @@
 import { BaseProvider } from './base.js';
 import { log } from '../utils/logger.js';
+import { readJSONEvents } from './sse.js';
+import { runAnthropicTools } from './tool-calling.js';
 
 /**
  * Anthropic Claude API provider (direct API, not CLI).
@@ -16,8 +18,11 @@ export class AnthropicProvider extends BaseProvider {
     return !!this.config.apiKey;
   }
 
+  get supportsTools() { return true; }
+
   async execute(prompt, context = {}) {
-    const { workDir, history = [], systemPrompt: externalPrompt } = context;
+    const { workDir, history = [], systemPrompt: externalPrompt, onChunk, tools } = context;
+    const stream = typeof onChunk === 'function';
 
     const model = this.config.model || 'claude-sonnet-4-20250514';
     const systemPrompt = externalPrompt || `Eres un asistente experto en ingeniería de software. El usuario trabaja en: ${workDir}. Responde de forma concisa en español. Código en inglés.`;
@@ -29,6 +34,41 @@ export class AnthropicProvider extends BaseProvider {
       { role: 'user', content: prompt },
     ];
 
+    const body = {
+      model,
+      max_tokens: 4096,
+      system: systemPrompt,
+      messages,
+    };
+
+    if (tools?.size) {
+      const result = await runAnthropicTools(b => this.#post(b), body, tools);
+      log.info(`[anthropic] ${model} — ${result.tokens ?? '?'} tokens, ${result.toolCalls ?? 0} tool calls`);
+      return { model, ...result };
+    }
+
+    const { res, error } = await this.#post(stream ? { ...body, stream: true } : body);
+    if (error) return error;
+
+    if (stream) return this.#readStream(res.body, model, onChunk);
+
+    const data = await res.json();
+    const output = data.content?.map(c => c.text).join('') || '(respuesta vacía)';
+    const usage = data.usage;
+
+    log.info(`[anthropic] ${model} — ${(usage?.input_tokens || 0) + (usage?.output_tokens || 0)} tokens`);
+
+    return {
+      ok: true,
+      output,
+      model,
+      tokens: (usage?.input_tokens || 0) + (usage?.output_tokens || 0),
+      inputTokens: usage?.input_tokens,
+      outputTokens: usage?.output_tokens,
+    };
+  }
+
+  async #post(body) {
     const res = await fetch('https://api.anthropic.com/v1/messages', {
       method: 'POST',
       headers: {
@@ -36,35 +76,61 @@ export class AnthropicProvider extends BaseProvider {
         'x-api-key': this.config.apiKey,
         'anthropic-version': '2023-06-01',
       },
-      body: JSON.stringify({
-        model,
-        max_tokens: 4096,
-        system: systemPrompt,
-        messages,
-      }),
+      body: JSON.stringify(body),
     });
 
     if (!res.ok) {
       const err = await res.text();
       log.error(`[anthropic] API error: ${res.status} ${err}`);
       return {
-        ok: false,
-        output: `Error API Anthropic (${res.status}): ${err.substring(0, 500)}`,
-        model,
+        error: {
+          ok: false,
+          output: `Error API Anthropic (${res.status}): ${err.substring(0, 500)}`,
+          model: body.model,
+          status: res.status,
+        },
       };
     }
+    return { res };
+  }
 
-    const data = await res.json();
-    const output = data.content?.map(c => c.text).join('') || '(respuesta vacía)';
-    const usage = data.usage;
+  /**
+   * Consume a Messages API event stream.
+   * Usage arrives split: input tokens in message_start, output tokens in message_delta.
+   */
+  async #readStream(body, model, onChunk) {
+    let output = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
 
-    log.info(`[anthropic] ${model} — ${(usage?.input_tokens || 0) + (usage?.output_tokens || 0)} tokens`);
+    for await (const { event, json } of readJSONEvents(body)) {
+      if (event === 'message_start') {
+        inputTokens = json.message?.usage?.input_tokens || 0;
+      } else if (event === 'content_block_delta' && json.delta?.type === 'text_delta') {
+        output += json.delta.text;
+        onChunk(json.delta.text);
+      } else if (event === 'message_delta') {
+        outputTokens = json.usage?.output_tokens || outputTokens;
+      } else if (event === 'error') {
+        log.error(`[anthropic] Stream error: ${json.error?.message}`);
+        return {
+          ok: false,
+          output: `Error API Anthropic (stream): ${json.error?.message || 'desconocido'}`,
+          model,
+          status: json.error?.type === 'overloaded_error' ? 529 : undefined,
+        };
+      }
+    }
+
+    log.info(`[anthropic] ${model} — ${inputTokens + outputTokens} tokens (stream)`);
 
     return {
       ok: true,
-      output,
+      output: output || '(respuesta vacía)',
       model,
-      tokens: (usage?.input_tokens || 0) + (usage?.output_tokens || 0),
+      tokens: inputTokens + outputTokens,
+      inputTokens,
+      outputTokens,
     };
   }
 
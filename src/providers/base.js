@@ -8,7 +8,10 @@ export class BaseProvider {
     this.config = config;
   }
 
-  /** @returns {{ ok: boolean, output: string, stderr?: string, model?: string }} */
+  /**
+   * @returns {{ ok: boolean, output: string, stderr?: string, model?: string, status?: number,
+   *   tokens?: number, inputTokens?: number, outputTokens?: number }}
+   */
   async execute(prompt, context = {}) {
     throw new Error(`Provider ${this.name}: execute() not implemented`);
   }
@@ -20,4 +23,9 @@ export class BaseProvider {
   get isConfigured() {
     return false;
   }
+
+  /** Whether execute() accepts `context.tools` (an MCP toolset) for native function calling. */
+  get supportsTools() {
+    return false;
+  }
 }
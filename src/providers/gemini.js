@@ -1,5 +1,7 @@
 import { BaseProvider } from './base.js';
 import { log } from '../utils/logger.js';
+import { readJSONEvents } from './sse.js';
+import { runGeminiTools } from './tool-calling.js';
 
 /**
  * Google Gemini API provider.
@@ -21,8 +23,11 @@ export class GeminiProvider extends BaseProvider {
     return !!this.config.apiKey;
   }
 
+  get supportsTools() { return true; }
+
   async execute(prompt, context = {}) {
-    const { workDir, history = [], systemPrompt: externalPrompt } = context;
+    const { workDir, history = [], systemPrompt: externalPrompt, onChunk, tools } = context;
+    const stream = typeof onChunk === 'function';
 
     const model = this.config.model || 'gemini-2.5-flash-preview-05-20';
     const systemPrompt = externalPrompt || `Eres un asistente experto en ingeniería de software. El usuario trabaja en: ${workDir}. Responde de forma concisa en español. Código en inglés.`;
@@ -37,42 +42,93 @@ export class GeminiProvider extends BaseProvider {
       { role: 'user', parts: [{ text: prompt }] },
     ];
 
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${this.config.apiKey}`;
+    const body = {
+      system_instruction: { parts: [{ text: systemPrompt }] },
+      contents,
+      generationConfig: {
+        maxOutputTokens: 4096,
+        temperature: 0.3,
+      },
+    };
+
+    if (tools?.size) {
+      const result = await runGeminiTools(b => this.#post(model, b), body, tools);
+      log.info(`[gemini] ${model} — ${result.tokens ?? '?'} tokens, ${result.toolCalls ?? 0} tool calls`);
+      return { model, ...result };
+    }
+
+    const { res, error } = await this.#post(model, body, stream);
+    if (error) return error;
+
+    if (stream) return this.#readStream(res.body, model, onChunk);
+
+    const data = await res.json();
+    const output = data.candidates?.[0]?.content?.parts?.map(p => p.text).join('') || '(respuesta vacía)';
+    const usage = data.usageMetadata;
+
+    log.info(`[gemini] ${model} — ${usage?.totalTokenCount || '?'} tokens`);
+
+    return {
+      ok: true,
+      output,
+      model,
+      tokens: usage?.totalTokenCount,
+      inputTokens: usage?.promptTokenCount,
+      outputTokens: usage?.candidatesTokenCount,
+    };
+  }
+
+  async #post(model, body, stream = false) {
+    const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:${method}key=${this.config.apiKey}`;
 
     const res = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        system_instruction: { parts: [{ text: systemPrompt }] },
-        contents,
-        generationConfig: {
-          maxOutputTokens: 4096,
-          temperature: 0.3,
-        },
-      }),
+      body: JSON.stringify(body),
     });
 
     if (!res.ok) {
       const err = await res.text();
       log.error(`[gemini] API error: ${res.status} ${err}`);
       return {
-        ok: false,
-        output: `Error API Gemini (${res.status}): ${err.substring(0, 500)}`,
-        model,
+        error: {
+          ok: false,
+          output: `Error API Gemini (${res.status}): ${err.substring(0, 500)}`,
+          model,
+          status: res.status,
+        },
       };
     }
+    return { res };
+  }
 
-    const data = await res.json();
-    const output = data.candidates?.[0]?.content?.parts?.map(p => p.text).join('') || '(respuesta vacía)';
-    const usage = data.usageMetadata;
+  /**
+   * Consume a streamGenerateContent SSE stream.
+   * Each event is a partial response; the last one carries the final usage.
+   */
+  async #readStream(body, model, onChunk) {
+    let output = '';
+    let usage = null;
 
-    log.info(`[gemini] ${model} — ${usage?.totalTokenCount || '?'} tokens`);
+    for await (const { json } of readJSONEvents(body)) {
+      const delta = json.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('');
+      if (delta) {
+        output += delta;
+        onChunk(delta);
+      }
+      if (json.usageMetadata) usage = json.usageMetadata;
+    }
+
+    log.info(`[gemini] ${model} — ${usage?.totalTokenCount || '?'} tokens (stream)`);
 
     return {
       ok: true,
-      output,
+      output: output || '(respuesta vacía)',
       model,
       tokens: usage?.totalTokenCount,
+      inputTokens: usage?.promptTokenCount,
+      outputTokens: usage?.candidatesTokenCount,
     };
   }
 
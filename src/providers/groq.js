@@ -1,5 +1,7 @@
 import { BaseProvider } from './base.js';
 import { log } from '../utils/logger.js';
+import { readChatCompletionStream } from './sse.js';
+import { runChatCompletionTools } from './tool-calling.js';
 
 /**
  * Groq API provider.
@@ -18,8 +20,11 @@ export class GroqProvider extends BaseProvider {
     return !!this.config.apiKey;
   }
 
+  get supportsTools() { return true; }
+
   async execute(prompt, context = {}) {
-    const { workDir, history = [], systemPrompt: externalPrompt } = context;
+    const { workDir, history = [], systemPrompt: externalPrompt, onChunk, tools } = context;
+    const stream = typeof onChunk === 'function';
 
     const model = this.config.model || 'llama-3.3-70b-versatile';
     const systemPrompt = externalPrompt || `Eres un asistente experto en ingeniería de software. El usuario trabaja en: ${workDir}. Responde de forma concisa en español. Código en inglés.`;
@@ -32,28 +37,32 @@ export class GroqProvider extends BaseProvider {
       { role: 'user', content: prompt },
     ];
 
-    // Groq uses OpenAI-compatible API format
-    const res = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.config.apiKey}`,
-      },
-      body: JSON.stringify({
-        model,
-        messages,
-        max_tokens: 4096,
-        temperature: 0.3,
-      }),
-    });
+    const body = {
+      model,
+      messages,
+      max_tokens: 4096,
+      temperature: 0.3,
+    };
 
-    if (!res.ok) {
-      const err = await res.text();
-      log.error(`[groq] API error: ${res.status} ${err}`);
+    if (tools?.size) {
+      const result = await runChatCompletionTools(b => this.#post(b), body, tools);
+      log.info(`[groq] ${model} — ${result.tokens ?? '?'} tokens, ${result.toolCalls ?? 0} tool calls`);
+      return { model, ...result };
+    }
+
+    const { res, error } = await this.#post(stream ? { ...body, stream: true } : body);
+    if (error) return error;
+
+    if (stream) {
+      const { output, usage } = await readChatCompletionStream(res.body, onChunk);
+      log.info(`[groq] ${model} — ${usage?.total_tokens || '?'} tokens (stream)`);
       return {
-        ok: false,
-        output: `Error API Groq (${res.status}): ${err.substring(0, 500)}`,
+        ok: true,
+        output: output || '(respuesta vacía)',
         model,
+        tokens: usage?.total_tokens,
+        inputTokens: usage?.prompt_tokens,
+        outputTokens: usage?.completion_tokens,
       };
     }
 
@@ -68,9 +77,37 @@ export class GroqProvider extends BaseProvider {
       output,
       model,
       tokens: usage?.total_tokens,
+      inputTokens: usage?.prompt_tokens,
+      outputTokens: usage?.completion_tokens,
     };
   }
 
+  async #post(body) {
+    // Groq uses OpenAI-compatible API format
+    const res = await fetch('https://api.groq.com/openai/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.config.apiKey}`,
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!res.ok) {
+      const err = await res.text();
+      log.error(`[groq] API error: ${res.status} ${err}`);
+      return {
+        error: {
+          ok: false,
+          output: `Error API Groq (${res.status}): ${err.substring(0, 500)}`,
+          model: body.model,
+          status: res.status,
+        },
+      };
+    }
+    return { res };
+  }
+
   kill() { return false; }
   isRunning() { return false; }
 }
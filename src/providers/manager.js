@@ -5,9 +5,32 @@ import { GeminiProvider } from './gemini.js';
 import { AnthropicProvider } from './anthropic.js';
 import { GroqProvider } from './groq.js';
 import { config } from '../utils/config.js';
+import { log } from '../utils/logger.js';
+import { UsageLedger } from '../usage/ledger.js';
+import { Budgets, FREE_PROVIDERS } from '../usage/budget.js';
+import { Roles } from '../auth/roles.js';
 
 const userProviders = new Map(); // userId -> providerName
+const userFallbacks = new Map(); // userId -> providerName[]
 const DEFAULT_PROVIDER = process.env.DEFAULT_PROVIDER || 'groq';
+const DEFAULT_FALLBACK = parseChain(process.env.PROVIDER_FALLBACK);
+
+// Errors worth retrying with another provider: rate limits, exhausted quotas, outages
+const RETRYABLE_PATTERN = /rate.?limit|quota|RESOURCE_EXHAUSTED|overloaded/i;
+
+function parseChain(value) {
+  return (value || '').split(/[\s,→>]+/).map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Whether a failed provider result should fall through to the next provider.
+ * Claude CLI errors carry no HTTP status and are never retried.
+ */
+export function isRetryableError(result) {
+  if (!result || result.ok) return false;
+  if (result.status === 429 || result.status >= 500) return true;
+  return result.status !== undefined && RETRYABLE_PATTERN.test(result.output || '');
+}
 
 export class ProviderManager {
   #providers = {};
@@ -51,15 +74,69 @@ export class ProviderManager {
         model: config.providers?.groq?.model,
       }),
     };
+
+    for (const [name, provider] of Object.entries(this.#providers)) {
+      this.#meter(name, provider);
+    }
+  }
+
+  /**
+   * Enforce budgets and record token usage of every call made on behalf
+   * of a user, whoever the caller is (chat, pipelines, scheduled tasks...).
+   */
+  #meter(name, provider) {
+    const execute = provider.execute.bind(provider);
+    provider.execute = async (prompt, context = {}) => {
+      if (context.userId !== undefined) {
+        const exhausted = Budgets.check(context.userId, name);
+        if (exhausted) return this.#overBudget(name, exhausted, prompt, context);
+      }
+
+      const result = await execute(prompt, context);
+      // Failed calls can still spend tokens (e.g. a tool loop that hit its iteration limit)
+      const spent = result?.inputTokens || result?.outputTokens || result?.tokens;
+      if ((result?.ok || spent) && context.userId !== undefined) {
+        UsageLedger.record(context.userId, name, result);
+      }
+      return result;
+    };
+  }
+
+  /**
+   * Refuse the request, or downgrade it to a free provider with budget left.
+   */
+  async #overBudget(name, exhausted, prompt, context) {
+    log.warn(`[budget] User ${context.userId} over budget on ${name}: ${exhausted.reason}`);
+
+    if (exhausted.budget.action === 'downgrade') {
+      const free = FREE_PROVIDERS.find(n =>
+        n !== name && this.#providers[n]?.isConfigured && Roles.can(context.userId, 'providers', n) &&
+        !Budgets.check(context.userId, n)
+      );
+      if (free) {
+        const result = await this.#providers[free].execute(prompt, context);
+        return { ...result, provider: free, budgetNotice: `💸 ${exhausted.reason}: respondiendo con ${free}` };
+      }
+    }
+
+    return {
+      ok: false,
+      output: `💸 ${exhausted.reason}. Petición rechazada; pide a un administrador que lo amplíe.`,
+      provider: name,
+      budgetBlocked: true,
+    };
   }
 
   get(name) {
     return this.#providers[name];
   }
 
+  /**
+   * The user's provider, or null if their role allows none.
+   */
   getForUser(userId) {
-    const name = userProviders.get(userId) || DEFAULT_PROVIDER;
-    return this.#providers[name];
+    const name = this.getUserProviderName(userId);
+    return name ? this.#providers[name] : null;
   }
 
   setForUser(userId, name) {
@@ -69,12 +146,91 @@ export class ProviderManager {
     if (!this.#providers[name].isConfigured) {
       return { ok: false, reason: `Provider '${name}' no configurado (falta API key)` };
     }
+    if (!Roles.can(userId, 'providers', name)) {
+      return { ok: false, reason: `Tu rol (${Roles.roleOf(userId)}) no permite usar '${name}'` };
+    }
     userProviders.set(userId, name);
     return { ok: true, provider: this.#providers[name] };
   }
 
+  /**
+   * The user's chosen provider, or the default. If their role does not allow it
+   * (e.g. after a role change), the first configured provider the role allows,
+   * or null if it allows none.
+   */
   getUserProviderName(userId) {
-    return userProviders.get(userId) || DEFAULT_PROVIDER;
+    const name = userProviders.get(userId) || DEFAULT_PROVIDER;
+    if (Roles.can(userId, 'providers', name)) return name;
+    const allowed = Object.keys(this.#providers).find(n =>
+      this.#providers[n].isConfigured && Roles.can(userId, 'providers', n)
+    );
+    return allowed || null;
+  }
+
+  /**
+   * Fallback chain for a user: per-user override or PROVIDER_FALLBACK.
+   */
+  getFallbackChain(userId) {
+    return userFallbacks.get(userId) || DEFAULT_FALLBACK;
+  }
+
+  /**
+   * Set a per-user fallback chain. An empty list disables fallback,
+   * null restores the global chain.
+   */
+  setFallbackForUser(userId, names) {
+    if (names === null) {
+      userFallbacks.delete(userId);
+      return { ok: true, chain: DEFAULT_FALLBACK };
+    }
+    const chain = parseChain(Array.isArray(names) ? names.join(',') : names);
+    for (const name of chain) {
+      if (!this.#providers[name]) return { ok: false, reason: `Provider '${name}' no existe` };
+    }
+    userFallbacks.set(userId, [...new Set(chain)]);
+    return { ok: true, chain: userFallbacks.get(userId) };
+  }
+
+  /**
+   * Execute a prompt with the user's provider, falling back along the chain
+   * on rate-limit, quota or 5xx errors (and network failures).
+   * @param {number} userId
+   * @param {string} prompt
+   * @param {object} context - Passed through to provider.execute()
+   * @param {string} [primary] - Provider to try first (default: the user's active one)
+   * @returns {Promise<object>} Provider result plus `provider` (who answered) and `fallbackFrom` (who failed)
+   */
+  async executeWithFallback(userId, prompt, context = {}, primary = this.getUserProviderName(userId)) {
+    if (!primary) {
+      return { ok: false, output: '⛔ Tu rol no permite usar ningún proveedor configurado.', provider: null, fallbackFrom: [] };
+    }
+    if (!Roles.can(userId, 'providers', primary)) {
+      return { ok: false, output: `⛔ Tu rol no permite usar ${primary}.`, provider: primary, fallbackFrom: [] };
+    }
+    const chain = [primary, ...this.getFallbackChain(userId).filter(name =>
+      name !== primary && this.#providers[name]?.isConfigured && Roles.can(userId, 'providers', name)
+    )];
+    const failed = [];
+
+    for (let i = 0; i < chain.length; i++) {
+      const name = chain[i];
+      const isLast = i === chain.length - 1;
+      let result;
+      try {
+        result = await this.#providers[name].execute(prompt, context);
+      } catch (err) {
+        if (isLast) throw err;
+        log.warn(`[providers] ${name} threw, falling back: ${err.message}`);
+        failed.push(name);
+        continue;
+      }
+
+      if (isLast || !isRetryableError(result)) {
+        return { ...result, provider: result.provider || name, fallbackFrom: failed };
+      }
+      log.warn(`[providers] ${name} failed (${result.status}), falling back to ${chain[i + 1]}`);
+      failed.push(name);
+    }
   }
 
   listAll() {
@@ -1,5 +1,7 @@
 import { BaseProvider } from './base.js';
 import { log } from '../utils/logger.js';
+import { readChatCompletionStream } from './sse.js';
+import { runChatCompletionTools } from './tool-calling.js';
 
 /**
  * OpenAI API provider.
@@ -16,8 +18,11 @@ export class OpenAIProvider extends BaseProvider {
     return !!this.config.apiKey;
   }
 
+  get supportsTools() { return true; }
+
   async execute(prompt, context = {}) {
-    const { workDir, history = [], systemPrompt: externalPrompt } = context;
+    const { workDir, history = [], systemPrompt: externalPrompt, onChunk, tools } = context;
+    const stream = typeof onChunk === 'function';
 
     const model = this.config.model || 'gpt-4o';
     const systemPrompt = externalPrompt || `Eres un asistente experto en ingeniería de software. El usuario trabaja en: ${workDir}. Responde de forma concisa en español. Código en inglés.`;
@@ -30,27 +35,32 @@ export class OpenAIProvider extends BaseProvider {
       { role: 'user', content: prompt },
     ];
 
-    const res = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.config.apiKey}`,
-      },
-      body: JSON.stringify({
-        model,
-        messages,
-        max_tokens: 4096,
-        temperature: 0.3,
-      }),
-    });
+    const body = {
+      model,
+      messages,
+      max_tokens: 4096,
+      temperature: 0.3,
+    };
 
-    if (!res.ok) {
-      const err = await res.text();
-      log.error(`[openai] API error: ${res.status} ${err}`);
+    if (tools?.size) {
+      const result = await runChatCompletionTools(b => this.#post(b), body, tools);
+      log.info(`[openai] ${model} — ${result.tokens ?? '?'} tokens, ${result.toolCalls ?? 0} tool calls`);
+      return { model, ...result };
+    }
+
+    const { res, error } = await this.#post(stream ? { ...body, stream: true, stream_options: { include_usage: true } } : body);
+    if (error) return error;
+
+    if (stream) {
+      const { output, usage } = await readChatCompletionStream(res.body, onChunk);
+      log.info(`[openai] ${model} — ${usage?.total_tokens || '?'} tokens (stream)`);
       return {
-        ok: false,
-        output: `Error API OpenAI (${res.status}): ${err.substring(0, 500)}`,
+        ok: true,
+        output: output || '(respuesta vacía)',
         model,
+        tokens: usage?.total_tokens,
+        inputTokens: usage?.prompt_tokens,
+        outputTokens: usage?.completion_tokens,
       };
     }
 
@@ -65,9 +75,36 @@ export class OpenAIProvider extends BaseProvider {
       output,
       model,
       tokens: usage?.total_tokens,
+      inputTokens: usage?.prompt_tokens,
+      outputTokens: usage?.completion_tokens,
     };
   }
 
+  async #post(body) {
+    const res = await fetch('https://api.openai.com/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.config.apiKey}`,
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!res.ok) {
+      const err = await res.text();
+      log.error(`[openai] API error: ${res.status} ${err}`);
+      return {
+        error: {
+          ok: false,
+          output: `Error API OpenAI (${res.status}): ${err.substring(0, 500)}`,
+          model: body.model,
+          status: res.status,
+        },
+      };
+    }
+    return { res };
+  }
+
   kill() { return false; } // API calls can't be cancelled
   isRunning() { return false; }
 }
@@ -0,0 +1,83 @@
+/**
+ * Server-Sent Events helpers for streaming API providers.
+ * Native fetch streams — no SDK needed.
+ */
+
+/**
+ * Iterate the events of an SSE response body.
+ * @param {AsyncIterable<Uint8Array>} body - fetch Response.body
+ * @yields {{ event: string, data: string }}
+ */
+export async function* readSSE(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n?/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const event = parseEvent(buffer.substring(0, boundary));
+      buffer = buffer.substring(boundary + 2);
+      if (event) yield event;
+    }
+  }
+
+  const last = parseEvent(buffer + decoder.decode());
+  if (last) yield last;
+}
+
+function parseEvent(block) {
+  let event = 'message';
+  const data = [];
+
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue;
+    const sep = line.indexOf(':');
+    const field = sep === -1 ? line : line.substring(0, sep);
+    const value = sep === -1 ? '' : line.substring(sep + 1).replace(/^ /, '');
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+  }
+
+  return data.length > 0 ? { event, data: data.join('\n') } : null;
+}
+
+/**
+ * Iterate the JSON payloads of an SSE response, skipping `[DONE]` and malformed events.
+ * @yields {{ event: string, json: object }}
+ */
+export async function* readJSONEvents(body) {
+  for await (const { event, data } of readSSE(body)) {
+    if (data === '[DONE]') continue;
+    try {
+      yield { event, json: JSON.parse(data) };
+    } catch {
+      // Ignore keep-alives and partial garbage
+    }
+  }
+}
+
+/**
+ * Consume an OpenAI-compatible chat completion stream (OpenAI, Groq).
+ * @param {AsyncIterable<Uint8Array>} body
+ * @param {(delta: string) => void} onChunk - Called with each text delta
+ * @returns {Promise<{ output: string, usage: object|null }>}
+ */
+export async function readChatCompletionStream(body, onChunk) {
+  let output = '';
+  let usage = null;
+
+  for await (const { json } of readJSONEvents(body)) {
+    const delta = json.choices?.[0]?.delta?.content;
+    if (delta) {
+      output += delta;
+      onChunk(delta);
+    }
+    // OpenAI sends usage in a final chunk; Groq under x_groq
+    if (json.usage) usage = json.usage;
+    else if (json.x_groq?.usage) usage = json.x_groq.usage;
+  }
+
+  return { output, usage };
+}
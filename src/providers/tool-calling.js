@@ -0,0 +1,153 @@
+/**
+ * Native function-calling loops for the API providers.
+ * The model requests tool calls, they run through the toolset (MCP), the results
+ * are fed back, and the loop repeats until a final answer or MAX_TOOL_ITERATIONS.
+ *
+ * Each loop takes a `post(body)` callback from the provider that returns
+ * `{ res }` (a successful fetch Response) or `{ error }` (a provider error result).
+ */
+import { log } from '../utils/logger.js';
+import {
+  MAX_TOOL_ITERATIONS,
+  toOpenAITools,
+  toAnthropicTools,
+  toGeminiTools,
+  parseToolArguments,
+} from '../mcp/tools.js';
+
+function limitReached(inputTokens, outputTokens) {
+  return {
+    ok: false,
+    output: `Límite de ${MAX_TOOL_ITERATIONS} iteraciones de herramientas alcanzado sin respuesta final.`,
+    tokens: inputTokens + outputTokens,
+    inputTokens,
+    outputTokens,
+  };
+}
+
+function done(output, inputTokens, outputTokens, toolCalls) {
+  return {
+    ok: true,
+    output: output || '(respuesta vacía)',
+    tokens: inputTokens + outputTokens,
+    inputTokens,
+    outputTokens,
+    toolCalls,
+  };
+}
+
+/**
+ * OpenAI-compatible chat completions (OpenAI, Groq).
+ */
+export async function runChatCompletionTools(post, body, toolset) {
+  const messages = [...body.messages];
+  const tools = toOpenAITools(toolset);
+  let inputTokens = 0;
+  let outputTokens = 0;
+  let toolCalls = 0;
+
+  for (let i = 0; i < MAX_TOOL_ITERATIONS; i++) {
+    const { res, error } = await post({ ...body, messages, tools, tool_choice: 'auto' });
+    if (error) return error;
+
+    const data = await res.json();
+    inputTokens += data.usage?.prompt_tokens || 0;
+    outputTokens += data.usage?.completion_tokens || 0;
+
+    const message = data.choices?.[0]?.message || {};
+    if (!message.tool_calls?.length) return done(message.content, inputTokens, outputTokens, toolCalls);
+
+    messages.push({ role: 'assistant', content: message.content || null, tool_calls: message.tool_calls });
+    for (const call of message.tool_calls) {
+      log.info(`[tools] ${call.function.name}`);
+      const result = await toolset.call(call.function.name, parseToolArguments(call.function.arguments));
+      messages.push({ role: 'tool', tool_call_id: call.id, content: result.content });
+      toolCalls++;
+    }
+  }
+
+  return limitReached(inputTokens, outputTokens);
+}
+
+/**
+ * Anthropic Messages API.
+ */
+export async function runAnthropicTools(post, body, toolset) {
+  const messages = [...body.messages];
+  const tools = toAnthropicTools(toolset);
+  let inputTokens = 0;
+  let outputTokens = 0;
+  let toolCalls = 0;
+
+  for (let i = 0; i < MAX_TOOL_ITERATIONS; i++) {
+    const { res, error } = await post({ ...body, messages, tools });
+    if (error) return error;
+
+    const data = await res.json();
+    inputTokens += data.usage?.input_tokens || 0;
+    outputTokens += data.usage?.output_tokens || 0;
+
+    const content = data.content || [];
+    const uses = content.filter(c => c.type === 'tool_use');
+    if (data.stop_reason !== 'tool_use' || uses.length === 0) {
+      const text = content.filter(c => c.type === 'text').map(c => c.text).join('');
+      return done(text, inputTokens, outputTokens, toolCalls);
+    }
+
+    messages.push({ role: 'assistant', content });
+    const results = [];
+    for (const use of uses) {
+      log.info(`[tools] ${use.name}`);
+      const result = await toolset.call(use.name, use.input || {});
+      results.push({ type: 'tool_result', tool_use_id: use.id, content: result.content, is_error: result.isError });
+      toolCalls++;
+    }
+    messages.push({ role: 'user', content: results });
+  }
+
+  return limitReached(inputTokens, outputTokens);
+}
+
+/**
+ * Gemini generateContent.
+ */
+export async function runGeminiTools(post, body, toolset) {
+  const contents = [...body.contents];
+  const tools = toGeminiTools(toolset);
+  let inputTokens = 0;
+  let outputTokens = 0;
+  let toolCalls = 0;
+
+  for (let i = 0; i < MAX_TOOL_ITERATIONS; i++) {
+    const { res, error } = await post({ ...body, contents, tools });
+    if (error) return error;
+
+    const data = await res.json();
+    inputTokens += data.usageMetadata?.promptTokenCount || 0;
+    outputTokens += data.usageMetadata?.candidatesTokenCount || 0;
+
+    const content = data.candidates?.[0]?.content || { role: 'model', parts: [] };
+    const parts = content.parts || [];
+    const calls = parts.filter(p => p.functionCall);
+    if (calls.length === 0) {
+      return done(parts.map(p => p.text || '').join(''), inputTokens, outputTokens, toolCalls);
+    }
+
+    contents.push(content);
+    const responses = [];
+    for (const { functionCall } of calls) {
+      log.info(`[tools] ${functionCall.name}`);
+      const result = await toolset.call(functionCall.name, functionCall.args || {});
+      responses.push({
+        functionResponse: {
+          name: functionCall.name,
+          response: result.isError ? { error: result.content } : { content: result.content },
+        },
+      });
+      toolCalls++;
+    }
+    contents.push({ role: 'user', parts: responses });
+  }
+
+  return limitReached(inputTokens, outputTokens);
+}
@@ -7,10 +7,10 @@
  * AND shell metacharacters that could enable injection.
  */
 import { spawn } from 'node:child_process';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
 import { resolve } from 'node:path';
 import { log } from '../utils/logger.js';
 import { config } from '../utils/config.js';
+import { readEncryptedJson, writeEncryptedJson } from '../crypto/store.js';
 
 const SSH_CONFIG_FILE = resolve(config.paths.data, 'ssh-servers.json');
 const COMMAND_TIMEOUT = 30000; // 30s max per command
@@ -34,8 +34,9 @@ let servers = {};
 export class SSHManager {
   static load() {
     try {
-      if (existsSync(SSH_CONFIG_FILE)) {
-        servers = JSON.parse(readFileSync(SSH_CONFIG_FILE, 'utf-8'));
+      const data = readEncryptedJson(SSH_CONFIG_FILE);
+      if (data) {
+        servers = data;
         log.info(`[ssh] Loaded ${Object.keys(servers).length} servers`);
       }
     } catch (err) {
@@ -45,8 +46,7 @@ export class SSHManager {
 
   static save() {
     try {
-      if (!existsSync(config.paths.data)) mkdirSync(config.paths.data, { recursive: true });
-      writeFileSync(SSH_CONFIG_FILE, JSON.stringify(servers, null, 2));
+      writeEncryptedJson(SSH_CONFIG_FILE, servers);
     } catch (err) {
       log.error(`[ssh] Save failed: ${err.message}`);
     }
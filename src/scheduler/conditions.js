@@ -0,0 +1,102 @@
+/**
+ * Alert conditions for scheduled tasks.
+ * A task with a condition only notifies the user when the condition holds:
+ *   /regex/flags — output matches the regular expression
+ *   changed      — output differs from the previous run
+ *   exit         — SSH exit code is non-zero (or the job failed)
+ *   judge:<q>    — an LLM answers yes to question <q> about the output
+ */
+import { createHash } from 'node:crypto';
+
+const JUDGE_MAX_OUTPUT = 6000;
+
+/**
+ * Parse the value of an `if=` option.
+ * @returns {{ ok: true, condition: object } | { ok: false, reason: string }}
+ */
+export function parseCondition(text) {
+  const value = (text || '').trim();
+
+  if (value === 'changed') return { ok: true, condition: { type: 'changed' } };
+  if (value === 'exit') return { ok: true, condition: { type: 'exit' } };
+
+  const judge = value.match(/^judge:([\s\S]+)$/i);
+  if (judge) return { ok: true, condition: { type: 'judge', question: judge[1].trim() } };
+
+  const regex = value.match(/^\/([\s\S]+)\/([a-z]*)$/);
+  if (regex) {
+    try {
+      new RegExp(regex[1], regex[2]);
+    } catch (err) {
+      return { ok: false, reason: `Expresión regular no válida: ${err.message}` };
+    }
+    return { ok: true, condition: { type: 'regex', pattern: regex[1], flags: regex[2] } };
+  }
+
+  return { ok: false, reason: 'Condición no válida. Usa: if=/regex/, if=changed, if=exit o if="judge:<pregunta>"' };
+}
+
+/**
+ * Short label for a condition, e.g. for /schedules.
+ */
+export function describeCondition(condition) {
+  if (!condition) return 'siempre';
+  switch (condition.type) {
+    case 'regex': return `/${condition.pattern}/${condition.flags}`;
+    case 'changed': return 'si cambia';
+    case 'exit': return 'exit ≠ 0';
+    case 'judge': return `IA: ${condition.question}`;
+    default: return condition.type;
+  }
+}
+
+/**
+ * Stable fingerprint of an output, used by the `changed` condition.
+ */
+export function hashOutput(output) {
+  return createHash('sha256').update(output || '').digest('hex');
+}
+
+/**
+ * Decide whether a run should notify the user.
+ * @param {object} condition
+ * @param {{ ok: boolean, output: string, code?: number }} result
+ * @param {object} context
+ * @param {string|null} context.previousHash - Output hash of the previous run
+ * @param {(question: string, output: string) => Promise<boolean>} [context.judge]
+ * @returns {Promise<boolean>}
+ */
+export async function evaluateCondition(condition, result, { previousHash = null, judge } = {}) {
+  const output = result.output || '';
+
+  switch (condition.type) {
+    case 'regex':
+      return new RegExp(condition.pattern, condition.flags).test(output);
+    case 'changed':
+      return previousHash !== null && previousHash !== hashOutput(output);
+    case 'exit':
+      return result.code !== undefined && result.code !== null ? result.code !== 0 : !result.ok;
+    case 'judge':
+      if (!judge) return false;
+      return judge(condition.question, output.substring(0, JUDGE_MAX_OUTPUT));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Build a judge function backed by an AI provider.
+ * The provider must answer SÍ/NO; anything else counts as "no".
+ */
+export function createJudge(provider, userId) {
+  return async (question, output) => {
+    const result = await provider.execute(
+      `Pregunta: ${question}\n\nSalida a evaluar:\n\`\`\`\n${output}\n\`\`\`\n\nResponde únicamente SÍ o NO.`,
+      {
+        systemPrompt: 'Eres un evaluador de monitorización. Responde solo con SÍ o NO. Nada más.',
+        userId,
+      },
+    );
+    return !!result.ok && /^\s*(s[ií]|yes)(?![a-z])/i.test(result.output || '');
+  };
+}
@@ -0,0 +1,215 @@
+/**
+ * Minimal 5-field cron parser with timezone support.
+ * Fields: minute hour day-of-month month day-of-week
+ * Supports: *, lists (1,2), ranges (1-5), steps (*\/15, 8-18/2),
+ * month/day names (jan, mon-fri) and macros (@hourly, @daily, @weekly, @monthly, @yearly).
+ * Pure JS — timezone math via Intl, no dependencies.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MAX_SEARCH_HOURS = 4 * 366 * 24; // Covers Feb 29 schedules
+const formatters = new Map();
+
+/**
+ * Parse a cron expression.
+ * @returns {object|null} Parsed fields, or null if the expression is invalid
+ */
+export function parseCron(expr) {
+  if (typeof expr !== 'string') return null;
+  let source = expr.trim().toLowerCase();
+  if (MACROS[source]) source = MACROS[source];
+
+  const parts = source.split(/\s+/);
+  if (parts.length !== FIELDS.length) return null;
+
+  const parsed = {};
+  for (let i = 0; i < FIELDS.length; i++) {
+    const values = parseField(parts[i], FIELDS[i]);
+    if (!values) return null;
+    parsed[FIELDS[i].name] = values;
+  }
+
+  // 7 is an alias for Sunday
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.delete(7);
+    parsed.dayOfWeek.add(0);
+  }
+
+  // Classic cron: if both day fields are restricted, either may match
+  parsed.dayOfMonthRestricted = parts[2] !== '*' && !parts[2].startsWith('*/');
+  parsed.dayOfWeekRestricted = parts[4] !== '*' && !parts[4].startsWith('*/');
+  return parsed;
+}
+
+function parseField(token, field) {
+  const values = new Set();
+
+  for (const part of token.split(',')) {
+    const [rangePart, stepPart, ...extra] = part.split('/');
+    if (extra.length > 0) return null;
+
+    let step = 1;
+    if (stepPart !== undefined) {
+      if (!/^\d+$/.test(stepPart)) return null;
+      step = parseInt(stepPart, 10);
+      if (step < 1) return null;
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.name === 'dayOfWeek' ? 6 : field.max;
+    } else {
+      const bounds = rangePart.split('-');
+      if (bounds.length > 2) return null;
+      start = parseValue(bounds[0], field);
+      end = bounds.length === 2 ? parseValue(bounds[1], field) : start;
+      if (start === null || end === null || start > end) return null;
+      // "5/10" means "from 5 to max, every 10"
+      if (bounds.length === 1 && stepPart !== undefined) end = field.max;
+    }
+
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return values.size > 0 ? values : null;
+}
+
+function parseValue(token, field) {
+  if (field.names) {
+    const idx = field.names.indexOf(token);
+    if (idx !== -1) return idx + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(token)) return null;
+  const value = parseInt(token, 10);
+  if (value < field.min || value > field.max) return null;
+  return value;
+}
+
+/**
+ * Check whether a string is a valid IANA timezone (e.g. "Europe/Madrid").
+ */
+export function isValidTimezone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Default timezone for schedules: SCHEDULER_TZ, TZ, or the system zone.
+ */
+export function defaultTimezone() {
+  const candidates = [process.env.SCHEDULER_TZ, process.env.TZ];
+  for (const tz of candidates) {
+    if (isValidTimezone(tz)) return tz;
+  }
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function getFormatter(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(tz);
+}
+
+/**
+ * Wall-clock fields of an instant in a timezone.
+ */
+function wallClock(date, tz) {
+  const parts = {};
+  for (const { type, value } of getFormatter(tz).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10),
+    day: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+function dayMatches(cron, clock) {
+  const domMatch = cron.dayOfMonth.has(clock.day);
+  const dowMatch = cron.dayOfWeek.has(clock.weekday);
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+/**
+ * Compute the next run strictly after `from` for a cron expression,
+ * evaluated in the wall-clock time of `tz`.
+ * @param {string|object} expr - Cron expression or result of parseCron()
+ * @param {Date} from
+ * @param {string} tz - IANA timezone
+ * @returns {Date|null} Next run, or null if the expression never matches
+ */
+export function nextCronRun(expr, from = new Date(), tz = defaultTimezone()) {
+  const cron = typeof expr === 'string' ? parseCron(expr) : expr;
+  if (!cron) return null;
+
+  // Start at the next whole minute
+  let t = Math.floor(from.getTime() / 60000) * 60000 + 60000;
+  let hoursScanned = 0;
+
+  while (hoursScanned < MAX_SEARCH_HOURS) {
+    const clock = wallClock(new Date(t), tz);
+
+    // Skip whole hours that can't match (stepping hour by hour keeps DST transitions safe)
+    if (!cron.month.has(clock.month) || !dayMatches(cron, clock) || !cron.hour.has(clock.hour)) {
+      t += (60 - clock.minute) * 60000;
+      hoursScanned++;
+      continue;
+    }
+
+    if (cron.minute.has(clock.minute)) return new Date(t);
+    t += 60000;
+    if (clock.minute === 59) hoursScanned++;
+  }
+
+  return null;
+}
+
+/**
+ * Format a date for display in the schedule's timezone.
+ */
+export function formatInTimezone(date, tz = defaultTimezone()) {
+  return new Intl.DateTimeFormat('es-ES', {
+    timeZone: tz,
+    dateStyle: 'short',
+    timeStyle: 'short',
+  }).format(date);
+}
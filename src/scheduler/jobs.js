@@ -0,0 +1,164 @@
+/**
+ * Typed jobs for scheduled tasks.
+ * Each schedule records a `kind` and a `payload`:
+ *   prompt   — { prompt }                  → active provider
+ *   pipeline — { pipeline }                → Pipeline.execute
+ *   ssh      — { server, command }         → SSHManager.execute
+ *   mcp      — { server, tool, args }      → MCPManager.callTool
+ */
+import { Pipeline } from '../pipeline/pipeline.js';
+import { SSHManager } from '../remote/ssh.js';
+import { Roles } from '../auth/roles.js';
+import { MCPManager } from '../mcp/client.js';
+import { formatToolResult } from '../mcp/tools.js';
+
+export const JOB_KINDS = ['prompt', 'pipeline', 'ssh', 'mcp'];
+
+const JOB_ICONS = { prompt: '📝', pipeline: '🔗', ssh: '🖥️', mcp: '🔧' };
+
+/**
+ * Parse the text after the schedule expression into a job.
+ * Reuses the bot's own command syntax:
+ *   Resume los repos                          → prompt
+ *   /pipe busca X → resume                    → pipeline
+ *   /ssh prod df -h                           → ssh
+ *   /mcp call github/list_issues {"repo":"x"} → mcp
+ * @returns {{ ok: true, job: { kind: string, payload: object } } | { ok: false, reason: string }}
+ */
+export function parseJob(text) {
+  const trimmed = text.trim();
+  const match = trimmed.match(/^\/(pipe|ssh|mcp)(?:\s+([\s\S]*))?$/i);
+
+  if (!match) {
+    return { ok: true, job: { kind: 'prompt', payload: { prompt: trimmed } } };
+  }
+
+  const command = match[1].toLowerCase();
+  const rest = (match[2] || '').trim();
+
+  if (command === 'pipe') {
+    if (!rest) return { ok: false, reason: 'Uso: /schedule <cuándo> /pipe paso1 → paso2' };
+    return { ok: true, job: { kind: 'pipeline', payload: { pipeline: rest } } };
+  }
+
+  if (command === 'ssh') {
+    const sshMatch = rest.match(/^(\S+)\s+([\s\S]+)$/);
+    if (!sshMatch) return { ok: false, reason: 'Uso: /schedule <cuándo> /ssh <servidor> <comando>' };
+    return { ok: true, job: { kind: 'ssh', payload: { server: sshMatch[1], command: sshMatch[2].trim() } } };
+  }
+
+  const mcpMatch = rest.match(/^call\s+([^/\s]+)\/(\S+)(?:\s+([\s\S]+))?$/);
+  if (!mcpMatch) return { ok: false, reason: 'Uso: /schedule <cuándo> /mcp call <servidor>/<herramienta> [args JSON]' };
+
+  let args = {};
+  if (mcpMatch[3]) {
+    try {
+      args = JSON.parse(mcpMatch[3]);
+    } catch {
+      return { ok: false, reason: 'Argumentos MCP no válidos: deben ser JSON.' };
+    }
+  }
+  return { ok: true, job: { kind: 'mcp', payload: { server: mcpMatch[1], tool: mcpMatch[2], args } } };
+}
+
+/**
+ * Validate a job before it is scheduled. Returns error message or null if valid.
+ * MCP tools must have the `auto` policy for the user: nobody is around to approve a scheduled call.
+ */
+export function validateJob(job, userId) {
+  if (!job || !JOB_KINDS.includes(job.kind)) return `Tipo de tarea no válido: ${job?.kind}`;
+  const p = job.payload || {};
+
+  switch (job.kind) {
+    case 'prompt':
+      return p.prompt ? null : 'Falta el prompt.';
+    case 'pipeline':
+      return p.pipeline ? null : 'Falta el pipeline.';
+    case 'ssh':
+      if (!SSHManager.getServer(p.server)) return `Servidor SSH "${p.server}" no encontrado.`;
+      return SSHManager.validateCommand(p.command || '');
+    case 'mcp': {
+      if (!p.server || !p.tool) return 'Falta servidor/herramienta MCP.';
+      const policy = MCPManager.getPolicy(userId, p.server, p.tool);
+      if (policy === 'deny') return `Herramienta ${p.server}/${p.tool} denegada por política.`;
+      if (policy === 'confirm') {
+        return `${p.server}/${p.tool} requiere confirmación y una tarea programada no puede pedirla. ` +
+          `Si confías en ella: /mcp policy ${p.server}/${p.tool} auto`;
+      }
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Short human-readable description of a job.
+ */
+export function describeJob(job) {
+  const p = job.payload || {};
+  const icon = JOB_ICONS[job.kind] || '📝';
+  switch (job.kind) {
+    case 'pipeline': return `${icon} /pipe ${p.pipeline}`;
+    case 'ssh': return `${icon} /ssh ${p.server} ${p.command}`;
+    case 'mcp': return `${icon} /mcp ${p.server}/${p.tool}`;
+    default: return `${icon} ${p.prompt}`;
+  }
+}
+
+/**
+ * Provider a prompt job runs on: the one pinned when it was scheduled if the user's
+ * role still allows it, otherwise their current one (null if the role allows none).
+ */
+export function jobProvider(schedule, providers) {
+  const { provider, userId } = schedule;
+  const pinned = provider && Roles.can(userId, 'providers', provider) ? providers.get(provider) : null;
+  return pinned || providers.getForUser(userId);
+}
+
+/**
+ * Run a job.
+ * @param {object} schedule - Schedule with kind, payload, userId, provider, workDir
+ * @param {object} deps - { providers }
+ * @returns {Promise<{ ok: boolean, output: string, code?: number }>}
+ */
+export async function runJob(schedule, { providers }) {
+  const { kind, payload, userId, workDir } = schedule;
+
+  // Access can be revoked after scheduling
+  if (!Roles.isAuthorized(userId)) {
+    return { ok: false, output: `⛔ El usuario ${userId} ya no está autorizado.` };
+  }
+
+  switch (kind) {
+    case 'pipeline': {
+      return Pipeline.execute(payload.pipeline, {
+        providers,
+        sessionManager: { getWorkDir: () => workDir },
+        userId,
+        bot: null,
+        chatId: userId,
+      });
+    }
+
+    case 'ssh': {
+      // Roles can change after scheduling
+      if (!Roles.can(userId, 'ssh', payload.server)) {
+        return { ok: false, output: `⛔ Tu rol no permite usar el servidor SSH "${payload.server}".` };
+      }
+      const result = await SSHManager.execute(payload.server, payload.command);
+      return { ok: result.ok, output: result.output, code: result.code };
+    }
+
+    case 'mcp': {
+      // No confirm callback: if the policy became `confirm` or `deny` after scheduling, the call is refused
+      const result = await MCPManager.callTool(payload.server, payload.tool, payload.args || {}, { userId });
+      return { ok: !result?.isError, output: formatToolResult(result) };
+    }
+
+    default: {
+      const provider = jobProvider(schedule, providers);
+      if (!provider) return { ok: false, output: '⛔ Tu rol no permite usar ningún proveedor configurado.' };
+      return provider.execute(payload.prompt, { workDir, userId });
+    }
+  }
+}
@@ -1,14 +1,25 @@
 /**
- * Task scheduler for recurring AI tasks.
- * Stores schedules in encrypted JSON, executes via setInterval/cron-like logic.
+ * Task scheduler for recurring tasks: AI prompts, pipelines, SSH commands and MCP calls.
+ * Stores schedules in encrypted JSON, executes on simple intervals (1h, 24h)
+ * or 5-field cron expressions evaluated in the schedule's timezone.
  */
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
 import { resolve } from 'node:path';
 import { log } from '../utils/logger.js';
 import { config } from '../utils/config.js';
+import { readEncryptedJson, writeEncryptedJson } from '../crypto/store.js';
+import { parseCron, nextCronRun, isValidTimezone, defaultTimezone, formatInTimezone } from './cron.js';
+import { validateJob, describeJob, runJob, jobProvider } from './jobs.js';
+import { Roles } from '../auth/roles.js';
+import { evaluateCondition, describeCondition, hashOutput, createJudge } from './conditions.js';
 
 const SCHEDULES_FILE = resolve(config.paths.data, 'schedules.json');
-const schedules = new Map(); // id -> { cron, prompt, userId, provider, workDir, timer }
+const MAX_TIMEOUT_MS = 2 ** 31 - 1; // setTimeout limit (~24.8 days)
+const MAX_CATCHUP_RUNS = 10; // Cap for catchup=all after long downtime
+const CATCHUP_POLICIES = ['skip', 'once', 'all'];
+const DEFAULT_CATCHUP = 'once';
+const MAX_HISTORY = 10; // Past runs kept per task for /schedule log
+const HISTORY_OUTPUT_CHARS = 500;
+const schedules = new Map(); // id -> { cron, timezone, catchup, kind, payload, userId, provider, workDir, nextRunAt, timer }
 let nextId = 1;
 let botInstance = null;
 let providersInstance = null;
@@ -20,85 +31,339 @@ export class Scheduler {
     this.load();
   }
 
-  static add(userId, cronExpr, prompt, providerName, workDir) {
-    const id = nextId++;
+  /**
+   * Create a scheduled task.
+   * @param {string} cronExpr - Interval (30m, 24h, 7d) or cron expression (30 8 * * 1-5)
+   * @param {string|{ kind: string, payload: object }} job - Prompt text or typed job (see jobs.js)
+   * @param {object} [options]
+   * @param {string} [options.timezone] - IANA timezone for cron expressions
+   * @param {string} [options.catchup] - Missed runs after downtime: skip | once | all
+   * @param {object} [options.condition] - Only notify when it holds (see conditions.js)
+   */
+  static add(userId, cronExpr, job, providerName, workDir, options = {}) {
+    if (typeof job === 'string') job = { kind: 'prompt', payload: { prompt: job } };
+    const jobError = validateJob(job, userId);
+    if (jobError) return { ok: false, reason: jobError };
+
+    const timing = resolveTiming(cronExpr, options.timezone || defaultTimezone());
+    if (!timing.ok) return timing;
+    const { intervalMs, timezone } = timing;
+
+    const catchup = options.catchup || DEFAULT_CATCHUP;
+    if (!CATCHUP_POLICIES.includes(catchup)) {
+      return { ok: false, reason: `Política de recuperación no válida: ${catchup}. Usa: ${CATCHUP_POLICIES.join(', ')}` };
+    }
+
     const schedule = {
-      id,
+      id: nextId,
       userId,
       cron: cronExpr,
-      prompt,
+      timezone,
+      catchup,
+      intervalMs,
+      kind: job.kind,
+      payload: job.payload,
+      condition: options.condition || null,
+      history: [],
+      paused: false,
       provider: providerName,
       workDir,
       createdAt: new Date().toISOString(),
       lastRun: null,
+      nextRunAt: null,
       timer: null,
     };
 
-    const intervalMs = parseCronToMs(cronExpr);
-    if (!intervalMs) {
-      return { ok: false, reason: 'Formato de intervalo no válido. Usa: 1h, 30m, 24h, 7d, o cron (*/5 * * * *)' };
+    const nextRun = computeNextRun(schedule, new Date());
+    if (!nextRun) {
+      return { ok: false, reason: 'La expresión cron nunca se cumple.' };
     }
 
-    schedule.intervalMs = intervalMs;
-    schedule.timer = setInterval(() => this.execute(id), intervalMs);
-    schedules.set(id, schedule);
+    nextId++;
+    schedule.nextRunAt = nextRun.toISOString();
+    schedules.set(schedule.id, schedule);
+    this.arm(schedule);
     this.save();
 
-    return { ok: true, id, intervalMs };
+    return { ok: true, id: schedule.id, kind: job.kind, intervalMs, timezone, catchup, nextRunAt: schedule.nextRunAt };
   }
 
   static remove(userId, id) {
-    const schedule = schedules.get(id);
-    if (!schedule) return { ok: false, reason: 'Tarea no encontrada.' };
-    if (schedule.userId !== userId) return { ok: false, reason: 'No tienes permiso.' };
+    const { schedule, error } = getOwned(userId, id);
+    if (error) return error;
 
-    if (schedule.timer) clearInterval(schedule.timer);
+    if (schedule.timer) clearTimeout(schedule.timer);
     schedules.delete(id);
     this.save();
     return { ok: true };
   }
 
+  /**
+   * Stop a task from running until resumed. Missed runs while paused are not recovered.
+   */
+  static pause(userId, id) {
+    const { schedule, error } = getOwned(userId, id);
+    if (error) return error;
+    if (schedule.paused) return { ok: false, reason: `La tarea #${id} ya está pausada.` };
+
+    if (schedule.timer) clearTimeout(schedule.timer);
+    schedule.timer = null;
+    schedule.paused = true;
+    schedule.pausedAt = new Date().toISOString();
+    this.save();
+    return { ok: true };
+  }
+
+  /**
+   * Resume a paused task from now on.
+   */
+  static resume(userId, id) {
+    const { schedule, error } = getOwned(userId, id);
+    if (error) return error;
+    if (!schedule.paused) return { ok: false, reason: `La tarea #${id} no está pausada.` };
+
+    schedule.paused = false;
+    delete schedule.pausedAt;
+    const nextRun = computeNextRun(schedule, new Date());
+    schedule.nextRunAt = nextRun ? nextRun.toISOString() : null;
+    if (schedule.nextRunAt) this.arm(schedule);
+    this.save();
+    return { ok: true, nextRunAt: schedule.nextRunAt, timezone: schedule.timezone };
+  }
+
+  /**
+   * Change a task in place. Only the provided fields are updated.
+   * @param {object} changes
+   * @param {string} [changes.cron] - New interval or cron expression
+   * @param {string} [changes.timezone]
+   * @param {{ kind: string, payload: object }} [changes.job]
+   * @param {string} [changes.catchup]
+   * @param {object|null} [changes.condition] - null removes the condition
+   */
+  static edit(userId, id, changes = {}) {
+    const { schedule, error } = getOwned(userId, id);
+    if (error) return error;
+
+    const updated = { ...schedule };
+    const timingChanged = changes.cron !== undefined || changes.timezone !== undefined;
+
+    if (timingChanged) {
+      const cronExpr = changes.cron ?? schedule.cron;
+      const timing = resolveTiming(cronExpr, changes.timezone || schedule.timezone);
+      if (!timing.ok) return timing;
+      Object.assign(updated, { cron: cronExpr, intervalMs: timing.intervalMs, timezone: timing.timezone });
+    }
+
+    if (changes.job) {
+      const jobError = validateJob(changes.job, schedule.userId);
+      if (jobError) return { ok: false, reason: jobError };
+      Object.assign(updated, { kind: changes.job.kind, payload: changes.job.payload });
+    }
+
+    if (changes.catchup !== undefined) {
+      if (!CATCHUP_POLICIES.includes(changes.catchup)) {
+        return { ok: false, reason: `Política de recuperación no válida: ${changes.catchup}. Usa: ${CATCHUP_POLICIES.join(', ')}` };
+      }
+      updated.catchup = changes.catchup;
+    }
+
+    if (changes.condition !== undefined) updated.condition = changes.condition;
+
+    let nextRunAt = schedule.nextRunAt;
+    if (timingChanged) {
+      const nextRun = computeNextRun(updated, new Date());
+      if (!nextRun) return { ok: false, reason: 'La expresión cron nunca se cumple.' };
+      nextRunAt = nextRun.toISOString();
+    }
+
+    const { timer, ...fields } = updated;
+    Object.assign(schedule, fields, { nextRunAt, updatedAt: new Date().toISOString() });
+    if (timingChanged && !schedule.paused) this.arm(schedule);
+    this.save();
+    return { ok: true, nextRunAt: schedule.nextRunAt, timezone: schedule.timezone, label: describeJob(schedule) };
+  }
+
+  /**
+   * Execute a task immediately without touching its schedule (works while paused).
+   */
+  static async runNow(userId, id) {
+    const { schedule, error } = getOwned(userId, id);
+    if (error) return error;
+    const run = await this.execute(id, { manual: true });
+    if (!run) return { ok: false, reason: `No se pudo ejecutar la tarea #${schedule.id}: el programador no está iniciado.` };
+    if (run.error) return { ok: false, reason: `Error ejecutando la tarea: ${run.error}` };
+    return { ok: true };
+  }
+
   static list(userId) {
     return [...schedules.values()]
       .filter(s => s.userId === userId)
-      .map(({ id, cron, prompt, provider, lastRun }) => ({
-        id, cron, prompt: prompt.substring(0, 60), provider, lastRun,
+      .map(({ id, cron, timezone, catchup, intervalMs, kind, payload, condition, paused, provider, lastRun, nextRunAt }) => ({
+        id, cron, timezone, catchup, intervalMs, kind, label: describeJob({ kind, payload }).substring(0, 60),
+        condition: condition ? describeCondition(condition) : null, paused: !!paused, provider, lastRun, nextRunAt,
       }));
   }
 
-  static async execute(id) {
+  /**
+   * Past runs of a task, most recent last.
+   */
+  static getLog(userId, id) {
+    const { schedule, error } = getOwned(userId, id);
+    if (error) return error;
+    return { ok: true, label: describeJob(schedule), history: schedule.history || [] };
+  }
+
+  /**
+   * Arm a one-shot timer for the schedule's nextRunAt.
+   * Delays beyond the setTimeout limit are re-armed in steps.
+   */
+  static arm(schedule) {
+    if (schedule.timer) clearTimeout(schedule.timer);
+    const delay = Math.max(0, new Date(schedule.nextRunAt).getTime() - Date.now());
+
+    schedule.timer = setTimeout(() => {
+      schedule.timer = null;
+      if (new Date(schedule.nextRunAt).getTime() > Date.now()) {
+        this.arm(schedule);
+        return;
+      }
+      this.fire(schedule.id);
+    }, Math.min(delay, MAX_TIMEOUT_MS));
+  }
+
+  /**
+   * Timer callback: advance nextRunAt past now, persist, re-arm, then execute.
+   */
+  static async fire(id) {
+    const schedule = schedules.get(id);
+    if (!schedule) return;
+
+    this.advance(schedule, new Date());
+    this.save();
+    await this.execute(id);
+  }
+
+  /**
+   * Move nextRunAt to the first occurrence after `now` and re-arm the timer.
+   */
+  static advance(schedule, now) {
+    let nextRun = new Date(schedule.nextRunAt || now);
+    if (nextRun <= now) {
+      if (schedule.intervalMs) {
+        // Keep interval tasks anchored to their original cadence
+        const steps = Math.floor((now - nextRun) / schedule.intervalMs) + 1;
+        nextRun = new Date(nextRun.getTime() + steps * schedule.intervalMs);
+      } else {
+        nextRun = computeNextRun(schedule, now);
+      }
+    }
+    schedule.nextRunAt = nextRun ? nextRun.toISOString() : null;
+    if (schedule.nextRunAt) this.arm(schedule);
+  }
+
+  /**
+   * Run tasks that were due while the bot was down, according to each task's policy:
+   *   skip — ignore missed runs
+   *   once — run a single time
+   *   all  — run once per missed occurrence (capped at MAX_CATCHUP_RUNS)
+   */
+  static async catchUp(schedule, missed) {
+    const policy = schedule.catchup || DEFAULT_CATCHUP;
+    log.info(`[scheduler] Task #${schedule.id} missed ${missed.length} run(s), policy: ${policy}`);
+
+    if (policy === 'skip') return;
+    const runs = policy === 'all' ? missed.slice(0, MAX_CATCHUP_RUNS) : missed.slice(0, 1);
+    for (const missedAt of runs) {
+      await this.execute(schedule.id, { missedAt });
+    }
+  }
+
+  /**
+   * Execute a task and deliver the result.
+   * @param {object} [options]
+   * @param {Date} [options.missedAt] - Original due time when recovering a missed run
+   * @param {boolean} [options.manual] - Run-now: always deliver, whatever the condition says
+   * @returns {Promise<object|undefined>} The history entry of this run (undefined if it could not start)
+   */
+  static async execute(id, options = {}) {
     const schedule = schedules.get(id);
     if (!schedule || !botInstance || !providersInstance) return;
 
+    // Access can be revoked after scheduling: skip without running or notifying
+    if (!Roles.isAuthorized(schedule.userId)) {
+      log.warn(`[scheduler] Task #${id} skipped: user ${schedule.userId} is no longer authorized`);
+      const run = { at: new Date().toISOString(), ok: false, notified: false, error: 'Usuario no autorizado' };
+      this.record(schedule, run);
+      this.save();
+      return run;
+    }
+
     try {
-      log.info(`[scheduler] Running task #${id}: ${schedule.prompt.substring(0, 50)}`);
+      const label = describeJob(schedule);
+      log.info(`[scheduler] Running task #${id} (${schedule.kind}): ${label.substring(0, 50)}`);
 
-      const provider = providersInstance.get(schedule.provider) || providersInstance.getForUser(schedule.userId);
+      const result = await runJob(schedule, { providers: providersInstance });
+      // Skipped and failed runs have no output to compare against
+      const previousHash = schedule.history?.findLast(run => run.hash)?.hash ?? null;
 
-      const result = await provider.execute(schedule.prompt, {
-        workDir: schedule.workDir,
-        userId: schedule.userId,
-      });
+      // SSH health checks report failures too (non-zero exit code)
+      let deliver = !!result.output && (result.ok || schedule.kind === 'ssh');
+      if (schedule.condition) {
+        const provider = jobProvider(schedule, providersInstance);
+        deliver = await evaluateCondition(schedule.condition, result, {
+          previousHash,
+          judge: provider ? createJudge(provider, schedule.userId) : undefined,
+        });
+      }
 
       schedule.lastRun = new Date().toISOString();
+      const run = {
+        at: schedule.lastRun,
+        ok: !!result.ok,
+        code: result.code,
+        notified: deliver,
+        output: (result.output || '').substring(0, HISTORY_OUTPUT_CHARS),
+        hash: hashOutput(result.output),
+      };
+      this.record(schedule, run);
       this.save();
 
-      if (result.ok && result.output) {
-        const header = `⏰ Tarea programada #${id}\n📝 ${schedule.prompt.substring(0, 50)}\n\n`;
-        const text = header + result.output.substring(0, 3500);
+      if (deliver || options.manual) {
+        const recovered = options.missedAt
+          ? ` (recuperada: ${formatInTimezone(options.missedAt, schedule.timezone)})`
+          : '';
+        const exitCode = schedule.kind === 'ssh' && result.code !== 0 ? `\n\n📟 Exit code: ${result.code}` : '';
+        const alert = !schedule.condition ? ''
+          : deliver ? `🚨 Condición cumplida: ${describeCondition(schedule.condition)}\n`
+            : `🔕 Condición no cumplida: ${describeCondition(schedule.condition)}\n`;
+        const header = `⏰ Tarea programada #${id}${recovered}\n${alert}${label.substring(0, 80)}\n\n`;
+        const text = header + (result.output || '(sin salida)').substring(0, 3500) + exitCode;
 
         await botInstance.api.sendMessage(schedule.userId, text);
       }
+      return run;
     } catch (err) {
       log.error(`[scheduler] Task #${id} failed: ${err.message}`);
+      const run = { at: new Date().toISOString(), ok: false, notified: false, error: err.message.substring(0, HISTORY_OUTPUT_CHARS) };
+      this.record(schedule, run);
+      this.save();
+      return run;
     }
   }
 
+  /**
+   * Append a run to the task's history, keeping the last MAX_HISTORY entries.
+   */
+  static record(schedule, entry) {
+    if (!schedule.history) schedule.history = [];
+    schedule.history.push(entry);
+    while (schedule.history.length > MAX_HISTORY) schedule.history.shift();
+  }
+
   static save() {
     try {
-      if (!existsSync(config.paths.data)) mkdirSync(config.paths.data, { recursive: true });
       const data = [...schedules.values()].map(({ timer, ...rest }) => rest);
-      writeFileSync(SCHEDULES_FILE, JSON.stringify(data, null, 2));
+      writeEncryptedJson(SCHEDULES_FILE, data);
     } catch (err) {
       log.error(`[scheduler] Save failed: ${err.message}`);
     }
@@ -106,16 +371,42 @@ export class Scheduler {
 
   static load() {
     try {
-      if (!existsSync(SCHEDULES_FILE)) return;
-      const data = JSON.parse(readFileSync(SCHEDULES_FILE, 'utf-8'));
+      const data = readEncryptedJson(SCHEDULES_FILE);
+      if (!data) return;
+      const now = new Date();
+      const overdue = [];
       for (const s of data) {
         if (s.id >= nextId) nextId = s.id + 1;
-        if (s.intervalMs) {
-          s.timer = setInterval(() => this.execute(s.id), s.intervalMs);
+        s.timer = null;
+        s.timezone = s.timezone || defaultTimezone();
+        s.catchup = s.catchup || DEFAULT_CATCHUP;
+        // Tasks saved before typed jobs were prompt-only
+        if (!s.kind) {
+          s.kind = 'prompt';
+          s.payload = { prompt: s.prompt };
+          delete s.prompt;
         }
         schedules.set(s.id, s);
+
+        // Tasks saved before nextRunAt was persisted start counting from now
+        if (!s.nextRunAt) {
+          const nextRun = computeNextRun(s, now);
+          s.nextRunAt = nextRun ? nextRun.toISOString() : null;
+        }
+
+        // Paused tasks stay idle; resume() picks the next run from then on
+        if (s.paused) continue;
+
+        const missed = collectMissedRuns(s, now);
+        if (missed.length > 0) overdue.push([s, missed]);
+        this.advance(s, now);
+      }
+      this.save();
+      log.info(`[scheduler] Loaded ${data.length} scheduled tasks (${overdue.length} overdue)`);
+
+      for (const [s, missed] of overdue) {
+        this.catchUp(s, missed).catch(err => log.error(`[scheduler] Catch-up #${s.id} failed: ${err.message}`));
       }
-      log.info(`[scheduler] Loaded ${data.length} scheduled tasks`);
     } catch (err) {
       log.warn(`[scheduler] Load failed: ${err.message}`);
     }
@@ -123,11 +414,142 @@ export class Scheduler {
 
   static stop() {
     for (const s of schedules.values()) {
-      if (s.timer) clearInterval(s.timer);
+      if (s.timer) clearTimeout(s.timer);
+      s.timer = null;
     }
   }
 }
 
+/**
+ * Look up a task and check it belongs to the user.
+ * @returns {{ schedule?: object, error?: { ok: false, reason: string } }}
+ */
+function getOwned(userId, id) {
+  const schedule = schedules.get(id);
+  if (!schedule) return { error: { ok: false, reason: 'Tarea no encontrada.' } };
+  if (schedule.userId !== userId) return { error: { ok: false, reason: 'No tienes permiso.' } };
+  return { schedule };
+}
+
+/**
+ * Validate an interval/cron expression and timezone.
+ * @returns {{ ok: true, intervalMs: number|null, timezone: string } | { ok: false, reason: string }}
+ */
+function resolveTiming(cronExpr, timezone) {
+  if (!isValidTimezone(timezone)) {
+    return { ok: false, reason: `Zona horaria no válida: ${timezone}` };
+  }
+
+  const intervalMs = parseCronToMs(cronExpr);
+  if (!intervalMs && !parseCron(cronExpr)) {
+    return { ok: false, reason: 'Formato de intervalo no válido. Usa: 1h, 30m, 24h, 7d, o cron (*/5 * * * *)' };
+  }
+
+  return { ok: true, intervalMs: intervalMs || null, timezone };
+}
+
+/**
+ * Next run strictly after `from`: interval schedules add intervalMs,
+ * cron schedules are evaluated in their timezone.
+ */
+function computeNextRun(schedule, from) {
+  if (schedule.intervalMs) {
+    return new Date(from.getTime() + schedule.intervalMs);
+  }
+  return nextCronRun(schedule.cron, from, schedule.timezone);
+}
+
+/**
+ * Occurrences due between the persisted nextRunAt and `now` (inclusive).
+ * Stops counting after MAX_CATCHUP_RUNS + 1 so long outages stay cheap.
+ * @returns {Date[]}
+ */
+export function collectMissedRuns(schedule, now = new Date()) {
+  const missed = [];
+  let due = schedule.nextRunAt ? new Date(schedule.nextRunAt) : null;
+  while (due && due <= now && missed.length <= MAX_CATCHUP_RUNS) {
+    missed.push(due);
+    due = computeNextRun(schedule, due);
+  }
+  return missed;
+}
+
+/**
+ * Split "/schedule" arguments into schedule expression, optional timezone,
+ * optional catch-up policy and alert condition, and prompt.
+ * Accepts:
+ *   24h [catchup=all] [if=changed] <prompt>
+ *   30 8 * * 1-5 [Europe/Madrid] [catchup=skip] <prompt>
+ *   @daily [UTC] [if="judge:¿Hay errores?"] <prompt>
+ * @returns {{ expr: string, timezone: string|null, catchup: string|null, condition: string|null, prompt: string }|null}
+ */
+export function parseScheduleArgs(args) {
+  const parsed = splitScheduleArgs(args);
+  return parsed.expr && parsed.prompt ? parsed : null;
+}
+
+/**
+ * Parse "/schedule edit <id>" arguments. Every part is optional:
+ *   2h                           → new interval
+ *   0 9 * * 1-5 Europe/Madrid    → new cron + timezone
+ *   if=none                      → options only
+ *   /ssh prod uptime             → new job
+ * @returns {object|null} Same shape as parseScheduleArgs (missing parts are null/''), or null if empty
+ */
+export function parseEditArgs(args) {
+  const parsed = splitScheduleArgs(args);
+  const empty = !parsed.expr && !parsed.timezone && !parsed.catchup && !parsed.condition && !parsed.prompt;
+  return empty ? null : parsed;
+}
+
+function splitScheduleArgs(args) {
+  const tokens = args.trim().split(/\s+/);
+  let exprTokens = 0;
+
+  if (/^\d+[smhd]$/i.test(tokens[0])) {
+    exprTokens = 1;
+  } else if (/^@[a-z]+$/i.test(tokens[0]) && parseCron(tokens[0])) {
+    exprTokens = 1;
+  } else if (tokens.length >= 5 && parseCron(tokens.slice(0, 5).join(' '))) {
+    exprTokens = 5;
+  }
+
+  // Consume tokens from the raw text so the prompt keeps its original spacing
+  let rest = args.trim();
+  const take = (token) => { rest = rest.slice(token.length).trimStart(); };
+  tokens.slice(0, exprTokens).forEach(take);
+
+  const expr = tokens.slice(0, exprTokens).join(' ') || null;
+  let timezone = null;
+
+  // Optional timezone right after a cron expression (Europe/Madrid, UTC)
+  if (exprTokens !== 1 || expr.startsWith('@')) {
+    const candidate = tokens[exprTokens];
+    if (candidate && (candidate.includes('/') || candidate === 'UTC') && isValidTimezone(candidate)) {
+      timezone = candidate;
+      take(candidate);
+    }
+  }
+
+  // Optional key=value options, value may be "quoted":
+  //   catchup=skip|once|all — runs missed while the bot was down
+  //   if=<condition>        — only notify when the condition holds (see conditions.js)
+  const options = {};
+  let option;
+  while ((option = rest.match(/^(catchup|if)=("([^"]*)"|\S+)(?:\s+|$)/i))) {
+    options[option[1].toLowerCase()] = option[3] ?? option[2];
+    take(option[0].trimEnd());
+  }
+
+  return {
+    expr,
+    timezone,
+    catchup: options.catchup ? options.catchup.toLowerCase() : null,
+    condition: options.if || null,
+    prompt: rest,
+  };
+}
+
 /**
  * Parse simple interval notation to milliseconds.
  * Supports: 5m, 1h, 24h, 7d, 30s
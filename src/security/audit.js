@@ -1,14 +1,101 @@
+/**
+ * Encrypted, tamper-evident audit log (append-only NDJSON, one Cipher payload per line).
+ * Each entry carries its sequence number and the keyed hash of the previous entry,
+ * so deleting, reordering or replacing lines breaks the chain. Every
+ * AUDIT_CHECKPOINT_EVERY entries a signed checkpoint (sequence + entry hash) is saved
+ * to audit-checkpoints.json; verification can start there instead of at the first line.
+ */
 import { appendFileSync, readFileSync, existsSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
 import { config } from '../utils/config.js';
+import { log } from '../utils/logger.js';
 import { Cipher } from '../crypto/cipher.js';
+import { readEncryptedJson, writeEncryptedJson } from '../crypto/store.js';
 
 let cipher;
 let auditPath;
+let checkpointsPath;
 
-export function initAudit() {
-  mkdirSync(config.paths.data, { recursive: true });
+// Chain head: hash of the last entry and sequence number of the next one
+let lastHash = null;
+let nextSeq = 0;
+
+const BREAK_MESSAGES = {
+  undecryptable: 'la línea no se puede descifrar (modificada o de otra clave)',
+  bad_sequence: 'número de secuencia inesperado (líneas borradas, duplicadas o reordenadas)',
+  broken_link: 'no enlaza con la entrada anterior (entrada borrada, insertada o reordenada)',
+  unchained: 'entrada sin encadenar después del inicio de la cadena (insertada)',
+  checkpoint_mismatch: 'no coincide con el checkpoint firmado (entrada reemplazada)',
+  bad_checkpoint_signature: 'checkpoint con firma no válida (checkpoints manipulados)',
+  truncated: 'faltan entradas al final del log (truncado)',
+};
+
+/**
+ * @param {string} [path] - Log file (default: data/audit.log)
+ */
+export function initAudit(path = config.paths.db.replace('.db', '.log')) {
+  mkdirSync(dirname(path), { recursive: true });
   cipher = new Cipher(config.crypto.masterPassword);
-  auditPath = config.paths.db.replace('.db', '.log');
+  auditPath = path;
+  checkpointsPath = path.replace(/\.log$/, '') + '-checkpoints.json';
+  restoreHead();
+}
+
+/**
+ * Continue the chain after the last line on disk. Logs from before the chain
+ * simply become its (unchained) prefix. If the latest signed checkpoint is past
+ * the end of the file, the tail was cut off: continue after the checkpoint so
+ * the gap stays visible instead of numbering new entries over it.
+ */
+function restoreHead() {
+  const lines = readLines();
+  nextSeq = lines.length;
+  lastHash = null;
+
+  const latest = readCheckpoints()
+    .filter(c => c.sig === signCheckpoint(cipher, c))
+    .reduce((a, b) => (!a || b.seq > a.seq ? b : a), null);
+  if (latest && latest.seq >= lines.length) {
+    log.error(`[audit] Log truncated: ${lines.length} entries on disk, signed checkpoint at #${latest.seq}`);
+    nextSeq = latest.seq + 1;
+    lastHash = latest.hash;
+    return;
+  }
+
+  if (!lines.length) return;
+  try {
+    lastHash = cipher.hash(cipher.decrypt(lines.at(-1)));
+  } catch (err) {
+    log.warn(`[audit] Last entry unreadable, the chain will report a break there: ${err.message}`);
+  }
+}
+
+function readLines() {
+  if (!existsSync(auditPath)) return [];
+  return readFileSync(auditPath, 'utf8').split('\n').filter(Boolean);
+}
+
+function signCheckpoint(key, checkpoint) {
+  return key.hash(`audit-checkpoint:${checkpoint.seq}:${checkpoint.hash}:${checkpoint.at}`);
+}
+
+function readCheckpoints() {
+  try {
+    return readEncryptedJson(checkpointsPath) || [];
+  } catch (err) {
+    log.warn(`[audit] Checkpoints unreadable: ${err.message}`);
+    return [{ seq: -1, hash: '', at: '', sig: '' }]; // Fails signature verification
+  }
+}
+
+function saveCheckpoint(seq, hash) {
+  const checkpoint = { seq, hash, at: new Date().toISOString() };
+  checkpoint.sig = signCheckpoint(cipher, checkpoint);
+  try {
+    writeEncryptedJson(checkpointsPath, [...readCheckpoints(), checkpoint]);
+  } catch (err) {
+    log.error(`[audit] Checkpoint failed: ${err.message}`);
+  }
 }
 
 export function logAudit(userId, action, data = null) {
@@ -17,10 +104,92 @@ export function logAudit(userId, action, data = null) {
     u: cipher.hash(String(userId)),
     a: action,
     d: data,
+    n: nextSeq,
+    p: lastHash,
   };
 
-  const encrypted = cipher.encrypt(JSON.stringify(entry));
-  appendFileSync(auditPath, encrypted + '\n', { mode: 0o600 });
+  const json = JSON.stringify(entry);
+  appendFileSync(auditPath, cipher.encrypt(json) + '\n', { mode: 0o600 });
+  lastHash = cipher.hash(json);
+  nextSeq++;
+
+  const every = config.security.auditCheckpointEvery;
+  if (every > 0 && nextSeq % every === 0) saveCheckpoint(entry.n, lastHash); // 0 disables checkpoints
+}
+
+/**
+ * Walk a hash-chained audit log and report the first break.
+ * Standalone: needs only the lines, a Cipher with the log's master password and the checkpoints.
+ * @param {string[]} lines - Encrypted log lines, in file order
+ * @param {Cipher} key
+ * @param {{ checkpoints?: object[], full?: boolean }} [options] - full: from the first line
+ *   instead of the latest checkpoint
+ * @returns {{ ok: boolean, entries: number, checked: number, from: number, legacy: number,
+ *   checkpoints: number, break: { line: number, reason: string, message: string } | null }}
+ *   line is 0-based; legacy counts entries written before the chain existed
+ */
+export function verifyAuditChain(lines, key, { checkpoints = [], full = true } = {}) {
+  const result = { ok: true, entries: lines.length, checked: 0, from: 0, legacy: 0, checkpoints: 0, break: null };
+  const fail = (line, reason) => ({ ...result, ok: false, break: { line, reason, message: BREAK_MESSAGES[reason] } });
+
+  // A forged checkpoint must never be trusted as a starting point
+  const bySeq = new Map();
+  let latest = null;
+  for (const checkpoint of checkpoints) {
+    if (checkpoint.sig !== signCheckpoint(key, checkpoint)) return fail(Math.max(checkpoint.seq, 0), 'bad_checkpoint_signature');
+    bySeq.set(checkpoint.seq, checkpoint);
+    if (!latest || checkpoint.seq > latest.seq) latest = checkpoint;
+  }
+  if (latest && latest.seq >= lines.length) return fail(lines.length, 'truncated');
+
+  const start = !full && latest ? latest.seq : 0;
+  result.from = start;
+  let prev = null;
+  let chained = start > 0;
+
+  for (let i = start; i < lines.length; i++) {
+    let json;
+    let entry;
+    try {
+      json = key.decrypt(lines[i]);
+      entry = JSON.parse(json);
+    } catch {
+      return fail(i, 'undecryptable');
+    }
+    const hash = key.hash(json);
+
+    if (entry.n === undefined) {
+      if (chained) return fail(i, 'unchained');
+      result.legacy++;
+    } else {
+      if (entry.n !== i) return fail(i, 'bad_sequence');
+      // The starting checkpoint vouches for its own entry; every other one must link back
+      if (!(i === start && start > 0) && entry.p !== prev) return fail(i, 'broken_link');
+      chained = true;
+    }
+
+    const checkpoint = bySeq.get(i);
+    if (checkpoint) {
+      if (checkpoint.hash !== hash) return fail(i, 'checkpoint_mismatch');
+      result.checkpoints++;
+    }
+    prev = hash;
+    result.checked++;
+  }
+  return result;
+}
+
+/**
+ * Verify this process's audit log file, including that nothing was cut off its end.
+ * @param {{ full?: boolean }} [options] - full: from the first line, checking every checkpoint
+ */
+export function verifyAuditLog({ full = false } = {}) {
+  const lines = readLines();
+  const result = verifyAuditChain(lines, cipher, { checkpoints: readCheckpoints(), full });
+  if (result.ok && lines.length < nextSeq) {
+    return { ...result, ok: false, break: { line: lines.length, reason: 'truncated', message: BREAK_MESSAGES.truncated } };
+  }
+  return result;
 }
 
 export function queryAudit(userId, limit = 20) {
@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+
+/**
+ * Verify the audit log hash chain without the bot running.
+ * Usage: npm run audit:verify [-- --full]   (uses MASTER_PASSWORD from .env)
+ * Exits with 1 if the chain is broken.
+ */
+
+import { initAudit, verifyAuditLog } from './audit.js';
+
+initAudit();
+const result = verifyAuditLog({ full: process.argv.includes('--full') });
+
+console.log(`Entries: ${result.entries} · checked: ${result.checked} from #${result.from + 1}` +
+  ` · checkpoints: ${result.checkpoints} · pre-chain: ${result.legacy}`);
+if (result.ok) {
+  console.log('OK: audit chain intact');
+} else {
+  console.log(`BROKEN at entry #${result.break.line + 1} (${result.break.reason}): ${result.break.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,183 @@
+/**
+ * Token and cost budgets per user and/or provider, set by admins.
+ * A `*` budget limits each user separately, not everyone's usage combined.
+ * When a budget is exhausted the request is refused or downgraded to a free provider.
+ * Persists to data/budgets.json (encrypted).
+ */
+import { resolve } from 'node:path';
+import { log } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { readEncryptedJson, writeEncryptedJson } from '../crypto/store.js';
+import { UsageLedger } from './ledger.js';
+
+const BUDGETS_FILE = resolve(config.paths.data, 'budgets.json');
+
+// Providers a downgrade may switch to, in order of preference
+export const FREE_PROVIDERS = ['groq', 'gemini'];
+
+const PERIODS = { dia: 'day', día: 'day', day: 'day', mes: 'month', month: 'month' };
+const ACTIONS = { bloquear: 'block', block: 'block', degradar: 'downgrade', downgrade: 'downgrade' };
+const LEDGER_PERIOD = { day: 'today', month: 'month' };
+
+let budgets = [];
+let nextId = 1;
+
+/**
+ * Parse `/presupuesto set` arguments:
+ *   <usuario|*> <proveedor|*> <dia|mes> <tokens|$coste> [bloquear|degradar]
+ * Examples: `12345 openai mes $5 degradar`, `* anthropic dia 200000`, `12345 * dia 50k`
+ * @returns {{ ok: true, budget: object } | { ok: false, reason: string }}
+ */
+export function parseBudgetArgs(text) {
+  const usage = 'Uso: /presupuesto set <usuario|*> <proveedor|*> <dia|mes> <tokens|$coste> [bloquear|degradar]';
+  const parts = (text || '').trim().split(/\s+/);
+  if (parts.length < 4 || parts.length > 5) return { ok: false, reason: usage };
+
+  const [userArg, providerArg, periodArg, limitArg, actionArg = 'bloquear'] = parts.map(p => p.toLowerCase());
+
+  let userId = null;
+  if (userArg !== '*') {
+    userId = parseInt(userArg, 10);
+    if (!Number.isInteger(userId) || String(userId) !== userArg) return { ok: false, reason: `Usuario no válido: ${userArg}` };
+  }
+
+  const period = PERIODS[periodArg];
+  if (!period) return { ok: false, reason: 'Periodo no válido: usa dia o mes.' };
+
+  const action = ACTIONS[actionArg];
+  if (!action) return { ok: false, reason: 'Acción no válida: usa bloquear o degradar.' };
+
+  const limit = parseLimit(limitArg);
+  if (!limit) return { ok: false, reason: 'Límite no válido: usa tokens (200000, 50k, 1m) o coste ($5).' };
+
+  return {
+    ok: true,
+    budget: {
+      userId,
+      provider: providerArg === '*' ? null : providerArg,
+      period,
+      ...limit,
+      action,
+    },
+  };
+}
+
+function parseLimit(text) {
+  const cost = text.match(/^\$(\d+(?:\.\d+)?)$/);
+  if (cost) {
+    const value = parseFloat(cost[1]);
+    return value > 0 ? { metric: 'cost', limit: value } : null;
+  }
+
+  const tokens = text.match(/^(\d+(?:\.\d+)?)([km]?)$/);
+  if (!tokens) return null;
+  const multiplier = { '': 1, k: 1000, m: 1_000_000 }[tokens[2]];
+  const value = Math.round(parseFloat(tokens[1]) * multiplier);
+  return value > 0 ? { metric: 'tokens', limit: value } : null;
+}
+
+/**
+ * Human-readable description of a budget.
+ */
+export function describeBudget(budget) {
+  const who = budget.userId === null ? 'cada usuario' : `usuario ${budget.userId}`;
+  const where = budget.provider || 'todos los proveedores';
+  const period = budget.period === 'day' ? 'diario' : 'mensual';
+  const limit = budget.metric === 'cost' ? `$${budget.limit}` : `${budget.limit} tokens`;
+  const action = budget.action === 'downgrade' ? 'degradar a gratis' : 'bloquear';
+  return `${limit} ${period} · ${who} · ${where} → ${action}`;
+}
+
+export class Budgets {
+  static load() {
+    try {
+      const data = readEncryptedJson(BUDGETS_FILE);
+      if (!data) return;
+      budgets = data;
+      for (const b of budgets) {
+        if (b.id >= nextId) nextId = b.id + 1;
+      }
+      log.info(`[budget] Loaded ${budgets.length} budgets`);
+    } catch (err) {
+      log.warn(`[budget] Load failed: ${err.message}`);
+    }
+  }
+
+  static save() {
+    try {
+      writeEncryptedJson(BUDGETS_FILE, budgets);
+    } catch (err) {
+      log.error(`[budget] Save failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Add a budget (as returned by parseBudgetArgs). Replaces an existing budget
+   * with the same user, provider, period and metric.
+   */
+  static add(budget, createdBy = null) {
+    budgets = budgets.filter(b => !(b.userId === budget.userId && b.provider === budget.provider &&
+      b.period === budget.period && b.metric === budget.metric));
+    const entry = { id: nextId++, ...budget, createdBy, createdAt: new Date().toISOString() };
+    budgets.push(entry);
+    this.save();
+    return entry;
+  }
+
+  static remove(id) {
+    const before = budgets.length;
+    budgets = budgets.filter(b => b.id !== id);
+    if (budgets.length === before) return false;
+    this.save();
+    return true;
+  }
+
+  /**
+   * @param {number} [userId] - Only the budgets that apply to this user (theirs and `*` ones)
+   */
+  static list(userId) {
+    return budgets
+      .filter(b => userId === undefined || b.userId === null || b.userId === userId)
+      .map(b => ({ ...b }));
+  }
+
+  /**
+   * Tokens or cost a user consumed so far against a budget in its current period.
+   * @param {number} [userId] - Whose usage counts against a `*` budget (default: the budget's own user)
+   */
+  static used(budget, userId = budget.userId, now = new Date()) {
+    const totals = UsageLedger.totals({
+      userId: userId ?? undefined,
+      provider: budget.provider ?? undefined,
+    }, LEDGER_PERIOD[budget.period], now);
+    return budget.metric === 'cost' ? totals.cost : totals.tokens;
+  }
+
+  /**
+   * Find an exhausted budget that applies to a user on a provider.
+   * Blocking budgets win over downgrading ones.
+   * @returns {{ budget: object, used: number, reason: string } | null}
+   */
+  static check(userId, provider, now = new Date()) {
+    let exhausted = null;
+
+    for (const budget of budgets) {
+      if (budget.userId !== null && budget.userId !== userId) continue;
+      if (budget.provider !== null && budget.provider !== provider) continue;
+
+      const used = this.used(budget, userId, now);
+      if (used < budget.limit) continue;
+
+      if (!exhausted || (budget.action === 'block' && exhausted.budget.action !== 'block')) {
+        const period = budget.period === 'day' ? 'diario' : 'mensual';
+        const scope = budget.provider ? ` de ${budget.provider}` : '';
+        exhausted = { budget, used, reason: `Presupuesto ${period}${scope} agotado` };
+      }
+    }
+
+    return exhausted;
+  }
+}
+
+// Load on import
+Budgets.load();
@@ -0,0 +1,230 @@
+/**
+ * Usage ledger: input/output tokens per user, provider, model and day,
+ * with estimated cost from a configurable price table.
+ * Persists to data/usage.json (encrypted).
+ */
+import { resolve } from 'node:path';
+import { log } from '../utils/logger.js';
+import { config } from '../utils/config.js';
+import { readEncryptedJson, writeEncryptedJson } from '../crypto/store.js';
+import { defaultTimezone } from '../scheduler/cron.js';
+
+const USAGE_FILE = resolve(config.paths.data, 'usage.json');
+const RETENTION_DAYS = 400;
+const DAY_MS = 86400000;
+
+export const PERIODS = ['today', 'week', 'month'];
+
+// USD per million tokens, matched by the longest model-name prefix.
+// Groq and Gemini Flash are free-tier by default; override with USAGE_PRICES.
+export const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0, output: 0 },
+  'llama': { input: 0, output: 0 },
+  'mixtral': { input: 0, output: 0 },
+  'claude-code': { input: 0, output: 0 }, // Plan-based CLI, no per-token billing
+};
+
+const rows = new Map(); // "day|userId|provider|model" -> row
+const prices = loadPrices();
+
+/**
+ * Default prices merged with USAGE_PRICES, a JSON object like
+ * {"gpt-4o": {"input": 2.5, "output": 10}}.
+ */
+function loadPrices() {
+  const table = { ...DEFAULT_PRICES };
+  if (!process.env.USAGE_PRICES) return table;
+  try {
+    for (const [model, price] of Object.entries(JSON.parse(process.env.USAGE_PRICES))) {
+      table[model.toLowerCase()] = { input: Number(price.input) || 0, output: Number(price.output) || 0 };
+    }
+  } catch (err) {
+    log.warn(`[usage] Invalid USAGE_PRICES, using defaults: ${err.message}`);
+  }
+  return table;
+}
+
+/**
+ * Calendar day (YYYY-MM-DD) of a date in the bot's timezone.
+ */
+export function dayKey(date = new Date()) {
+  return date.toLocaleDateString('en-CA', { timeZone: defaultTimezone() });
+}
+
+/**
+ * First day of a period containing `now`: today, ISO week (Monday) or month.
+ */
+export function periodStart(period, now = new Date()) {
+  const today = dayKey(now);
+  if (period === 'month') return `${today.substring(0, 8)}01`;
+  if (period === 'week') {
+    const date = new Date(`${today}T00:00:00Z`);
+    const sinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - sinceMonday * DAY_MS).toISOString().substring(0, 10);
+  }
+  return today;
+}
+
+/**
+ * Price per million tokens for a model, or null if unknown.
+ */
+export function priceFor(model) {
+  const name = (model || '').toLowerCase();
+  let best = null;
+  for (const prefix of Object.keys(prices)) {
+    if (name.startsWith(prefix) && (!best || prefix.length > best.length)) best = prefix;
+  }
+  return best ? prices[best] : null;
+}
+
+/**
+ * Estimated cost in USD, or null if the model has no price.
+ */
+export function estimateCost(model, inputTokens, outputTokens) {
+  const price = priceFor(model);
+  if (!price) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
+
+export class UsageLedger {
+  static load() {
+    try {
+      const data = readEncryptedJson(USAGE_FILE);
+      if (!data) return;
+      for (const row of data) rows.set(rowKey(row), row);
+      log.info(`[usage] Loaded ${rows.size} usage rows`);
+    } catch (err) {
+      log.warn(`[usage] Load failed: ${err.message}`);
+    }
+  }
+
+  static save() {
+    try {
+      writeEncryptedJson(USAGE_FILE, [...rows.values()]);
+    } catch (err) {
+      log.error(`[usage] Save failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Record a successful provider call.
+   * Results without an input/output split count the whole total as output.
+   * @param {number} userId
+   * @param {string} provider - Provider name (e.g. "openai")
+   * @param {{ model?: string, tokens?: number, inputTokens?: number, outputTokens?: number }} result
+   * @param {Date} [date]
+   */
+  static record(userId, provider, result, date = new Date()) {
+    const input = result.inputTokens || 0;
+    const output = result.outputTokens ?? Math.max((result.tokens || 0) - input, 0);
+    const row = {
+      day: dayKey(date),
+      userId,
+      provider,
+      model: result.model || provider,
+      input: 0,
+      output: 0,
+      requests: 0,
+    };
+    const key = rowKey(row);
+    const existing = rows.get(key) || row;
+    existing.input += input;
+    existing.output += output;
+    existing.requests++;
+    rows.set(key, existing);
+
+    this.prune(date);
+    this.save();
+  }
+
+  /**
+   * Drop rows older than the retention window.
+   */
+  static prune(now = new Date()) {
+    const cutoff = dayKey(new Date(now.getTime() - RETENTION_DAYS * DAY_MS));
+    for (const [key, row] of rows) {
+      if (row.day < cutoff) rows.delete(key);
+    }
+  }
+
+  /**
+   * Usage of a user in a period, grouped by provider and model.
+   * @param {number} userId
+   * @param {'today'|'week'|'month'} period
+   * @param {Date} [now]
+   * @returns {{ input: number, output: number, requests: number, cost: number, unpriced: boolean, models: object[] }}
+   */
+  static summary(userId, period, now = new Date()) {
+    const from = periodStart(period, now);
+    const to = dayKey(now);
+    const models = new Map();
+
+    for (const row of rows.values()) {
+      if (row.userId !== userId || row.day < from || row.day > to) continue;
+      const key = `${row.provider}/${row.model}`;
+      const entry = models.get(key) || { provider: row.provider, model: row.model, input: 0, output: 0, requests: 0 };
+      entry.input += row.input;
+      entry.output += row.output;
+      entry.requests += row.requests;
+      models.set(key, entry);
+    }
+
+    const summary = { input: 0, output: 0, requests: 0, cost: 0, unpriced: false, models: [] };
+    for (const entry of models.values()) {
+      entry.cost = estimateCost(entry.model, entry.input, entry.output);
+      summary.input += entry.input;
+      summary.output += entry.output;
+      summary.requests += entry.requests;
+      if (entry.cost === null) summary.unpriced = true;
+      else summary.cost += entry.cost;
+      summary.models.push(entry);
+    }
+    summary.models.sort((a, b) => (b.cost || 0) - (a.cost || 0) || (b.input + b.output) - (a.input + a.output));
+    return summary;
+  }
+
+  /**
+   * Total tokens and cost in a period, optionally filtered by user and/or provider.
+   * Unpriced models count as zero cost.
+   * @returns {{ tokens: number, cost: number }}
+   */
+  static totals({ userId, provider } = {}, period = 'today', now = new Date()) {
+    const from = periodStart(period, now);
+    const to = dayKey(now);
+    const totals = { tokens: 0, cost: 0 };
+
+    for (const row of rows.values()) {
+      if (row.day < from || row.day > to) continue;
+      if (userId !== undefined && row.userId !== userId) continue;
+      if (provider !== undefined && row.provider !== provider) continue;
+      totals.tokens += row.input + row.output;
+      totals.cost += estimateCost(row.model, row.input, row.output) || 0;
+    }
+    return totals;
+  }
+
+  /**
+   * Forget all usage of a user.
+   */
+  static clear(userId) {
+    for (const [key, row] of rows) {
+      if (row.userId === userId) rows.delete(key);
+    }
+    this.save();
+  }
+}
+
+function rowKey(row) {
+  return `${row.day}|${row.userId}|${row.provider}|${row.model}`;
+}
+
+// Load on import
+UsageLedger.load();
@@ -14,12 +14,18 @@ function required(key) {
   return val;
 }
 
+// Encrypted state (roles, PINs, sessions, schedules, audit log...)
+const dataDir = process.env.DATA_DIR ? resolve(process.env.DATA_DIR) : resolve(__dirname, '../../data');
+
 export const config = {
   telegram: {
     token: required('TELEGRAM_BOT_TOKEN'),
   },
   auth: {
     authorizedUsers: required('AUTHORIZED_USERS').split(',').map(id => parseInt(id.trim(), 10)),
+    // Admins manage budgets and other users; defaults to the first authorized user
+    adminUsers: (process.env.ADMIN_USERS || process.env.AUTHORIZED_USERS.split(',')[0])
+      .split(',').map(id => parseInt(id.trim(), 10)).filter(Number.isInteger),
     pin: required('AUTH_PIN'),
     sessionTimeoutMs: (parseInt(process.env.SESSION_TIMEOUT_MIN || '15', 10)) * 60 * 1000,
   },
@@ -46,6 +52,8 @@ export const config = {
   security: {
     rateLimitPerMin: parseInt(process.env.RATE_LIMIT_PER_MIN || '10', 10),
     autoDeleteSec: parseInt(process.env.AUTO_DELETE_SEC || '0', 10),
+    authGlobalMaxFailed: parseInt(process.env.AUTH_GLOBAL_MAX_FAILED || '20', 10),
+    auditCheckpointEvery: parseInt(process.env.AUDIT_CHECKPOINT_EVERY || '500', 10),
   },
   providers: {
     openai: {
@@ -69,8 +77,8 @@ export const config = {
     level: process.env.LOG_LEVEL || 'info',
   },
   paths: {
-    data: resolve(__dirname, '../../data'),
-    db: resolve(__dirname, '../../data/audit.db'),
+    data: dataDir,
+    db: resolve(dataDir, 'audit.db'),
   },
   shared: {
     botName: process.env.BOT_NAME || '',
@@ -0,0 +1,117 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync, appendFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { config } from '../src/utils/config.js';
+import { Cipher } from '../src/crypto/cipher.js';
+import { readEncryptedJson } from '../src/crypto/store.js';
+import { initAudit, logAudit, queryAudit, verifyAuditChain, verifyAuditLog } from '../src/security/audit.js';
+
+describe('audit hash chain', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'audit-'));
+  const logFile = join(dir, 'audit.log');
+  const checkpointsFile = join(dir, 'audit-checkpoints.json');
+  const key = new Cipher(config.crypto.masterPassword);
+  const every = config.security.auditCheckpointEvery;
+  let lines;
+
+  before(() => {
+    config.security.auditCheckpointEvery = 3;
+    // Two entries from before the chain existed
+    for (const a of ['legacy_1', 'legacy_2']) {
+      appendFileSync(logFile, key.encrypt(JSON.stringify({ t: new Date().toISOString(), u: key.hash('1'), a, d: null })) + '\n');
+    }
+    initAudit(logFile);
+    for (let i = 0; i < 6; i++) logAudit(1, 'test_action', { i });
+    lines = readFileSync(logFile, 'utf8').split('\n').filter(Boolean);
+  });
+
+  after(() => {
+    config.security.auditCheckpointEvery = every;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('chains every entry to the previous one and keeps /history working', () => {
+    const entries = lines.map(line => JSON.parse(key.decrypt(line)));
+    assert.deepEqual(entries.slice(2).map(e => e.n), [2, 3, 4, 5, 6, 7]);
+    for (let i = 2; i < entries.length; i++) {
+      assert.equal(entries[i].p, key.hash(key.decrypt(lines[i - 1])));
+    }
+    assert.equal(queryAudit(1, 3).length, 3);
+  });
+
+  it('writes signed checkpoints periodically', () => {
+    const checkpoints = readEncryptedJson(checkpointsFile);
+    assert.deepEqual(checkpoints.map(c => c.seq), [2, 5]);
+    assert.equal(checkpoints[1].hash, key.hash(key.decrypt(lines[5])));
+  });
+
+  it('verifies from the latest checkpoint, or the whole log', () => {
+    const quick = verifyAuditLog();
+    assert.equal(quick.ok, true);
+    assert.equal(quick.from, 5);
+    assert.equal(quick.checked, 3);
+
+    const full = verifyAuditLog({ full: true });
+    assert.equal(full.ok, true);
+    assert.equal(full.checked, 8);
+    assert.equal(full.legacy, 2);
+    assert.equal(full.checkpoints, 2);
+  });
+
+  it('reports the first deleted, reordered, inserted or replaced entry', () => {
+    const checkpoints = readEncryptedJson(checkpointsFile);
+    const verify = (tampered) => verifyAuditChain(tampered, key, { checkpoints }).break;
+
+    const deleted = verify(lines.toSpliced(3, 1));
+    assert.equal(deleted.line, 3);
+    assert.equal(deleted.reason, 'bad_sequence');
+    assert.match(deleted.message, /borradas/);
+    const swapped = [...lines];
+    [swapped[6], swapped[7]] = [swapped[7], swapped[6]];
+    assert.equal(verify(swapped).line, 6);
+    assert.equal(verify(lines.toSpliced(4, 0, lines[0])).reason, 'unchained');
+    assert.equal(verify(lines.with(4, 'garbage')).reason, 'undecryptable');
+    assert.equal(verify(lines.slice(0, 5)).reason, 'truncated');
+
+    // Re-encrypted with the key but edited: the next link no longer matches
+    const forged = JSON.parse(key.decrypt(lines[3]));
+    forged.d = { i: 99 };
+    const edited = verify(lines.with(3, key.encrypt(JSON.stringify(forged))));
+    assert.equal(edited.line, 4);
+    assert.equal(edited.reason, 'broken_link');
+  });
+
+  it('rejects forged checkpoints and detects a truncated live log', () => {
+    const checkpoints = readEncryptedJson(checkpointsFile);
+    const forged = checkpoints.map(c => ({ ...c, seq: c.seq + 1 }));
+    assert.equal(verifyAuditChain(lines, key, { checkpoints: forged }).break.reason, 'bad_checkpoint_signature');
+
+    writeFileSync(logFile, lines.slice(0, 7).join('\n') + '\n');
+    const result = verifyAuditLog();
+    assert.equal(result.ok, false);
+    assert.equal(result.break.reason, 'truncated');
+  });
+
+  it('keeps a tail truncated before a restart visible after new entries', () => {
+    // The signed checkpoint at #5 is past the end of the file
+    writeFileSync(logFile, lines.slice(0, 5).join('\n') + '\n');
+    initAudit(logFile);
+    for (let i = 0; i < 4; i++) logAudit(1, 'after_restart', { i });
+
+    const after = readFileSync(logFile, 'utf8').split('\n').filter(Boolean);
+    assert.equal(JSON.parse(key.decrypt(after[5])).n, 6);
+    assert.equal(verifyAuditLog().ok, false);
+    assert.equal(verifyAuditLog({ full: true }).ok, false);
+  });
+
+  it('writes no checkpoints when AUDIT_CHECKPOINT_EVERY is 0', () => {
+    config.security.auditCheckpointEvery = 0;
+    const before = readEncryptedJson(checkpointsFile).length;
+    for (let i = 0; i < 4; i++) logAudit(1, 'no_checkpoints', { i });
+    assert.equal(readEncryptedJson(checkpointsFile).length, before);
+    config.security.auditCheckpointEvery = 3;
+  });
+});
@@ -0,0 +1,178 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Budgets, parseBudgetArgs, describeBudget } from '../src/usage/budget.js';
+import { UsageLedger } from '../src/usage/ledger.js';
+import { ProviderManager } from '../src/providers/manager.js';
+import { Roles } from '../src/auth/roles.js';
+import { createToolset, MAX_TOOL_ITERATIONS } from '../src/mcp/tools.js';
+
+describe('Budgets', () => {
+  const userId = 999400;
+  const created = [];
+
+  function addBudget(text) {
+    const parsed = parseBudgetArgs(text);
+    assert.equal(parsed.ok, true, parsed.reason);
+    const budget = Budgets.add(parsed.budget, 1);
+    created.push(budget.id);
+    return budget;
+  }
+
+  before(() => {
+    UsageLedger.clear(userId);
+    Roles.assign(0, userId, 'developer');
+  });
+
+  after(() => {
+    created.forEach(id => Budgets.remove(id));
+    UsageLedger.clear(userId);
+    Roles.revoke(userId);
+  });
+
+  describe('parseBudgetArgs', () => {
+    it('parses token and cost limits', () => {
+      assert.deepEqual(parseBudgetArgs('12345 openai mes $5 degradar').budget, {
+        userId: 12345, provider: 'openai', period: 'month', metric: 'cost', limit: 5, action: 'downgrade',
+      });
+      assert.deepEqual(parseBudgetArgs('* * dia 50k').budget, {
+        userId: null, provider: null, period: 'day', metric: 'tokens', limit: 50000, action: 'block',
+      });
+      assert.equal(parseBudgetArgs('1 groq día 1.5m bloquear').budget.limit, 1_500_000);
+    });
+
+    it('rejects invalid input', () => {
+      assert.equal(parseBudgetArgs('').ok, false);
+      assert.equal(parseBudgetArgs('abc openai dia 100').ok, false);
+      assert.equal(parseBudgetArgs('1 openai semana 100').ok, false);
+      assert.equal(parseBudgetArgs('1 openai dia $0').ok, false);
+      assert.equal(parseBudgetArgs('1 openai dia 100 ignorar').ok, false);
+    });
+
+    it('describes budgets', () => {
+      const text = describeBudget(parseBudgetArgs('12345 openai mes $5 degradar').budget);
+      assert.ok(text.includes('$5 mensual'));
+      assert.ok(text.includes('usuario 12345'));
+      assert.ok(text.includes('degradar'));
+    });
+  });
+
+  describe('check', () => {
+    it('reports exhausted budgets that apply to the user and provider', () => {
+      const budget = addBudget(`${userId} openai dia 1000`);
+      assert.equal(Budgets.check(userId, 'openai'), null);
+
+      UsageLedger.record(userId, 'openai', { model: 'gpt-4o', inputTokens: 800, outputTokens: 300 });
+      const exhausted = Budgets.check(userId, 'openai');
+      assert.equal(exhausted.budget.id, budget.id);
+      assert.equal(exhausted.used, 1100);
+      assert.equal(Budgets.check(userId, 'groq'), null);
+      assert.equal(Budgets.check(userId + 1, 'openai'), null);
+    });
+
+    it('counts each user\'s own usage against * budgets', () => {
+      const other = userId + 1;
+      UsageLedger.clear(other);
+      try {
+        const budget = addBudget('* gemini dia 1000');
+        UsageLedger.record(other, 'gemini', { model: 'gemini-2.0-flash', inputTokens: 900, outputTokens: 200 });
+        assert.equal(Budgets.check(userId, 'gemini'), null);
+        assert.equal(Budgets.check(other, 'gemini').used, 1100);
+        assert.equal(Budgets.used(budget, userId), 0);
+      } finally {
+        UsageLedger.clear(other);
+      }
+    });
+
+    it('lists only the budgets that apply to a user', () => {
+      const own = addBudget(`${userId} openai mes 5000`);
+      const foreign = addBudget(`${userId + 2} openai mes 5000`);
+      const ids = Budgets.list(userId).map(b => b.id);
+      assert.ok(ids.includes(own.id));
+      assert.ok(!ids.includes(foreign.id));
+      assert.ok(Budgets.list(userId).some(b => b.userId === null));
+      assert.ok(Budgets.list().some(b => b.id === foreign.id));
+    });
+
+    it('replaces a budget with the same scope', () => {
+      const first = addBudget(`${userId} anthropic mes 100`);
+      const second = addBudget(`${userId} anthropic mes 200`);
+      const ids = Budgets.list().map(b => b.id);
+      assert.ok(!ids.includes(first.id));
+      assert.ok(ids.includes(second.id));
+    });
+  });
+
+  describe('ProviderManager enforcement', () => {
+    const realFetch = globalThis.fetch;
+    let manager;
+    let calls;
+
+    before(() => {
+      manager = new ProviderManager();
+      for (const name of ['openai', 'groq']) {
+        Object.defineProperty(manager.get(name), 'isConfigured', { value: true, configurable: true });
+      }
+      // Only gemini would otherwise be a downgrade target
+      Object.defineProperty(manager.get('gemini'), 'isConfigured', { value: false, configurable: true });
+    });
+
+    afterEach(() => {
+      globalThis.fetch = realFetch;
+    });
+
+    function mockFetch() {
+      calls = [];
+      globalThis.fetch = async (url) => {
+        calls.push(url);
+        return new Response(JSON.stringify({
+          choices: [{ message: { content: 'respuesta' } }],
+          usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+        }), { status: 200 });
+      };
+    }
+
+    it('downgrades to a free provider and says so', async () => {
+      addBudget(`${userId} openai dia 1000 degradar`);
+      mockFetch();
+      const result = await manager.executeWithFallback(userId, 'hola', { userId }, 'openai');
+      assert.equal(result.ok, true);
+      assert.equal(result.provider, 'groq');
+      assert.ok(result.budgetNotice.includes('groq'));
+      assert.ok(calls[0].includes('groq.com'));
+    });
+
+    it('refuses when the budget blocks', async () => {
+      addBudget(`${userId} openai dia 1000 bloquear`);
+      mockFetch();
+      const result = await manager.executeWithFallback(userId, 'hola', { userId }, 'openai');
+      assert.equal(result.ok, false);
+      assert.equal(result.budgetBlocked, true);
+      assert.equal(calls.length, 0);
+    });
+
+    it('refuses a downgrade when free providers are exhausted too', async () => {
+      addBudget(`${userId} * dia 1000 degradar`);
+      mockFetch();
+      const result = await manager.executeWithFallback(userId, 'hola', { userId }, 'groq');
+      assert.equal(result.budgetBlocked, true);
+      assert.equal(calls.length, 0);
+    });
+
+    it('records the tokens of calls that fail after spending them', async () => {
+      created.splice(0).forEach(id => Budgets.remove(id));
+      UsageLedger.clear(userId);
+      // The model keeps asking for tools until the iteration limit
+      globalThis.fetch = async () => new Response(JSON.stringify({
+        choices: [{ message: { tool_calls: [{ id: 'c', type: 'function', function: { name: 'srv__ping', arguments: '{}' } }] } }],
+        usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 },
+      }), { status: 200 });
+      const tools = createToolset([{ server: 'srv', name: 'ping', inputSchema: { type: 'object', properties: {} } }]);
+      tools.call = async () => ({ content: 'ok', isError: false });
+
+      const result = await manager.get('groq').execute('hola', { userId, tools });
+      assert.equal(result.ok, false);
+      assert.equal(UsageLedger.totals({ userId, provider: 'groq' }).tokens, 5 * MAX_TOOL_ITERATIONS);
+    });
+  });
+});
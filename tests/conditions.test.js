@@ -0,0 +1,69 @@
+import './helpers/data-dir.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCondition, evaluateCondition, hashOutput, createJudge } from '../src/scheduler/conditions.js';
+
+describe('Schedule conditions', () => {
+  describe('parseCondition', () => {
+    it('parses regex with flags', () => {
+      const { ok, condition } = parseCondition('/error|fatal/i');
+      assert.equal(ok, true);
+      assert.deepEqual(condition, { type: 'regex', pattern: 'error|fatal', flags: 'i' });
+    });
+
+    it('parses changed, exit and judge', () => {
+      assert.deepEqual(parseCondition('changed').condition, { type: 'changed' });
+      assert.deepEqual(parseCondition('exit').condition, { type: 'exit' });
+      assert.deepEqual(parseCondition('judge:¿Está caído?').condition, { type: 'judge', question: '¿Está caído?' });
+    });
+
+    it('rejects invalid conditions', () => {
+      assert.equal(parseCondition('/[unclosed/').ok, false);
+      assert.equal(parseCondition('sometimes').ok, false);
+      assert.equal(parseCondition('').ok, false);
+    });
+  });
+
+  describe('evaluateCondition', () => {
+    it('matches regex against output', async () => {
+      const condition = { type: 'regex', pattern: 'ERROR', flags: '' };
+      assert.equal(await evaluateCondition(condition, { ok: true, output: 'ERROR: x' }), true);
+      assert.equal(await evaluateCondition(condition, { ok: true, output: 'fine' }), false);
+    });
+
+    it('detects changes only after a previous run', async () => {
+      const condition = { type: 'changed' };
+      const result = { ok: true, output: 'new' };
+      assert.equal(await evaluateCondition(condition, result, { previousHash: null }), false);
+      assert.equal(await evaluateCondition(condition, result, { previousHash: hashOutput('old') }), true);
+      assert.equal(await evaluateCondition(condition, result, { previousHash: hashOutput('new') }), false);
+    });
+
+    it('checks exit codes, falling back to ok', async () => {
+      const condition = { type: 'exit' };
+      assert.equal(await evaluateCondition(condition, { ok: false, output: '', code: 1 }), true);
+      assert.equal(await evaluateCondition(condition, { ok: true, output: '', code: 0 }), false);
+      assert.equal(await evaluateCondition(condition, { ok: false, output: 'API error' }), true);
+    });
+
+    it('delegates to the judge', async () => {
+      const condition = { type: 'judge', question: '¿Falla?' };
+      const judge = async (question, output) => output.includes('fail');
+      assert.equal(await evaluateCondition(condition, { ok: true, output: 'fail' }, { judge }), true);
+      assert.equal(await evaluateCondition(condition, { ok: true, output: 'ok' }, { judge }), false);
+      assert.equal(await evaluateCondition(condition, { ok: true, output: 'fail' }), false);
+    });
+  });
+
+  describe('createJudge', () => {
+    it('accepts SÍ/yes and rejects anything else', async () => {
+      const answers = ['SÍ', 'yes.', 'NO', 'Sin datos'];
+      const provider = { execute: async () => ({ ok: true, output: answers.shift() }) };
+      const judge = createJudge(provider, 1);
+      assert.equal(await judge('q', 'out'), true);
+      assert.equal(await judge('q', 'out'), true);
+      assert.equal(await judge('q', 'out'), false);
+      assert.equal(await judge('q', 'out'), false);
+    });
+  });
+});
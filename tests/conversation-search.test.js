@@ -0,0 +1,71 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchQuery, matchText } from '../src/context/search.js';
+import { ConversationMemory, DEFAULT_THREAD } from '../src/context/memory.js';
+import { resetConversations, useTempConversations } from './helpers/memory.js';
+
+const USER = 990020;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+const cleanup = () => resetConversations(USER);
+
+let removeStore;
+before(() => { removeStore = useTempConversations(); });
+after(() => removeStore());
+
+describe('Search matching', () => {
+  it('folds case and accents, and keeps quoted phrases together', () => {
+    assert.deepEqual(parseSearchQuery('Índice  "Tabla Pedidos"'), ['indice', 'tabla pedidos']);
+    assert.deepEqual(parseSearchQuery('   '), []);
+  });
+
+  it('requires every term and returns a snippet of the original text', () => {
+    const text = 'Revisamos el plan: falta el ÍNDICE compuesto en la tabla pedidos.';
+    assert.equal(matchText(text, ['indice', 'pedidos']), text);
+    assert.equal(matchText(text, ['indice', 'clientes']), null);
+    assert.equal(matchText(text, []), null);
+  });
+
+  it('trims long texts around the first hit', () => {
+    const text = `${'a'.repeat(200)} el error está aquí ${'b'.repeat(200)}`;
+    const snippet = matchText(text, ['error']);
+    assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+    assert.ok(snippet.includes('el error está aquí'));
+    assert.ok(snippet.length < 160);
+  });
+});
+
+describe('ConversationMemory.search', () => {
+  before(async () => {
+    cleanup();
+    ConversationMemory.add(USER, 'user', 'Cómo configuro nginx como proxy');
+    await sleep(5);
+    ConversationMemory.createThread(USER, 'incidencia-db');
+    ConversationMemory.add(USER, 'user', '¿Por qué la consulta de pedidos es lenta?');
+    await sleep(5);
+    ConversationMemory.add(USER, 'assistant', 'Falta un índice sobre pedidos.fecha; la consulta hace un scan completo.');
+  });
+  after(cleanup);
+
+  it('searches every thread, newest first', () => {
+    const { total, results } = ConversationMemory.search(USER, 'CONSULTA pedidos');
+    assert.equal(total, 2);
+    assert.deepEqual(results.map(r => r.role), ['assistant', 'user']);
+    assert.ok(results.every(r => r.thread === 'incidencia-db'));
+    assert.ok(results[0].timestamp >= results[1].timestamp);
+
+    assert.equal(ConversationMemory.search(USER, 'nginx').results[0].thread, DEFAULT_THREAD);
+  });
+
+  it('limits results but reports the total', () => {
+    const { total, results } = ConversationMemory.search(USER, 'o', { limit: 1 });
+    assert.equal(total, 3);
+    assert.equal(results.length, 1);
+  });
+
+  it('returns nothing for unknown users or empty queries', () => {
+    assert.deepEqual(ConversationMemory.search(USER, ''), { total: 0, results: [] });
+    assert.deepEqual(ConversationMemory.search(990999, 'x'), { total: 0, results: [] });
+  });
+});
@@ -0,0 +1,84 @@
+import './helpers/data-dir.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronRun, isValidTimezone } from '../src/scheduler/cron.js';
+
+describe('Cron', () => {
+  describe('parseCron', () => {
+    it('parses wildcards and steps', () => {
+      const cron = parseCron('*/15 * * * *');
+      assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+      assert.equal(cron.hour.size, 24);
+    });
+
+    it('parses ranges, lists and names', () => {
+      const cron = parseCron('0 8,20 * jan-mar mon-fri');
+      assert.deepEqual([...cron.hour], [8, 20]);
+      assert.deepEqual([...cron.month], [1, 2, 3]);
+      assert.deepEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+    });
+
+    it('treats 7 as Sunday', () => {
+      const cron = parseCron('0 0 * * 7');
+      assert.deepEqual([...cron.dayOfWeek], [0]);
+    });
+
+    it('expands macros', () => {
+      const cron = parseCron('@daily');
+      assert.deepEqual([...cron.minute], [0]);
+      assert.deepEqual([...cron.hour], [0]);
+    });
+
+    it('rejects invalid expressions', () => {
+      assert.equal(parseCron('* * * *'), null);
+      assert.equal(parseCron('60 * * * *'), null);
+      assert.equal(parseCron('* 24 * * *'), null);
+      assert.equal(parseCron('5-1 * * * *'), null);
+      assert.equal(parseCron('*/0 * * * *'), null);
+      assert.equal(parseCron('hello world foo bar baz'), null);
+    });
+  });
+
+  describe('nextCronRun', () => {
+    it('finds the next matching minute in UTC', () => {
+      const next = nextCronRun('*/5 * * * *', new Date('2026-01-01T10:02:30Z'), 'UTC');
+      assert.equal(next.toISOString(), '2026-01-01T10:05:00.000Z');
+    });
+
+    it('is strictly after the reference time', () => {
+      const next = nextCronRun('0 * * * *', new Date('2026-01-01T10:00:00Z'), 'UTC');
+      assert.equal(next.toISOString(), '2026-01-01T11:00:00.000Z');
+    });
+
+    it('evaluates wall-clock time in the given timezone', () => {
+      // Friday 2026-01-09 12:00 UTC → next weekday 08:30 Madrid is Monday (UTC+1)
+      const next = nextCronRun('30 8 * * 1-5', new Date('2026-01-09T12:00:00Z'), 'Europe/Madrid');
+      assert.equal(next.toISOString(), '2026-01-12T07:30:00.000Z');
+    });
+
+    it('follows daylight saving time changes', () => {
+      // Madrid switches to UTC+2 on 2026-03-29
+      const before = nextCronRun('0 9 * * *', new Date('2026-03-28T12:00:00Z'), 'Europe/Madrid');
+      const after = nextCronRun('0 9 * * *', before, 'Europe/Madrid');
+      assert.equal(before.toISOString(), '2026-03-29T07:00:00.000Z');
+      assert.equal(after.toISOString(), '2026-03-30T07:00:00.000Z');
+    });
+
+    it('matches either day field when both are restricted', () => {
+      // 1st of the month OR Monday
+      const next = nextCronRun('0 0 1 * 1', new Date('2026-01-02T00:00:00Z'), 'UTC');
+      assert.equal(next.toISOString(), '2026-01-05T00:00:00.000Z');
+    });
+
+    it('returns null for expressions that never match', () => {
+      assert.equal(nextCronRun('0 0 30 2 *', new Date('2026-01-01T00:00:00Z'), 'UTC'), null);
+    });
+  });
+
+  it('validates timezones', () => {
+    assert.equal(isValidTimezone('Europe/Madrid'), true);
+    assert.equal(isValidTimezone('UTC'), true);
+    assert.equal(isValidTimezone('Mars/Olympus'), false);
+    assert.equal(isValidTimezone(''), false);
+  });
+});
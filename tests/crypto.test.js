@@ -1,3 +1,4 @@
+import './helpers/data-dir.js';
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { Cipher } from '../src/crypto/cipher.js';
@@ -73,6 +74,17 @@ describe('Cipher', () => {
     assert.notEqual(h1, h2);
   });
 
+  it('hashes secrets with a random salt and verifies them', () => {
+    const record = Cipher.hashSecret('482915', 1000);
+    const again = Cipher.hashSecret('482915', 1000);
+    assert.notEqual(record.salt, again.salt);
+    assert.notEqual(record.hash, again.hash);
+    assert.equal(record.iterations, 1000);
+    assert.equal(Cipher.verifySecret('482915', record), true);
+    assert.equal(Cipher.verifySecret('482916', record), false);
+    assert.equal(Cipher.verifySecret('482915', null), false);
+  });
+
   it('rejects short master password', () => {
     assert.throws(() => new Cipher('short'), /at least 16/);
   });
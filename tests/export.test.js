@@ -0,0 +1,94 @@
+import './helpers/data-dir.js';
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExportFormat, renderExport, parseExport } from '../src/context/export.js';
+import { ConversationMemory } from '../src/context/memory.js';
+import { resetConversations, useTempConversations } from './helpers/memory.js';
+
+const USER = 990018;
+const COLLEAGUE = 990019;
+
+const cleanup = () => resetConversations(USER, COLLEAGUE);
+
+let removeStore;
+before(() => { removeStore = useTempConversations(); });
+after(() => removeStore());
+
+describe('Conversation export', () => {
+  beforeEach(() => {
+    cleanup();
+    ConversationMemory.createThread(USER, 'incidencia-db', { provider: 'openai', workDir: '/srv/app' });
+    ConversationMemory.add(USER, 'user', '¿Por qué falla <db>?');
+    ConversationMemory.add(USER, 'assistant', 'Falta el índice.', { provider: 'openai', model: 'gpt-4o', tokens: 120 });
+  });
+  after(cleanup);
+
+  it('parses format arguments', () => {
+    assert.equal(parseExportFormat(''), 'md');
+    assert.equal(parseExportFormat('markdown'), 'md');
+    assert.equal(parseExportFormat('HTML'), 'html');
+    assert.equal(parseExportFormat('json'), 'json');
+    assert.equal(parseExportFormat('pdf'), null);
+  });
+
+  it('keeps provider, model and tokens with each assistant turn', () => {
+    const [question, answer] = ConversationMemory.exportThread(USER).messages;
+    assert.equal(question.provider, undefined);
+    assert.deepEqual(
+      { provider: answer.provider, model: answer.model, tokens: answer.tokens },
+      { provider: 'openai', model: 'gpt-4o', tokens: 120 }
+    );
+    assert.deepEqual(ConversationMemory.getForProvider(USER)[1], { role: 'assistant', content: 'Falta el índice.' });
+  });
+
+  it('renders Markdown with per-turn metadata', () => {
+    const at = new Date('2026-03-01T10:00:00Z');
+    const { filename, content } = renderExport(ConversationMemory.exportThread(USER), 'md', { exportedAt: at, exportedBy: '@ana' });
+    assert.equal(filename, 'conversacion-incidencia-db-2026-03-01.md');
+    assert.ok(content.startsWith('# Conversación: incidencia-db\n'));
+    assert.ok(content.includes('- Modelos: gpt-4o'));
+    assert.ok(content.includes('- Tokens: 120'));
+    assert.match(content, /## 🤖 Asistente — .* · openai \/ gpt-4o · 120 tokens\n\nFalta el índice\./);
+  });
+
+  it('escapes content in HTML', () => {
+    const { content } = renderExport(ConversationMemory.exportThread(USER), 'html');
+    assert.ok(content.startsWith('<!DOCTYPE html>'));
+    assert.ok(content.includes('¿Por qué falla &lt;db&gt;?'));
+    assert.ok(!content.includes('<db>'));
+  });
+
+  it('round-trips through JSON into a colleague\'s new thread', () => {
+    const { content } = renderExport(ConversationMemory.exportThread(USER), 'json', { exportedBy: '@ana' });
+    const parsed = parseExport(content);
+    assert.equal(parsed.ok, true);
+    assert.equal(parsed.thread.exportedBy, '@ana');
+
+    const result = ConversationMemory.importThread(COLLEAGUE, { ...parsed.thread, workDir: '/home/luis' });
+    assert.equal(result.ok, true);
+    assert.equal(result.thread.name, 'incidencia-db');
+    assert.equal(result.thread.workDir, '/home/luis');
+    assert.equal(ConversationMemory.getActiveThread(COLLEAGUE).name, 'incidencia-db');
+    assert.deepEqual(ConversationMemory.getForProvider(COLLEAGUE).map(m => m.content), ['¿Por qué falla <db>?', 'Falta el índice.']);
+    assert.equal(ConversationMemory.exportThread(COLLEAGUE).messages[1].model, 'gpt-4o');
+
+    // A second import does not overwrite the first
+    assert.equal(ConversationMemory.importThread(COLLEAGUE, parsed.thread).thread.name, 'incidencia-db-2');
+    assert.equal(ConversationMemory.importThread(COLLEAGUE, parsed.thread, 'Otro').thread.name, 'otro');
+  });
+
+  it('carries the rolling summary', async () => {
+    await ConversationMemory.compact(USER, 10, async () => 'resumen previo');
+    const parsed = parseExport(renderExport(ConversationMemory.exportThread(USER), 'json').content);
+    ConversationMemory.importThread(COLLEAGUE, parsed.thread);
+    assert.equal(ConversationMemory.getSummary(COLLEAGUE), 'resumen previo');
+  });
+
+  it('rejects files that are not exported conversations', () => {
+    assert.match(parseExport('{roto').reason, /JSON válido/);
+    assert.match(parseExport('{"messages": []}').reason, /exportar json/);
+    assert.match(parseExport(JSON.stringify({ kind: 'llm-remote-conversation', version: 9, messages: [] })).reason, /Versión/);
+    const badRole = { kind: 'llm-remote-conversation', version: 1, messages: [{ role: 'system', content: 'x' }] };
+    assert.match(parseExport(JSON.stringify(badRole)).reason, /Mensaje 1/);
+  });
+});
@@ -1,3 +1,4 @@
+import './helpers/data-dir.js';
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { canProcessFile, extractFileContent } from '../src/media/files.js';
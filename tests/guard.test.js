@@ -0,0 +1,70 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempAudit } from './helpers/audit.js';
+import { config } from '../src/utils/config.js';
+import {
+  recordFailedAuth, clearFailedAuth, lockoutRemainingMs, globalLockoutRemainingMs, onLockout, loadLockouts,
+} from '../src/auth/guard.js';
+
+const USER = 990030;
+const GLOBAL_USERS = Array.from({ length: config.security.authGlobalMaxFailed }, (_, i) => 990031 + i);
+const MINUTE = 60_000;
+
+describe('brute-force lockout', () => {
+  const events = [];
+  // In the past, so the counters never lock anyone out of the real bot
+  const t0 = Date.now() - 5 * 60 * MINUTE;
+  const t1 = Date.now() - 2 * 60 * MINUTE;
+  let removeAudit;
+
+  before(() => {
+    removeAudit = useTempAudit();
+    onLockout(event => events.push(event));
+  });
+
+  after(() => {
+    removeAudit();
+    onLockout(null);
+    for (const userId of [USER, ...GLOBAL_USERS]) clearFailedAuth(userId);
+  });
+
+  it('locks a user out after 5 failures and alerts once', () => {
+    for (let i = 0; i < 4; i++) recordFailedAuth(USER, t0);
+    assert.equal(lockoutRemainingMs(USER, t0), 0);
+    assert.equal(events.length, 0);
+
+    assert.equal(recordFailedAuth(USER, t0), 5);
+    assert.equal(lockoutRemainingMs(USER, t0 + MINUTE), 14 * MINUTE);
+    assert.equal(lockoutRemainingMs(USER, t0 + 15 * MINUTE), 0);
+    assert.deepEqual(events, [{ scope: 'user', userId: USER, attempts: 5, lockoutMs: 15 * MINUTE }]);
+  });
+
+  it('doubles the lockout every 5 further failures', () => {
+    for (let i = 0; i < 5; i++) recordFailedAuth(USER, t0);
+    assert.equal(lockoutRemainingMs(USER, t0), 30 * MINUTE);
+    assert.equal(events.at(-1).lockoutMs, 30 * MINUTE);
+  });
+
+  it('survives a restart (counters are reloaded from disk)', () => {
+    loadLockouts();
+    assert.equal(lockoutRemainingMs(USER, t0), 30 * MINUTE);
+    assert.equal(recordFailedAuth(USER, t0), 11);
+
+    clearFailedAuth(USER);
+    loadLockouts();
+    assert.equal(lockoutRemainingMs(USER, t0), 0);
+  });
+
+  it('locks /auth for everyone after too many failures across users', () => {
+    events.length = 0;
+    for (const userId of GLOBAL_USERS.slice(0, -1)) recordFailedAuth(userId, t1);
+    assert.equal(globalLockoutRemainingMs(t1), 0);
+
+    recordFailedAuth(GLOBAL_USERS.at(-1), t1);
+    assert.equal(globalLockoutRemainingMs(t1 + MINUTE), 14 * MINUTE);
+    assert.equal(globalLockoutRemainingMs(), 0);
+    assert.deepEqual(events, [{ scope: 'global', attempts: GLOBAL_USERS.length, lockoutMs: 15 * MINUTE }]);
+    assert.equal(GLOBAL_USERS.every(userId => lockoutRemainingMs(userId, t1) === 0), true);
+  });
+});
@@ -0,0 +1,14 @@
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { initAudit } from '../../src/security/audit.js';
+
+/**
+ * Send audit entries to a fresh temp log instead of data/audit.log.
+ * @returns {() => void} Deletes the temp log
+ */
+export function useTempAudit() {
+  const dir = mkdtempSync(join(tmpdir(), 'audit-'));
+  initAudit(join(dir, 'audit.log'));
+  return () => rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,12 @@
+/**
+ * Import this first in every test file: it points DATA_DIR at a fresh temp dir before
+ * src/utils/config.js reads it, so no store (roles, PINs, sessions, schedules, budgets...)
+ * reads or writes the real data/. The dir is removed when the test process exits.
+ */
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const dir = mkdtempSync(join(tmpdir(), 'llm-remote-data-'));
+process.env.DATA_DIR = dir;
+process.on('exit', () => rmSync(dir, { recursive: true, force: true }));
@@ -0,0 +1,30 @@
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ConversationMemory, DEFAULT_THREAD } from '../../src/context/memory.js';
+
+/**
+ * Keep conversations in a fresh temp store instead of data/conversations.json.
+ * @returns {() => void} Drops unsaved changes and deletes the temp store
+ */
+export function useTempConversations() {
+  const dir = mkdtempSync(join(tmpdir(), 'conversations-'));
+  ConversationMemory.load(join(dir, 'conversations.json'));
+  return () => {
+    ConversationMemory.load(join(dir, 'conversations.json'));
+    rmSync(dir, { recursive: true, force: true });
+  };
+}
+
+/**
+ * Put users back on an empty default thread, deleting every other thread.
+ */
+export function resetConversations(...userIds) {
+  for (const userId of userIds) {
+    ConversationMemory.useThread(userId, DEFAULT_THREAD);
+    for (const t of ConversationMemory.listThreads(userId)) {
+      if (!t.active) ConversationMemory.deleteThread(userId, t.name);
+    }
+    ConversationMemory.clear(userId);
+  }
+}
@@ -0,0 +1,142 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJob, validateJob, describeJob, runJob } from '../src/scheduler/jobs.js';
+import { SSHManager } from '../src/remote/ssh.js';
+import { MCPManager } from '../src/mcp/client.js';
+import { useTempAudit } from './helpers/audit.js';
+
+describe('Scheduled jobs', () => {
+  after(() => {
+    SSHManager.removeServer('jobs-test');
+  });
+
+  describe('parseJob', () => {
+    it('treats plain text as a prompt', () => {
+      const { ok, job } = parseJob('Resume los repos');
+      assert.equal(ok, true);
+      assert.deepEqual(job, { kind: 'prompt', payload: { prompt: 'Resume los repos' } });
+    });
+
+    it('parses pipelines', () => {
+      const { job } = parseJob('/pipe busca X → resume');
+      assert.deepEqual(job, { kind: 'pipeline', payload: { pipeline: 'busca X → resume' } });
+    });
+
+    it('parses SSH commands', () => {
+      const { job } = parseJob('/ssh prod df -h');
+      assert.deepEqual(job, { kind: 'ssh', payload: { server: 'prod', command: 'df -h' } });
+    });
+
+    it('parses MCP calls with JSON args', () => {
+      const { job } = parseJob('/mcp call github/list_issues {"repo":"x"}');
+      assert.deepEqual(job, { kind: 'mcp', payload: { server: 'github', tool: 'list_issues', args: { repo: 'x' } } });
+    });
+
+    it('rejects incomplete commands', () => {
+      assert.equal(parseJob('/pipe').ok, false);
+      assert.equal(parseJob('/ssh prod').ok, false);
+      assert.equal(parseJob('/mcp tools').ok, false);
+      assert.equal(parseJob('/mcp call github/x {bad json').ok, false);
+    });
+  });
+
+  describe('validateJob', () => {
+    it('rejects unknown SSH servers', () => {
+      const err = validateJob({ kind: 'ssh', payload: { server: 'ghost', command: 'ls' } });
+      assert.ok(err.includes('no encontrado'));
+    });
+
+    it('applies SSH command safety rules', () => {
+      SSHManager.addServer('jobs-test', 'localhost', 'test', 22, '');
+      assert.equal(validateJob({ kind: 'ssh', payload: { server: 'jobs-test', command: 'df -h' } }), null);
+      assert.ok(validateJob({ kind: 'ssh', payload: { server: 'jobs-test', command: 'rm -rf /' } }));
+    });
+
+    it('rejects unknown kinds', () => {
+      assert.ok(validateJob({ kind: 'email', payload: {} }));
+    });
+
+    it('only schedules MCP tools whose policy is auto', () => {
+      const job = { kind: 'mcp', payload: { server: 'ghost', tool: 'x', args: {} } };
+      try {
+        MCPManager.setPolicy(1, 'ghost/x', 'confirm');
+        assert.match(validateJob(job, 1), /requiere confirmación.*\/mcp policy ghost\/x auto/);
+        MCPManager.setPolicy(1, 'ghost/x', 'deny');
+        assert.match(validateJob(job, 1), /denegada/);
+        MCPManager.setPolicy(1, 'ghost/x', 'auto');
+        assert.equal(validateJob(job, 1), null);
+        assert.ok(validateJob(job, 2), 'the policy is per user');
+      } finally {
+        MCPManager.setPolicy(1, 'ghost/x', null);
+      }
+    });
+  });
+
+  it('describes jobs by kind', () => {
+    assert.ok(describeJob({ kind: 'ssh', payload: { server: 'prod', command: 'df -h' } }).includes('/ssh prod df -h'));
+    assert.ok(describeJob({ kind: 'prompt', payload: { prompt: 'hola' } }).includes('hola'));
+  });
+
+  describe('runJob', () => {
+    const mockProvider = {
+      execute: async (prompt) => ({ ok: true, output: `out:${prompt}` }),
+    };
+    const providers = { get: () => mockProvider, getForUser: () => mockProvider };
+
+    it('runs prompts through the schedule provider', async () => {
+      const result = await runJob(
+        { kind: 'prompt', payload: { prompt: 'hola' }, userId: 1, provider: 'groq', workDir: '/tmp' },
+        { providers },
+      );
+      assert.equal(result.ok, true);
+      assert.equal(result.output, 'out:hola');
+    });
+
+    it('refuses jobs of users who are no longer authorized', async () => {
+      const result = await runJob(
+        { kind: 'pipeline', payload: { pipeline: 'uno → dos' }, userId: 990099, workDir: '/tmp' },
+        { providers },
+      );
+      assert.equal(result.ok, false);
+      assert.match(result.output, /ya no está autorizado/);
+    });
+
+    it('runs pipelines through Pipeline.execute', async () => {
+      const result = await runJob(
+        { kind: 'pipeline', payload: { pipeline: 'uno → dos' }, userId: 1, workDir: '/tmp' },
+        { providers },
+      );
+      assert.equal(result.ok, true);
+      assert.equal(result.steps.length, 2);
+    });
+
+    let removeAudit;
+    before(() => { removeAudit = useTempAudit(); });
+    after(() => removeAudit());
+
+    it('fails MCP calls to unknown servers', async () => {
+      MCPManager.setPolicy(1, 'ghost/x', 'auto');
+      try {
+        await assert.rejects(
+          runJob({ kind: 'mcp', payload: { server: 'ghost', tool: 'x', args: {} }, userId: 1 }, { providers }),
+          /no conectado/,
+        );
+      } finally {
+        MCPManager.setPolicy(1, 'ghost/x', null);
+      }
+    });
+
+    it('refuses MCP calls whose policy changed to confirm or deny after scheduling', async () => {
+      const schedule = { kind: 'mcp', payload: { server: 'ghost', tool: 'x', args: {} }, userId: 1 };
+      try {
+        MCPManager.setPolicy(1, 'ghost/x', 'confirm');
+        await assert.rejects(runJob(schedule, { providers }), /requiere confirmación/);
+        MCPManager.setPolicy(1, 'ghost/x', 'deny');
+        await assert.rejects(runJob(schedule, { providers }), /denegada/);
+      } finally {
+        MCPManager.setPolicy(1, 'ghost/x', null);
+      }
+    });
+  });
+});
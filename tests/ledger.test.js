@@ -0,0 +1,83 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { UsageLedger, priceFor, estimateCost, periodStart } from '../src/usage/ledger.js';
+
+describe('UsageLedger', () => {
+  describe('prices', () => {
+    it('matches the longest model prefix', () => {
+      assert.deepEqual(priceFor('gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 });
+      assert.deepEqual(priceFor('gpt-4o'), { input: 2.5, output: 10 });
+      assert.deepEqual(priceFor('claude-sonnet-4-20250514'), { input: 3, output: 15 });
+    });
+
+    it('returns null for unknown models', () => {
+      assert.equal(priceFor('mystery-model'), null);
+      assert.equal(estimateCost('mystery-model', 100, 100), null);
+    });
+
+    it('estimates cost per million tokens', () => {
+      assert.equal(estimateCost('gpt-4o', 1_000_000, 100_000), 3.5);
+      assert.equal(estimateCost('llama-3.3-70b-versatile', 5000, 5000), 0);
+    });
+  });
+
+  describe('periodStart', () => {
+    // Midday UTC keeps the calendar day stable in any bot timezone
+    const now = new Date('2026-03-19T12:00:00Z'); // Thursday
+
+    it('computes today, ISO week and month', () => {
+      assert.equal(periodStart('today', now), '2026-03-19');
+      assert.equal(periodStart('week', now), '2026-03-16');
+      assert.equal(periodStart('month', now), '2026-03-01');
+    });
+
+    it('starts the week on Monday when today is Sunday', () => {
+      assert.equal(periodStart('week', new Date('2026-03-22T12:00:00Z')), '2026-03-16');
+    });
+  });
+
+  describe('record and summary', () => {
+    const userId = 999300;
+    const now = new Date('2026-03-19T12:00:00Z');
+    const clearAll = () => [userId, userId + 1, userId + 2].forEach(id => UsageLedger.clear(id));
+
+    before(clearAll);
+    after(clearAll);
+
+    it('aggregates per period, provider and model', () => {
+      UsageLedger.record(userId, 'openai', { model: 'gpt-4o', inputTokens: 1000, outputTokens: 500 }, now);
+      UsageLedger.record(userId, 'openai', { model: 'gpt-4o', inputTokens: 1000, outputTokens: 500 }, now);
+      UsageLedger.record(userId, 'groq', { model: 'llama-3.3-70b-versatile', tokens: 300 }, new Date('2026-03-17T12:00:00Z'));
+      UsageLedger.record(userId, 'anthropic', { model: 'claude-sonnet-4-20250514', inputTokens: 100, outputTokens: 100 }, new Date('2026-03-02T12:00:00Z'));
+      UsageLedger.record(userId, 'openai', { model: 'gpt-4o', inputTokens: 1, outputTokens: 1 }, new Date('2026-02-27T12:00:00Z'));
+
+      const today = UsageLedger.summary(userId, 'today', now);
+      assert.equal(today.requests, 2);
+      assert.equal(today.input, 2000);
+      assert.equal(today.output, 1000);
+      assert.equal(today.cost, estimateCost('gpt-4o', 2000, 1000));
+
+      const week = UsageLedger.summary(userId, 'week', now);
+      assert.equal(week.requests, 3);
+      assert.equal(week.output, 1300); // totals without a split count as output
+
+      const month = UsageLedger.summary(userId, 'month', now);
+      assert.equal(month.requests, 4);
+      assert.deepEqual(month.models.map(m => m.provider), ['openai', 'anthropic', 'groq']);
+    });
+
+    it('flags models without a price', () => {
+      const otherUser = userId + 1;
+      UsageLedger.record(otherUser, 'custom', { model: 'mystery-model', inputTokens: 10, outputTokens: 10 }, now);
+      const summary = UsageLedger.summary(otherUser, 'today', now);
+      assert.equal(summary.unpriced, true);
+      assert.equal(summary.cost, 0);
+      assert.equal(summary.models[0].cost, null);
+    });
+
+    it('keeps users apart', () => {
+      assert.equal(UsageLedger.summary(userId + 2, 'month', now).requests, 0);
+    });
+  });
+});
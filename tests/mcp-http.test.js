@@ -0,0 +1,202 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { MCPHttpServer, parseHeaderLines, validateServerUrl } from '../src/mcp/http.js';
+
+const TOOLS = [{ name: 'echo', description: 'Echo text', inputSchema: { type: 'object', properties: { text: { type: 'string' } } } }];
+
+// Stand-in MCP server: /json and /sse speak Streamable HTTP, /legacy speaks HTTP+SSE
+function handleRpc(msg) {
+  if (msg.method === 'initialize') {
+    return { protocolVersion: msg.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'stand-in', version: '1' } };
+  }
+  if (msg.method === 'tools/list') return { tools: TOOLS };
+  if (msg.method === 'tools/call') return { content: [{ type: 'text', text: `echo:${msg.params.arguments.text}` }] };
+  return null;
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body ? JSON.parse(body) : null));
+  });
+}
+
+describe('MCP over HTTP', () => {
+  let server;
+  let base;
+  const seen = [];
+  const sessions = new Set();
+  let legacyStream = null;
+
+  before(async () => {
+    server = createServer(async (req, res) => {
+      const path = req.url.split('?')[0];
+      const msg = req.method === 'POST' ? await readBody(req) : null;
+      seen.push({ method: req.method, path, rpc: msg?.method, auth: req.headers.authorization, session: req.headers['mcp-session-id'] });
+
+      if (path === '/json' || path === '/sse') {
+        if (req.method === 'DELETE') { res.writeHead(200).end(); return; }
+        // A server that keeps forgetting the session must not loop us into endless re-handshakes
+        if (msg.method === 'tools/call' && msg.params.name === 'amnesia') { res.writeHead(404).end(); return; }
+        if (msg.method === 'tools/call' && msg.params.name === 'broken') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ jsonrpc: '2.0', id: msg.id, error: { code: -32602, message: 'Unknown tool' } }));
+          return;
+        }
+        if (msg.method !== 'initialize' && !sessions.has(req.headers['mcp-session-id'])) { res.writeHead(404).end(); return; }
+        if (msg.id === undefined) { res.writeHead(202).end(); return; }
+        const reply = JSON.stringify({ jsonrpc: '2.0', id: msg.id, result: handleRpc(msg) });
+        let headers = {};
+        if (msg.method === 'initialize') {
+          const id = `sess-${sessions.size + 1}`;
+          sessions.add(id);
+          headers = { 'Mcp-Session-Id': id };
+        }
+        if (path === '/json') {
+          res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+          res.end(reply);
+        } else {
+          res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream' });
+          res.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/progress', params: {} })}\n\n`);
+          res.end(`event: message\ndata: ${reply}\n\n`);
+        }
+        return;
+      }
+
+      if (path === '/legacy' && req.method === 'POST') { res.writeHead(405).end(); return; }
+      if (path === '/legacy' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('event: endpoint\ndata: /legacy/messages?session=abc\n\n');
+        legacyStream = res;
+        return;
+      }
+      if (path === '/legacy/messages') {
+        res.writeHead(202).end();
+        if (msg.id !== undefined) {
+          legacyStream.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: msg.id, result: handleRpc(msg) })}\n\n`);
+        }
+        return;
+      }
+
+      res.writeHead(404).end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it('talks Streamable HTTP with JSON responses, session id and custom headers', async () => {
+    seen.length = 0;
+    const mcp = new MCPHttpServer('json', `${base}/json`, { Authorization: 'Bearer secret' });
+    await mcp.connect();
+
+    assert.equal(mcp.connected, true);
+    assert.deepEqual(mcp.tools.map(t => t.name), ['echo']);
+    const result = await mcp.callTool('echo', { text: 'hola' });
+    assert.equal(result.content[0].text, 'echo:hola');
+    await assert.rejects(mcp.callTool('broken'), /Unknown tool/);
+
+    assert.deepEqual(seen.map(s => s.rpc), ['initialize', 'notifications/initialized', 'tools/list', 'tools/call', 'tools/call']);
+    assert.ok(seen.every(s => s.auth === 'Bearer secret'));
+    assert.equal(seen[0].session, undefined);
+    assert.ok(seen.slice(1).every(s => s.session === 'sess-1'));
+
+    mcp.disconnect();
+    assert.equal(mcp.connected, false);
+    assert.deepEqual(mcp.toConfig(), { url: `${base}/json`, headers: { Authorization: 'Bearer secret' } });
+  });
+
+  it('re-initializes when the server forgets the session', async () => {
+    const mcp = new MCPHttpServer('json', `${base}/json`);
+    await mcp.connect();
+    sessions.clear();
+    seen.length = 0;
+
+    assert.equal((await mcp.callTool('echo', { text: 'again' })).content[0].text, 'echo:again');
+    assert.deepEqual(seen.map(s => s.rpc), ['tools/call', 'initialize', 'notifications/initialized', 'tools/list', 'tools/call']);
+    assert.equal(mcp.connected, true);
+    mcp.disconnect();
+  });
+
+  it('re-initializes only once when the session is rejected again', async () => {
+    const mcp = new MCPHttpServer('json', `${base}/json`);
+    await mcp.connect();
+    seen.length = 0;
+
+    await assert.rejects(mcp.callTool('amnesia'), (err) => err.status === 404);
+    assert.deepEqual(seen.map(s => s.rpc), ['tools/call', 'initialize', 'notifications/initialized', 'tools/list', 'tools/call']);
+    mcp.disconnect();
+  });
+
+  it('records capabilities and server info from the handshake', async () => {
+    const mcp = new MCPHttpServer('json', `${base}/json`);
+    await mcp.connect();
+    assert.deepEqual(mcp.capabilities, { tools: {} });
+    assert.deepEqual(mcp.serverInfo, { name: 'stand-in', version: '1' });
+    assert.equal(mcp.protocolVersion, '2025-03-26');
+    mcp.disconnect();
+  });
+
+  it('reads responses sent as an SSE stream', async () => {
+    const mcp = new MCPHttpServer('sse', `${base}/sse`);
+    await mcp.connect();
+    assert.equal((await mcp.callTool('echo', { text: 'sse' })).content[0].text, 'echo:sse');
+    mcp.disconnect();
+  });
+
+  it('falls back to the legacy HTTP+SSE transport', async () => {
+    seen.length = 0;
+    const mcp = new MCPHttpServer('legacy', `${base}/legacy`);
+    await mcp.connect();
+
+    assert.equal(mcp.connected, true);
+    assert.equal((await mcp.callTool('echo', { text: 'old' })).content[0].text, 'echo:old');
+    const legacyCalls = seen.filter(s => s.path.startsWith('/legacy')).map(s => `${s.method} ${s.path}`);
+    assert.deepEqual(legacyCalls.slice(0, 3), ['POST /legacy', 'GET /legacy', 'POST /legacy/messages']);
+
+    mcp.disconnect();
+    assert.equal(mcp.connected, false);
+  });
+
+  it('marks the server disconnected when the legacy stream closes', async () => {
+    const mcp = new MCPHttpServer('legacy', `${base}/legacy`);
+    const drops = [];
+    mcp.onClose = (err) => drops.push(err.message);
+    await mcp.connect();
+    legacyStream.end();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(mcp.connected, false);
+    assert.deepEqual(drops, ['MCP SSE: stream cerrado']);
+    assert.equal(mcp.lastError.message, 'MCP SSE: stream cerrado');
+  });
+
+  it('fails on unreachable paths', async () => {
+    const mcp = new MCPHttpServer('missing', `${base}/missing`);
+    await assert.rejects(mcp.connect(), /MCP SSE 404/);
+    assert.equal(mcp.connected, false);
+  });
+});
+
+describe('add-url helpers', () => {
+  it('parses header lines', () => {
+    assert.deepEqual(parseHeaderLines('Authorization: Bearer abc\n\nX-Team:  core'), {
+      ok: true,
+      headers: { Authorization: 'Bearer abc', 'X-Team': 'core' },
+    });
+    assert.deepEqual(parseHeaderLines(''), { ok: true, headers: {} });
+    assert.equal(parseHeaderLines('not a header').ok, false);
+  });
+
+  it('accepts only http(s) URLs', () => {
+    assert.equal(validateServerUrl('https://mcp.example.com/mcp').ok, true);
+    assert.equal(validateServerUrl('file:///etc/passwd').ok, false);
+    assert.equal(validateServerUrl('nope').ok, false);
+  });
+});
@@ -0,0 +1,121 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { queryAudit } from '../src/security/audit.js';
+import { useTempAudit } from './helpers/audit.js';
+import { MCPManager } from '../src/mcp/client.js';
+import { createToolset } from '../src/mcp/tools.js';
+import { Roles } from '../src/auth/roles.js';
+
+const USER = 990012;
+const OTHER = 990013;
+
+function resetRules() {
+  for (const userId of [USER, OTHER]) {
+    for (const pattern of Object.keys(MCPManager.listPolicies(userId).user)) MCPManager.setPolicy(userId, pattern, null);
+  }
+  for (const pattern of ['polsrv/*', 'polsrv/drop']) MCPManager.setPolicy(null, pattern, null);
+}
+
+describe('MCP tool policies', () => {
+  let removeAudit;
+
+  before(() => {
+    removeAudit = useTempAudit();
+    resetRules();
+    Roles.assign(0, USER, 'developer');
+  });
+  after(() => {
+    removeAudit();
+    resetRules();
+    Roles.revoke(USER);
+  });
+
+  it('defaults to confirm when no rule matches', () => {
+    assert.equal(MCPManager.getPolicy(USER, 'polsrv', 'read'), 'confirm');
+  });
+
+  it('prefers the most specific rule of a scope', () => {
+    MCPManager.setPolicy(USER, 'polsrv/*', 'auto');
+    MCPManager.setPolicy(USER, 'polsrv/write', 'deny');
+    assert.equal(MCPManager.getPolicy(USER, 'polsrv', 'read'), 'auto');
+    assert.equal(MCPManager.getPolicy(USER, 'polsrv', 'write'), 'deny');
+    assert.equal(MCPManager.getPolicy(OTHER, 'polsrv', 'read'), 'confirm');
+  });
+
+  it('applies the strictest of user and global rules', () => {
+    MCPManager.setPolicy(null, 'polsrv/drop', 'deny');
+    MCPManager.setPolicy(USER, 'polsrv/drop', 'auto');
+    assert.equal(MCPManager.getPolicy(USER, 'polsrv', 'drop'), 'deny');
+    assert.equal(MCPManager.getPolicy(OTHER, 'polsrv', 'drop'), 'deny');
+
+    MCPManager.setPolicy(null, 'polsrv/*', 'auto');
+    assert.equal(MCPManager.getPolicy(OTHER, 'polsrv', 'read'), 'auto');
+    MCPManager.setPolicy(OTHER, 'polsrv/read', 'confirm');
+    assert.equal(MCPManager.getPolicy(OTHER, 'polsrv', 'read'), 'confirm');
+  });
+
+  it('removes rules and rejects invalid ones', () => {
+    MCPManager.setPolicy(USER, 'polsrv/write', null);
+    assert.equal(MCPManager.listPolicies(USER).user['polsrv/write'], undefined);
+    assert.equal(MCPManager.setPolicy(USER, 'polsrv', 'auto').ok, false);
+    assert.equal(MCPManager.setPolicy(USER, 'a/b/c', 'auto').ok, false);
+    assert.equal(MCPManager.setPolicy(USER, '*', 'maybe').ok, false);
+  });
+
+  it('denies, asks and allows before reaching the server, auditing each decision', async () => {
+    resetRules();
+    MCPManager.setPolicy(USER, 'polsrv/drop', 'deny');
+    MCPManager.setPolicy(USER, 'polsrv/read', 'auto');
+    const asked = [];
+
+    await assert.rejects(
+      MCPManager.callTool('polsrv', 'drop', {}, { userId: USER, confirm: async () => true }),
+      /denegada/
+    );
+    await assert.rejects(
+      MCPManager.callTool('polsrv', 'write', { path: 'x' }, {
+        userId: USER,
+        confirm: async (server, tool, args) => { asked.push({ server, tool, args }); return false; },
+      }),
+      /rechazada/
+    );
+    await assert.rejects(MCPManager.callTool('polsrv', 'write', {}, { userId: USER }), /requiere confirmación/);
+    await assert.rejects(
+      MCPManager.callTool('polsrv', 'write', {}, { userId: USER, confirm: async () => true }),
+      /no conectado/
+    );
+    await assert.rejects(MCPManager.callTool('polsrv', 'read', {}, { userId: USER }), /no conectado/);
+
+    assert.deepEqual(asked, [{ server: 'polsrv', tool: 'write', args: { path: 'x' } }]);
+    const actions = queryAudit(USER, 5).map(e => e.action).reverse();
+    assert.deepEqual(actions, ['mcp_tool_denied', 'mcp_tool_rejected', 'mcp_tool_rejected', 'mcp_tool_approved', 'mcp_tool_allowed']);
+  });
+
+  it('applies the role and policy to resource reads and prompts', async () => {
+    resetRules();
+    const approve = { confirm: async () => true };
+    await assert.rejects(
+      MCPManager.readResource('polsrv', 'file:///etc/passwd', { userId: OTHER, ...approve }),
+      /Tu rol no permite la herramienta polsrv\/resources:file:\/\/\/etc\/passwd/
+    );
+
+    MCPManager.setPolicy(USER, 'polsrv/*', 'deny');
+    await assert.rejects(MCPManager.readResource('polsrv', 'file:///a', { userId: USER, ...approve }), /denegada/);
+    await assert.rejects(MCPManager.getPrompt('polsrv', 'review', {}, { userId: USER, ...approve }), /denegada/);
+
+    MCPManager.setPolicy(USER, 'polsrv/*', null);
+    await assert.rejects(MCPManager.getPrompt('polsrv', 'review', {}, { userId: USER }), /requiere confirmación/);
+    await assert.rejects(MCPManager.readResource('polsrv', 'file:///a', { userId: USER, ...approve }), /no conectado/);
+  });
+
+  it('toolsets pass the user and confirmation to the policy layer', async () => {
+    const toolset = createToolset([{ server: 'polsrv', name: 'write' }], {
+      userId: USER,
+      confirm: async () => false,
+    });
+    const result = await toolset.call('polsrv__write', {});
+    assert.equal(result.isError, true);
+    assert.ok(result.content.includes('rechazada'));
+  });
+});
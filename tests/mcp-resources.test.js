@@ -0,0 +1,78 @@
+import './helpers/data-dir.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ResourceAttachments,
+  formatResourceContents,
+  formatPromptMessages,
+  parsePromptArgs,
+} from '../src/mcp/resources.js';
+import { MCPManager } from '../src/mcp/client.js';
+
+const USER = 990015;
+
+describe('MCP resources', () => {
+  afterEach(() => ResourceAttachments.clear(USER));
+
+  it('formats text and binary contents', () => {
+    assert.equal(formatResourceContents({ contents: [{ uri: 'file:///a', text: 'hola' }] }), 'hola');
+    assert.equal(
+      formatResourceContents({ contents: [{ uri: 'file:///img', mimeType: 'image/png', blob: 'AAAA' }] }),
+      '[binario image/png, ~3 bytes: file:///img]'
+    );
+    assert.equal(formatResourceContents({ contents: [] }), '(recurso vacío)');
+  });
+
+  it('attaches resources to the next prompt only', () => {
+    ResourceAttachments.add(USER, 'fs', 'file:///a', 'uno');
+    ResourceAttachments.add(USER, 'fs', 'file:///b', 'dos');
+    ResourceAttachments.add(USER, 'fs', 'file:///a', 'uno bis');
+
+    const taken = ResourceAttachments.take(USER);
+    assert.deepEqual(taken.map(a => `${a.uri}=${a.text}`), ['file:///b=dos', 'file:///a=uno bis']);
+    assert.deepEqual(ResourceAttachments.take(USER), []);
+
+    const context = ResourceAttachments.toContext(taken);
+    assert.ok(context.includes('--- Recursos adjuntos ---'));
+    assert.ok(context.includes('[fs: file:///b]\ndos'));
+    assert.equal(ResourceAttachments.toContext([]), '');
+  });
+
+  it('keeps the five most recent attachments', () => {
+    for (let i = 1; i <= 7; i++) ResourceAttachments.add(USER, 'fs', `file:///${i}`, String(i));
+    assert.deepEqual(ResourceAttachments.list(USER).map(a => a.text), ['3', '4', '5', '6', '7']);
+  });
+
+  it('requires a connected server with the capability', async () => {
+    await assert.rejects(MCPManager.listResources('ghost'), /no conectado/);
+    await assert.rejects(MCPManager.readResource('ghost', 'file:///a'), /no conectado/);
+    await assert.rejects(MCPManager.getPrompt('ghost', 'x'), /no conectado/);
+  });
+});
+
+describe('MCP prompts', () => {
+  it('parses key=value and JSON arguments', () => {
+    assert.deepEqual(parsePromptArgs('lang=es topic="api rest" n=3'), {
+      ok: true,
+      args: { lang: 'es', topic: 'api rest', n: '3' },
+    });
+    assert.deepEqual(parsePromptArgs('{"n": 3, "lang": "es"}'), { ok: true, args: { n: '3', lang: 'es' } });
+    assert.deepEqual(parsePromptArgs(''), { ok: true, args: {} });
+    assert.equal(parsePromptArgs('suelto').ok, false);
+    assert.equal(parsePromptArgs('{roto').ok, false);
+  });
+
+  it('renders prompt messages for the AI', () => {
+    const single = { messages: [{ role: 'user', content: { type: 'text', text: 'Revisa este código' } }] };
+    assert.equal(formatPromptMessages(single), 'Revisa este código');
+
+    const conversation = {
+      messages: [
+        { role: 'user', content: { type: 'text', text: 'Hola' } },
+        { role: 'assistant', content: { type: 'text', text: '¿Qué necesitas?' } },
+        { role: 'user', content: { type: 'resource', resource: { uri: 'file:///x', text: 'contenido' } } },
+      ],
+    };
+    assert.equal(formatPromptMessages(conversation), 'Usuario: Hola\n\nAsistente: ¿Qué necesitas?\n\nUsuario: contenido');
+  });
+});
@@ -0,0 +1,110 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MCPServer } from '../src/mcp/client.js';
+
+// Stand-in stdio MCP server. argv: "tools" to advertise tools, "prompts" for none,
+// "die" to exit before the handshake. Calling the "crash" tool kills the process.
+const SERVER_SCRIPT = `
+const mode = process.argv[2] || 'tools';
+if (mode === 'die') { process.stderr.write('missing token\\n'); process.exit(2); }
+let buffer = '';
+// Newline-delimited JSON, as the MCP stdio transport specifies
+function send(msg) {
+  process.stdout.write(JSON.stringify(msg) + '\\n');
+}
+process.stdin.on('data', (chunk) => {
+  buffer += chunk;
+  let end;
+  while ((end = buffer.indexOf('\\n')) !== -1) {
+    const line = buffer.substring(0, end);
+    buffer = buffer.substring(end + 1);
+    const msg = JSON.parse(line);
+    if (msg.id === undefined) continue;
+    if (msg.method === 'initialize') {
+      send({ jsonrpc: '2.0', id: msg.id, result: {
+        protocolVersion: '2024-11-05',
+        capabilities: mode === 'tools' ? { tools: {}, resources: {} } : { prompts: {} },
+        serverInfo: { name: 'stand-in', version: '0.1' },
+      } });
+    } else if (msg.method === 'tools/list') {
+      send({ jsonrpc: '2.0', id: msg.id, result: { tools: [{ name: 'echo' }, { name: 'crash' }] } });
+    } else if (msg.params.name === 'crash') {
+      process.stderr.write('segfault-ish\\n');
+      process.exit(3);
+    } else {
+      send({ jsonrpc: '2.0', id: msg.id, result: { content: [{ type: 'text', text: 'ok' }] } });
+    }
+  }
+});
+`;
+
+describe('MCP stdio server', () => {
+  let dir;
+  let script;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'llm-remote-mcp-'));
+    script = join(dir, 'server.js');
+    writeFileSync(script, SERVER_SCRIPT);
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('awaits the initialize response and records capabilities', async () => {
+    const server = new MCPServer('fake', process.execPath, [script, 'tools']);
+    const started = Date.now();
+    await server.connect();
+
+    assert.ok(Date.now() - started < 2000, 'no fixed handshake delay');
+    assert.equal(server.connected, true);
+    assert.deepEqual(Object.keys(server.capabilities), ['tools', 'resources']);
+    assert.deepEqual(server.serverInfo, { name: 'stand-in', version: '0.1' });
+    assert.equal(server.protocolVersion, '2024-11-05');
+    assert.deepEqual(server.tools.map(t => t.name), ['echo', 'crash']);
+    assert.ok(server.connectedAt <= Date.now());
+    assert.deepEqual((await server.callTool('echo')).content[0].text, 'ok');
+
+    server.disconnect();
+    assert.equal(server.connected, false);
+  });
+
+  it('skips tools/list when the server has no tools capability', async () => {
+    const server = new MCPServer('fake', process.execPath, [script, 'prompts']);
+    await server.connect();
+    assert.deepEqual(server.tools, []);
+    server.disconnect();
+  });
+
+  it('fails the handshake when the process exits first', async () => {
+    const server = new MCPServer('fake', process.execPath, [script, 'die']);
+    await assert.rejects(server.connect(), /código 2\): missing token/);
+    assert.equal(server.connected, false);
+  });
+
+  it('fails the handshake when the command does not exist', async () => {
+    const server = new MCPServer('fake', join(dir, 'nope'));
+    await assert.rejects(server.connect(), /ENOENT/);
+  });
+
+  it('reports a crash once, with the exit reason, and can reconnect', async () => {
+    const server = new MCPServer('fake', process.execPath, [script, 'tools']);
+    const drops = [];
+    server.onClose = (err) => drops.push(err.message);
+    await server.connect();
+
+    await assert.rejects(server.callTool('crash'), /código 3\): segfault-ish/);
+    assert.equal(server.connected, false);
+    assert.match(server.lastError.message, /código 3/);
+    assert.equal(drops.length, 1);
+
+    await server.connect();
+    assert.equal(server.connected, true);
+    server.disconnect();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(drops.length, 1, 'a requested disconnect is not a drop');
+  });
+});
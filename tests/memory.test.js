@@ -1,6 +1,15 @@
-import { describe, it, beforeEach } from 'node:test';
+import './helpers/data-dir.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { ConversationMemory } from '../src/context/memory.js';
+import { mkdtempSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ConversationMemory, DEFAULT_THREAD, normalizeThreadName } from '../src/context/memory.js';
+import { resetConversations, useTempConversations } from './helpers/memory.js';
+
+let removeStore;
+before(() => { removeStore = useTempConversations(); });
+after(() => removeStore());
 
 describe('ConversationMemory', () => {
   const userId = 12345;
@@ -65,4 +74,75 @@ describe('ConversationMemory', () => {
     assert.equal(ConversationMemory.get(222).length, 1);
     assert.equal(ConversationMemory.get(111)[0].content, 'user-111');
   });
+
+  it('batches writes until they are flushed', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'conversations-'));
+    const file = join(dir, 'conversations.json');
+    try {
+      ConversationMemory.load(file);
+      ConversationMemory.add(userId, 'user', 'uno');
+      ConversationMemory.add(userId, 'user', 'dos');
+      assert.equal(existsSync(file), false);
+
+      ConversationMemory.flush();
+      ConversationMemory.load(file);
+      assert.deepEqual(ConversationMemory.get(userId).map(m => m.content), ['uno', 'dos']);
+    } finally {
+      removeStore();
+      removeStore = useTempConversations();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('ConversationMemory threads', () => {
+  const userId = 990016;
+
+  beforeEach(() => {
+    resetConversations(userId);
+  });
+
+  it('starts every user on the default thread', () => {
+    const threads = ConversationMemory.listThreads(userId);
+    assert.deepEqual(threads.map(t => t.name), [DEFAULT_THREAD]);
+    assert.equal(threads[0].active, true);
+  });
+
+  it('keeps separate histories per thread', () => {
+    ConversationMemory.add(userId, 'user', 'en general');
+    const created = ConversationMemory.createThread(userId, 'Refactor-API', { provider: 'groq', workDir: '/tmp' });
+    assert.equal(created.ok, true);
+    assert.equal(created.thread.name, 'refactor-api');
+
+    assert.deepEqual(ConversationMemory.get(userId), []);
+    ConversationMemory.add(userId, 'user', 'en refactor');
+    assert.equal(ConversationMemory.getStats(userId).thread, 'refactor-api');
+
+    ConversationMemory.useThread(userId, DEFAULT_THREAD);
+    assert.deepEqual(ConversationMemory.get(userId).map(m => m.content), ['en general']);
+    ConversationMemory.useThread(userId, 'refactor-api');
+    assert.deepEqual(ConversationMemory.get(userId).map(m => m.content), ['en refactor']);
+  });
+
+  it('remembers provider and work directory per thread', () => {
+    ConversationMemory.setThreadContext(userId, { provider: 'openai', workDir: '/srv/app' });
+    ConversationMemory.createThread(userId, 'docs', { provider: 'gemini', workDir: '/srv/docs' });
+    ConversationMemory.setThreadContext(userId, { workDir: '/srv/docs2' });
+
+    assert.deepEqual(
+      ConversationMemory.listThreads(userId).map(t => [t.name, t.provider, t.workDir]).sort(),
+      [['docs', 'gemini', '/srv/docs2'], [DEFAULT_THREAD, 'openai', '/srv/app']]
+    );
+    const general = ConversationMemory.useThread(userId, DEFAULT_THREAD).thread;
+    assert.equal(general.provider, 'openai');
+  });
+
+  it('validates names and refuses duplicates or deleting the active thread', () => {
+    assert.equal(ConversationMemory.createThread(userId, 'con espacios').ok, false);
+    assert.equal(ConversationMemory.createThread(userId, DEFAULT_THREAD).ok, false);
+    assert.equal(ConversationMemory.useThread(userId, 'nope').ok, false);
+    assert.equal(ConversationMemory.deleteThread(userId, DEFAULT_THREAD).ok, false);
+    assert.equal(normalizeThreadName('  Sprint_12.b  '), 'sprint_12.b');
+    assert.equal(normalizeThreadName('a/b'), null);
+  });
 });
@@ -1,3 +1,4 @@
+import './helpers/data-dir.js';
 import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert/strict';
 import { Persona } from '../src/context/persona.js';
@@ -0,0 +1,93 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Pins, pinProblem } from '../src/auth/pins.js';
+import { Roles } from '../src/auth/roles.js';
+import { SessionManager } from '../src/auth/session.js';
+
+const USER = 990024;
+const SHARED = process.env.AUTH_PIN;
+
+describe('pinProblem', () => {
+  it('requires 6+ digits that are not trivial or the shared PIN', () => {
+    assert.equal(pinProblem('482915'), null);
+    assert.match(pinProblem('4829'), /6 y 32/);
+    assert.match(pinProblem('48a915'), /6 y 32/);
+    assert.match(pinProblem('111111'), /fácil/);
+    assert.match(pinProblem('345678'), /fácil/);
+    assert.match(pinProblem('987654'), /fácil/);
+    assert.match(pinProblem('890123'), /fácil/);
+  });
+});
+
+describe('Pins', () => {
+  const sessions = new SessionManager();
+
+  before(() => {
+    Roles.assign(0, USER, 'developer');
+    Pins.reset(USER);
+  });
+
+  after(() => {
+    Roles.revoke(USER);
+    Pins.remove(USER);
+    sessions.lock(USER);
+  });
+
+  it('keeps the temporary PIN from a reset out of the shared one', () => {
+    const temporary = Pins.reset(USER);
+    assert.match(temporary, /^\d{8}$/);
+    assert.equal(Pins.status(USER).temporary, true);
+    assert.equal(Pins.verify(USER, temporary), true);
+    assert.equal(Pins.verify(USER, SHARED), false);
+
+    assert.deepEqual(Pins.change(USER, temporary, '482915'), { ok: true });
+    assert.equal(Pins.status(USER).personal, true);
+    assert.equal(Pins.status(USER).temporary, false);
+  });
+
+  it('rejects a wrong current PIN and weak or unchanged new ones', () => {
+    assert.deepEqual(Pins.change(USER, '000001', '730164'), { ok: false, reason: 'invalid_pin' });
+    assert.equal(Pins.change(USER, '482915', '123456').reason, 'weak_pin');
+    assert.equal(Pins.change(USER, '482915', '482915').reason, 'weak_pin');
+    assert.equal(Pins.verify(USER, '482915'), true);
+  });
+
+  it('authenticates sessions with the personal PIN only', () => {
+    assert.deepEqual(sessions.authenticate(USER, SHARED), { ok: false, reason: 'invalid_pin' });
+    assert.deepEqual(sessions.authenticate(USER, '482915'), { ok: true });
+  });
+
+  it('falls back to AUTH_PIN for users without a personal PIN', () => {
+    assert.equal(Pins.status(2).personal, false);
+    assert.equal(Pins.verify(2, SHARED), true);
+    assert.equal(Pins.verify(2, '482915'), false);
+  });
+
+  it('forgets a removed PIN', () => {
+    assert.equal(Pins.remove(USER), true);
+    assert.equal(Pins.remove(USER), false);
+    assert.equal(Pins.verify(USER, SHARED), true);
+  });
+
+  it('accepts no PIN while the personal ones cannot be read', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'pins-'));
+    const file = join(dir, 'pins.json');
+    writeFileSync(file, 'ENC:not-decryptable');
+    try {
+      Pins.load(file);
+      assert.equal(Pins.unavailable, true);
+      assert.equal(Pins.verify(2, SHARED), false);
+      assert.deepEqual(sessions.authenticate(USER, SHARED), { ok: false, reason: 'auth_state_unavailable' });
+      assert.equal(Pins.change(USER, SHARED, '482915').reason, 'unavailable');
+      assert.equal(Pins.reset(USER), null);
+    } finally {
+      Pins.load();
+      rmSync(dir, { recursive: true, force: true });
+    }
+    assert.equal(Pins.verify(2, SHARED), true);
+  });
+});
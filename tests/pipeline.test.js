@@ -1,3 +1,4 @@
+import './helpers/data-dir.js';
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { Pipeline } from '../src/pipeline/pipeline.js';
@@ -70,4 +71,24 @@ describe('Pipeline', () => {
     assert.ok(result.output.includes('Error en paso'));
     assert.equal(callCount, 2); // Stopped at step 2
   });
+
+  it('runs in the work directory of the chat it was started from', async () => {
+    const workDirs = [];
+    const mockProvider = {
+      execute: async (prompt, { workDir }) => {
+        workDirs.push(workDir);
+        return { ok: true, output: 'ok' };
+      },
+    };
+
+    const result = await Pipeline.execute('a → b', {
+      providers: { getForUser: () => mockProvider },
+      sessionManager: { getWorkDir: (userId, chatId) => (chatId === -100 ? '/srv/grupo' : '/tmp') },
+      userId: 1,
+      chatId: -100,
+    });
+
+    assert.equal(result.ok, true);
+    assert.deepEqual(workDirs, ['/srv/grupo', '/srv/grupo']);
+  });
 });
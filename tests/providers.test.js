@@ -0,0 +1,120 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProviderManager, isRetryableError } from '../src/providers/manager.js';
+import { Roles } from '../src/auth/roles.js';
+
+// Replace a provider's execute() and make it look configured
+function stub(manager, name, fn) {
+  const provider = manager.get(name);
+  Object.defineProperty(provider, 'isConfigured', { value: true, configurable: true });
+  provider.calls = 0;
+  provider.execute = async (...args) => {
+    provider.calls++;
+    return fn(...args);
+  };
+  return provider;
+}
+
+describe('isRetryableError', () => {
+  it('retries rate limits and server errors', () => {
+    assert.equal(isRetryableError({ ok: false, status: 429, output: '' }), true);
+    assert.equal(isRetryableError({ ok: false, status: 503, output: '' }), true);
+  });
+
+  it('retries quota errors reported with other statuses', () => {
+    assert.equal(isRetryableError({ ok: false, status: 400, output: 'RESOURCE_EXHAUSTED: quota exceeded' }), true);
+  });
+
+  it('does not retry client errors, successes or CLI failures', () => {
+    assert.equal(isRetryableError({ ok: false, status: 400, output: 'invalid request' }), false);
+    assert.equal(isRetryableError({ ok: false, status: 401, output: 'bad key' }), false);
+    assert.equal(isRetryableError({ ok: true, output: 'hi' }), false);
+    assert.equal(isRetryableError({ ok: false, output: 'rate limit' }), false);
+  });
+});
+
+describe('ProviderManager fallback', () => {
+  const userId = 999200;
+  let manager;
+
+  before(() => Roles.assign(0, userId, 'developer'));
+  after(() => Roles.revoke(userId));
+
+  beforeEach(() => {
+    manager = new ProviderManager();
+    manager.setFallbackForUser(userId, ['gemini', 'groq', 'openai']);
+    for (const name of ['gemini', 'groq', 'openai']) {
+      stub(manager, name, async () => ({ ok: true, output: `from ${name}`, model: `${name}-model`, tokens: 10 }));
+    }
+  });
+
+  it('uses the primary provider when it succeeds', async () => {
+    const result = await manager.executeWithFallback(userId, 'hola', {}, 'gemini');
+    assert.equal(result.provider, 'gemini');
+    assert.deepEqual(result.fallbackFrom, []);
+    assert.equal(manager.get('groq').calls, 0);
+  });
+
+  it('falls back on 429 and 5xx', async () => {
+    stub(manager, 'gemini', async () => ({ ok: false, output: 'quota', status: 429 }));
+    stub(manager, 'groq', async () => ({ ok: false, output: 'down', status: 502 }));
+    const result = await manager.executeWithFallback(userId, 'hola', {}, 'gemini');
+    assert.equal(result.ok, true);
+    assert.equal(result.provider, 'openai');
+    assert.deepEqual(result.fallbackFrom, ['gemini', 'groq']);
+  });
+
+  it('falls back when a provider throws', async () => {
+    stub(manager, 'gemini', async () => { throw new Error('fetch failed'); });
+    const result = await manager.executeWithFallback(userId, 'hola', {}, 'gemini');
+    assert.equal(result.provider, 'groq');
+  });
+
+  it('does not fall back on non-retryable errors', async () => {
+    stub(manager, 'gemini', async () => ({ ok: false, output: 'bad request', status: 400 }));
+    const result = await manager.executeWithFallback(userId, 'hola', {}, 'gemini');
+    assert.equal(result.ok, false);
+    assert.equal(result.provider, 'gemini');
+    assert.equal(manager.get('groq').calls, 0);
+  });
+
+  it('returns the last error when the whole chain fails', async () => {
+    for (const name of ['gemini', 'groq', 'openai']) {
+      stub(manager, name, async () => ({ ok: false, output: `${name} 429`, status: 429 }));
+    }
+    const result = await manager.executeWithFallback(userId, 'hola', {}, 'gemini');
+    assert.equal(result.ok, false);
+    assert.equal(result.provider, 'openai');
+    assert.deepEqual(result.fallbackFrom, ['gemini', 'groq']);
+  });
+
+  it('starts the chain from the primary provider, skipping it later', async () => {
+    stub(manager, 'groq', async () => ({ ok: false, output: 'limit', status: 429 }));
+    const result = await manager.executeWithFallback(userId, 'hola', {}, 'groq');
+    assert.equal(result.provider, 'gemini');
+    assert.equal(manager.get('groq').calls, 1);
+  });
+
+  it('skips providers that are not configured', async () => {
+    manager.setFallbackForUser(userId, ['anthropic', 'openai']);
+    Object.defineProperty(manager.get('anthropic'), 'isConfigured', { value: false, configurable: true });
+    stub(manager, 'gemini', async () => ({ ok: false, output: 'quota', status: 429 }));
+    const result = await manager.executeWithFallback(userId, 'hola', {}, 'gemini');
+    assert.equal(result.provider, 'openai');
+  });
+
+  it('can be disabled per user and validates names', async () => {
+    assert.equal(manager.setFallbackForUser(userId, 'gemini,nope').ok, false);
+    manager.setFallbackForUser(userId, []);
+    stub(manager, 'gemini', async () => ({ ok: false, output: 'quota', status: 429 }));
+    const result = await manager.executeWithFallback(userId, 'hola', {}, 'gemini');
+    assert.equal(result.ok, false);
+    assert.equal(manager.get('groq').calls, 0);
+  });
+
+  it('parses arrow-separated chains', () => {
+    const result = manager.setFallbackForUser(userId, 'gemini → groq → openai');
+    assert.deepEqual(result.chain, ['gemini', 'groq', 'openai']);
+  });
+});
@@ -0,0 +1,174 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempAudit } from './helpers/audit.js';
+import { Roles, commandKey } from '../src/auth/roles.js';
+import { guardMiddleware } from '../src/auth/guard.js';
+import { ProviderManager } from '../src/providers/manager.js';
+import { MCPManager } from '../src/mcp/client.js';
+
+// Test env: AUTHORIZED_USERS=1,2 and no ADMIN_USERS, so 1 is admin and 2 gets the default role
+const ADMIN = 1;
+const DEV = 2;
+const VIEWER = 990021;
+const STRANGER = 990022;
+
+describe('Roles', () => {
+  let removeAudit;
+
+  before(() => {
+    removeAudit = useTempAudit();
+    Roles.revoke(VIEWER);
+    Roles.revoke(STRANGER);
+  });
+  after(() => {
+    removeAudit();
+    Roles.revoke(VIEWER);
+    Roles.revoke(STRANGER);
+  });
+
+  it('builds command keys from leading word arguments', () => {
+    assert.equal(commandKey('/mcp policy global fs/* auto'), 'mcp.policy.global');
+    assert.equal(commandKey('/SSH@mibot add prod root@host'), 'ssh.add.prod');
+    assert.equal(commandKey('/status'), 'status');
+    assert.equal(commandKey('hola'), null);
+  });
+
+  it('derives roles from ADMIN_USERS, AUTHORIZED_USERS and assignments', () => {
+    assert.equal(Roles.roleOf(ADMIN), 'admin');
+    assert.equal(Roles.roleOf(DEV), Roles.defaultRole);
+    assert.equal(Roles.roleOf(STRANGER), null);
+    assert.equal(Roles.isAuthorized(STRANGER), false);
+  });
+
+  it('keeps administration to admins', () => {
+    assert.equal(Roles.can(ADMIN, 'commands', 'rol.asignar'), true);
+    assert.equal(Roles.can(DEV, 'commands', 'rol.asignar.5.viewer'), false);
+    assert.equal(Roles.can(DEV, 'commands', 'rol'), true);
+    assert.equal(Roles.can(DEV, 'commands', 'mcp.add.fs'), false);
+    assert.equal(Roles.can(DEV, 'commands', 'mcp.call'), true);
+    assert.equal(Roles.can(DEV, 'commands', 'mcp.policy.global'), false);
+    assert.equal(Roles.can(DEV, 'commands', 'mcp.policy'), true);
+    assert.equal(Roles.can(DEV, 'commands', 'ssh.prod.df'), true);
+    assert.equal(Roles.can(DEV, 'commands', 'ssh.add.prod'), false);
+  });
+
+  it('assigns roles at runtime, authorizing new users', () => {
+    assert.deepEqual(Roles.assign(ADMIN, STRANGER, 'viewer'), { ok: true });
+    assert.equal(Roles.isAuthorized(STRANGER), true);
+    assert.ok(Roles.list().some(u => u.userId === STRANGER && u.source === 'assigned'));
+
+    assert.equal(Roles.assign(ADMIN, STRANGER, 'root').ok, false);
+    assert.equal(Roles.assign(ADMIN, ADMIN, 'viewer').ok, false);
+    assert.equal(Roles.assign(DEV, ADMIN, 'viewer').ok, false, 'ADMIN_USERS are fixed');
+
+    assert.equal(Roles.revoke(STRANGER), true);
+    assert.equal(Roles.isAuthorized(STRANGER), false);
+    assert.equal(Roles.revoke(STRANGER), false);
+  });
+
+  it('restricts viewers to read-only commands and API providers', () => {
+    Roles.assign(ADMIN, VIEWER, 'viewer');
+    assert.equal(Roles.can(VIEWER, 'commands', 'ask'), true);
+    assert.equal(Roles.can(VIEWER, 'commands', 'buscar'), true);
+    assert.equal(Roles.can(VIEWER, 'commands', 'project'), false);
+    assert.equal(Roles.can(VIEWER, 'commands', 'ssh'), false);
+    assert.equal(Roles.can(VIEWER, 'commands', 'presupuesto.set'), false);
+    assert.equal(Roles.can(VIEWER, 'providers', 'groq'), true);
+    assert.equal(Roles.can(VIEWER, 'providers', 'claude'), false);
+    assert.equal(Roles.can(VIEWER, 'ssh', 'prod'), false);
+    assert.equal(Roles.can(VIEWER, 'mcp', 'fs/read'), false);
+  });
+
+  it('enforces providers in ProviderManager', async () => {
+    Roles.assign(ADMIN, VIEWER, 'viewer');
+    const manager = new ProviderManager();
+    const groq = manager.get('groq');
+    Object.defineProperty(groq, 'isConfigured', { value: true, configurable: true });
+    groq.execute = async () => ({ ok: true, output: 'from groq' });
+    Object.defineProperty(manager.get('claude'), 'isConfigured', { value: true, configurable: true });
+
+    assert.match(manager.setForUser(VIEWER, 'claude').reason, /no permite/);
+    assert.notEqual(manager.getUserProviderName(VIEWER), 'claude');
+
+    const denied = await manager.executeWithFallback(VIEWER, 'hola', {}, 'claude');
+    assert.equal(denied.ok, false);
+    assert.match(denied.output, /no permite usar claude/);
+    assert.equal((await manager.executeWithFallback(VIEWER, 'hola', {}, 'groq')).output, 'from groq');
+
+    // No provider allowed at all: none, rather than the forbidden default
+    assert.equal(manager.getUserProviderName(STRANGER), null);
+    assert.equal(manager.getForUser(STRANGER), null);
+    assert.match((await manager.executeWithFallback(STRANGER, 'hola')).output, /ningún proveedor/);
+  });
+
+  it('denies MCP tools outside the role before any policy', async () => {
+    Roles.assign(ADMIN, VIEWER, 'viewer');
+    await assert.rejects(
+      MCPManager.callTool('fs', 'read', {}, { userId: VIEWER, confirm: async () => true }),
+      /Tu rol no permite la herramienta fs\/read/
+    );
+  });
+});
+
+describe('guardMiddleware roles', () => {
+  const sessions = { isAuthenticated: () => true, touch() {} };
+
+  async function run(userId, text, extra = {}) {
+    const replies = [];
+    let passed = false;
+    const ctx = {
+      from: { id: userId },
+      chat: { type: 'private' },
+      message: { text },
+      reply: async (msg) => { replies.push(msg); },
+      ...extra,
+    };
+    await guardMiddleware(sessions)(ctx, async () => { passed = true; });
+    return { passed, replies };
+  }
+
+  let removeAudit;
+
+  before(() => {
+    removeAudit = useTempAudit();
+    Roles.assign(ADMIN, VIEWER, 'viewer');
+  });
+  after(() => {
+    removeAudit();
+    Roles.revoke(VIEWER);
+  });
+
+  it('lets permitted commands and prompts through', async () => {
+    assert.equal((await run(DEV, '/ssh prod df -h')).passed, true);
+    assert.equal((await run(VIEWER, '¿qué es un índice?')).passed, true);
+    assert.equal((await run(ADMIN, '/rol asignar 5 viewer')).passed, true);
+  });
+
+  it('blocks commands the role does not grant', async () => {
+    const dev = await run(DEV, '/mcp add fs npx server');
+    assert.equal(dev.passed, false);
+    assert.match(dev.replies[0], /no permite \/mcp add/);
+
+    const viewer = await run(VIEWER, '/project /srv');
+    assert.equal(viewer.passed, false);
+    assert.match(viewer.replies[0], /Tu rol \(viewer\)/);
+  });
+
+  it('checks buttons by their callback prefix', async () => {
+    const answers = [];
+    const result = await run(VIEWER, undefined, {
+      message: undefined,
+      callbackQuery: { data: 'mcp:ok:3' },
+      answerCallbackQuery: async (opts) => { answers.push(opts.text); },
+    });
+    assert.equal(result.passed, false);
+    assert.match(answers[0], /no permite/);
+  });
+
+  it('ignores users without a role', async () => {
+    const result = await run(STRANGER, '/status');
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.replies, []);
+  });
+});
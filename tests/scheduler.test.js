@@ -0,0 +1,344 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scheduler, parseScheduleArgs, parseEditArgs, collectMissedRuns } from '../src/scheduler/scheduler.js';
+import { Roles } from '../src/auth/roles.js';
+
+describe('Scheduler', () => {
+  const userId = 999100;
+  const sent = [];
+  let nextOutput = 'all good';
+  const mockProvider = {
+    execute: async (prompt) => {
+      if (prompt.includes('Responde únicamente SÍ o NO')) return { ok: true, output: prompt.includes('ERROR') ? 'SÍ' : 'NO' };
+      if (nextOutput instanceof Error) throw nextOutput;
+      return { ok: true, output: nextOutput };
+    },
+  };
+
+  before(() => {
+    Roles.assign(0, userId, 'developer');
+    Scheduler.init(
+      { api: { sendMessage: async (chatId, text) => { sent.push({ chatId, text }); } } },
+      { get: () => mockProvider, getForUser: () => mockProvider },
+    );
+  });
+
+  after(() => {
+    for (const s of Scheduler.list(userId)) Scheduler.remove(userId, s.id);
+    Scheduler.stop();
+    Roles.revoke(userId);
+  });
+
+  describe('parseScheduleArgs', () => {
+    it('parses simple intervals', () => {
+      assert.deepEqual(parseScheduleArgs('24h Resume los repos'), {
+        expr: '24h', timezone: null, catchup: null, condition: null, prompt: 'Resume los repos',
+      });
+    });
+
+    it('parses cron expressions with timezone', () => {
+      assert.deepEqual(parseScheduleArgs('30 8 * * 1-5 Europe/Madrid Resume las noticias'), {
+        expr: '30 8 * * 1-5', timezone: 'Europe/Madrid', catchup: null, condition: null, prompt: 'Resume las noticias',
+      });
+    });
+
+    it('parses cron expressions without timezone', () => {
+      const parsed = parseScheduleArgs('*/5 * * * * Revisa los logs');
+      assert.equal(parsed.expr, '*/5 * * * *');
+      assert.equal(parsed.timezone, null);
+      assert.equal(parsed.prompt, 'Revisa los logs');
+    });
+
+    it('parses macros', () => {
+      const parsed = parseScheduleArgs('@daily UTC Informe');
+      assert.equal(parsed.expr, '@daily');
+      assert.equal(parsed.timezone, 'UTC');
+      assert.equal(parsed.prompt, 'Informe');
+    });
+
+    it('parses the catch-up policy', () => {
+      const parsed = parseScheduleArgs('0 9 * * * UTC catchup=ALL Informe diario');
+      assert.equal(parsed.timezone, 'UTC');
+      assert.equal(parsed.catchup, 'all');
+      assert.equal(parsed.prompt, 'Informe diario');
+      assert.equal(parseScheduleArgs('1h catchup=skip Revisa').catchup, 'skip');
+    });
+
+    it('parses alert conditions, quoted or not', () => {
+      const regex = parseScheduleArgs('1h if=/ERROR|FATAL/i /ssh prod docker logs app');
+      assert.equal(regex.condition, '/ERROR|FATAL/i');
+      assert.equal(regex.prompt, '/ssh prod docker logs app');
+
+      const judge = parseScheduleArgs('@hourly catchup=skip if="judge:¿Hay errores graves?" Revisa');
+      assert.equal(judge.catchup, 'skip');
+      assert.equal(judge.condition, 'judge:¿Hay errores graves?');
+      assert.equal(judge.prompt, 'Revisa');
+    });
+
+    it('keeps the prompt formatting', () => {
+      const parsed = parseScheduleArgs('1h linea uno\nlinea  dos');
+      assert.equal(parsed.prompt, 'linea uno\nlinea  dos');
+    });
+
+    it('rejects missing prompt or invalid expression', () => {
+      assert.equal(parseScheduleArgs('24h'), null);
+      assert.equal(parseScheduleArgs('Resume los repos'), null);
+      assert.equal(parseScheduleArgs('0 8 * *'), null);
+    });
+  });
+
+  it('creates a cron task with next run time', () => {
+    const result = Scheduler.add(userId, '30 8 * * 1-5', 'test', 'groq', '/tmp', { timezone: 'Europe/Madrid' });
+    assert.equal(result.ok, true);
+    assert.equal(result.timezone, 'Europe/Madrid');
+    assert.ok(new Date(result.nextRunAt) > new Date());
+
+    const listed = Scheduler.list(userId).find(s => s.id === result.id);
+    assert.equal(listed.nextRunAt, result.nextRunAt);
+  });
+
+  it('creates an interval task', () => {
+    const result = Scheduler.add(userId, '1h', 'test', 'groq', '/tmp');
+    assert.equal(result.ok, true);
+    assert.equal(result.intervalMs, 3600000);
+  });
+
+  it('rejects invalid timezone and expressions', () => {
+    assert.equal(Scheduler.add(userId, '0 8 * * *', 'x', 'groq', '/tmp', { timezone: 'Nowhere/City' }).ok, false);
+    assert.equal(Scheduler.add(userId, '10s', 'x', 'groq', '/tmp').ok, false);
+    assert.equal(Scheduler.add(userId, '0 0 30 2 *', 'x', 'groq', '/tmp').ok, false);
+  });
+
+  it('rejects unknown catch-up policies', () => {
+    const result = Scheduler.add(userId, '1h', 'x', 'groq', '/tmp', { catchup: 'sometimes' });
+    assert.equal(result.ok, false);
+  });
+
+  it('defaults to catch-up once', () => {
+    const result = Scheduler.add(userId, '1h', 'x', 'groq', '/tmp');
+    assert.equal(result.catchup, 'once');
+  });
+
+  describe('collectMissedRuns', () => {
+    const now = new Date('2026-01-10T12:00:00Z');
+
+    it('returns nothing when the next run is in the future', () => {
+      const schedule = { intervalMs: 3600000, nextRunAt: '2026-01-10T13:00:00Z' };
+      assert.deepEqual(collectMissedRuns(schedule, now), []);
+    });
+
+    it('lists missed interval runs', () => {
+      const schedule = { intervalMs: 3600000, nextRunAt: '2026-01-10T09:00:00Z' };
+      const missed = collectMissedRuns(schedule, now).map(d => d.toISOString());
+      assert.deepEqual(missed, [
+        '2026-01-10T09:00:00.000Z',
+        '2026-01-10T10:00:00.000Z',
+        '2026-01-10T11:00:00.000Z',
+        '2026-01-10T12:00:00.000Z',
+      ]);
+    });
+
+    it('lists missed cron runs in the task timezone', () => {
+      const schedule = { cron: '30 8 * * *', timezone: 'Europe/Madrid', nextRunAt: '2026-01-08T07:30:00Z' };
+      const missed = collectMissedRuns(schedule, now).map(d => d.toISOString());
+      assert.deepEqual(missed, [
+        '2026-01-08T07:30:00.000Z',
+        '2026-01-09T07:30:00.000Z',
+        '2026-01-10T07:30:00.000Z',
+      ]);
+    });
+
+    it('caps the count after long downtime', () => {
+      const schedule = { intervalMs: 60000, nextRunAt: '2026-01-01T00:00:00Z' };
+      assert.equal(collectMissedRuns(schedule, now).length, 11);
+    });
+  });
+
+  describe('alert conditions', () => {
+    it('always notifies without a condition', async () => {
+      sent.length = 0;
+      const { id } = Scheduler.add(userId, '1h', 'check', 'groq', '/tmp');
+      await Scheduler.execute(id);
+      assert.equal(sent.length, 1);
+      assert.ok(sent[0].text.includes('all good'));
+    });
+
+    it('notifies only when the regex matches', async () => {
+      sent.length = 0;
+      const { id } = Scheduler.add(userId, '1h', 'check', 'groq', '/tmp', {
+        condition: { type: 'regex', pattern: 'ERROR', flags: 'i' },
+      });
+      nextOutput = 'all good';
+      await Scheduler.execute(id);
+      nextOutput = 'error: disk full';
+      await Scheduler.execute(id);
+      assert.equal(sent.length, 1);
+      assert.ok(sent[0].text.includes('Condición cumplida'));
+    });
+
+    it('notifies when the output changes', async () => {
+      sent.length = 0;
+      const { id } = Scheduler.add(userId, '1h', 'check', 'groq', '/tmp', { condition: { type: 'changed' } });
+      nextOutput = 'v1';
+      await Scheduler.execute(id);
+      await Scheduler.execute(id);
+      nextOutput = 'v2';
+      await Scheduler.execute(id);
+      assert.equal(sent.length, 1);
+      assert.ok(sent[0].text.includes('v2'));
+    });
+
+    it('compares with the last output across failed runs', async () => {
+      sent.length = 0;
+      const { id } = Scheduler.add(userId, '1h', 'check', 'groq', '/tmp', { condition: { type: 'changed' } });
+      nextOutput = 'v1';
+      await Scheduler.execute(id);
+      nextOutput = new Error('provider down');
+      await Scheduler.execute(id);
+      nextOutput = 'v2';
+      await Scheduler.execute(id);
+      assert.equal(sent.length, 1);
+      assert.ok(sent[0].text.includes('v2'));
+    });
+
+    it('asks the LLM judge', async () => {
+      sent.length = 0;
+      const { id } = Scheduler.add(userId, '1h', 'check', 'groq', '/tmp', {
+        condition: { type: 'judge', question: '¿Hay errores?' },
+      });
+      nextOutput = 'todo bien';
+      await Scheduler.execute(id);
+      nextOutput = 'ERROR en producción';
+      await Scheduler.execute(id);
+      assert.equal(sent.length, 1);
+      assert.ok(sent[0].text.includes('ERROR en producción'));
+    });
+
+    it('keeps a bounded history per task', async () => {
+      const { id } = Scheduler.add(userId, '1h', 'check', 'groq', '/tmp', { condition: { type: 'changed' } });
+      for (let i = 0; i < 12; i++) {
+        nextOutput = `run ${i}`;
+        await Scheduler.execute(id);
+      }
+      const log = Scheduler.getLog(userId, id);
+      assert.equal(log.ok, true);
+      assert.equal(log.history.length, 10);
+      assert.equal(log.history.at(-1).output, 'run 11');
+      assert.equal(log.history.at(-1).notified, true);
+      assert.equal(Scheduler.getLog(userId + 1, id).ok, false);
+    });
+  });
+
+  describe('parseEditArgs', () => {
+    it('accepts timing only', () => {
+      const parsed = parseEditArgs('0 9 * * 1-5 Europe/Madrid');
+      assert.equal(parsed.expr, '0 9 * * 1-5');
+      assert.equal(parsed.timezone, 'Europe/Madrid');
+      assert.equal(parsed.prompt, '');
+    });
+
+    it('accepts options only', () => {
+      const parsed = parseEditArgs('if=none catchup=all');
+      assert.equal(parsed.expr, null);
+      assert.equal(parsed.condition, 'none');
+      assert.equal(parsed.catchup, 'all');
+    });
+
+    it('accepts a new prompt only', () => {
+      const parsed = parseEditArgs('Resume solo los errores');
+      assert.equal(parsed.expr, null);
+      assert.equal(parsed.prompt, 'Resume solo los errores');
+    });
+
+    it('rejects empty edits', () => {
+      assert.equal(parseEditArgs('   '), null);
+    });
+  });
+
+  describe('lifecycle', () => {
+    it('pauses and resumes a task', () => {
+      const { id } = Scheduler.add(userId, '1h', 'check', 'groq', '/tmp');
+      assert.equal(Scheduler.pause(userId, id).ok, true);
+      assert.equal(Scheduler.list(userId).find(s => s.id === id).paused, true);
+      assert.equal(Scheduler.pause(userId, id).ok, false);
+
+      const resumed = Scheduler.resume(userId, id);
+      assert.equal(resumed.ok, true);
+      assert.ok(new Date(resumed.nextRunAt) > new Date());
+      assert.equal(Scheduler.list(userId).find(s => s.id === id).paused, false);
+      assert.equal(Scheduler.resume(userId, id).ok, false);
+    });
+
+    it('edits timing, job and condition', () => {
+      const { id } = Scheduler.add(userId, '1h', 'check', 'groq', '/tmp', { condition: { type: 'changed' } });
+      const result = Scheduler.edit(userId, id, {
+        cron: '0 9 * * *',
+        timezone: 'Europe/Madrid',
+        job: { kind: 'prompt', payload: { prompt: 'nuevo' } },
+        condition: null,
+      });
+      assert.equal(result.ok, true);
+
+      const listed = Scheduler.list(userId).find(s => s.id === id);
+      assert.equal(listed.cron, '0 9 * * *');
+      assert.equal(listed.intervalMs, null);
+      assert.equal(listed.timezone, 'Europe/Madrid');
+      assert.equal(listed.condition, null);
+      assert.ok(listed.label.includes('nuevo'));
+      assert.equal(listed.nextRunAt, result.nextRunAt);
+    });
+
+    it('rejects invalid edits without changing the task', () => {
+      const { id } = Scheduler.add(userId, '1h', 'check', 'groq', '/tmp');
+      assert.equal(Scheduler.edit(userId, id, { cron: 'nope' }).ok, false);
+      assert.equal(Scheduler.edit(userId, id, { catchup: 'never' }).ok, false);
+      assert.equal(Scheduler.list(userId).find(s => s.id === id).cron, '1h');
+    });
+
+    it('runs a task now, even when paused and the condition fails', async () => {
+      sent.length = 0;
+      nextOutput = 'nothing to see';
+      const { id } = Scheduler.add(userId, '1h', 'check', 'groq', '/tmp', {
+        condition: { type: 'regex', pattern: 'ERROR', flags: '' },
+      });
+      Scheduler.pause(userId, id);
+      const result = await Scheduler.runNow(userId, id);
+      assert.equal(result.ok, true);
+      assert.equal(sent.length, 1);
+      assert.ok(sent[0].text.includes('Condición no cumplida'));
+    });
+
+    it('reports the error of its own run', async () => {
+      const { id } = Scheduler.add(userId, '1h', 'check', 'groq', '/tmp');
+      nextOutput = new Error('provider down');
+      const result = await Scheduler.runNow(userId, id);
+      assert.equal(result.ok, false);
+      assert.match(result.reason, /provider down/);
+    });
+
+    it('skips tasks of users who lost access', async () => {
+      sent.length = 0;
+      const { id } = Scheduler.add(userId, '1h', 'check', 'groq', '/tmp');
+      Roles.revoke(userId);
+      try {
+        await Scheduler.execute(id);
+      } finally {
+        Roles.assign(0, userId, 'developer');
+      }
+      assert.equal(sent.length, 0);
+      assert.equal(Scheduler.getLog(userId, id).history.at(-1).error, 'Usuario no autorizado');
+    });
+
+    it('applies the owner check to every operation', async () => {
+      const { id } = Scheduler.add(userId, '1h', 'check', 'groq', '/tmp');
+      const other = userId + 1;
+      assert.equal(Scheduler.pause(other, id).reason, 'No tienes permiso.');
+      assert.equal(Scheduler.resume(other, id).reason, 'No tienes permiso.');
+      assert.equal(Scheduler.edit(other, id, { cron: '2h' }).reason, 'No tienes permiso.');
+      assert.equal((await Scheduler.runNow(other, id)).reason, 'No tienes permiso.');
+      assert.equal(Scheduler.remove(other, id).reason, 'No tienes permiso.');
+      assert.equal(Scheduler.pause(userId, 424242).reason, 'Tarea no encontrada.');
+    });
+  });
+});
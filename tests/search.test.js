@@ -1,3 +1,4 @@
+import './helpers/data-dir.js';
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { formatSearchResults } from '../src/search/web.js';
@@ -0,0 +1,74 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionManager } from '../src/auth/session.js';
+import { Roles } from '../src/auth/roles.js';
+import { config } from '../src/utils/config.js';
+
+const USER = 990060;
+const OTHER = 990061;
+const GROUP = { id: -1009900600, type: 'supergroup', title: 'Equipo' };
+const PIN = process.env.AUTH_PIN;
+
+describe('SessionManager', () => {
+  const sessions = new SessionManager();
+
+  before(() => {
+    Roles.assign(0, USER, 'developer');
+    Roles.assign(0, OTHER, 'developer');
+  });
+
+  after(() => {
+    sessions.lock(USER);
+    sessions.lock(OTHER);
+    Roles.revoke(USER);
+    Roles.revoke(OTHER);
+  });
+
+  it('keeps the private chat and each group as separate sessions', () => {
+    assert.deepEqual(sessions.authenticate(USER, PIN), { ok: true });
+    assert.equal(sessions.isAuthenticated(USER), true);
+    assert.equal(sessions.isAuthenticated(USER, USER), true);
+    assert.equal(sessions.isAuthenticated(USER, GROUP.id), false);
+
+    assert.deepEqual(sessions.authenticate(USER, PIN, GROUP), { ok: true });
+    const list = sessions.list(USER);
+    assert.equal(list.length, 2);
+    assert.deepEqual(list.map(s => s.chatType).sort(), ['private', 'supergroup']);
+    assert.equal(list.find(s => s.chatId === GROUP.id).chatTitle, 'Equipo');
+    assert.notEqual(list[0].id, list[1].id);
+    assert.equal(sessions.getInfo(USER, GROUP.id).sessions, 2);
+  });
+
+  it('keeps a work directory per session, falling back to the latest one', () => {
+    sessions.setWorkDir(USER, '/tmp', GROUP.id);
+    assert.equal(sessions.getWorkDir(USER, GROUP.id), '/tmp');
+    assert.equal(sessions.getWorkDir(USER, USER), config.claude.defaultWorkDir);
+    assert.equal(sessions.getWorkDir(OTHER), config.claude.defaultWorkDir);
+  });
+
+  it('locks one chat, or every chat of a user', () => {
+    sessions.authenticate(OTHER, PIN);
+    assert.equal(sessions.lock(USER, GROUP.id), 1);
+    assert.equal(sessions.isAuthenticated(USER, GROUP.id), false);
+    assert.equal(sessions.isAuthenticated(USER), true);
+
+    sessions.authenticate(USER, PIN, GROUP);
+    assert.equal(sessions.lock(USER), 2);
+    assert.equal(sessions.list(USER).length, 0);
+    assert.equal(sessions.isAuthenticated(OTHER), true);
+  });
+
+  it('closes a session by its id and restores the rest from disk', () => {
+    sessions.authenticate(USER, PIN, GROUP);
+    const { id } = sessions.list(OTHER)[0];
+    assert.equal(sessions.closeById(id).userId, OTHER);
+    assert.equal(sessions.closeById(id), null);
+    assert.equal(sessions.isAuthenticated(OTHER), false);
+
+    const restored = new SessionManager();
+    assert.equal(restored.isAuthenticated(USER, GROUP.id), true);
+    assert.equal(restored.getAuthenticatedUsers().includes(USER), true);
+    assert.equal(restored.getAuthenticatedUsers().includes(OTHER), false);
+  });
+});
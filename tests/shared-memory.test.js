@@ -1,3 +1,4 @@
+import './helpers/data-dir.js';
 // Set env vars BEFORE importing modules (config reads at import time)
 process.env.BOT_NAME = 'testbot';
 process.env.PEER_BOT_NAMES = 'peerbot,otherbot';
@@ -0,0 +1,149 @@
+import './helpers/data-dir.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readSSE, readChatCompletionStream } from '../src/providers/sse.js';
+import { OpenAIProvider } from '../src/providers/openai.js';
+import { GroqProvider } from '../src/providers/groq.js';
+import { AnthropicProvider } from '../src/providers/anthropic.js';
+import { GeminiProvider } from '../src/providers/gemini.js';
+
+// Body that delivers the text in arbitrary pieces, to exercise buffering
+function bodyFrom(text, pieceSize = 7) {
+  const bytes = new TextEncoder().encode(text);
+  return new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += pieceSize) controller.enqueue(bytes.slice(i, i + pieceSize));
+      controller.close();
+    },
+  });
+}
+
+function sse(events) {
+  return events.map(e => (e.event ? `event: ${e.event}\n` : '') + `data: ${typeof e.data === 'string' ? e.data : JSON.stringify(e.data)}\n\n`).join('');
+}
+
+async function collect(iterable) {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+}
+
+describe('readSSE', () => {
+  it('parses events split across chunks', async () => {
+    const events = await collect(readSSE(bodyFrom('event: a\ndata: one\n\ndata: two\ndata: lines\n\n', 3)));
+    assert.deepEqual(events, [
+      { event: 'a', data: 'one' },
+      { event: 'message', data: 'two\nlines' },
+    ]);
+  });
+
+  it('handles CRLF, comments and a trailing event without blank line', async () => {
+    const events = await collect(readSSE(bodyFrom(': keep-alive\r\n\r\ndata: x\r\n\r\ndata: last')));
+    assert.deepEqual(events.map(e => e.data), ['x', 'last']);
+  });
+
+  it('reads OpenAI-style chat completion streams', async () => {
+    const deltas = [];
+    const body = bodyFrom(sse([
+      { data: { choices: [{ delta: { content: 'Ho' } }] } },
+      { data: { choices: [{ delta: { content: 'la' } }] } },
+      { data: { choices: [], usage: { total_tokens: 12 } } },
+      { data: '[DONE]' },
+    ]));
+    const { output, usage } = await readChatCompletionStream(body, d => deltas.push(d));
+    assert.equal(output, 'Hola');
+    assert.deepEqual(deltas, ['Ho', 'la']);
+    assert.equal(usage.total_tokens, 12);
+  });
+});
+
+describe('provider streaming', () => {
+  const realFetch = globalThis.fetch;
+  let request;
+
+  function mockFetch(text) {
+    globalThis.fetch = async (url, init) => {
+      request = { url, body: JSON.parse(init.body) };
+      return new Response(bodyFrom(text), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+    };
+  }
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  it('OpenAI streams deltas and reports usage', async () => {
+    mockFetch(sse([
+      { data: { choices: [{ delta: { content: 'a' } }] } },
+      { data: { choices: [{ delta: { content: 'b' } }] } },
+      { data: { choices: [], usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } } },
+      { data: '[DONE]' },
+    ]));
+    const chunks = [];
+    const result = await new OpenAIProvider({ apiKey: 'k' }).execute('hi', { onChunk: c => chunks.push(c) });
+    assert.equal(request.body.stream, true);
+    assert.deepEqual(chunks, ['a', 'b']);
+    assert.deepEqual(result, { ok: true, output: 'ab', model: 'gpt-4o', tokens: 5, inputTokens: 3, outputTokens: 2 });
+  });
+
+  it('Groq reads usage from x_groq', async () => {
+    mockFetch(sse([
+      { data: { choices: [{ delta: { content: 'ok' } }] } },
+      { data: { choices: [{ delta: {} }], x_groq: { usage: { total_tokens: 9 } } } },
+      { data: '[DONE]' },
+    ]));
+    const result = await new GroqProvider({ apiKey: 'k' }).execute('hi', { onChunk: () => {} });
+    assert.equal(result.output, 'ok');
+    assert.equal(result.tokens, 9);
+  });
+
+  it('Anthropic streams text deltas and sums usage', async () => {
+    mockFetch(sse([
+      { event: 'message_start', data: { message: { usage: { input_tokens: 10 } } } },
+      { event: 'content_block_delta', data: { delta: { type: 'text_delta', text: 'Hola ' } } },
+      { event: 'content_block_delta', data: { delta: { type: 'text_delta', text: 'mundo' } } },
+      { event: 'message_delta', data: { usage: { output_tokens: 4 } } },
+      { event: 'message_stop', data: {} },
+    ]));
+    const chunks = [];
+    const result = await new AnthropicProvider({ apiKey: 'k' }).execute('hi', { onChunk: c => chunks.push(c) });
+    assert.equal(request.body.stream, true);
+    assert.deepEqual(chunks, ['Hola ', 'mundo']);
+    assert.equal(result.output, 'Hola mundo');
+    assert.equal(result.tokens, 14);
+    assert.equal(result.inputTokens, 10);
+    assert.equal(result.outputTokens, 4);
+  });
+
+  it('Anthropic surfaces stream errors', async () => {
+    mockFetch(sse([
+      { event: 'error', data: { error: { type: 'overloaded_error', message: 'Overloaded' } } },
+    ]));
+    const result = await new AnthropicProvider({ apiKey: 'k' }).execute('hi', { onChunk: () => {} });
+    assert.equal(result.ok, false);
+    assert.equal(result.status, 529);
+  });
+
+  it('Gemini uses the SSE endpoint and keeps the last usage', async () => {
+    mockFetch(sse([
+      { data: { candidates: [{ content: { parts: [{ text: 'uno ' }] } }] } },
+      { data: { candidates: [{ content: { parts: [{ text: 'dos' }] } }], usageMetadata: { totalTokenCount: 21 } } },
+    ]));
+    const chunks = [];
+    const result = await new GeminiProvider({ apiKey: 'k', model: 'gemini-test' }).execute('hi', { onChunk: c => chunks.push(c) });
+    assert.ok(request.url.includes(':streamGenerateContent?alt=sse&key=k'));
+    assert.deepEqual(chunks, ['uno ', 'dos']);
+    assert.equal(result.output, 'uno dos');
+    assert.equal(result.tokens, 21);
+  });
+
+  it('does not stream without onChunk', async () => {
+    globalThis.fetch = async (url, init) => {
+      request = { url, body: JSON.parse(init.body) };
+      return new Response(JSON.stringify({ choices: [{ message: { content: 'full' } }], usage: { total_tokens: 3 } }), { status: 200 });
+    };
+    const result = await new OpenAIProvider({ apiKey: 'k' }).execute('hi');
+    assert.equal(request.body.stream, undefined);
+    assert.equal(result.output, 'full');
+  });
+});
@@ -0,0 +1,68 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { readEncryptedJson, writeEncryptedJson, unreadableFiles } from '../src/crypto/store.js';
+
+describe('encrypted JSON store', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'llm-remote-store-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('round-trips data', () => {
+    const file = join(dir, 'roundtrip.json');
+    const data = { servers: { prod: { host: '10.0.0.1', user: 'deploy' } }, list: [1, 2, 3] };
+    writeEncryptedJson(file, data);
+    assert.deepEqual(readEncryptedJson(file), data);
+  });
+
+  it('does not store plaintext on disk', () => {
+    const file = join(dir, 'secret.json');
+    writeEncryptedJson(file, { host: 'secret-host.example.com' });
+    const raw = readFileSync(file, 'utf-8');
+    assert.ok(!raw.includes('secret-host'));
+    assert.ok(!raw.trim().startsWith('{'));
+    assert.ok(!existsSync(`${file}.tmp`));
+  });
+
+  it('returns null for missing files', () => {
+    assert.equal(readEncryptedJson(join(dir, 'missing.json')), null);
+  });
+
+  it('migrates plaintext files transparently', () => {
+    const file = join(dir, 'legacy.json');
+    writeFileSync(file, JSON.stringify([{ id: 1, prompt: 'hola' }], null, 2));
+
+    assert.deepEqual(readEncryptedJson(file), [{ id: 1, prompt: 'hola' }]);
+    assert.ok(!readFileSync(file, 'utf-8').includes('hola'));
+    assert.deepEqual(readEncryptedJson(file), [{ id: 1, prompt: 'hola' }]);
+  });
+
+  it('rejects tampered files', () => {
+    const file = join(dir, 'tampered.json');
+    writeEncryptedJson(file, { a: 1 });
+    const raw = readFileSync(file, 'utf-8').trim();
+    const flipped = raw.slice(0, 60) + (raw[60] === 'A' ? 'B' : 'A') + raw.slice(61);
+    writeFileSync(file, flipped);
+    assert.throws(() => readEncryptedJson(file), /HMAC|tampered|Invalid/);
+  });
+
+  it('never overwrites a file it could not read', () => {
+    const file = join(dir, 'locked.json');
+    writeFileSync(file, 'bm90LWEtdmFsaWQtcGF5bG9hZC1hdC1hbGwtYnV0LWxvbmctZW5vdWdoLXRvLWJlLWNoZWNrZWQtZm9yLWhtYWMtYW5kLW1vcmUtcGFkZGluZy1oZXJl');
+    const before = readFileSync(file, 'utf-8');
+
+    assert.throws(() => readEncryptedJson(file));
+    assert.throws(() => writeEncryptedJson(file, {}), /Refusing to overwrite/);
+    assert.equal(readFileSync(file, 'utf-8'), before);
+    assert.ok(unreadableFiles().some(f => f.file === file));
+  });
+});
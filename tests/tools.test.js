@@ -0,0 +1,199 @@
+import './helpers/data-dir.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createToolset,
+  toOpenAITools,
+  toAnthropicTools,
+  toGeminiTools,
+  parseToolArguments,
+  formatToolResult,
+  MAX_TOOL_ITERATIONS,
+} from '../src/mcp/tools.js';
+import { runChatCompletionTools, runAnthropicTools, runGeminiTools } from '../src/providers/tool-calling.js';
+import { OpenAIProvider } from '../src/providers/openai.js';
+
+const TOOLS = [
+  {
+    server: 'github',
+    name: 'list_issues',
+    description: 'List issues',
+    inputSchema: {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'object',
+      properties: {
+        repo: { type: 'string', description: 'owner/name' },
+        state: { type: ['string', 'null'], enum: ['open', 'closed'] },
+        labels: { type: 'array', items: { type: 'string' } },
+      },
+      required: ['repo'],
+      additionalProperties: false,
+    },
+  },
+  { server: 'my.server', name: 'ping', inputSchema: { type: 'object', properties: {} } },
+];
+
+// Toolset with a scripted call() instead of MCPManager
+function fakeToolset(results = {}) {
+  const toolset = createToolset(TOOLS);
+  toolset.calls = [];
+  toolset.call = async (name, args) => {
+    toolset.calls.push({ name, args });
+    return { content: results[name] ?? 'ok', isError: false };
+  };
+  return toolset;
+}
+
+function json(data) {
+  return { res: new Response(JSON.stringify(data), { status: 200 }) };
+}
+
+// post() that replays scripted responses and records request bodies
+function scriptedPost(responses) {
+  const bodies = [];
+  const post = async (body) => {
+    bodies.push(structuredClone(body));
+    return json(responses[Math.min(bodies.length - 1, responses.length - 1)]);
+  };
+  return { post, bodies };
+}
+
+describe('MCP toolset', () => {
+  it('builds provider-safe unique function names', () => {
+    const toolset = createToolset([...TOOLS, { server: 'github', name: 'list.issues' }]);
+    const names = toolset.definitions.map(d => d.name);
+    assert.deepEqual(names, ['github__list_issues', 'my_server__ping', 'github__list_issues_2']);
+    assert.ok(names.every(n => /^[a-zA-Z][a-zA-Z0-9_-]{0,63}$/.test(n)));
+  });
+
+  it('converts schemas to OpenAI and Anthropic formats', () => {
+    const toolset = createToolset(TOOLS);
+    const [openai] = toOpenAITools(toolset);
+    assert.equal(openai.type, 'function');
+    assert.equal(openai.function.parameters.required[0], 'repo');
+    const [anthropic] = toAnthropicTools(toolset);
+    assert.equal(anthropic.input_schema.properties.repo.type, 'string');
+  });
+
+  it('reduces schemas to the subset Gemini accepts', () => {
+    const [{ functionDeclarations }] = toGeminiTools(createToolset(TOOLS));
+    const params = functionDeclarations[0].parameters;
+    assert.equal(params.$schema, undefined);
+    assert.equal(params.additionalProperties, undefined);
+    assert.deepEqual(params.properties.state, { type: 'string', nullable: true, enum: ['open', 'closed'] });
+    assert.deepEqual(params.properties.labels, { type: 'array', items: { type: 'string' } });
+    assert.equal(functionDeclarations[1].parameters, undefined);
+  });
+
+  it('returns errors from unknown tools and disconnected servers', async () => {
+    const calls = [];
+    const toolset = createToolset(TOOLS, { onCall: (server, tool) => calls.push(`${server}/${tool}`) });
+    assert.equal((await toolset.call('nope', {})).isError, true);
+    const result = await toolset.call('github__list_issues', { repo: 'x' });
+    assert.equal(result.isError, true);
+    assert.ok(result.content.includes('no conectado'));
+    assert.deepEqual(calls, ['github/list_issues']);
+  });
+
+  it('parses tool arguments leniently', () => {
+    assert.deepEqual(parseToolArguments('{"a":1}'), { a: 1 });
+    assert.deepEqual(parseToolArguments({ a: 1 }), { a: 1 });
+    assert.deepEqual(parseToolArguments('not json'), {});
+    assert.deepEqual(parseToolArguments(''), {});
+  });
+
+  it('formats MCP results', () => {
+    assert.equal(formatToolResult({ content: [{ type: 'text', text: 'a' }, { type: 'text', text: 'b' }] }), 'a\nb');
+  });
+});
+
+describe('tool-calling loops', () => {
+  it('runs OpenAI-style tool calls until a final answer', async () => {
+    const toolset = fakeToolset({ github__list_issues: '#1 bug' });
+    const { post, bodies } = scriptedPost([
+      {
+        choices: [{ message: { content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'github__list_issues', arguments: '{"repo":"a/b"}' } }] } }],
+        usage: { prompt_tokens: 10, completion_tokens: 5 },
+      },
+      { choices: [{ message: { content: 'Hay 1 issue' } }], usage: { prompt_tokens: 20, completion_tokens: 3 } },
+    ]);
+
+    const result = await runChatCompletionTools(post, { model: 'm', messages: [{ role: 'user', content: 'issues?' }] }, toolset);
+    assert.equal(result.ok, true);
+    assert.equal(result.output, 'Hay 1 issue');
+    assert.equal(result.toolCalls, 1);
+    assert.equal(result.tokens, 38);
+    assert.deepEqual(toolset.calls, [{ name: 'github__list_issues', args: { repo: 'a/b' } }]);
+    assert.equal(bodies[0].tools.length, 2);
+    assert.deepEqual(bodies[1].messages.at(-1), { role: 'tool', tool_call_id: 'c1', content: '#1 bug' });
+  });
+
+  it('runs Anthropic tool_use blocks', async () => {
+    const toolset = fakeToolset();
+    const { post, bodies } = scriptedPost([
+      {
+        stop_reason: 'tool_use',
+        content: [{ type: 'text', text: 'Miro...' }, { type: 'tool_use', id: 't1', name: 'my_server__ping', input: {} }],
+        usage: { input_tokens: 5, output_tokens: 5 },
+      },
+      { stop_reason: 'end_turn', content: [{ type: 'text', text: 'pong' }], usage: { input_tokens: 7, output_tokens: 1 } },
+    ]);
+
+    const result = await runAnthropicTools(post, { model: 'm', messages: [{ role: 'user', content: 'ping' }] }, toolset);
+    assert.equal(result.output, 'pong');
+    assert.equal(result.inputTokens, 12);
+    const toolResult = bodies[1].messages.at(-1);
+    assert.equal(toolResult.role, 'user');
+    assert.equal(toolResult.content[0].tool_use_id, 't1');
+  });
+
+  it('runs Gemini function calls', async () => {
+    const toolset = fakeToolset({ my_server__ping: 'pong' });
+    const { post, bodies } = scriptedPost([
+      { candidates: [{ content: { role: 'model', parts: [{ functionCall: { name: 'my_server__ping', args: {} } }] } }] },
+      { candidates: [{ content: { role: 'model', parts: [{ text: 'Respuesta: pong' }] } }], usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 2 } },
+    ]);
+
+    const result = await runGeminiTools(post, { contents: [{ role: 'user', parts: [{ text: 'ping' }] }] }, toolset);
+    assert.equal(result.output, 'Respuesta: pong');
+    assert.deepEqual(bodies[1].contents.at(-1).parts[0].functionResponse, { name: 'my_server__ping', response: { content: 'pong' } });
+  });
+
+  it('stops after the max-iterations guard', async () => {
+    const toolset = fakeToolset();
+    const { post, bodies } = scriptedPost([
+      { choices: [{ message: { tool_calls: [{ id: 'c', type: 'function', function: { name: 'my_server__ping', arguments: '{}' } }] } }] },
+    ]);
+    const result = await runChatCompletionTools(post, { model: 'm', messages: [] }, toolset);
+    assert.equal(result.ok, false);
+    assert.equal(bodies.length, MAX_TOOL_ITERATIONS);
+    assert.ok(result.output.includes(String(MAX_TOOL_ITERATIONS)));
+  });
+
+  it('returns provider errors unchanged', async () => {
+    const error = { ok: false, output: 'Error API (429)', status: 429 };
+    const result = await runChatCompletionTools(async () => ({ error }), { model: 'm', messages: [] }, fakeToolset());
+    assert.equal(result, error);
+  });
+});
+
+describe('provider integration', () => {
+  const realFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  it('OpenAIProvider advertises tools and skips streaming when tools are present', async () => {
+    let sent;
+    globalThis.fetch = async (url, init) => {
+      sent = JSON.parse(init.body);
+      return new Response(JSON.stringify({ choices: [{ message: { content: 'ok' } }], usage: { prompt_tokens: 1, completion_tokens: 1 } }), { status: 200 });
+    };
+    const result = await new OpenAIProvider({ apiKey: 'k' }).execute('hola', { tools: fakeToolset(), onChunk: () => {} });
+    assert.equal(result.ok, true);
+    assert.equal(result.model, 'gpt-4o');
+    assert.equal(sent.stream, undefined);
+    assert.equal(sent.tools[0].function.name, 'github__list_issues');
+  });
+});
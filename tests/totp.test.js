@@ -0,0 +1,105 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { base32Encode, base32Decode, hotp, totp, otpauthUri, TwoFactor } from '../src/auth/totp.js';
+import { Roles } from '../src/auth/roles.js';
+import { SessionManager } from '../src/auth/session.js';
+
+const USER = 990023;
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP (RFC 6238)', () => {
+  it('round-trips base32', () => {
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+    assert.throws(() => base32Decode('abc1'), /base32/);
+  });
+
+  it('matches the RFC 4226 and RFC 6238 test vectors', () => {
+    const key = base32Decode(RFC_SECRET);
+    assert.equal(hotp(key, 0), '755224');
+    assert.equal(hotp(key, 1), '287082');
+    assert.equal(totp(RFC_SECRET, 59 * 1000, 8), '94287082');
+    assert.equal(totp(RFC_SECRET, 1111111109 * 1000, 8), '07081804');
+    assert.equal(totp(RFC_SECRET, 1234567890 * 1000, 8), '89005924');
+  });
+
+  it('builds an otpauth URI for authenticator apps', () => {
+    assert.equal(
+      otpauthUri('ABC', '@ana'),
+      'otpauth://totp/LLM%20Remote%3A%40ana?secret=ABC&issuer=LLM%20Remote&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
+
+describe('TwoFactor', () => {
+  const sessions = new SessionManager();
+  const t0 = Date.now();
+  let secret;
+
+  before(() => {
+    TwoFactor.disable(USER);
+    Roles.assign(0, USER, 'developer');
+  });
+  after(() => {
+    TwoFactor.disable(USER);
+    sessions.lock(USER);
+    Roles.revoke(USER);
+  });
+
+  it('enables 2FA only after a valid code', () => {
+    const setup = TwoFactor.beginSetup(USER, '@ana');
+    assert.equal(setup.ok, true);
+    assert.match(setup.uri, new RegExp(`secret=${setup.secret}`));
+    secret = setup.secret;
+
+    assert.equal(TwoFactor.status(USER).pending, true);
+    assert.equal(TwoFactor.confirmSetup(USER, '000000').ok, false);
+    assert.equal(TwoFactor.isEnabled(USER), false);
+
+    assert.deepEqual(TwoFactor.confirmSetup(USER, totp(secret, t0), t0), { ok: true });
+    assert.equal(TwoFactor.status(USER).enabled, true);
+    assert.equal(TwoFactor.beginSetup(USER, '@ana').ok, false);
+  });
+
+  it('accepts each time step once', () => {
+    const next = t0 + 30_000;
+    assert.deepEqual(TwoFactor.verify(USER, totp(secret, t0), t0), { ok: false, reason: 'code_reused' });
+    assert.deepEqual(TwoFactor.verify(USER, totp(secret, next), next), { ok: true });
+    assert.deepEqual(TwoFactor.verify(USER, totp(secret, next), next), { ok: false, reason: 'code_reused' });
+    assert.deepEqual(TwoFactor.verify(USER, '12345', next), { ok: false, reason: 'invalid_code' });
+  });
+
+  it('tolerates one step of clock drift', () => {
+    const later = t0 + 120_000;
+    assert.deepEqual(TwoFactor.verify(USER, totp(secret, later - 30_000), later), { ok: true });
+    assert.equal(TwoFactor.verify(USER, totp(secret, later + 300_000), later).ok, false);
+  });
+
+  it('replaces the PIN in SessionManager.authenticate', () => {
+    assert.deepEqual(sessions.authenticate(USER, process.env.AUTH_PIN), { ok: false, reason: 'invalid_code' });
+
+    TwoFactor.disable(USER);
+    assert.deepEqual(sessions.authenticate(USER, process.env.AUTH_PIN), { ok: true });
+    assert.equal(sessions.authenticate(USER, '9999').reason, 'invalid_pin');
+  });
+
+  it('blocks every login while the enrollments cannot be read', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'totp-'));
+    const file = join(dir, 'totp.json');
+    writeFileSync(file, 'ENC:not-decryptable');
+    try {
+      TwoFactor.load(file);
+      assert.equal(TwoFactor.unavailable, true);
+      assert.deepEqual(sessions.authenticate(USER, process.env.AUTH_PIN), { ok: false, reason: 'auth_state_unavailable' });
+      assert.equal(TwoFactor.beginSetup(USER, '@ana').ok, false);
+    } finally {
+      TwoFactor.load();
+      rmSync(dir, { recursive: true, force: true });
+    }
+    assert.equal(TwoFactor.unavailable, false);
+  });
+});
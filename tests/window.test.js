@@ -0,0 +1,144 @@
+import './helpers/data-dir.js';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  contextBudget,
+  estimateTokens,
+  summarizeHistory,
+  DEFAULT_CONTEXT_TOKENS,
+} from '../src/context/window.js';
+import { ConversationMemory } from '../src/context/memory.js';
+import { useTempConversations } from './helpers/memory.js';
+
+const USER = 990017;
+
+let removeStore;
+before(() => { removeStore = useTempConversations(); });
+after(() => removeStore());
+
+describe('Context budgets', () => {
+  it('matches the longest model prefix, then the provider name', () => {
+    assert.equal(contextBudget({ name: 'openai', config: { model: 'gpt-4o-mini' } }), 16000);
+    assert.equal(contextBudget({ name: 'groq', config: { model: 'llama-3.3-70b-versatile' } }), 4000);
+    assert.equal(contextBudget({ name: 'groq', config: {} }), 4000);
+    assert.equal(contextBudget({ name: 'claude-code' }), 16000);
+    assert.equal(contextBudget({ name: 'ollama', config: { model: 'qwen2.5' } }), DEFAULT_CONTEXT_TOKENS);
+    assert.equal(contextBudget(undefined), DEFAULT_CONTEXT_TOKENS);
+  });
+
+  it('estimates about four characters per token', () => {
+    assert.equal(estimateTokens('x'.repeat(400)), 104);
+    assert.equal(estimateTokens(''), 4);
+  });
+
+  it('summarizes with the given provider and meters the user', async () => {
+    let seen;
+    const provider = {
+      execute: async (prompt, context) => {
+        seen = { prompt, context };
+        return { ok: true, output: '  resumen nuevo  ' };
+      },
+    };
+    const summary = await summarizeHistory(provider, 'resumen viejo', [
+      { role: 'user', content: 'hola' },
+      { role: 'assistant', content: 'qué tal' },
+    ], USER);
+
+    assert.equal(summary, 'resumen nuevo');
+    assert.ok(seen.prompt.includes('Resumen hasta ahora:\nresumen viejo'));
+    assert.ok(seen.prompt.includes('Usuario: hola\n\nAsistente: qué tal'));
+    assert.equal(seen.context.userId, USER);
+
+    const failing = { execute: async () => ({ ok: false, output: 'quota' }) };
+    assert.equal(await summarizeHistory(failing, null, [{ role: 'user', content: 'x' }]), null);
+  });
+});
+
+describe('Token-bounded conversation window', () => {
+  beforeEach(() => ConversationMemory.clear(USER));
+
+  // 100 tokens each (384 chars + 4 overhead)
+  const fill = (count) => {
+    for (let i = 0; i < count; i++) {
+      ConversationMemory.add(USER, i % 2 ? 'assistant' : 'user', `${i}:`.padEnd(384, '.'));
+    }
+  };
+
+  it('sends only the newest messages that fit in the budget', () => {
+    fill(10);
+    const history = ConversationMemory.getForProvider(USER, 350);
+    assert.equal(history.length, 3);
+    assert.ok(history[0].content.startsWith('7:'));
+    assert.ok(history[2].content.startsWith('9:'));
+  });
+
+  it('truncates a single message larger than the budget', () => {
+    ConversationMemory.add(USER, 'user', 'x'.repeat(10000));
+    const history = ConversationMemory.getForProvider(USER, 100);
+    assert.equal(history.length, 1);
+    assert.equal(history[0].content.length, 384);
+  });
+
+  it('folds old turns into a rolling summary instead of dropping them', async () => {
+    fill(10);
+    const calls = [];
+    const summarize = async (previous, messages) => {
+      calls.push({ previous, messages });
+      return `resumen de ${messages.length}`;
+    };
+
+    assert.equal(await ConversationMemory.compact(USER, 2000, summarize), false, 'fits: nothing to fold');
+    assert.equal(await ConversationMemory.compact(USER, 600, summarize), true);
+
+    // Half of 600 tokens stays verbatim: 3 messages of 100
+    assert.equal(calls[0].previous, null);
+    assert.equal(calls[0].messages.length, 7);
+    assert.equal(ConversationMemory.getSummary(USER), 'resumen de 7');
+
+    const history = ConversationMemory.getForProvider(USER, 600);
+    assert.match(history[0].content, /^Resumen de la conversación anterior:\nresumen de 7/);
+    assert.equal(history[1].role, 'assistant');
+    assert.deepEqual(history.slice(2).map(m => m.content.split(':')[0]), ['7', '8', '9']);
+
+    // The next fold extends the previous summary
+    fill(4);
+    assert.equal(await ConversationMemory.compact(USER, 600, summarize), true);
+    assert.equal(calls[1].previous, 'resumen de 7');
+    assert.equal(ConversationMemory.getStats(USER, 600).summarized > 7, true);
+  });
+
+  it('keeps the window unchanged when summarizing fails', async () => {
+    fill(10);
+    assert.equal(await ConversationMemory.compact(USER, 600, async () => null), false);
+    assert.equal(ConversationMemory.getSummary(USER), null);
+    assert.equal(ConversationMemory.getForProvider(USER, 600).length, 6);
+  });
+
+  it('discards a summary that finishes after /clear', async () => {
+    fill(10);
+    const pending = ConversationMemory.compact(USER, 600, async () => {
+      ConversationMemory.clear(USER);
+      return 'tarde';
+    });
+    assert.equal(await pending, false);
+    assert.equal(ConversationMemory.getSummary(USER), null);
+  });
+
+  it('runs one summarization at a time per thread', async () => {
+    fill(10);
+    let release;
+    const slow = ConversationMemory.compact(USER, 600, () => new Promise(r => { release = r; }));
+    assert.equal(await ConversationMemory.compact(USER, 600, async () => 'otro'), false);
+    release('primero');
+    assert.equal(await slow, true);
+    assert.equal(ConversationMemory.getSummary(USER), 'primero');
+  });
+
+  it('clear drops the summary too', async () => {
+    fill(10);
+    await ConversationMemory.compact(USER, 600, async () => 'resumen');
+    ConversationMemory.clear(USER);
+    assert.equal(ConversationMemory.getSummary(USER), null);
+    assert.deepEqual(ConversationMemory.getStats(USER).summarized, 0);
+  });
+});